@@ -0,0 +1,410 @@
+const Appointment = require('../models/Appointment');
+const Staff = require('../models/Staff');
+const TokenCounter = require('../models/TokenCounter');
+const appointmentService = require('../services/appointmentService');
+const serviceCatalog = require('../services/serviceCatalog');
+const { JOIN_ERRORS, checkShopListed } = require('../services/joinPolicy');
+
+/**
+ * Controller for Appointment Booking
+ * Time-slot bookings that join the live queue at their slot time
+ */
+
+/**
+ * Tell the shop's dashboard that its bookings changed
+ */
+const emitAppointmentUpdate = (req, type, appointment) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`shop-${appointment.shopId}`).emit('queue-update', {
+      type,
+      appointmentId: appointment._id,
+      startTime: appointment.startTime,
+      shopId: appointment.shopId
+    });
+  }
+};
+
+/**
+ * Check that the customer and the shop may take a booking
+ * Bookings end up in the live queue, so they pass the same account and shop
+ * checks as joining it.
+ * @returns {Promise<Object>} - {} or { error: { status, code, message } }
+ */
+const checkCanBook = async (req, shopId) => {
+  if (!req.user.isVerified()) {
+    return {
+      error: {
+        status: 403,
+        code: JOIN_ERRORS.EMAIL_NOT_VERIFIED,
+        message: 'Please verify your email address before booking'
+      }
+    };
+  }
+
+  const { error } = await checkShopListed(shopId);
+  return error ? { error } : {};
+};
+
+/**
+ * Load an appointment owned by the logged-in customer
+ * @returns {Promise<Object>} - { appointment } or { error: { status, message } }
+ */
+const findOwnAppointment = async (req) => {
+  const { id } = req.params;
+
+  if (!id || !id.match(/^[0-9a-fA-F]{24}$/)) {
+    return { error: { status: 400, message: 'Invalid appointment ID' } };
+  }
+
+  const appointment = await Appointment.findById(id);
+
+  if (!appointment) {
+    return { error: { status: 404, message: 'Appointment not found' } };
+  }
+
+  if (!appointment.customer.equals(req.user._id)) {
+    return { error: { status: 403, message: 'You can only change your own appointments' } };
+  }
+
+  if (appointment.status !== 'booked') {
+    return { error: { status: 400, message: `Appointment is already ${appointment.status}` } };
+  }
+
+  return { appointment };
+};
+
+/**
+ * @desc    Get free booking slots at a shop for a day
+ * @route   GET /api/appointments/slots?shopId=&date=YYYY-MM-DD&serviceType=
+ * @access  Public
+ */
+exports.getSlots = async (req, res) => {
+  try {
+    const { shopId, serviceType = 'haircut' } = req.query;
+    const date = req.query.date || TokenCounter.getBusinessDay();
+
+    if (!shopId) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Shop ID is required'
+      });
+    }
+
+    if (!appointmentService.isBookableDay(date)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Bookings can be made from today up to two weeks ahead'
+      });
+    }
+
+    const availability = await appointmentService.getAvailableSlots(shopId, date, serviceType);
+
+    if (!availability) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Shop not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      count: availability.slots.length,
+      data: {
+        date,
+        durationMinutes: availability.durationMinutes,
+        slots: availability.slots
+      }
+    });
+  } catch (error) {
+    console.error('Error in getSlots:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch available slots'
+    });
+  }
+};
+
+/**
+ * @desc    Book an appointment slot
+ * @route   POST /api/appointments
+ * @access  Private (Customer only)
+ * @body    shopId, serviceType, startTime (ISO), preferredStaffId (optional)
+ * @errors  EMAIL_NOT_VERIFIED, SHOP_NOT_FOUND, SHOP_NOT_VERIFIED, SHOP_INACTIVE
+ *          (returned in `code` - see services/joinPolicy)
+ */
+exports.bookAppointment = async (req, res) => {
+  try {
+    const { shopId, serviceType = 'haircut', preferredStaffId } = req.body;
+    const startTime = new Date(req.body.startTime);
+
+    if (!shopId || isNaN(startTime.getTime())) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Shop ID and a valid start time are required'
+      });
+    }
+
+    const { error: bookError } = await checkCanBook(req, shopId);
+    if (bookError) {
+      return res.status(bookError.status).json({
+        status: 'error',
+        code: bookError.code,
+        message: bookError.message
+      });
+    }
+
+    const { error: serviceError } = await serviceCatalog.resolveServices(shopId, [serviceType]);
+    if (serviceError) {
+      return res.status(serviceError.status).json({
+        status: 'error',
+        message: serviceError.message
+      });
+    }
+
+    let preferredStaff = null;
+    if (preferredStaffId) {
+      preferredStaff = await Staff.findWorkingAtShop(shopId, preferredStaffId);
+      if (!preferredStaff) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Selected barber is not working at this shop'
+        });
+      }
+    }
+
+    const slot = await appointmentService.findFreeSlot(shopId, startTime, serviceType);
+
+    if (!slot) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'That slot is not available - please pick another time'
+      });
+    }
+
+    const appointment = await Appointment.create({
+      customer: req.user._id,
+      name: req.user.name,
+      phone: req.user.phone,
+      shopId,
+      serviceType,
+      preferredStaff: preferredStaff ? preferredStaff._id : null,
+      startTime: slot.startTime,
+      endTime: slot.endTime
+    });
+
+    // Someone else may have taken the last place at the same moment
+    if (await appointmentService.isOverbooked(appointment)) {
+      await appointment.deleteOne();
+      return res.status(409).json({
+        status: 'error',
+        message: 'That slot was just taken - please pick another time'
+      });
+    }
+
+    emitAppointmentUpdate(req, 'appointment-booked', appointment);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Appointment booked',
+      data: appointment
+    });
+  } catch (error) {
+    console.error('Error in bookAppointment:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Failed to book appointment'
+    });
+  }
+};
+
+/**
+ * @desc    Get the logged-in customer's upcoming appointments
+ * @route   GET /api/appointments/mine
+ * @access  Private (Customer only)
+ */
+exports.getMyAppointments = async (req, res) => {
+  try {
+    const appointments = await Appointment.find({
+      customer: req.user._id,
+      status: 'booked'
+    })
+      .sort({ startTime: 1 })
+      .populate('preferredStaff', 'name');
+
+    res.status(200).json({
+      status: 'success',
+      count: appointments.length,
+      data: appointments
+    });
+  } catch (error) {
+    console.error('Error in getMyAppointments:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch appointments'
+    });
+  }
+};
+
+/**
+ * @desc    Move an appointment to another free slot
+ * @route   PATCH /api/appointments/:id
+ * @access  Private (Customer only)
+ * @body    startTime (ISO)
+ * @errors  EMAIL_NOT_VERIFIED, SHOP_NOT_FOUND, SHOP_NOT_VERIFIED, SHOP_INACTIVE
+ */
+exports.rescheduleAppointment = async (req, res) => {
+  try {
+    const { appointment, error } = await findOwnAppointment(req);
+    if (error) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    const startTime = new Date(req.body.startTime);
+    if (isNaN(startTime.getTime())) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A valid start time is required'
+      });
+    }
+
+    const { error: bookError } = await checkCanBook(req, appointment.shopId);
+    if (bookError) {
+      return res.status(bookError.status).json({
+        status: 'error',
+        code: bookError.code,
+        message: bookError.message
+      });
+    }
+
+    const slot = await appointmentService.findFreeSlot(
+      appointment.shopId,
+      startTime,
+      appointment.serviceType,
+      appointment._id
+    );
+
+    if (!slot) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'That slot is not available - please pick another time'
+      });
+    }
+
+    const previous = { startTime: appointment.startTime, endTime: appointment.endTime };
+
+    appointment.startTime = slot.startTime;
+    appointment.endTime = slot.endTime;
+    appointment.rescheduleCount += 1;
+    await appointment.save();
+
+    if (await appointmentService.isOverbooked(appointment)) {
+      appointment.startTime = previous.startTime;
+      appointment.endTime = previous.endTime;
+      appointment.rescheduleCount -= 1;
+      await appointment.save();
+
+      return res.status(409).json({
+        status: 'error',
+        message: 'That slot was just taken - please pick another time'
+      });
+    }
+
+    emitAppointmentUpdate(req, 'appointment-rescheduled', appointment);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Appointment rescheduled',
+      data: appointment
+    });
+  } catch (error) {
+    console.error('Error in rescheduleAppointment:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Failed to reschedule appointment'
+    });
+  }
+};
+
+/**
+ * @desc    Cancel an upcoming appointment
+ * @route   DELETE /api/appointments/:id
+ * @access  Private (Customer only)
+ */
+exports.cancelAppointment = async (req, res) => {
+  try {
+    const { appointment, error } = await findOwnAppointment(req);
+    if (error) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    appointment.status = 'cancelled';
+    appointment.cancelledAt = new Date();
+    await appointment.save();
+
+    emitAppointmentUpdate(req, 'appointment-cancelled', appointment);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Appointment cancelled'
+    });
+  } catch (error) {
+    console.error('Error in cancelAppointment:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Failed to cancel appointment'
+    });
+  }
+};
+
+/**
+ * @desc    Get a shop's bookings for a day (barber dashboard)
+ * @route   GET /api/appointments/shop/:shopId?date=YYYY-MM-DD
+ * @access  Private (Barber only - their own shop)
+ */
+exports.getShopAppointments = async (req, res) => {
+  try {
+    const { shopId } = req.params;
+    const date = req.query.date || TokenCounter.getBusinessDay();
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Date must be in YYYY-MM-DD format'
+      });
+    }
+
+    // Business day boundaries (a day either side, then filter exactly)
+    const from = new Date(`${date}T00:00:00Z`);
+    from.setUTCDate(from.getUTCDate() - 1);
+    const to = new Date(`${date}T00:00:00Z`);
+    to.setUTCDate(to.getUTCDate() + 2);
+
+    const appointments = (await Appointment.find({
+      shopId,
+      status: { $in: ['booked', 'queued'] },
+      startTime: { $gte: from, $lt: to }
+    })
+      .sort({ startTime: 1 })
+      .populate('preferredStaff', 'name'))
+      .filter(appointment => TokenCounter.getBusinessDay(appointment.startTime) === date);
+
+    res.status(200).json({
+      status: 'success',
+      count: appointments.length,
+      data: appointments
+    });
+  } catch (error) {
+    console.error('Error in getShopAppointments:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch appointments'
+    });
+  }
+};
@@ -1,5 +1,9 @@
 const Customer = require('../models/Customer');
-const { generateToken } = require('../middleware/auth');
+const OtpCode = require('../models/OtpCode');
+const authSession = require('../services/authSession');
+const passwordReset = require('../services/passwordReset');
+const emailVerification = require('../services/emailVerification');
+const otpLogin = require('../services/otpLogin');
 
 /**
  * @desc    Register a new customer
@@ -36,15 +40,15 @@ const registerCustomer = async (req, res) => {
     });
 
     if (customer) {
-      const token = generateToken(customer._id, customer.role);
-      
-      // Set HTTP-only cookie
-      res.cookie('authToken', token, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'lax',
-        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-      });
+      // Confirm the address - the account is limited until it is
+      try {
+        await emailVerification.sendVerification('customer', customer);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+
+      // Short-lived access token plus a refresh cookie for this device
+      const token = await authSession.startSession(req, res, customer);
       
       res.status(201).json({
         status: 'success',
@@ -53,6 +57,8 @@ const registerCustomer = async (req, res) => {
           name: customer.name,
           email: customer.email,
           phone: customer.phone,
+          emailVerified: customer.emailVerified,
+          phoneVerified: !!customer.phoneVerifiedAt,
           role: customer.role,
           token: token
         }
@@ -93,15 +99,8 @@ const loginCustomer = async (req, res) => {
     const customer = await Customer.findOne({ email }).select('+password');
 
     if (customer && (await customer.matchPassword(password))) {
-      const token = generateToken(customer._id, customer.role);
-      
-      // Set HTTP-only cookie
-      res.cookie('authToken', token, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'lax',
-        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-      });
+      // Short-lived access token plus a refresh cookie for this device
+      const token = await authSession.startSession(req, res, customer);
       
       res.json({
         status: 'success',
@@ -110,6 +109,8 @@ const loginCustomer = async (req, res) => {
           name: customer.name,
           email: customer.email,
           phone: customer.phone,
+          emailVerified: customer.emailVerified,
+          phoneVerified: !!customer.phoneVerifiedAt,
           role: customer.role,
           token: token
         }
@@ -146,6 +147,8 @@ const getCustomerProfile = async (req, res) => {
           name: customer.name,
           email: customer.email,
           phone: customer.phone,
+          emailVerified: customer.emailVerified,
+          phoneVerified: !!customer.phoneVerifiedAt,
           role: customer.role
         }
       });
@@ -171,11 +174,8 @@ const getCustomerProfile = async (req, res) => {
  */
 const logoutCustomer = async (req, res) => {
   try {
-    // Clear auth cookie
-    res.cookie('authToken', '', {
-      httpOnly: true,
-      expires: new Date(0)
-    });
+    // Revoke this device's refresh token and clear the auth cookies
+    await authSession.endSession(req, res);
     
     res.json({
       status: 'success',
@@ -267,10 +267,282 @@ const updateCustomerLocation = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Email a password reset link to a customer
+ * @route   POST /api/auth/customer/forgot-password
+ * @access  Public
+ * @body    { email }
+ */
+const forgotCustomerPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide your email'
+      });
+    }
+
+    await passwordReset.requestReset('customer', email);
+
+    // Same answer whether or not the account exists
+    res.json({
+      status: 'success',
+      message: 'If an account exists for that email, a reset link is on its way'
+    });
+  } catch (error) {
+    console.error('Forgot customer password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Error sending reset email'
+    });
+  }
+};
+
+/**
+ * @desc    Set a new customer password with a reset token
+ * @route   POST /api/auth/customer/reset-password
+ * @access  Public
+ * @body    { token, password }
+ */
+const resetCustomerPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide the reset token and a new password'
+      });
+    }
+
+    if (String(password).length < 6) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Password must be at least 6 characters long'
+      });
+    }
+
+    const { error } = await passwordReset.resetPassword('customer', token, password);
+
+    if (error) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Password updated - please log in with your new password'
+    });
+  } catch (error) {
+    console.error('Reset customer password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Error resetting password'
+    });
+  }
+};
+
+/**
+ * @desc    Text a login code to a customer's phone
+ * @route   POST /api/auth/customer/otp/request
+ * @access  Public
+ * @body    { phone }
+ */
+const requestCustomerOtp = async (req, res) => {
+  try {
+    const phone = otpLogin.cleanPhone(req.body.phone);
+
+    if (!phone) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please enter a valid 10-digit phone number'
+      });
+    }
+
+    const { error } = await otpLogin.requestOtp(phone);
+
+    if (error) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        data: { retryAfterSeconds: error.retryAfterSeconds }
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Code sent',
+      data: {
+        phone,
+        expiresInMinutes: OtpCode.CODE_MINUTES,
+        resendAfterSeconds: OtpCode.RESEND_COOLDOWN_SECONDS
+      }
+    });
+  } catch (error) {
+    console.error('Request customer OTP error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Error sending login code'
+    });
+  }
+};
+
+/**
+ * @desc    Log a customer in with the code texted to them (signs up new numbers)
+ * @route   POST /api/auth/customer/otp/verify
+ * @access  Public
+ * @body    { phone, code, name } - name only for a new account
+ */
+const verifyCustomerOtp = async (req, res) => {
+  try {
+    const phone = otpLogin.cleanPhone(req.body.phone);
+    const code = String(req.body.code || '').trim();
+    const name = req.body.name ? String(req.body.name).trim() : '';
+
+    if (!phone || !code) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide your phone number and the code we sent'
+      });
+    }
+
+    if (name && (name.length < 2 || name.length > 50)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Name must be between 2 and 50 characters'
+      });
+    }
+
+    const { customer, created, error } = await otpLogin.verifyOtp(phone, code, name);
+
+    if (error) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        data: {
+          needsName: !!error.needsName,
+          attemptsLeft: error.attemptsLeft
+        }
+      });
+    }
+
+    // Same session as an email login
+    const token = await authSession.startSession(req, res, customer);
+
+    res.status(created ? 201 : 200).json({
+      status: 'success',
+      data: {
+        _id: customer._id,
+        name: customer.name,
+        email: customer.email,
+        phone: customer.phone,
+        emailVerified: customer.emailVerified,
+        phoneVerified: !!customer.phoneVerifiedAt,
+        role: customer.role,
+        token: token
+      }
+    });
+  } catch (error) {
+    console.error('Verify customer OTP error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Error verifying login code'
+    });
+  }
+};
+
+/**
+ * @desc    Text a code to the phone number on the customer's account
+ * @route   POST /api/auth/customer/phone/request
+ * @access  Private (Customer only)
+ */
+const requestPhoneVerification = async (req, res) => {
+  try {
+    const { error } = await otpLogin.requestPhoneVerification(req.user);
+
+    if (error) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        data: { retryAfterSeconds: error.retryAfterSeconds }
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: `Code sent to ${req.user.phone}`,
+      data: {
+        expiresInMinutes: OtpCode.CODE_MINUTES,
+        resendAfterSeconds: OtpCode.RESEND_COOLDOWN_SECONDS
+      }
+    });
+  } catch (error) {
+    console.error('Request phone verification error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Error sending verification code'
+    });
+  }
+};
+
+/**
+ * @desc    Verify the phone number on the customer's account (it can then log in too)
+ * @route   POST /api/auth/customer/phone/verify
+ * @access  Private (Customer only)
+ * @body    { code }
+ */
+const verifyCustomerPhone = async (req, res) => {
+  try {
+    const code = String(req.body.code || '').trim();
+
+    if (!code) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please enter the code we sent'
+      });
+    }
+
+    const { customer, error } = await otpLogin.verifyPhone(req.user, code);
+
+    if (error) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        data: { attemptsLeft: error.attemptsLeft }
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Phone number verified',
+      data: {
+        phone: customer.phone,
+        phoneVerified: true
+      }
+    });
+  } catch (error) {
+    console.error('Verify customer phone error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Error verifying phone number'
+    });
+  }
+};
+
 module.exports = {
   registerCustomer,
   loginCustomer,
   getCustomerProfile,
   logoutCustomer,
-  updateCustomerLocation
+  updateCustomerLocation,
+  forgotCustomerPassword,
+  resetCustomerPassword,
+  requestCustomerOtp,
+  verifyCustomerOtp,
+  requestPhoneVerification,
+  verifyCustomerPhone
 };
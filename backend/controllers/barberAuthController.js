@@ -1,5 +1,7 @@
 const Barber = require('../models/Barber');
-const { generateToken } = require('../middleware/auth');
+const authSession = require('../services/authSession');
+const passwordReset = require('../services/passwordReset');
+const emailVerification = require('../services/emailVerification');
 
 /**
  * @desc    Register a new barber
@@ -55,15 +57,15 @@ const registerBarber = async (req, res) => {
     const barber = await Barber.create(barberData);
 
     if (barber) {
-      const token = generateToken(barber._id, barber.role);
-      
-      // Set HTTP-only cookie
-      res.cookie('authToken', token, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'lax',
-        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-      });
+      // Confirm the address - the account is limited until it is
+      try {
+        await emailVerification.sendVerification('barber', barber);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+
+      // Short-lived access token plus a refresh cookie for this device
+      const token = await authSession.startSession(req, res, barber);
       
       res.status(201).json({
         status: 'success',
@@ -74,6 +76,7 @@ const registerBarber = async (req, res) => {
           ownerName: barber.ownerName,
           email: barber.email,
           phone: barber.phone,
+          emailVerified: barber.emailVerified,
           role: barber.role,
           token: token
         }
@@ -114,15 +117,8 @@ const loginBarber = async (req, res) => {
     const barber = await Barber.findOne({ email }).select('+password');
 
     if (barber && (await barber.matchPassword(password))) {
-      const token = generateToken(barber._id, barber.role);
-      
-      // Set HTTP-only cookie
-      res.cookie('authToken', token, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'lax',
-        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-      });
+      // Short-lived access token plus a refresh cookie for this device
+      const token = await authSession.startSession(req, res, barber);
       
       res.json({
         status: 'success',
@@ -133,6 +129,7 @@ const loginBarber = async (req, res) => {
           ownerName: barber.ownerName,
           email: barber.email,
           phone: barber.phone,
+          emailVerified: barber.emailVerified,
           role: barber.role,
           token: token
         }
@@ -171,6 +168,7 @@ const getBarberProfile = async (req, res) => {
           ownerName: barber.ownerName,
           email: barber.email,
           phone: barber.phone,
+          emailVerified: barber.emailVerified,
           role: barber.role,
           location: barber.location,
           address: barber.address,
@@ -200,11 +198,8 @@ const getBarberProfile = async (req, res) => {
  */
 const logoutBarber = async (req, res) => {
   try {
-    // Clear auth cookie
-    res.cookie('authToken', '', {
-      httpOnly: true,
-      expires: new Date(0)
-    });
+    // Revoke this device's refresh token and clear the auth cookies
+    await authSession.endSession(req, res);
     
     res.json({
       status: 'success',
@@ -219,9 +214,90 @@ const logoutBarber = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Email a password reset link to a barber
+ * @route   POST /api/auth/barber/forgot-password
+ * @access  Public
+ * @body    { email }
+ */
+const forgotBarberPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide your email'
+      });
+    }
+
+    await passwordReset.requestReset('barber', email);
+
+    // Same answer whether or not the account exists
+    res.json({
+      status: 'success',
+      message: 'If an account exists for that email, a reset link is on its way'
+    });
+  } catch (error) {
+    console.error('Forgot barber password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Error sending reset email'
+    });
+  }
+};
+
+/**
+ * @desc    Set a new barber password with a reset token
+ * @route   POST /api/auth/barber/reset-password
+ * @access  Public
+ * @body    { token, password }
+ */
+const resetBarberPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide the reset token and a new password'
+      });
+    }
+
+    if (String(password).length < 6) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Password must be at least 6 characters long'
+      });
+    }
+
+    const { error } = await passwordReset.resetPassword('barber', token, password);
+
+    if (error) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Password updated - please log in with your new password'
+    });
+  } catch (error) {
+    console.error('Reset barber password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Error resetting password'
+    });
+  }
+};
+
 module.exports = {
   registerBarber,
   loginBarber,
   getBarberProfile,
-  logoutBarber
+  logoutBarber,
+  forgotBarberPassword,
+  resetBarberPassword
 };
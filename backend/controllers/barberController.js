@@ -1,6 +1,10 @@
 const Barber = require('../models/Barber');
 const BarberShop = require('../models/BarberShop');
-const Customer = require('../models/Customer');
+const QueueEntry = require('../models/QueueEntry');
+const waitTimeEstimator = require('../services/waitTimeEstimator');
+const shopService = require('../services/shopService');
+const { updateQueuePositions, notifyPositionChanged } = require('../services/queueManager');
+const queuePause = require('../services/queuePause');
 
 /**
  * Controller for Barber Location and Discovery
@@ -116,25 +120,16 @@ exports.getNearbyBarbers = async (req, res) => {
         const distance = barber.getDistance(userLon, userLat);
 
         // Get current queue length (waiting + in-service customers)
-        const queueLength = await Customer.countDocuments({
+        const queueLength = await QueueEntry.countDocuments({
           shopId: barber.shopId,
-          status: { $in: ['waiting', 'in-service'] }
+          status: { $in: QueueEntry.ACTIVE_STATUSES }
         });
 
-        // Calculate estimated wait time based on queue and average service time
-        const estimatedWaitTime = queueLength * barber.averageWaitTime;
+        // Estimated wait for someone joining now (learned service durations)
+        const { nextWaitTime: estimatedWaitTime } = await waitTimeEstimator.estimateQueue(barber.shopId);
 
         // Format wait time for display
-        let waitTimeText;
-        if (estimatedWaitTime === 0) {
-          waitTimeText = 'No wait';
-        } else if (estimatedWaitTime < 60) {
-          waitTimeText = `${estimatedWaitTime} min`;
-        } else {
-          const hours = Math.floor(estimatedWaitTime / 60);
-          const mins = estimatedWaitTime % 60;
-          waitTimeText = mins > 0 ? `${hours} hr ${mins} min` : `${hours} hr`;
-        }
+        const waitTimeText = waitTimeEstimator.formatWaitTime(estimatedWaitTime);
 
         return {
           id: barber._id,
@@ -239,9 +234,9 @@ exports.getBarberByShopId = async (req, res) => {
     }
 
     // Get current queue info
-    const queueLength = await Customer.countDocuments({
+    const queueLength = await QueueEntry.countDocuments({
       shopId: barber.shopId,
-      status: { $in: ['waiting', 'in-service'] }
+      status: { $in: QueueEntry.ACTIVE_STATUSES }
     });
 
     res.status(200).json({
@@ -250,7 +245,9 @@ exports.getBarberByShopId = async (req, res) => {
         ...barber.toObject(),
         currentQueueLength: queueLength,
         // Ensure isOpen is explicitly returned (some models might rely on operating hours otherwise)
-        isOpen: barber.isOpen
+        isOpen: barber.isOpen,
+        // A break that ran out but hasn't been cleared by the scheduler yet is over
+        pause: shopService.getActivePause(barber)
       }
     });
   } catch (error) {
@@ -272,9 +269,10 @@ exports.updateBarber = async (req, res) => {
     const { shopId } = req.params;
     const updates = req.body;
 
-    // Prevent updating critical fields
+    // Prevent updating critical fields (passwords are only hashed on save)
     delete updates.shopId;
     delete updates._id;
+    delete updates.password;
 
     const barber = await Barber.findOneAndUpdate(
       { shopId },
@@ -372,3 +370,233 @@ exports.toggleShopStatus = async (req, res) => {
     });
   }
 };
+
+/**
+ * @desc    Set the number of chairs (parallel service lanes) at a shop
+ * @route   PATCH /api/barbers/:shopId/chairs
+ * @access  Private (Barber only)
+ */
+exports.updateChairCount = async (req, res) => {
+  try {
+    const { shopId } = req.params;
+    const chairCount = parseInt(req.body.chairCount);
+
+    if (isNaN(chairCount) || chairCount < 1 || chairCount > 10) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Chair count must be between 1 and 10'
+      });
+    }
+
+    const result = await shopService.findShopByShopId(shopId);
+
+    if (!result) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Shop not found'
+      });
+    }
+
+    const { shop } = result;
+
+    // Can't remove a chair someone is sitting in
+    const occupiedChairs = await QueueEntry.getOccupiedChairs(shopId);
+    const highestOccupied = Math.max(0, ...occupiedChairs);
+    if (chairCount < highestOccupied) {
+      return res.status(409).json({
+        status: 'error',
+        message: `Chair ${highestOccupied} is in use - complete that service first`
+      });
+    }
+
+    shop.chairCount = chairCount;
+    await shop.save();
+
+    // More or fewer lanes changes everyone's ETA
+    await updateQueuePositions(shopId);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`shop-${shopId}`).emit('queue-update', {
+        type: 'chairs-updated',
+        chairCount,
+        shopId
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: `Shop now has ${chairCount} chair${chairCount !== 1 ? 's' : ''}`,
+      data: {
+        shopId,
+        chairCount
+      }
+    });
+  } catch (error) {
+    console.error('Error in updateChairCount:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Failed to update chair count'
+    });
+  }
+};
+
+/**
+ * @desc    Update a shop's queue settings (no-show handling, priority policy,
+ *          last call, queue length limit, arrival check-in and travel speed)
+ * @route   PATCH /api/barbers/:shopId/queue-settings
+ * @access  Private (Barber only)
+ */
+exports.updateQueueSettings = async (req, res) => {
+  try {
+    const { shopId } = req.params;
+
+    const result = await shopService.findShopByShopId(shopId);
+
+    if (!result) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Shop not found'
+      });
+    }
+
+    const { shop } = result;
+    const fields = [
+      'noShowGraceMinutes',
+      'noShowPolicy',
+      'priorityClasses',
+      'priorityPolicy',
+      'regularPerPriority',
+      'lastCallPolicy',
+      'lastCallMinutes',
+      'maxQueueLength',
+      'callArrivedOnly',
+      'arrivalRadiusMeters',
+      'travelSpeedKmh'
+    ];
+
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        shop.queueSettings[field] = req.body[field];
+      }
+    });
+
+    await shop.save();
+
+    // A different priority policy reorders the waiting list
+    if (['priorityPolicy', 'regularPerPriority'].some(field => req.body[field] !== undefined)) {
+      const bumped = await updateQueuePositions(shopId);
+
+      const io = req.app.get('io');
+      notifyPositionChanged(io, bumped);
+      if (io) {
+        io.to(`shop-${shopId}`).emit('queue-update', {
+          type: 'priority-policy-updated',
+          shopId
+        });
+      }
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Queue settings updated',
+      data: shop.queueSettings
+    });
+  } catch (error) {
+    console.error('Error in updateQueueSettings:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        status: 'error',
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Failed to update queue settings'
+    });
+  }
+};
+
+/**
+ * @desc    Put the queue on a break: the queue is kept, waiting customers'
+ *          ETAs move back by the break and it resumes by itself afterwards
+ * @route   POST /api/barbers/:shopId/pause
+ * @access  Private (Barber only)
+ * @body    minutes (1-180), blockJoins (optional) - turn away new customers
+ *          until the break is over, reason (optional)
+ */
+exports.pauseQueue = async (req, res) => {
+  try {
+    const { shopId } = req.params;
+    const { minutes, blockJoins, reason } = req.body;
+
+    const { pause, error } = await queuePause.pauseQueue(req.app.get('io'), shopId, { minutes, blockJoins, reason });
+    if (error) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: `Queue paused for ${minutes} min`,
+      data: {
+        shopId,
+        pause
+      }
+    });
+  } catch (error) {
+    console.error('Error in pauseQueue:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        status: 'error',
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Failed to pause queue'
+    });
+  }
+};
+
+/**
+ * @desc    End a break early
+ * @route   DELETE /api/barbers/:shopId/pause
+ * @access  Private (Barber only)
+ */
+exports.resumeQueue = async (req, res) => {
+  try {
+    const { shopId } = req.params;
+
+    const { error } = await queuePause.resumeQueue(req.app.get('io'), shopId);
+    if (error) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Queue resumed',
+      data: {
+        shopId,
+        pause: null
+      }
+    });
+  } catch (error) {
+    console.error('Error in resumeQueue:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Failed to resume queue'
+    });
+  }
+};
@@ -1,6 +1,8 @@
 const BarberShop = require('../models/BarberShop');
 const Barber = require('../models/Barber');
-const Customer = require('../models/Customer');
+const QueueEntry = require('../models/QueueEntry');
+const waitTimeEstimator = require('../services/waitTimeEstimator');
+const shopService = require('../services/shopService');
 
 /**
  * Controller for Barber Shop Location-based Operations
@@ -54,6 +56,7 @@ exports.getNearbyBarbers = async (req, res) => {
         }
       },
       status: 'active',
+      emailVerified: true, // Unlisted until the owner confirms their email
       isTestData: { $ne: true } // Exclude test/dummy data
     }).limit(50);
 
@@ -69,6 +72,7 @@ exports.getNearbyBarbers = async (req, res) => {
         }
       },
       isActive: true,
+      verified: true, // Unlisted until the listing has been checked
       isTestData: { $ne: true } // Exclude test/dummy data
     }).limit(50);
 
@@ -88,24 +92,15 @@ exports.getNearbyBarbers = async (req, res) => {
         const distance = shop.getDistance(userLon, userLat);
 
         // Get current queue
-        const queueLength = await Customer.countDocuments({
+        const queueLength = await QueueEntry.countDocuments({
           shopId: shop.shopId,
-          status: { $in: ['waiting', 'in-service'] }
+          status: { $in: QueueEntry.ACTIVE_STATUSES }
         });
 
-        // Calculate ETA
-        const estimatedWaitTime = queueLength * 15; // 15 min average per customer
+        // Estimated wait for someone joining now (learned service durations)
+        const { nextWaitTime: estimatedWaitTime } = await waitTimeEstimator.estimateQueue(shop.shopId);
 
-        let waitTimeText;
-        if (estimatedWaitTime === 0) {
-          waitTimeText = 'No wait';
-        } else if (estimatedWaitTime < 60) {
-          waitTimeText = `${estimatedWaitTime} min`;
-        } else {
-          const hours = Math.floor(estimatedWaitTime / 60);
-          const mins = estimatedWaitTime % 60;
-          waitTimeText = mins > 0 ? `${hours} hr ${mins} min` : `${hours} hr`;
-        }
+        const waitTimeText = waitTimeEstimator.formatWaitTime(estimatedWaitTime);
 
         // Check if shop is currently open
         const now = new Date();
@@ -142,6 +137,7 @@ exports.getNearbyBarbers = async (req, res) => {
           estimatedWaitTime: estimatedWaitTime,
           waitTimeText: waitTimeText,
           isOpen: isOpen,
+          pause: shopService.getActivePause(shop),
           status: 'active',
           services: shop.services || [],
           address: addressText,
@@ -236,12 +232,12 @@ exports.registerBarberShop = async (req, res) => {
       operatingHours: operatingHours || { opening: '09:00', closing: '20:00' },
       shopId,
       isActive: true,
-      isTestData: false // Mark as real data (visible to customers)
+      isTestData: false // Real data - listed for customers once verified
     });
 
     res.status(201).json({
       status: 'success',
-      message: 'Barber shop registered successfully',
+      message: 'Barber shop registered - it will be listed for customers once it has been verified',
       data: barberShop
     });
   } catch (error) {
@@ -316,12 +312,12 @@ exports.getBarberById = async (req, res) => {
 
 /**
  * @desc    Update barber shop location
- * @route   PATCH /api/barbers/:id/location
- * @access  Private (Barber only)
+ * @route   PATCH /api/barbers/:shopId/location
+ * @access  Private (Barber only - their own shop)
  */
 exports.updateBarberLocation = async (req, res) => {
   try {
-    const { id } = req.params;
+    const { shopId } = req.params;
     const { latitude, longitude } = req.body;
 
     if (!latitude || !longitude) {
@@ -331,7 +327,7 @@ exports.updateBarberLocation = async (req, res) => {
       });
     }
 
-    const barberShop = await BarberShop.findById(id);
+    const barberShop = await BarberShop.findOne({ shopId });
 
     if (!barberShop) {
       return res.status(404).json({
@@ -341,16 +337,16 @@ exports.updateBarberLocation = async (req, res) => {
     }
 
     // Use GeoJSON format update
-    barber.location = {
+    barberShop.location = {
       type: 'Point',
       coordinates: [parseFloat(longitude), parseFloat(latitude)]
     };
-    await barber.save();
+    await barberShop.save();
 
     res.status(200).json({
       status: 'success',
       message: 'Location updated successfully',
-      data: barber
+      data: barberShop
     });
   } catch (error) {
     console.error('Error in updateBarberLocation:', error);
@@ -363,14 +359,14 @@ exports.updateBarberLocation = async (req, res) => {
 
 /**
  * @desc    Toggle barber shop active status
- * @route   PATCH /api/barbers/:id/toggle-active
- * @access  Private (Barber only)
+ * @route   PATCH /api/barbers/:shopId/toggle-active
+ * @access  Private (Barber only - their own shop)
  */
 exports.toggleBarberActive = async (req, res) => {
   try {
-    const { id } = req.params;
+    const { shopId } = req.params;
 
-    const barberShop = await BarberShop.findById(id);
+    const barberShop = await BarberShop.findOne({ shopId });
 
     if (!barberShop) {
       return res.status(404).json({
@@ -379,15 +375,14 @@ exports.toggleBarberActive = async (req, res) => {
       });
     }
 
-    // Toggle status or isOpen depending on what 'active' means in context
-    // Assuming 'status' field for active/inactive shop
-    barber.status = barber.status === 'active' ? 'inactive' : 'active';
-    await barber.save();
+    // Registered shops are listed while isActive (see joinPolicy.isShopActive)
+    barberShop.isActive = !barberShop.isActive;
+    await barberShop.save();
 
     res.status(200).json({
       status: 'success',
-      message: `Shop ${barber.status === 'active' ? 'activated' : 'deactivated'} successfully`,
-      data: barber
+      message: `Shop ${barberShop.isActive ? 'activated' : 'deactivated'} successfully`,
+      data: barberShop
     });
   } catch (error) {
     console.error('Error in toggleBarberActive:', error);
@@ -1,69 +1,236 @@
+const QueueEntry = require('../models/QueueEntry');
 const Customer = require('../models/Customer');
+const Staff = require('../models/Staff');
+const QueueEvent = require('../models/QueueEvent');
+const waitTimeEstimator = require('../services/waitTimeEstimator');
+const queueEvents = require('../services/queueEvents');
+const shopService = require('../services/shopService');
+const serviceCatalog = require('../services/serviceCatalog');
+const travelGuidance = require('../services/travelGuidance');
+const { JOIN_ERRORS, checkCanJoin, checkActiveEntry } = require('../services/joinPolicy');
+const {
+  updateQueuePositions,
+  applyLiveEstimate,
+  addToQueue,
+  addPartyToQueue,
+  cancelEntry,
+  notifyCustomer,
+  notifyPositionChanged,
+  recordNoShow,
+  moveEntry,
+  slideBehindArrived,
+  seatEntry,
+  undoLastAction,
+  STAFF_FIELDS
+} = require('../services/queueManager');
 
 /**
  * Controller for Queue Management Operations
  * Handles all business logic for customer queue management
  */
 
+// Most people one account can bring in a party
+const MAX_PARTY_SIZE = 6;
+
+/**
+ * Check each person's services against the shop's menu
+ * @param {String} shopId - Shop ID
+ * @param {Array<Object>} people - [{ name, services: [keys] }]
+ * @returns {Promise<Object>} - { members: [{ name, serviceType, services }] }
+ *          or { error: { status, message } }
+ */
+const resolveMemberServices = async (shopId, people) => {
+  const catalog = await serviceCatalog.getCatalog(shopId);
+  const members = [];
+
+  for (const person of people) {
+    const keys = Array.isArray(person.services) ? person.services : [];
+    const { services, error } = await serviceCatalog.resolveServices(shopId, keys, catalog);
+    if (error) {
+      return {
+        error: { ...error, message: people.length > 1 ? `${person.name}: ${error.message}` : error.message }
+      };
+    }
+    members.push({ name: person.name, serviceType: services[0].key, services });
+  }
+
+  return { members };
+};
+
+/**
+ * Look up the preferred barber for a new entry - they must work at the shop
+ * @param {String} shopId - Shop ID
+ * @param {String} preferredStaffId - Requested staff ID (optional)
+ * @returns {Promise<Object>} - { staff } (null for any barber) or { error: { status, message } }
+ */
+const resolvePreferredStaff = async (shopId, preferredStaffId) => {
+  if (!preferredStaffId) {
+    return { staff: null };
+  }
+
+  if (!String(preferredStaffId).match(/^[0-9a-fA-F]{24}$/)) {
+    return { error: { status: 400, message: 'Invalid staff ID' } };
+  }
+
+  const staff = await Staff.findWorkingAtShop(shopId, preferredStaffId);
+
+  if (!staff) {
+    return { error: { status: 404, message: 'Selected barber is not working at this shop' } };
+  }
+  return { staff };
+};
+
+/**
+ * Summarize one member of a party for API responses
+ * @param {Document} member - Queue entry
+ * @returns {Object}
+ */
+const summarizePartyMember = (member) => ({
+  entryId: member._id,
+  name: member.name,
+  serviceType: member.serviceType,
+  services: member.services,
+  tokenNumber: member.tokenNumber,
+  status: member.status,
+  queuePosition: member.queuePosition,
+  estimatedWaitTime: member.estimatedWaitTime,
+  chair: member.chair
+});
+
 /**
- * @desc    Add a new customer to the queue
+ * @desc    Add a new customer (or a party under their account) to the queue
  * @route   POST /api/queue/join
  * @access  Private (requires authentication)
+ * @body    shopId, serviceType or services (several keys from the shop's menu),
+ *          preferredStaffId (optional) - staff member to wait for; omit for any
+ *          barber, switchQueue (optional) - leave the customer's queue at
+ *          another shop to join this one
+ * @body    party (optional) - [{ name, serviceType or services }] to queue several
+ *          people at once (account holder first, replaces serviceType); members
+ *          get consecutive positions and a shared groupId
+ * @errors  EMAIL_NOT_VERIFIED, SHOP_NOT_FOUND, SHOP_NOT_VERIFIED, SHOP_INACTIVE,
+ *          SHOP_CLOSED, LAST_CALL_PASSED, QUEUE_FULL, QUEUE_PAUSED, ALREADY_IN_QUEUE
+ *          (returned in `code` - see services/joinPolicy)
  */
 exports.joinQueue = async (req, res) => {
   try {
-    const { serviceType, shopId = 'main-shop' } = req.body;
+    const { serviceType, services, party, shopId, preferredStaffId, switchQueue = false } = req.body;
+
+    // Customers browse freely but confirm their email (or phone) before joining
+    if (req.userRole === 'customer' && !req.user.isVerified()) {
+      return res.status(403).json({
+        status: 'error',
+        code: JOIN_ERRORS.EMAIL_NOT_VERIFIED,
+        message: 'Please verify your email address before joining a queue'
+      });
+    }
 
     // User is authenticated - req.user is set by auth middleware
-    const { name, phone, email } = req.user;
+    const { name, phone } = req.user;
 
-    // Validate service type
-    if (!serviceType) {
-      return res.status(400).json({
+    // One person, or a party with their own services (unnamed guests are numbered)
+    let people = [{ name, services: services || [serviceType] }];
+    if (party !== undefined) {
+      if (!Array.isArray(party) || party.length < 1 || party.length > MAX_PARTY_SIZE) {
+        return res.status(400).json({
+          status: 'error',
+          message: `A party must have between 1 and ${MAX_PARTY_SIZE} people`
+        });
+      }
+
+      people = party.map((member, i) => ({
+        name: (typeof member?.name === 'string' && member.name.trim()) || (i === 0 ? name : `${name} (guest ${i})`),
+        services: member?.services || [member?.serviceType]
+      }));
+    }
+
+    // Services must be on the shop's menu
+    const { members, error: serviceError } = await resolveMemberServices(shopId, people);
+    if (serviceError) {
+      return res.status(serviceError.status).json({
         status: 'error',
-        message: 'Service type is required'
+        message: serviceError.message
       });
     }
 
-    // Get next token number
-    const tokenNumber = await Customer.getNextTokenNumber(shopId);
-
-    // Get current queue count for position
-    const queueCount = await Customer.countDocuments({
-      shopId,
-      status: { $in: ['waiting', 'in-service'] }
+    // Shop must exist, be open and still taking customers
+    const { error: joinError } = await checkCanJoin(shopId, {
+      serviceTypes: members.flatMap(member => member.services.map(service => service.key)),
+      partySize: members.length,
+      preferredStaffId
     });
+    if (joinError) {
+      return res.status(joinError.status).json({
+        status: 'error',
+        code: joinError.code,
+        message: joinError.message,
+        details: joinError.details
+      });
+    }
 
-    // Update existing customer or create with auth info
-    const customer = await Customer.findOneAndUpdate(
-      { email },
-      {
-        name,
-        phone,
-        email,
-        serviceType,
-        shopId,
-        tokenNumber,
-        queuePosition: queueCount + 1,
-        status: 'waiting'
-      },
-      { new: true, upsert: true, runValidators: true }
-    );
+    const { staff: preferredStaff, error } = await resolvePreferredStaff(shopId, preferredStaffId);
+    if (error) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
 
-    // Emit real-time update to barber dashboard
     const io = req.app.get('io');
-    if (io) {
-      io.to(`shop-${shopId}`).emit('queue-update', {
-        type: 'customer-joined',
-        customer: {
-          _id: customer._id,
-          name: customer.name,
-          tokenNumber: customer.tokenNumber,
-          queuePosition: customer.queuePosition,
-          serviceType: customer.serviceType,
-          status: customer.status
-        },
-        shopId
+
+    // One active entry per customer - switching cancels the old one properly
+    const active = await checkActiveEntry(req.user._id, shopId);
+    if (active.error) {
+      if (!switchQueue || !active.canSwitch) {
+        return res.status(active.error.status).json({
+          status: 'error',
+          code: active.error.code,
+          message: active.error.message,
+          details: active.error.details
+        });
+      }
+
+      // A party leaves together
+      const leaving = active.entry.groupId
+        ? await QueueEntry.findActiveGroup(active.entry.groupId)
+        : [active.entry];
+      for (const oldEntry of leaving) {
+        await cancelEntry(io, oldEntry, {
+          reason: 'switched-queue',
+          note: `Switched to the queue at ${shopId}`,
+          actor: queueEvents.actorFromRequest(req)
+        });
+      }
+      console.log(`🔀 Customer ${req.user._id} switched from ${active.entry.shopId} to ${shopId}`);
+    }
+
+    const shared = {
+      customer: req.user._id,
+      phone,
+      shopId,
+      preferredStaff: preferredStaff ? preferredStaff._id : null
+    };
+    const actor = queueEvents.actorFromRequest(req);
+    const entries = members.length > 1
+      ? await addPartyToQueue(io, shared, members, { actor })
+      : [await addToQueue(io, { ...shared, ...members[0] }, { actor })];
+    const [entry] = entries;
+
+    // Two joins at the same moment can both pass the check - the first one wins
+    const [firstActive] = await QueueEntry.find({
+      customer: req.user._id,
+      status: { $in: QueueEntry.ACTIVE_STATUSES }
+    }).sort({ createdAt: 1, _id: 1 }).limit(1);
+
+    if (firstActive && !entries.some(own => own._id.equals(firstActive._id))) {
+      for (const own of entries) {
+        await cancelEntry(io, own, { reason: 'duplicate', note: 'Duplicate join - customer was already in a queue' });
+      }
+      return res.status(409).json({
+        status: 'error',
+        code: JOIN_ERRORS.ALREADY_IN_QUEUE,
+        message: 'You are already in a queue',
+        details: { entryId: firstActive._id, shopId: firstActive.shopId, canSwitch: false }
       });
     }
 
@@ -71,10 +238,20 @@ exports.joinQueue = async (req, res) => {
       status: 'success',
       message: 'Successfully joined the queue',
       data: {
-        tokenNumber: customer.tokenNumber,
-        queuePosition: customer.queuePosition,
-        estimatedWaitTime: customer.estimatedWaitTime,
-        customerId: customer._id
+        tokenNumber: entry.tokenNumber,
+        queuePosition: entry.queuePosition,
+        lanePosition: entry.lanePosition,
+        preferredStaff: entry.preferredStaff,
+        assignedStaff: entry.assignedStaff,
+        estimatedWaitTime: entry.estimatedWaitTime,
+        serviceType: entry.serviceType,
+        services: entry.services,
+        entryId: entry._id,
+        customerId: entry.customer,
+        ...(entries.length > 1 && {
+          groupId: entry.groupId,
+          party: entries.map(summarizePartyMember)
+        })
       }
     });
   } catch (error) {
@@ -86,25 +263,142 @@ exports.joinQueue = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Add a walk-in customer (no app account) to the barber's own queue
+ *          If the phone number belongs to a registered customer the visit is
+ *          linked to their account straight away; otherwise it is linked when
+ *          they sign up with that number.
+ * @route   POST /api/queue/walk-in
+ * @access  Private (Barber only)
+ * @body    name, phone (optional), serviceType or services (keys from the shop's
+ *          menu), preferredStaffId (optional)
+ */
+exports.addWalkIn = async (req, res) => {
+  try {
+    const { name, phone, serviceType = 'haircut', services, preferredStaffId } = req.body;
+    const { shopId } = req.user;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Customer name is required'
+      });
+    }
+
+    const cleanPhone = phone ? String(phone).replace(/\D/g, '') : '';
+    if (cleanPhone && !/^[0-9]{10}$/.test(cleanPhone)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please enter a valid 10-digit phone number'
+      });
+    }
+
+    const { members, error: serviceError } = await resolveMemberServices(shopId, [
+      { name, services: services || [serviceType] }
+    ]);
+    if (serviceError) {
+      return res.status(serviceError.status).json({
+        status: 'error',
+        message: serviceError.message
+      });
+    }
+
+    const { staff: preferredStaff, error } = await resolvePreferredStaff(shopId, preferredStaffId);
+    if (error) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    const customer = cleanPhone ? await Customer.findUniqueByPhone(cleanPhone) : null;
+
+    const entry = await addToQueue(req.app.get('io'), {
+      customer: customer ? customer._id : null,
+      name: name.trim(),
+      phone: cleanPhone || undefined,
+      serviceType: members[0].serviceType,
+      services: members[0].services,
+      shopId,
+      source: 'walk-in',
+      preferredStaff: preferredStaff ? preferredStaff._id : null,
+      // Standing in the shop
+      arrived: true,
+      arrivedAt: new Date(),
+      arrivalMethod: 'barber'
+    }, { actor: queueEvents.actorFromRequest(req) });
+
+    res.status(201).json({
+      status: 'success',
+      message: `Walk-in added with token #${entry.tokenNumber}`,
+      data: {
+        tokenNumber: entry.tokenNumber,
+        queuePosition: entry.queuePosition,
+        lanePosition: entry.lanePosition,
+        preferredStaff: entry.preferredStaff,
+        assignedStaff: entry.assignedStaff,
+        estimatedWaitTime: entry.estimatedWaitTime,
+        entryId: entry._id,
+        customerId: entry.customer,
+        linkedToAccount: Boolean(customer)
+      }
+    });
+  } catch (error) {
+    console.error('Error in addWalkIn:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        status: 'error',
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Failed to add walk-in'
+    });
+  }
+};
+
+/**
+ * Check the reason given for leaving the queue
+ * @param {Object} body - Request body with reason and optional note
+ * @returns {Object} - { reason, note } or { error }
+ */
+const parseCancelReason = (body = {}) => {
+  const { reason, note } = body;
+
+  if (!QueueEntry.CANCEL_REASONS.includes(reason)) {
+    return { error: `Please choose a reason: ${QueueEntry.CANCEL_REASONS.join(', ')}` };
+  }
+
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 200)) {
+    return { error: 'Note must be text of up to 200 characters' };
+  }
+
+  return { reason, note: note ? note.trim() : null };
+};
+
 /**
  * @desc    Cancel queue entry for authenticated user
  * @route   DELETE /api/queue/cancel/:id
- * @access  Private (requires authentication)
+ * @access  Private (the entry's customer)
+ * @body    reason - changed-mind, too-long, no-show, duplicate or other
+ * @body    note (optional) - in the customer's own words
  */
 exports.cancelQueue = async (req, res) => {
   try {
     const { id } = req.params;
 
     // Check if user is authenticated
-    if (!req.user || !req.user.email) {
+    if (!req.user) {
       return res.status(401).json({
         status: 'error',
         message: 'User not authenticated'
       });
     }
 
-    const userEmail = req.user.email;
-
     // Validate MongoDB ObjectId
     if (!id || !id.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({
@@ -113,52 +407,45 @@ exports.cancelQueue = async (req, res) => {
       });
     }
 
-    const customer = await Customer.findById(id);
+    const cancellation = parseCancelReason(req.body);
+    if (cancellation.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: cancellation.error
+      });
+    }
+
+    const entry = await QueueEntry.findById(id);
 
-    if (!customer) {
+    if (!entry) {
       return res.status(404).json({
         status: 'error',
         message: 'Queue entry not found'
       });
     }
 
-    // Verify the customer belongs to this user
-    if (customer.email !== userEmail) {
+    // Verify the entry belongs to this user (barbers use DELETE /remove/:id)
+    if (!entry.customer || !entry.customer.equals(req.user._id)) {
       return res.status(403).json({
         status: 'error',
         message: 'You can only cancel your own queue entry'
       });
     }
 
-    // Only allow cancellation if still waiting
-    if (customer.status !== 'waiting') {
+    // Only allow cancellation before service starts
+    if (!['waiting', 'called'].includes(entry.status)) {
       return res.status(400).json({
         status: 'error',
-        message: `Cannot cancel - service already ${customer.status}`
+        message: `Cannot cancel - service already ${entry.status}`
       });
     }
 
-    const shopId = customer.shopId;
-
-    // Update status to cancelled instead of deleting (preserves user account)
-    customer.status = 'cancelled';
-    customer.tokenNumber = null;
-    customer.queuePosition = 0;
-    customer.shopId = 'main-shop'; // Reset to default
-    await customer.save();
-
-    // Update queue positions for remaining customers
-    await updateQueuePositions(shopId);
-
-    // Emit real-time update
-    const io = req.app.get('io');
-    if (io) {
-      io.to(`shop-${shopId}`).emit('queue-update', {
-        type: 'customer-cancelled',
-        customerId: id,
-        shopId
-      });
-    }
+    // Mark as cancelled instead of deleting (preserves visit history)
+    await cancelEntry(req.app.get('io'), entry, {
+      reason: cancellation.reason,
+      reasonNote: cancellation.note,
+      actor: queueEvents.actorFromRequest(req)
+    });
 
     res.status(200).json({
       status: 'success',
@@ -179,6 +466,83 @@ exports.cancelQueue = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Remove a customer from the barber's own queue
+ *          The customer is told they were removed and why.
+ * @route   DELETE /api/queue/remove/:id
+ * @access  Private (Barber only)
+ * @body    reason - changed-mind, too-long, no-show, duplicate or other
+ * @body    note (optional) - shown to the customer
+ */
+exports.removeFromQueue = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid queue entry ID'
+      });
+    }
+
+    const cancellation = parseCancelReason(req.body);
+    if (cancellation.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: cancellation.error
+      });
+    }
+
+    const entry = await QueueEntry.findById(id);
+
+    if (!entry) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Queue entry not found'
+      });
+    }
+
+    if (entry.shopId !== req.user.shopId) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You can only remove customers from your own queue'
+      });
+    }
+
+    if (!['waiting', 'called'].includes(entry.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Cannot remove - service already ${entry.status}`
+      });
+    }
+
+    const io = req.app.get('io');
+    await cancelEntry(io, entry, {
+      reason: cancellation.reason,
+      reasonNote: cancellation.note,
+      note: `Removed from the queue by the barber (${cancellation.reason})`,
+      actor: queueEvents.actorFromRequest(req)
+    });
+    notifyCustomer(io, entry, 'queue-removed', {
+      reason: cancellation.reason,
+      note: cancellation.note
+    });
+
+    console.log(`🚪 Token #${entry.tokenNumber} removed from ${entry.shopId} (${cancellation.reason})`);
+
+    res.status(200).json({
+      status: 'success',
+      message: `Token #${entry.tokenNumber} removed from the queue`
+    });
+  } catch (error) {
+    console.error('Error in removeFromQueue:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to remove customer'
+    });
+  }
+};
+
 /**
  * @desc    Get current user's active queue status
  * @route   GET /api/queue/my-queue
@@ -186,15 +550,10 @@ exports.cancelQueue = async (req, res) => {
  */
 exports.getMyQueueStatus = async (req, res) => {
   try {
-    const userEmail = req.user.email;
-
     // Find active queue entry for this user
-    const customer = await Customer.findOne({
-      email: userEmail,
-      status: { $in: ['waiting', 'in-service'] }
-    });
+    let entry = await QueueEntry.findActiveForCustomer(req.user._id);
 
-    if (!customer) {
+    if (!entry) {
       return res.status(200).json({
         status: 'success',
         data: null,
@@ -202,19 +561,35 @@ exports.getMyQueueStatus = async (req, res) => {
       });
     }
 
+    // A party is shown as its first member still in the queue, with everyone listed
+    const party = entry.groupId ? await QueueEntry.findActiveGroup(entry.groupId) : [];
+    if (party.length > 0) {
+      entry = party[0];
+    }
+
     // Recalculate position if waiting
-    if (customer.status === 'waiting') {
-      const position = await Customer.countDocuments({
-        shopId: customer.shopId,
+    if (entry.status === 'waiting') {
+      const position = await QueueEntry.countDocuments({
+        shopId: entry.shopId,
         status: 'waiting',
-        queuePosition: { $lt: customer.queuePosition }
+        queuePosition: { $lt: entry.queuePosition }
       });
-      customer.queuePosition = position + 1;
+      entry.queuePosition = position + 1;
+      await applyLiveEstimate(entry);
     }
 
+    await entry.populate(STAFF_FIELDS, 'name status');
+
+    // When to leave, for customers not at the shop yet
+    const travel = await travelGuidance.getTravelForEntry(entry);
+
     res.status(200).json({
       status: 'success',
-      data: customer
+      data: {
+        ...entry.toJSON(),
+        travel,
+        ...(party.length > 1 && { party: party.map(summarizePartyMember) })
+      }
     });
   } catch (error) {
     console.error('Error in getMyQueueStatus:', error);
@@ -228,13 +603,21 @@ exports.getMyQueueStatus = async (req, res) => {
 /**
  * @desc    Get all customers in current queue
  * @route   GET /api/queue/list
- * @access  Public (Barber Dashboard)
+ * @access  Private (Barber only - their own shop)
+ * @query   shopId (optional) - defaults to the barber's shop
  */
 exports.getQueue = async (req, res) => {
   try {
-    const { shopId = 'main-shop' } = req.query;
+    const { shopId = req.user.shopId } = req.query;
+
+    if (shopId !== req.user.shopId) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You can only view your own queue'
+      });
+    }
 
-    const queue = await Customer.getCurrentQueue(shopId);
+    const queue = await QueueEntry.getCurrentQueue(shopId).populate(STAFF_FIELDS, 'name status');
 
     res.status(200).json({
       status: 'success',
@@ -251,50 +634,87 @@ exports.getQueue = async (req, res) => {
 };
 
 /**
- * @desc    Get customer status by token or ID
- * @route   GET /api/queue/status/:id
- * @access  Public
+ * Status fields of an entry that are safe to show to anyone holding its ID
+ * (no name, phone or account)
+ */
+const toStatusView = (entry) => ({
+  _id: entry._id,
+  tokenNumber: entry.tokenNumber,
+  shopId: entry.shopId,
+  status: entry.status,
+  queuePosition: entry.queuePosition,
+  lanePosition: entry.lanePosition,
+  estimatedWaitTime: entry.estimatedWaitTime,
+  serviceType: entry.serviceType,
+  services: (entry.services || []).map(service => ({ key: service.key, name: service.name })),
+  preferredStaff: entry.preferredStaff,
+  assignedStaff: entry.assignedStaff,
+  callExpiresAt: entry.callExpiresAt
+});
+
+/**
+ * @desc    Get a visit's queue status by entry ID, or by token number for
+ *          the logged-in customer's own visits
+ * @route   GET /api/queue/status/:id?shopId=<shopId>
+ * @access  Public with the entry ID, Private (Customer - own visits) by token number
  */
 exports.getCustomerStatus = async (req, res) => {
   try {
     const { id } = req.params;
-    const { shopId = 'main-shop' } = req.query;
+    const { shopId } = req.query;
 
-    let customer = null;
+    let entry = null;
 
-    // Try to find by ID first (if it's a valid MongoDB ObjectId)
     if (id.match(/^[0-9a-fA-F]{24}$/)) {
-      customer = await Customer.findById(id);
-    }
+      entry = await QueueEntry.findById(id);
+    } else {
+      // Token numbers are easy to guess - only look up the caller's own visits
+      const tokenNumber = parseInt(id);
 
-    // If not found, try by token number
-    if (!customer) {
-      customer = await Customer.findOne({
-        tokenNumber: parseInt(id),
-        shopId
-      });
+      if (!Number.isInteger(tokenNumber) || tokenNumber < 1) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid queue entry ID or token number'
+        });
+      }
+
+      if (req.userRole !== 'customer') {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Please log in to look up a visit by token number'
+        });
+      }
+
+      entry = await QueueEntry.findOne({
+        tokenNumber,
+        customer: req.user._id,
+        ...(shopId && { shopId })
+      }).sort({ joinedAt: -1 });
     }
 
-    if (!customer) {
+    if (!entry) {
       return res.status(404).json({
         status: 'error',
-        message: 'Customer not found'
+        message: 'Queue entry not found'
       });
     }
 
     // Recalculate queue position if still waiting
-    if (customer.status === 'waiting') {
-      const position = await Customer.countDocuments({
-        shopId,
+    if (entry.status === 'waiting') {
+      const position = await QueueEntry.countDocuments({
+        shopId: entry.shopId,
         status: 'waiting',
-        queuePosition: { $lte: customer.queuePosition }
+        queuePosition: { $lte: entry.queuePosition }
       });
-      customer.queuePosition = position;
+      entry.queuePosition = position;
+      await applyLiveEstimate(entry);
     }
 
+    await entry.populate(STAFF_FIELDS, 'name status');
+
     res.status(200).json({
       status: 'success',
-      data: customer
+      data: toStatusView(entry)
     });
   } catch (error) {
     console.error('Error in getCustomerStatus:', error);
@@ -306,46 +726,81 @@ exports.getCustomerStatus = async (req, res) => {
 };
 
 /**
- * @desc    Start service for next customer (FIFO)
+ * @desc    Start service for a customer in a free chair
  * @route   PATCH /api/queue/serve/:id
  * @access  Private (Barber only)
+ * @body    chair (optional) - chair number; defaults to the first free chair
+ * @body    staffId (optional) - staff member serving; defaults to the customer's
+ *          preferred barber, else the first free staff member
  */
 exports.serveCustomer = async (req, res) => {
   try {
     const { id } = req.params;
+    const { chair, staffId } = req.body || {};
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid queue entry ID'
+      });
+    }
 
-    const customer = await Customer.findById(id);
+    const entry = await QueueEntry.findById(id);
 
-    if (!customer) {
+    if (!entry) {
       return res.status(404).json({
         status: 'error',
-        message: 'Customer not found'
+        message: 'Queue entry not found'
+      });
+    }
+
+    if (entry.shopId !== req.user.shopId) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You can only serve customers in your own queue'
       });
     }
 
-    if (customer.status !== 'waiting') {
+    if (!['waiting', 'called'].includes(entry.status)) {
       return res.status(400).json({
         status: 'error',
-        message: 'Customer is not in waiting status'
+        message: 'Customer is not waiting or called'
+      });
+    }
+
+    const { error } = await seatEntry(entry, {
+      chair,
+      staffId,
+      actor: queueEvents.actorFromRequest(req)
+    });
+
+    if (error) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
       });
     }
 
-    await customer.startService();
+    // Update queue positions for remaining customers
+    await updateQueuePositions(entry.shopId);
 
     // Emit real-time update
     const io = req.app.get('io');
     if (io) {
-      io.to(`shop-${customer.shopId}`).emit('queue-update', {
+      io.to(`shop-${entry.shopId}`).emit('queue-update', {
         type: 'customer-serving',
-        customerId: customer._id,
-        shopId: customer.shopId
+        entryId: entry._id,
+        chair: entry.chair,
+        staffId: entry.assignedStaff,
+        shopId: entry.shopId
       });
     }
+    notifyCustomer(io, entry, 'queue-serving', { chair: entry.chair });
 
     res.status(200).json({
       status: 'success',
       message: 'Customer service started',
-      data: customer
+      data: entry
     });
   } catch (error) {
     console.error('Error in serveCustomer:', error);
@@ -357,42 +812,564 @@ exports.serveCustomer = async (req, res) => {
 };
 
 /**
- * @desc    Complete service for a customer
- * @route   PATCH /api/queue/complete/:id
+ * @desc    Seat every waiting or called member of a party at once
+ * @route   PATCH /api/queue/serve-group/:groupId
  * @access  Private (Barber only)
  */
-exports.completeService = async (req, res) => {
+exports.serveGroup = async (req, res) => {
   try {
-    const { id } = req.params;
+    const { groupId } = req.params;
+
+    if (!groupId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid party ID'
+      });
+    }
 
-    const customer = await Customer.findById(id);
+    const members = (await QueueEntry.findActiveGroup(groupId))
+      .filter(member => ['waiting', 'called'].includes(member.status));
 
-    if (!customer) {
+    if (members.length === 0) {
       return res.status(404).json({
         status: 'error',
-        message: 'Customer not found'
+        message: 'No one from this party is waiting'
       });
     }
 
-    await customer.completeService();
+    const { shopId } = members[0];
+    if (shopId !== req.user.shopId) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You can only serve your own queue'
+      });
+    }
 
-    // Update queue positions for remaining customers
-    await updateQueuePositions(customer.shopId);
+    // Serving together needs a chair for everyone
+    const chairCount = await shopService.getChairCount(shopId);
+    const freeChairs = chairCount - (await QueueEntry.getOccupiedChairs(shopId)).length;
+    if (freeChairs < members.length) {
+      return res.status(409).json({
+        status: 'error',
+        message: `Only ${freeChairs} chair(s) free for a party of ${members.length} - serve them one by one`
+      });
+    }
 
-    // Emit real-time update
-    const io = req.app.get('io');
-    if (io) {
-      io.to(`shop-${customer.shopId}`).emit('queue-update', {
-        type: 'customer-completed',
-        customerId: customer._id,
-        shopId: customer.shopId
+    const actor = queueEvents.actorFromRequest(req);
+    const seated = [];
+    let seatError = null;
+    for (const member of members) {
+      const { error } = await seatEntry(member, { actor });
+      if (error) {
+        seatError = error;
+        break;
+      }
+      seated.push(member);
+    }
+
+    if (seated.length === 0) {
+      return res.status(seatError.status).json({
+        status: 'error',
+        message: seatError.message
+      });
+    }
+
+    await updateQueuePositions(shopId);
+
+    const io = req.app.get('io');
+    seated.forEach(member => {
+      if (io) {
+        io.to(`shop-${shopId}`).emit('queue-update', {
+          type: 'customer-serving',
+          entryId: member._id,
+          chair: member.chair,
+          staffId: member.assignedStaff,
+          shopId
+        });
+      }
+      notifyCustomer(io, member, 'queue-serving', { chair: member.chair });
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: seatError
+        ? `Seated ${seated.length} of ${members.length} - ${seatError.message}`
+        : `Party of ${seated.length} seated`,
+      data: seated.map(summarizePartyMember)
+    });
+  } catch (error) {
+    console.error('Error in serveGroup:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to seat party'
+    });
+  }
+};
+
+/**
+ * @desc    Check a customer in as being at the shop ("I'm here")
+ *          Customers check themselves in from the app - with their position
+ *          when the app noticed them reach the shop - and the account holder
+ *          checks in their whole party. Barbers can check in anyone in their
+ *          own queue.
+ * @route   PATCH /api/queue/check-in/:id
+ * @access  Private
+ * @body    latitude, longitude (optional) - must be within the shop's
+ *          arrivalRadiusMeters
+ */
+exports.checkIn = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { latitude, longitude } = req.body || {};
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid queue entry ID'
+      });
+    }
+
+    const entry = await QueueEntry.findById(id);
+
+    if (!entry) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Queue entry not found'
+      });
+    }
+
+    const isBarber = req.userRole === 'barber';
+    const isAllowed = isBarber
+      ? entry.shopId === req.user.shopId
+      : entry.customer && entry.customer.equals(req.user._id);
+
+    if (!isAllowed) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to check in this customer'
+      });
+    }
+
+    if (!['waiting', 'called'].includes(entry.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only customers still in the queue can check in'
+      });
+    }
+
+    let method = isBarber ? 'barber' : 'app';
+    let distanceMeters = null;
+
+    if (!isBarber && latitude !== undefined && longitude !== undefined) {
+      const lat = parseFloat(latitude);
+      const lng = parseFloat(longitude);
+      const result = await shopService.findShopByShopId(entry.shopId);
+
+      if (isNaN(lat) || isNaN(lng) || !result || !result.shop.location) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid location'
+        });
+      }
+
+      const { arrivalRadiusMeters } = await shopService.getQueueSettings(entry.shopId);
+      distanceMeters = Math.round(result.shop.getDistance(lng, lat) * 1000);
+
+      if (distanceMeters > arrivalRadiusMeters) {
+        return res.status(400).json({
+          status: 'error',
+          message: `You're ${distanceMeters} m from the shop - check in when you get there`,
+          details: { distanceMeters, arrivalRadiusMeters }
+        });
+      }
+      method = 'geofence';
+    }
+
+    // The account holder arrives with their party
+    const members = !isBarber && entry.groupId
+      ? (await QueueEntry.findActiveGroup(entry.groupId)).filter(member => member.status !== 'in-service')
+      : [entry];
+    const arriving = members.filter(member => !member.arrived);
+
+    const actor = queueEvents.actorFromRequest(req);
+    for (const member of arriving) {
+      const before = queueEvents.snapshot(member);
+      await member.checkIn(method);
+      await queueEvents.record(member, 'arrived', {
+        actor,
+        before,
+        details: { method, ...(distanceMeters !== null && { distanceMeters }) }
+      });
+    }
+
+    if (arriving.length > 0) {
+      console.log(`📍 Token(s) ${arriving.map(member => `#${member.tokenNumber}`).join(', ')} checked in at ${entry.shopId} (${method})`);
+
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`shop-${entry.shopId}`).emit('queue-update', {
+          type: 'customer-arrived',
+          entryIds: arriving.map(member => member._id),
+          tokenNumbers: arriving.map(member => member.tokenNumber),
+          method,
+          shopId: entry.shopId
+        });
+      }
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: arriving.length > 0 ? 'Checked in - the barber knows you\'re here' : 'Already checked in',
+      data: {
+        arrived: true,
+        arrivedAt: members[0].arrivedAt,
+        arrivalMethod: members[0].arrivalMethod,
+        tokenNumbers: members.map(member => member.tokenNumber)
+      }
+    });
+  } catch (error) {
+    console.error('Error in checkIn:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to check in'
+    });
+  }
+};
+
+/**
+ * @desc    Call the next customer (FIFO head) up to the chair
+ *          The customer moves to 'called' and has the shop's grace period to
+ *          show up before the scheduler skips them or marks them a no-show.
+ *          Shops with callArrivedOnly call the first customer who has checked
+ *          in instead.
+ * @route   POST /api/queue/call-next
+ * @access  Private (Barber only - their own shop)
+ * @body    shopId (optional - defaults to the barber's shop), staffId
+ *          (optional) - call the next customer for this staff member (their
+ *          own requests or "any barber" customers)
+ */
+exports.callNext = async (req, res) => {
+  try {
+    const { shopId = req.user.shopId, staffId } = req.body || {};
+
+    if (shopId !== req.user.shopId) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You can only call customers in your own queue'
+      });
+    }
+
+    let staff = null;
+    if (staffId) {
+      staff = await Staff.findWorkingAtShop(shopId, staffId);
+
+      if (!staff) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Staff member not found at this shop'
+        });
+      }
+    }
+
+    const queue = await QueueEntry.getCurrentQueue(shopId);
+    const candidates = queue.filter(e =>
+      e.status === 'waiting' &&
+      (!staff || !e.preferredStaff || staff._id.equals(e.preferredStaff))
+    );
+
+    if (candidates.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No customers waiting'
+      });
+    }
+
+    const { noShowGraceMinutes, callArrivedOnly } = await shopService.getQueueSettings(shopId);
+
+    // The shop may only call customers who are already there
+    const entry = callArrivedOnly ? candidates.find(e => e.arrived) : candidates[0];
+
+    if (!entry) {
+      return res.status(409).json({
+        status: 'error',
+        message: `None of the ${candidates.length} waiting customer(s) has checked in yet`
+      });
+    }
+
+    // Customers ahead who are still on their way were passed over
+    const passedOver = candidates.slice(0, candidates.indexOf(entry));
+    const actor = queueEvents.actorFromRequest(req);
+
+    const before = queueEvents.snapshot(entry);
+    if (staff) {
+      entry.assignedStaff = staff._id;
+    }
+    await entry.call(noShowGraceMinutes);
+    await queueEvents.record(entry, 'called', {
+      actor,
+      before,
+      details: {
+        graceMinutes: noShowGraceMinutes,
+        ...(passedOver.length > 0 && { passedOver: passedOver.map(other => other.tokenNumber) })
+      }
+    });
+
+    // ...and slide back behind everyone who has checked in, so they stop
+    // holding the head of the queue and see the place they'll really be called from
+    const moved = passedOver.length > 0
+      ? await slideBehindArrived(shopId, passedOver, entry, { actor })
+      : [];
+
+    await updateQueuePositions(shopId);
+
+    const io = req.app.get('io');
+    if (moved.length > 0) {
+      notifyPositionChanged(io, await QueueEntry.find({ _id: { $in: moved }, status: 'waiting' }));
+    }
+    if (io) {
+      io.to(`shop-${shopId}`).emit('queue-update', {
+        type: 'customer-called',
+        entryId: entry._id,
+        tokenNumber: entry.tokenNumber,
+        callExpiresAt: entry.callExpiresAt,
+        shopId
+      });
+    }
+    notifyCustomer(io, entry, 'queue-called', {
+      callExpiresAt: entry.callExpiresAt,
+      graceMinutes: noShowGraceMinutes,
+      staffName: staff ? staff.name : null
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `Called token #${entry.tokenNumber}`,
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error in callNext:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to call next customer'
+    });
+  }
+};
+
+/**
+ * @desc    Mark a called customer as a no-show
+ * @route   PATCH /api/queue/no-show/:id
+ * @access  Private (Barber only)
+ */
+exports.markNoShow = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid queue entry ID'
+      });
+    }
+
+    const entry = await QueueEntry.findById(id);
+
+    if (!entry) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Queue entry not found'
+      });
+    }
+
+    if (entry.shopId !== req.user.shopId) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You can only mark no-shows in your own queue'
+      });
+    }
+
+    if (entry.status !== 'called') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only called customers can be marked as no-show'
+      });
+    }
+
+    const noShowCount = await recordNoShow(entry, req.app.get('io'), queueEvents.actorFromRequest(req));
+
+    res.status(200).json({
+      status: 'success',
+      message: `Token #${entry.tokenNumber} marked as no-show`,
+      data: {
+        entry,
+        noShowCount
+      }
+    });
+  } catch (error) {
+    console.error('Error in markNoShow:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to mark no-show'
+    });
+  }
+};
+
+/**
+ * @desc    Tag a waiting customer with a priority class (or clear it)
+ * @route   PATCH /api/queue/priority/:id
+ * @access  Private (Barber only)
+ * @body    priorityClass - one of the shop's priority classes, or null for regular
+ */
+exports.setPriorityClass = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const priorityClass = req.body.priorityClass || null;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid queue entry ID'
+      });
+    }
+
+    const entry = await QueueEntry.findById(id);
+
+    if (!entry) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Queue entry not found'
+      });
+    }
+
+    if (entry.shopId !== req.user.shopId) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You can only change your own shop\'s queue'
+      });
+    }
+
+    if (entry.status !== 'waiting') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only waiting customers can be given a priority class'
+      });
+    }
+
+    const settings = await shopService.getQueueSettings(entry.shopId);
+
+    if (priorityClass && !settings.priorityClasses.includes(priorityClass)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Priority class must be one of: ${settings.priorityClasses.join(', ')}`
+      });
+    }
+
+    const io = req.app.get('io');
+
+    if (entry.priorityClass !== priorityClass) {
+      const before = queueEvents.snapshot(entry);
+      entry.priorityClass = priorityClass;
+      entry.addAuditNote(priorityClass
+        ? `Tagged as ${priorityClass} by the barber`
+        : 'Priority class removed by the barber');
+      await entry.save();
+      await queueEvents.record(entry, 'priority-changed', { actor: queueEvents.actorFromRequest(req), before });
+
+      const bumped = await updateQueuePositions(entry.shopId);
+      notifyPositionChanged(io, bumped);
+    }
+
+    const updated = await QueueEntry.findById(entry._id).populate(STAFF_FIELDS, 'name status');
+
+    if (io) {
+      io.to(`shop-${entry.shopId}`).emit('queue-update', {
+        type: 'customer-priority-changed',
+        entryId: entry._id,
+        priorityClass,
+        shopId: entry.shopId
+      });
+    }
+
+    notifyPositionChanged(io, [updated]);
+
+    res.status(200).json({
+      status: 'success',
+      message: priorityClass
+        ? `Token #${entry.tokenNumber} tagged as ${priorityClass}`
+        : `Token #${entry.tokenNumber} is now a regular customer`,
+      data: updated
+    });
+  } catch (error) {
+    console.error('Error in setPriorityClass:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update priority class'
+    });
+  }
+};
+
+/**
+ * @desc    Complete service for a customer
+ * @route   PATCH /api/queue/complete/:id
+ * @access  Private (Barber only)
+ */
+exports.completeService = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid queue entry ID'
+      });
+    }
+
+    const entry = await QueueEntry.findById(id);
+
+    if (!entry) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Queue entry not found'
+      });
+    }
+
+    if (entry.shopId !== req.user.shopId) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You can only complete services in your own shop'
+      });
+    }
+
+    if (entry.status !== 'in-service') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Only customers in the chair can be completed'
+      });
+    }
+
+    const before = queueEvents.snapshot(entry);
+    await entry.completeService();
+    await queueEvents.record(entry, 'completed', { actor: queueEvents.actorFromRequest(req), before });
+
+    // New service duration sample - relearn this shop's averages
+    waitTimeEstimator.invalidate(entry.shopId);
+
+    // Update queue positions for remaining customers
+    await updateQueuePositions(entry.shopId);
+
+    // Emit real-time update
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`shop-${entry.shopId}`).emit('queue-update', {
+        type: 'customer-completed',
+        entryId: entry._id,
+        shopId: entry.shopId
       });
     }
 
     res.status(200).json({
       status: 'success',
       message: 'Service completed successfully',
-      data: customer
+      data: entry
     });
   } catch (error) {
     console.error('Error in completeService:', error);
@@ -404,17 +1381,279 @@ exports.completeService = async (req, res) => {
 };
 
 /**
- * @desc    Get queue statistics
+ * @desc    Move a waiting customer to another place in the queue
+ * @route   PATCH /api/queue/reorder/:id
+ * @access  Private (Barber only)
+ * @body    position - target queue position (1 = next)
+ * @body    reason - why they are being moved (logged and shown to those shifted)
+ */
+exports.reorderEntry = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { position, reason } = req.body || {};
+    const target = parseInt(position);
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid queue entry ID'
+      });
+    }
+
+    if (!Number.isInteger(target) || target < 1) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Position must be a whole number from 1'
+      });
+    }
+
+    if (typeof reason !== 'string' || !reason.trim() || reason.length > 200) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please give a reason for moving the customer (up to 200 characters)'
+      });
+    }
+
+    const entry = await QueueEntry.findById(id);
+
+    if (!entry) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Queue entry not found'
+      });
+    }
+
+    if (entry.shopId !== req.user.shopId) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You can only reorder your own queue'
+      });
+    }
+
+    if (entry.status !== 'waiting') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only waiting customers can be moved'
+      });
+    }
+
+    const result = await moveEntry(req.app.get('io'), entry, target, {
+      actor: queueEvents.actorFromRequest(req),
+      reason: reason.trim()
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        status: 'error',
+        message: result.error.message
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: result.from === result.to
+        ? `Token #${entry.tokenNumber} is already at position ${result.to}`
+        : `Token #${entry.tokenNumber} moved from ${result.from} to ${result.to}`,
+      data: result.entry
+    });
+  } catch (error) {
+    console.error('Error in reorderEntry:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to reorder queue'
+    });
+  }
+};
+
+/**
+ * @desc    Let a few customers go ahead (a customer who is running late)
+ *          The customer moves back `places` positions; the travel alerts start
+ *          over from their new wait.
+ * @route   PATCH /api/queue/slide-back/:id
+ * @access  Private (Customer only)
+ * @body    places - how many customers to let go ahead (1-5)
+ */
+exports.slideBack = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const places = parseInt((req.body || {}).places);
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid queue entry ID'
+      });
+    }
+
+    if (!Number.isInteger(places) || places < 1 || places > travelGuidance.MAX_SLIDE_BACK_PLACES) {
+      return res.status(400).json({
+        status: 'error',
+        message: `You can let between 1 and ${travelGuidance.MAX_SLIDE_BACK_PLACES} customers go ahead`
+      });
+    }
+
+    const entry = await QueueEntry.findById(id);
+
+    if (!entry) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Queue entry not found'
+      });
+    }
+
+    if (!entry.customer || !entry.customer.equals(req.user._id)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to move this queue entry'
+      });
+    }
+
+    if (entry.status !== 'waiting') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only waiting customers can slide back'
+      });
+    }
+
+    // Moving one member would split the party up
+    if (entry.groupId) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A party can\'t slide back - ask the barber to move you'
+      });
+    }
+
+    const position = await QueueEntry.countDocuments({
+      shopId: entry.shopId,
+      status: 'waiting',
+      queuePosition: { $lt: entry.queuePosition }
+    }) + 1;
+
+    const result = await moveEntry(req.app.get('io'), entry, position + places, {
+      actor: queueEvents.actorFromRequest(req),
+      reason: `Running late - let ${places} customer${places !== 1 ? 's' : ''} go ahead`
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        status: 'error',
+        message: result.error.message
+      });
+    }
+
+    if (result.from === result.to) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You are already last in the queue'
+      });
+    }
+
+    await QueueEntry.updateOne({ _id: entry._id }, { $set: { travelAlert: null } });
+
+    res.status(200).json({
+      status: 'success',
+      message: `Moved back to position ${result.to}`,
+      data: {
+        queuePosition: result.entry.queuePosition,
+        lanePosition: result.entry.lanePosition,
+        estimatedWaitTime: result.entry.estimatedWaitTime,
+        travel: await travelGuidance.getTravelForEntry(result.entry)
+      }
+    });
+  } catch (error) {
+    console.error('Error in slideBack:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to move back in the queue'
+    });
+  }
+};
+
+/**
+ * @desc    Undo the last serve, complete, no-show or removal of an entry
+ * @route   POST /api/queue/undo/:id
+ * @access  Private (Barber only)
+ */
+exports.undoAction = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid queue entry ID'
+      });
+    }
+
+    const entry = await QueueEntry.findById(id);
+
+    if (!entry) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Queue entry not found'
+      });
+    }
+
+    if (entry.shopId !== req.user.shopId) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You can only undo actions in your own queue'
+      });
+    }
+
+    const result = await undoLastAction(req.app.get('io'), entry, queueEvents.actorFromRequest(req));
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        status: 'error',
+        message: result.error.message
+      });
+    }
+
+    await result.entry.populate(STAFF_FIELDS, 'name status');
+
+    res.status(200).json({
+      status: 'success',
+      message: `Token #${entry.tokenNumber} is ${result.entry.status} again`,
+      data: result.entry
+    });
+  } catch (error) {
+    console.error('Error in undoAction:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to undo action'
+    });
+  }
+};
+
+/**
+ * @desc    Get queue statistics (with today's cancellations by reason)
  * @route   GET /api/queue/stats
- * @access  Public
+ * @access  Private (Barber only - their own shop)
+ * @query   shopId (optional) - defaults to the barber's shop
  */
 exports.getQueueStats = async (req, res) => {
   try {
-    const { shopId = 'main-shop' } = req.query;
+    const { shopId = req.user.shopId } = req.query;
+
+    if (shopId !== req.user.shopId) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You can only view your own shop\'s statistics'
+      });
+    }
 
-    const waiting = await Customer.countDocuments({ shopId, status: 'waiting' });
-    const inService = await Customer.countDocuments({ shopId, status: 'in-service' });
-    const completedToday = await Customer.countDocuments({
+    const waiting = await QueueEntry.countDocuments({ shopId, status: 'waiting' });
+    const called = await QueueEntry.countDocuments({ shopId, status: 'called' });
+    const inService = await QueueEntry.countDocuments({ shopId, status: 'in-service' });
+    const noShowsToday = await QueueEntry.countDocuments({
+      shopId,
+      status: 'no-show',
+      noShowAt: {
+        $gte: new Date(new Date().setHours(0, 0, 0, 0))
+      }
+    });
+    const completedToday = await QueueEntry.countDocuments({
       shopId,
       status: 'completed',
       serviceCompletedAt: {
@@ -422,16 +1661,33 @@ exports.getQueueStats = async (req, res) => {
       }
     });
 
-    const avgServiceTime = 20; // minutes
-    const estimatedWaitTime = waiting * avgServiceTime;
+    // Why customers left today, e.g. { 'too-long': 3, 'changed-mind': 1 }
+    const cancelReasons = await QueueEntry.aggregate([
+      {
+        $match: {
+          shopId,
+          status: 'cancelled',
+          cancelledAt: { $gte: new Date(new Date().setHours(0, 0, 0, 0)) }
+        }
+      },
+      { $group: { _id: { $ifNull: ['$cancelReason', 'unknown'] }, count: { $sum: 1 } } }
+    ]);
+    const cancellationsByReason = Object.fromEntries(cancelReasons.map(({ _id, count }) => [_id, count]));
+
+    // Wait for someone joining now
+    const { nextWaitTime: estimatedWaitTime } = await waitTimeEstimator.estimateQueue(shopId);
 
     res.status(200).json({
       status: 'success',
       data: {
         waiting,
+        called,
         inService,
         completedToday,
-        totalInQueue: waiting + inService,
+        noShowsToday,
+        cancelledToday: cancelReasons.reduce((total, { count }) => total + count, 0),
+        cancellationsByReason,
+        totalInQueue: waiting + called + inService,
         estimatedWaitTime
       }
     });
@@ -445,17 +1701,142 @@ exports.getQueueStats = async (req, res) => {
 };
 
 /**
- * Helper function to update queue positions after completion
+ * @desc    Get the event timeline for a queue entry
+ * @route   GET /api/queue/:entryId/timeline
+ * @access  Private (the entry's customer, or the shop's barber)
+ */
+exports.getEntryTimeline = async (req, res) => {
+  try {
+    const { entryId } = req.params;
+
+    if (!entryId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid queue entry ID'
+      });
+    }
+
+    const entry = await QueueEntry.findById(entryId);
+
+    if (!entry) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Queue entry not found'
+      });
+    }
+
+    const isOwnEntry = req.userRole === 'customer' && entry.customer && entry.customer.equals(req.user._id);
+    const isOwnShop = req.userRole === 'barber' && entry.shopId === req.user.shopId;
+
+    if (!isOwnEntry && !isOwnShop) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to view this timeline'
+      });
+    }
+
+    const events = await QueueEvent.getTimeline(entry._id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        entryId: entry._id,
+        tokenNumber: entry.tokenNumber,
+        status: entry.status,
+        events
+      }
+    });
+  } catch (error) {
+    console.error('Error in getEntryTimeline:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch timeline'
+    });
+  }
+};
+
+/**
+ * @desc    Get the event feed for the barber's shop
+ * @route   GET /api/queue/events
+ * @access  Private (Barber only)
+ * @query   since (optional) - only events after this time (default: last 24 hours)
+ * @query   limit (optional) - most recent N events (default 100, max 500)
  */
-async function updateQueuePositions(shopId) {
-  const waitingCustomers = await Customer.find({
-    shopId,
-    status: 'waiting'
-  }).sort({ queuePosition: 1 });
-
-  for (let i = 0; i < waitingCustomers.length; i++) {
-    waitingCustomers[i].queuePosition = i + 1;
-    waitingCustomers[i].estimatedWaitTime = (i + 1) * 20; // 20 min avg
-    await waitingCustomers[i].save();
+exports.getShopEvents = async (req, res) => {
+  try {
+    const { shopId } = req.user;
+    const since = req.query.since
+      ? new Date(req.query.since)
+      : new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    if (isNaN(since.getTime())) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid since date'
+      });
+    }
+
+    const events = await QueueEvent.find({ shopId, at: { $gt: since } })
+      .sort({ at: -1, _id: -1 })
+      .limit(limit);
+
+    res.status(200).json({
+      status: 'success',
+      count: events.length,
+      data: events.reverse()
+    });
+  } catch (error) {
+    console.error('Error in getShopEvents:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch queue events'
+    });
   }
-}
+};
+
+/**
+ * @desc    Rebuild the barber's waiting list by replaying queue events
+ * @route   GET /api/queue/events/replay
+ * @access  Private (Barber only)
+ * @query   at (optional) - replay up to this moment (default: now)
+ */
+exports.replayQueue = async (req, res) => {
+  try {
+    const { shopId } = req.user;
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+
+    if (isNaN(at.getTime())) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid replay time'
+      });
+    }
+
+    const replayed = await queueEvents.replayShop(shopId, at);
+    const data = {
+      at,
+      eventCount: replayed.eventCount,
+      waiting: replayed.waiting
+    };
+
+    // When replaying up to now, check the replay against the live queue
+    if (!req.query.at) {
+      const live = await QueueEntry.find({ shopId, status: 'waiting' }).sort({ queuePosition: 1 });
+      const liveOrder = live.map(entry => entry._id.toString());
+      data.matches = liveOrder.length === replayed.waiting.length &&
+        liveOrder.every((id, i) => replayed.waiting[i].entryId === id);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data
+    });
+  } catch (error) {
+    console.error('Error in replayQueue:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to replay queue events'
+    });
+  }
+};
@@ -0,0 +1,266 @@
+const Service = require('../models/Service');
+const Staff = require('../models/Staff');
+const serviceCatalog = require('../services/serviceCatalog');
+const waitTimeEstimator = require('../services/waitTimeEstimator');
+const { updateQueuePositions } = require('../services/queueManager');
+
+/**
+ * Controller for a Shop's Service Menu
+ * Services customers can pick when joining the queue or booking, with
+ * prices and durations set by the shop owner
+ */
+
+/**
+ * Turn a service name into a key, e.g. "Kids' Cut" -> "kids-cut"
+ * @param {String} name - Service name
+ * @returns {String}
+ */
+const toKey = (name) => {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+/**
+ * Re-estimate waits with the new durations and tell the shop's dashboard
+ * and customers that the menu changed
+ */
+const afterMenuChange = async (req, shopId) => {
+  waitTimeEstimator.invalidate(shopId);
+  await updateQueuePositions(shopId);
+
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`shop-${shopId}`).emit('queue-update', {
+      type: 'services-updated',
+      services: await serviceCatalog.getCatalog(shopId, { includeInactive: true }),
+      shopId
+    });
+  }
+};
+
+/**
+ * Refuse a change that would leave the menu with nothing to pick
+ * @param {String} shopId - Shop ID
+ * @param {Document} service - Service being removed or deactivated
+ * @returns {Promise<Boolean>}
+ */
+const isLastActive = async (shopId, service) => {
+  const others = await Service.countDocuments({ shopId, isActive: true, _id: { $ne: service._id } });
+  return others === 0;
+};
+
+/**
+ * Send a Mongoose validation error as a 400
+ */
+const sendValidationError = (res, error) => {
+  const messages = error.errors
+    ? Object.values(error.errors).map(err => err.message)
+    : [error.message];
+  return res.status(400).json({
+    status: 'error',
+    message: messages.join(', ')
+  });
+};
+
+/**
+ * @desc    Get a shop's service menu
+ * @route   GET /api/barbers/:shopId/services
+ * @access  Public
+ * @query   includeInactive (optional) - also list services hidden from customers
+ */
+exports.getServices = async (req, res) => {
+  try {
+    const { shopId } = req.params;
+    const includeInactive = req.query.includeInactive === 'true';
+
+    const services = await serviceCatalog.getCatalog(shopId, { includeInactive });
+
+    res.status(200).json({
+      status: 'success',
+      count: services.length,
+      data: services
+    });
+  } catch (error) {
+    console.error('Error in getServices:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch services'
+    });
+  }
+};
+
+/**
+ * @desc    Add a service to a shop's menu
+ * @route   POST /api/barbers/:shopId/services
+ * @access  Private (Barber only)
+ * @body    name, price, durationMinutes, key (optional - derived from the name)
+ */
+exports.addService = async (req, res) => {
+  try {
+    const { shopId } = req.params;
+    const { name, price, durationMinutes } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Service name is required'
+      });
+    }
+
+    const key = toKey(req.body.key || name);
+    if (!key) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Service name must contain letters or numbers'
+      });
+    }
+
+    // The first edit turns the standard menu into the shop's own
+    await serviceCatalog.ensureCatalog(shopId);
+
+    if (await Service.exists({ shopId, key })) {
+      return res.status(409).json({
+        status: 'error',
+        message: `A service called "${key}" is already on the menu`
+      });
+    }
+
+    const service = await Service.create({ shopId, key, name, price, durationMinutes });
+    await afterMenuChange(req, shopId);
+
+    console.log(`💈 ${service.name} added to ${shopId}'s menu`);
+
+    res.status(201).json({
+      status: 'success',
+      message: `${service.name} added to the menu`,
+      data: service
+    });
+  } catch (error) {
+    console.error('Error in addService:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'That service is already on the menu'
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Failed to add service'
+    });
+  }
+};
+
+/**
+ * @desc    Update a service's name, price, duration or availability
+ *          Customers already in the queue keep the price they joined with
+ * @route   PATCH /api/barbers/:shopId/services/:key
+ * @access  Private (Barber only)
+ * @body    name, price, durationMinutes, isActive (all optional)
+ */
+exports.updateService = async (req, res) => {
+  try {
+    const { shopId, key } = req.params;
+
+    await serviceCatalog.ensureCatalog(shopId);
+
+    const service = await Service.findOne({ shopId, key });
+    if (!service) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Service not found on this menu'
+      });
+    }
+
+    ['name', 'price', 'durationMinutes'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        service[field] = req.body[field];
+      }
+    });
+
+    if (req.body.isActive !== undefined) {
+      const isActive = req.body.isActive === true || req.body.isActive === 'true';
+
+      if (!isActive && service.isActive && await isLastActive(shopId, service)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'The menu needs at least one service customers can pick'
+        });
+      }
+      service.isActive = isActive;
+    }
+
+    await service.save();
+    await afterMenuChange(req, shopId);
+
+    res.status(200).json({
+      status: 'success',
+      message: `${service.name} updated`,
+      data: service
+    });
+  } catch (error) {
+    console.error('Error in updateService:', error);
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return sendValidationError(res, error);
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Failed to update service'
+    });
+  }
+};
+
+/**
+ * @desc    Remove a service from a shop's menu
+ *          Past visits and customers already queued keep their copy of it;
+ *          staff lose it from their skills
+ * @route   DELETE /api/barbers/:shopId/services/:key
+ * @access  Private (Barber only)
+ */
+exports.deleteService = async (req, res) => {
+  try {
+    const { shopId, key } = req.params;
+
+    await serviceCatalog.ensureCatalog(shopId);
+
+    const service = await Service.findOne({ shopId, key });
+    if (!service) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Service not found on this menu'
+      });
+    }
+
+    if (service.isActive && await isLastActive(shopId, service)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'The menu needs at least one service customers can pick'
+      });
+    }
+
+    await service.deleteOne();
+    await Staff.updateMany({ shopId, skills: key }, { $pull: { skills: key } });
+    await afterMenuChange(req, shopId);
+
+    res.status(200).json({
+      status: 'success',
+      message: `${service.name} removed from the menu`,
+      data: { key }
+    });
+  } catch (error) {
+    console.error('Error in deleteService:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Failed to remove service'
+    });
+  }
+};
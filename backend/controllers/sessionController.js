@@ -0,0 +1,65 @@
+const authSession = require('../services/authSession');
+
+/**
+ * @desc    Swap a refresh token for a new access token (and a new refresh token)
+ * @route   POST /api/auth/refresh
+ * @access  Public (refresh token in the `refreshToken` cookie, or `refreshToken` in body)
+ */
+const refreshSession = async (req, res) => {
+  try {
+    const { role, token, error } = await authSession.refreshSession(req, res);
+
+    if (error) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        role,
+        token
+      }
+    });
+  } catch (error) {
+    console.error('Refresh session error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Error refreshing session'
+    });
+  }
+};
+
+/**
+ * @desc    Sign out on every device
+ * @route   POST /api/auth/logout-all
+ * @access  Private (customer or barber)
+ */
+const logoutAllDevices = async (req, res) => {
+  try {
+    const revoked = await authSession.endAllSessions(res, req.user);
+
+    console.log(`🔒 ${req.userRole} ${req.user._id} signed out of ${revoked} session(s)`);
+
+    res.json({
+      status: 'success',
+      message: 'Signed out of all devices',
+      data: {
+        sessionsRevoked: revoked
+      }
+    });
+  } catch (error) {
+    console.error('Logout all devices error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Error signing out of all devices'
+    });
+  }
+};
+
+module.exports = {
+  refreshSession,
+  logoutAllDevices
+};
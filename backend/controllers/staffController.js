@@ -0,0 +1,278 @@
+const Staff = require('../models/Staff');
+const QueueEntry = require('../models/QueueEntry');
+const shopService = require('../services/shopService');
+const waitTimeEstimator = require('../services/waitTimeEstimator');
+const serviceCatalog = require('../services/serviceCatalog');
+const { updateQueuePositions } = require('../services/queueManager');
+
+/**
+ * Controller for Shop Staff
+ * Barbers working at a shop - customers can queue for one of them by name
+ */
+
+const STAFF_STATUSES = ['active', 'on-break'];
+
+/**
+ * Normalise skills from an array or a comma-separated string
+ * @param {String} shopId - Shop ID (skills are keys on its service menu)
+ * @param {Array|String} skills - Raw skills input
+ * @returns {Promise<Array<String>|null>} - Skills, or null if any are unknown
+ */
+const parseSkills = async (shopId, skills) => {
+  const list = Array.isArray(skills)
+    ? skills
+    : String(skills || '').split(',');
+
+  const catalog = await serviceCatalog.getCatalog(shopId, { includeInactive: true });
+  const serviceTypes = catalog.map(service => service.key);
+  const cleaned = [...new Set(list.map(skill => String(skill).trim()).filter(Boolean))];
+
+  return cleaned.every(skill => serviceTypes.includes(skill)) ? cleaned : null;
+};
+
+/**
+ * Tell the shop's dashboard and customers that the roster changed
+ */
+const emitStaffUpdate = (req, shopId, staff) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`shop-${shopId}`).emit('queue-update', {
+      type: 'staff-updated',
+      staff,
+      shopId
+    });
+  }
+};
+
+/**
+ * @desc    Get the staff working at a shop
+ * @route   GET /api/barbers/:shopId/staff
+ * @access  Public
+ */
+exports.getStaff = async (req, res) => {
+  try {
+    const { shopId } = req.params;
+
+    const [staff, queue] = await Promise.all([
+      Staff.getWorkingStaff(shopId),
+      QueueEntry.getCurrentQueue(shopId)
+    ]);
+    const { staffWaitTimes } = await waitTimeEstimator.estimateQueue(shopId, queue);
+
+    const data = staff.map(member => ({
+      _id: member._id,
+      name: member.name,
+      skills: member.skills,
+      status: member.status,
+      waitingCount: queue.filter(entry =>
+        entry.status === 'waiting' && member._id.equals(entry.assignedStaff)
+      ).length,
+      estimatedWaitTime: staffWaitTimes.get(member._id.toString()) || 0
+    }));
+
+    res.status(200).json({
+      status: 'success',
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Error in getStaff:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch staff'
+    });
+  }
+};
+
+/**
+ * @desc    Add a staff member to a shop
+ * @route   POST /api/barbers/:shopId/staff
+ * @access  Private (Barber only)
+ */
+exports.addStaff = async (req, res) => {
+  try {
+    const { shopId } = req.params;
+    const { name } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Staff name is required'
+      });
+    }
+
+    const skills = await parseSkills(shopId, req.body.skills);
+    if (!skills) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Skills must be services on the shop menu'
+      });
+    }
+
+    const shop = await shopService.findShopByShopId(shopId);
+    if (!shop) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Shop not found'
+      });
+    }
+
+    const staff = await Staff.create({ shopId, name, skills });
+
+    // A new lane shortens "any barber" waits
+    await updateQueuePositions(shopId);
+    emitStaffUpdate(req, shopId, staff);
+
+    res.status(201).json({
+      status: 'success',
+      message: `${staff.name} added to staff`,
+      data: staff
+    });
+  } catch (error) {
+    console.error('Error in addStaff:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        status: 'error',
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Failed to add staff member'
+    });
+  }
+};
+
+/**
+ * @desc    Update a staff member's name, skills or status (active/on-break)
+ * @route   PATCH /api/barbers/:shopId/staff/:staffId
+ * @access  Private (Barber only)
+ */
+exports.updateStaff = async (req, res) => {
+  try {
+    const { shopId, staffId } = req.params;
+    const { name, skills, status } = req.body;
+
+    const staff = await Staff.findOne({ _id: staffId, shopId, status: { $ne: 'inactive' } });
+
+    if (!staff) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Staff member not found'
+      });
+    }
+
+    if (name !== undefined) {
+      staff.name = name;
+    }
+
+    if (skills !== undefined) {
+      const parsed = await parseSkills(shopId, skills);
+      if (!parsed) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Skills must be services on the shop menu'
+        });
+      }
+      staff.skills = parsed;
+    }
+
+    if (status !== undefined) {
+      if (!STAFF_STATUSES.includes(status)) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Status must be one of: ${STAFF_STATUSES.join(', ')}`
+        });
+      }
+      staff.status = status;
+    }
+
+    await staff.save();
+
+    // Breaks and skill changes move "any barber" customers between lanes
+    await updateQueuePositions(shopId);
+    emitStaffUpdate(req, shopId, staff);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Staff member updated',
+      data: staff
+    });
+  } catch (error) {
+    console.error('Error in updateStaff:', error);
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Failed to update staff member'
+    });
+  }
+};
+
+/**
+ * @desc    Remove a staff member from a shop
+ *          Kept as inactive so past visits still show who served them;
+ *          customers waiting for them fall back to "any barber"
+ * @route   DELETE /api/barbers/:shopId/staff/:staffId
+ * @access  Private (Barber only)
+ */
+exports.removeStaff = async (req, res) => {
+  try {
+    const { shopId, staffId } = req.params;
+
+    const staff = await Staff.findOne({ _id: staffId, shopId, status: { $ne: 'inactive' } });
+
+    if (!staff) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Staff member not found'
+      });
+    }
+
+    if (await QueueEntry.isStaffBusy(shopId, staff._id)) {
+      return res.status(409).json({
+        status: 'error',
+        message: `${staff.name} is serving a customer - complete that service first`
+      });
+    }
+
+    staff.status = 'inactive';
+    await staff.save();
+
+    await QueueEntry.updateMany(
+      { shopId, status: { $in: ['waiting', 'called'] }, preferredStaff: staff._id },
+      { $set: { preferredStaff: null } }
+    );
+
+    await updateQueuePositions(shopId);
+    emitStaffUpdate(req, shopId, staff);
+
+    res.status(200).json({
+      status: 'success',
+      message: `${staff.name} removed from staff`
+    });
+  } catch (error) {
+    console.error('Error in removeStaff:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid staff ID'
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Failed to remove staff member'
+    });
+  }
+};
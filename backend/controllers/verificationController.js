@@ -0,0 +1,83 @@
+const emailVerification = require('../services/emailVerification');
+
+/**
+ * @desc    Confirm an email address with the token from the verification email
+ * @route   POST /api/auth/verify-email
+ * @access  Public
+ * @body    { token }
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        status: 'error',
+        code: emailVerification.VERIFY_ERRORS.INVALID_TOKEN,
+        message: 'Verification token is required'
+      });
+    }
+
+    const { account, role, error } = await emailVerification.verifyEmail(token);
+
+    if (error) {
+      return res.status(error.status).json({
+        status: 'error',
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Email verified',
+      data: {
+        _id: account._id,
+        email: account.email,
+        role,
+        emailVerified: true
+      }
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Error verifying email'
+    });
+  }
+};
+
+/**
+ * @desc    Send a new verification email to the logged-in customer or barber
+ * @route   POST /api/auth/resend-verification
+ * @access  Private (customer or barber)
+ */
+const resendVerification = async (req, res) => {
+  try {
+    const { error } = await emailVerification.resendVerification(req.userRole, req.user);
+
+    if (error) {
+      return res.status(error.status).json({
+        status: 'error',
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: `Verification email sent to ${req.user.email}`
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Error sending verification email'
+    });
+  }
+};
+
+module.exports = {
+  verifyEmail,
+  resendVerification
+};
@@ -2,29 +2,73 @@ const jwt = require('jsonwebtoken');
 const Customer = require('../models/Customer');
 const Barber = require('../models/Barber');
 
+// Access tokens are short-lived - clients renew them with a refresh token
+// (see services/authSession)
+const ACCESS_TOKEN_MINUTES = parseInt(process.env.ACCESS_TOKEN_MINUTES) || 15;
+
 /**
- * Generate JWT token
+ * Generate JWT access token
  */
 const generateToken = (id, role) => {
   return jwt.sign(
     { id, role },
     process.env.JWT_SECRET || 'your-secret-key-change-in-production',
-    { expiresIn: '30d' }
+    { expiresIn: `${ACCESS_TOKEN_MINUTES}m` }
   );
 };
 
 /**
- * Protect routes - verify JWT token
+ * Look up the account an access token belongs to
+ * @param {String} token - Access JWT
+ * @returns {Promise<Object>} - { user, role } or { error: message }
  */
-const protect = async (req, res, next) => {
-  let token;
+const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(
+      token,
+      process.env.JWT_SECRET || 'your-secret-key-change-in-production'
+    );
+  } catch (error) {
+    return { error: 'Not authorized, invalid token' };
+  }
+
+  // Get user from token based on role
+  let user = null;
+  if (decoded.role === 'customer') {
+    user = await Customer.findById(decoded.id).select('-password');
+  } else if (decoded.role === 'barber') {
+    user = await Barber.findById(decoded.id).select('-password');
+  }
+
+  if (!user) {
+    return { error: 'Not authorized, user not found' };
+  }
+
+  // Tokens issued before "sign out all devices" no longer count
+  if (user.tokensValidAfter && decoded.iat * 1000 < user.tokensValidAfter.getTime()) {
+    return { error: 'Not authorized, session signed out' };
+  }
 
-  // Check for token in Authorization header or cookies
+  return { user, role: decoded.role };
+};
+
+/**
+ * Read the access token from the Authorization header or the authToken cookie
+ * @returns {String|undefined}
+ */
+const getRequestToken = (req) => {
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
-  } else if (req.cookies && req.cookies.authToken) {
-    token = req.cookies.authToken;
+    return req.headers.authorization.split(' ')[1];
   }
+  return req.cookies ? req.cookies.authToken : undefined;
+};
+
+/**
+ * Protect routes - verify JWT token
+ */
+const protect = async (req, res, next) => {
+  const token = getRequestToken(req);
 
   if (!token) {
     return res.status(401).json({
@@ -34,27 +78,17 @@ const protect = async (req, res, next) => {
   }
 
   try {
-    // Verify token
-    const decoded = jwt.verify(
-      token,
-      process.env.JWT_SECRET || 'your-secret-key-change-in-production'
-    );
-
-    // Get user from token based on role
-    if (decoded.role === 'customer') {
-      req.user = await Customer.findById(decoded.id).select('-password');
-    } else if (decoded.role === 'barber') {
-      req.user = await Barber.findById(decoded.id).select('-password');
-    }
+    const { user, role, error } = await verifyAccessToken(token);
 
-    if (!req.user) {
+    if (error) {
       return res.status(401).json({
         status: 'error',
-        message: 'Not authorized, user not found'
+        message: error
       });
     }
 
-    req.userRole = decoded.role;
+    req.user = user;
+    req.userRole = role;
     next();
   } catch (error) {
     console.error(error);
@@ -65,6 +99,28 @@ const protect = async (req, res, next) => {
   }
 };
 
+/**
+ * Identify the caller when they send a token, without requiring one
+ * For public routes that show more to the account they belong to. A missing
+ * or invalid token leaves req.user unset instead of failing the request.
+ */
+const identify = async (req, res, next) => {
+  const token = getRequestToken(req);
+
+  if (token) {
+    try {
+      const { user, role } = await verifyAccessToken(token);
+      if (user) {
+        req.user = user;
+        req.userRole = role;
+      }
+    } catch (error) {
+      console.error(error);
+    }
+  }
+  next();
+};
+
 /**
  * Authorize specific roles
  */
@@ -80,4 +136,59 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { protect, authorize, generateToken };
+/**
+ * Only let a barber manage their own shop (the :shopId in the URL)
+ * Use after protect and authorize('barber').
+ */
+const ownShop = (req, res, next) => {
+  if (req.params.shopId !== req.user.shopId) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'You can only manage your own shop'
+    });
+  }
+  next();
+};
+
+/**
+ * Socket.io middleware - identify the account behind a connection
+ * The access token comes from the handshake (`auth.token`) or the authToken
+ * cookie. Connections without a valid one stay anonymous: they still get
+ * public broadcasts but can't join customer or shop rooms.
+ */
+const authenticateSocket = async (socket, next) => {
+  socket.data.user = null;
+  socket.data.role = null;
+
+  let token = socket.handshake.auth && socket.handshake.auth.token;
+  if (!token) {
+    const cookies = socket.handshake.headers.cookie || '';
+    const match = cookies.match(/(?:^|;\s*)authToken=([^;]+)/);
+    token = match ? decodeURIComponent(match[1]) : null;
+  }
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const { user, role } = await verifyAccessToken(token);
+    if (user) {
+      socket.data.user = user;
+      socket.data.role = role;
+    }
+  } catch (error) {
+    console.error('Socket auth error:', error);
+  }
+  next();
+};
+
+module.exports = {
+  protect,
+  authorize,
+  ownShop,
+  identify,
+  authenticateSocket,
+  generateToken,
+  ACCESS_TOKEN_MINUTES
+};
@@ -0,0 +1,193 @@
+/**
+ * Migrate Queue Data from Customer to QueueEntry
+ *
+ * Older versions stored tokenNumber, shopId, status, queuePosition etc.
+ * directly on the Customer login document. This script:
+ *   1. Copies every customer that still holds a token into a QueueEntry
+ *   2. Removes the legacy queue fields from all customer documents
+ *   3. Drops the old shopId_1_tokenNumber_1 index on customers
+ *   4. Stamps a businessDay on queue entries created before daily tokens,
+ *      and drops the old per-shop token index on queueentries
+ *   5. Rebuilds the customers email index as sparse, so accounts created
+ *      with a phone login (no email) don't collide
+ *   6. Marks accounts created before email verification as verified, so
+ *      existing shops stay listed and customers can keep joining, and the
+ *      same for shops registered before listings needed checking
+ *
+ * Usage: node migrateQueueEntries.js [--dry-run]
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const QueueEntry = require('./models/QueueEntry');
+const TokenCounter = require('./models/TokenCounter');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/barber-queue';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const LEGACY_FIELDS = [
+  'tokenNumber',
+  'shopId',
+  'status',
+  'serviceType',
+  'estimatedWaitTime',
+  'queuePosition',
+  'joinedAt',
+  'serviceStartedAt',
+  'serviceCompletedAt'
+];
+
+async function migrateQueueEntries() {
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    if (DRY_RUN) {
+      console.log('🔍 DRY RUN - no changes will be written\n');
+    }
+
+    const customersCollection = mongoose.connection.db.collection('customers');
+
+    // Step 1: copy customers that still hold a queue token
+    const legacyCustomers = await customersCollection.find({
+      tokenNumber: { $type: 'number' }
+    }).toArray();
+
+    console.log(`📊 Found ${legacyCustomers.length} customer(s) with legacy queue data`);
+
+    let created = 0;
+    let skipped = 0;
+
+    for (const customer of legacyCustomers) {
+      const shopId = customer.shopId || 'main-shop';
+
+      const joinedAt = customer.joinedAt || customer.updatedAt || new Date();
+      const businessDay = TokenCounter.getBusinessDay(joinedAt);
+
+      const exists = await QueueEntry.exists({
+        shopId,
+        businessDay,
+        tokenNumber: customer.tokenNumber
+      });
+
+      if (exists) {
+        console.log(`   ⏭️  Skipping ${customer.email} - token #${customer.tokenNumber} already migrated`);
+        skipped++;
+        continue;
+      }
+
+      const status = customer.status || 'waiting';
+      console.log(`   ➡️  ${customer.email}: ${shopId} token #${customer.tokenNumber} (${status})`);
+
+      if (!DRY_RUN) {
+        await QueueEntry.create({
+          customer: customer._id,
+          name: customer.name,
+          phone: customer.phone,
+          shopId,
+          businessDay,
+          tokenNumber: customer.tokenNumber,
+          status,
+          serviceType: customer.serviceType || 'haircut',
+          estimatedWaitTime: customer.estimatedWaitTime || 0,
+          queuePosition: status === 'waiting' ? customer.queuePosition || 0 : 0,
+          joinedAt,
+          serviceStartedAt: customer.serviceStartedAt,
+          serviceCompletedAt: customer.serviceCompletedAt
+        });
+      }
+      created++;
+    }
+
+    console.log(`\n✅ Queue entries created: ${created}, skipped: ${skipped}`);
+
+    // Step 2: strip legacy queue fields from customer accounts
+    const unset = LEGACY_FIELDS.reduce((fields, field) => {
+      fields[field] = '';
+      return fields;
+    }, {});
+
+    if (!DRY_RUN) {
+      const result = await customersCollection.updateMany({}, { $unset: unset });
+      console.log(`🧹 Removed legacy queue fields from ${result.modifiedCount} customer(s)`);
+    }
+
+    // Step 3: drop the old per-shop token index on customers
+    console.log('\n🗑️  Dropping old shopId_1_tokenNumber_1 index on customers...');
+    if (!DRY_RUN) {
+      try {
+        await customersCollection.dropIndex('shopId_1_tokenNumber_1');
+        console.log('✅ Old index dropped');
+      } catch (error) {
+        console.log('⚠️  Index might not exist:', error.message);
+      }
+    }
+
+    // Step 4: daily tokens - backfill businessDay and drop the old token index
+    const queueEntriesCollection = mongoose.connection.db.collection('queueentries');
+    const undatedEntries = await queueEntriesCollection.find({
+      businessDay: { $exists: false }
+    }).toArray();
+
+    console.log(`\n📅 Found ${undatedEntries.length} queue entr(ies) without a business day`);
+
+    if (!DRY_RUN) {
+      for (const entry of undatedEntries) {
+        await queueEntriesCollection.updateOne(
+          { _id: entry._id },
+          { $set: { businessDay: TokenCounter.getBusinessDay(entry.joinedAt || entry.createdAt) } }
+        );
+      }
+
+      try {
+        await queueEntriesCollection.dropIndex('shopId_1_tokenNumber_1');
+        console.log('✅ Old per-shop token index dropped from queueentries');
+      } catch (error) {
+        console.log('⚠️  Index might not exist:', error.message);
+      }
+    }
+
+    // Step 5: phone-login accounts have no email - the unique index must be sparse
+    console.log('\n📱 Making the customers email index sparse...');
+    if (!DRY_RUN) {
+      const emailIndex = (await customersCollection.indexes()).find(index => index.name === 'email_1');
+
+      if (emailIndex && !emailIndex.sparse) {
+        await customersCollection.dropIndex('email_1');
+        await customersCollection.createIndex({ email: 1 }, { unique: true, sparse: true });
+        console.log('✅ Email index rebuilt as sparse');
+      } else {
+        console.log(emailIndex ? '⏭️  Email index is already sparse' : '⚠️  Email index not found - it is created on server start');
+      }
+    }
+
+    // Step 6: accounts from before email verification count as verified
+    console.log('\n✉️  Marking existing accounts as verified...');
+    if (!DRY_RUN) {
+      for (const name of ['customers', 'barbers']) {
+        const result = await mongoose.connection.db.collection(name).updateMany(
+          { emailVerified: { $exists: false } },
+          { $set: { emailVerified: true } }
+        );
+        console.log(`✅ ${result.modifiedCount} existing ${name} marked as verified`);
+      }
+
+      const shops = await mongoose.connection.db.collection('barbershops').updateMany(
+        { verified: { $exists: false } },
+        { $set: { verified: true } }
+      );
+      console.log(`✅ ${shops.modifiedCount} existing barbershops marked as verified`);
+    }
+
+    console.log('\n✅ Migration complete!');
+
+    await mongoose.connection.close();
+    console.log('\n📦 Connection closed');
+  } catch (error) {
+    console.error('❌ Error:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+migrateQueueEntries();
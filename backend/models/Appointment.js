@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+/**
+ * Appointment Schema
+ * A time-slot booking at a shop. At the slot time the queue scheduler turns
+ * it into a QueueEntry so booked and walk-in customers share one live queue.
+ */
+const appointmentSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer is required'],
+    index: true
+  },
+
+  // Snapshot of customer details at booking time
+  name: {
+    type: String,
+    required: [true, 'Customer name is required'],
+    trim: true
+  },
+
+  phone: {
+    type: String,
+    trim: true
+  },
+
+  shopId: {
+    type: String,
+    required: [true, 'Shop ID is required']
+  },
+
+  // Key of a service on the shop's menu - see services/serviceCatalog
+  serviceType: {
+    type: String,
+    default: 'haircut'
+  },
+
+  // Staff member the customer booked with (null = any barber)
+  preferredStaff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null
+  },
+
+  // Slot start and end (end = start + expected service duration)
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+
+  endTime: {
+    type: Date,
+    required: [true, 'End time is required']
+  },
+
+  // booked: upcoming, queued: inserted into the live queue,
+  // cancelled: by the customer, missed: slot passed while it couldn't be queued
+  status: {
+    type: String,
+    enum: ['booked', 'queued', 'cancelled', 'missed'],
+    default: 'booked'
+  },
+
+  // Live queue entry created at slot time
+  queueEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QueueEntry',
+    default: null
+  },
+
+  rescheduleCount: {
+    type: Number,
+    default: 0
+  },
+
+  cancelledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Slot availability and scheduler lookups
+appointmentSchema.index({ shopId: 1, status: 1, startTime: 1 });
+appointmentSchema.index({ status: 1, startTime: 1 });
+
+/**
+ * Static method to get bookings overlapping a time range at a shop
+ * @param {String} shopId - Shop ID
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {ObjectId} excludeId - Appointment to ignore (when rescheduling)
+ */
+appointmentSchema.statics.findOverlapping = function (shopId, from, to, excludeId = null) {
+  const query = {
+    shopId,
+    status: { $in: ['booked', 'queued'] },
+    startTime: { $lt: to },
+    endTime: { $gt: from }
+  };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  return this.find(query);
+};
+
+/**
+ * Static method to get a shop's bookings that haven't reached the queue yet
+ * @param {String} shopId - Shop ID
+ * @param {Date} until - Only bookings starting before this time
+ */
+appointmentSchema.statics.getUpcoming = function (shopId, until) {
+  return this.find({
+    shopId,
+    status: 'booked',
+    startTime: { $lte: until }
+  }).sort({ startTime: 1 });
+};
+
+module.exports = mongoose.model('Appointment', appointmentSchema);
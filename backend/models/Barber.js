@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const queueSettingsSchema = require('./queueSettingsSchema');
+const queuePauseSchema = require('./queuePauseSchema');
+const Service = require('./Service');
 
 /**
  * Barber/Shop Schema for Location-based Discovery
@@ -118,16 +121,37 @@ const barberSchema = new mongoose.Schema({
     min: 0
   },
 
+  // Legacy seed value - ETAs now come from services/waitTimeEstimator
   averageWaitTime: {
     type: Number, // in minutes
     default: 15,
     min: 0
   },
 
-  // Services offered
+  // Number of chairs - customers that can be served in parallel
+  chairCount: {
+    type: Number,
+    default: 1,
+    min: [1, 'A shop needs at least one chair'],
+    max: [10, 'Chair count cannot exceed 10']
+  },
+
+  // Queue behaviour (no-show grace period etc.)
+  queueSettings: {
+    type: queueSettingsSchema,
+    default: () => ({})
+  },
+
+  // Current break, if any (null while the queue is running)
+  pause: {
+    type: queuePauseSchema,
+    default: null
+  },
+
+  // Standard services offered (until the shop sets up its own menu - see Service)
   services: [{
     type: String,
-    enum: ['haircut', 'shave', 'haircut-shave', 'styling', 'beard-trim', 'facial', 'other']
+    enum: Service.DEFAULT_SERVICES.map(service => service.key)
   }],
 
   // Operating hours
@@ -161,6 +185,23 @@ const barberSchema = new mongoose.Schema({
     type: String,
     enum: ['active', 'inactive', 'temporarily-closed'],
     default: 'active'
+  },
+
+  // Set once the account's email address is confirmed (see emailVerification)
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Access tokens issued before this are rejected (sign out all devices)
+  tokensValidAfter: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -170,6 +211,7 @@ const barberSchema = new mongoose.Schema({
 barberSchema.index({ location: '2dsphere' });
 barberSchema.index({ shopId: 1 });
 barberSchema.index({ status: 1, isOpen: 1 });
+barberSchema.index({ 'pause.until': 1 }, { sparse: true });
 
 /**
  * Pre-save middleware to hash password
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const queueSettingsSchema = require('./queueSettingsSchema');
+const queuePauseSchema = require('./queuePauseSchema');
+const Service = require('./Service');
 
 /**
  * BarberShop Schema with GeoJSON location support
@@ -106,6 +109,13 @@ const barberShopSchema = new mongoose.Schema({
     default: true
   },
 
+  // Set once someone has checked the listing - anyone can register a shop,
+  // so it stays out of nearby results and takes no customers until then
+  verified: {
+    type: Boolean,
+    default: false
+  },
+
   // Shop open/closed status (independent of active status)
   isOpen: {
     type: Boolean,
@@ -133,10 +143,30 @@ const barberShopSchema = new mongoose.Schema({
     }
   },
 
-  // Services offered
+  // Number of chairs - customers that can be served in parallel
+  chairCount: {
+    type: Number,
+    default: 1,
+    min: [1, 'A shop needs at least one chair'],
+    max: [10, 'Chair count cannot exceed 10']
+  },
+
+  // Queue behaviour (no-show grace period etc.)
+  queueSettings: {
+    type: queueSettingsSchema,
+    default: () => ({})
+  },
+
+  // Current break, if any (null while the queue is running)
+  pause: {
+    type: queuePauseSchema,
+    default: null
+  },
+
+  // Standard services offered (until the shop sets up its own menu - see Service)
   services: [{
     type: String,
-    enum: ['haircut', 'shave', 'haircut-shave', 'styling', 'beard-trim', 'facial', 'head-massage', 'hair-color', 'other']
+    enum: Service.DEFAULT_SERVICES.map(service => service.key)
   }],
 
   // Facilities & Features
@@ -191,6 +221,7 @@ barberShopSchema.index({ location: '2dsphere' });
  * Create index on shopId for faster lookups
  */
 barberShopSchema.index({ shopId: 1 });
+barberShopSchema.index({ 'pause.until': 1 }, { sparse: true });
 
 /**
  * Static method to find nearby barber shops
@@ -2,8 +2,8 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
 /**
- * Customer Schema for Queue Management
- * Stores information about customers in the barber queue
+ * Customer Schema
+ * Stores customer account information - queue visits live in QueueEntry
  */
 const customerSchema = new mongoose.Schema({
   // Customer basic information
@@ -15,10 +15,12 @@ const customerSchema = new mongoose.Schema({
     maxlength: [50, 'Name cannot exceed 50 characters']
   },
 
+  // Optional for accounts created with a phone OTP (sparse: many can have none)
   email: {
     type: String,
-    required: [true, 'Email is required'],
+    required: [function () { return !this.phoneVerifiedAt; }, 'Email is required'],
     unique: true,
+    sparse: true,
     trim: true,
     lowercase: true,
     match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
@@ -26,7 +28,7 @@ const customerSchema = new mongoose.Schema({
 
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    required: [function () { return !this.phoneVerifiedAt; }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false // Don't include password in queries by default
   },
@@ -38,63 +40,27 @@ const customerSchema = new mongoose.Schema({
     match: [/^[0-9]{10}$/, 'Please enter a valid 10-digit phone number']
   },
 
-  role: {
-    type: String,
-    default: 'customer',
-    immutable: true
-  },
-
-  // Queue-specific information
-  tokenNumber: {
-    type: Number,
-    // Note: uniqueness is enforced per-shop via compound index below
-    sparse: true // Allows null values for users not in queue
-  },
-
-  shopId: {
-    type: String,
-    required: true,
-    default: 'main-shop' // Allows scalability for multiple shops
-  },
-
-  // Status tracking
-  status: {
-    type: String,
-    enum: ['waiting', 'in-service', 'completed', 'cancelled'],
-    default: 'waiting'
-  },
-
-  // Service preferences (optional)
-  serviceType: {
-    type: String,
-    enum: ['haircut', 'shave', 'haircut-shave', 'styling', 'other'],
-    default: 'haircut'
-  },
-
-  // Estimated time (in minutes)
-  estimatedWaitTime: {
-    type: Number,
-    default: 0
+  // Set once the account's email address is confirmed (see emailVerification)
+  emailVerified: {
+    type: Boolean,
+    default: false
   },
 
-  // Position in queue
-  queuePosition: {
-    type: Number,
-    default: 0
-  },
-
-  // Timestamps
-  joinedAt: {
+  emailVerifiedAt: {
     type: Date,
-    default: Date.now
+    default: null
   },
 
-  serviceStartedAt: {
-    type: Date
+  // Set once the customer has signed in with a code sent to their phone
+  phoneVerifiedAt: {
+    type: Date,
+    default: null
   },
 
-  serviceCompletedAt: {
-    type: Date
+  role: {
+    type: String,
+    default: 'customer',
+    immutable: true
   },
 
   // Customer's current location (GeoJSON format) - OPTIONAL
@@ -124,26 +90,28 @@ const customerSchema = new mongoose.Schema({
     city: String,
     state: String,
     country: String
+  },
+
+  // Times the customer was called but never reached the chair
+  noShowCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Access tokens issued before this are rejected (sign out all devices)
+  tokensValidAfter: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true // Adds createdAt and updatedAt automatically
 });
 
-// Compound index for tokenNumber unique per shop
-// Partial index: only index documents where tokenNumber exists (not null)
-customerSchema.index(
-  { shopId: 1, tokenNumber: 1 }, 
-  { 
-    unique: true, 
-    partialFilterExpression: { tokenNumber: { $type: 'number' } }
-  }
-);
-
 // Create 2dsphere index for customer location (SPARSE - allows null/missing locations)
 customerSchema.index({ location: '2dsphere' }, { sparse: true });
 
 /**
- * Pre-save middleware to hash password and calculate estimated wait time
+ * Pre-save middleware to hash password
  */
 customerSchema.pre('save', async function (next) {
   // Hash password if it's modified
@@ -151,12 +119,6 @@ customerSchema.pre('save', async function (next) {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
   }
-
-  // Calculate estimated wait time
-  if (this.isNew && this.queuePosition) {
-    const avgServiceTime = 20; // minutes per customer
-    this.estimatedWaitTime = this.queuePosition * avgServiceTime;
-  }
   next();
 });
 
@@ -164,46 +126,17 @@ customerSchema.pre('save', async function (next) {
  * Instance method to check if password matches
  */
 customerSchema.methods.matchPassword = async function (enteredPassword) {
+  // Phone-only accounts have no password to match
+  if (!this.password) return false;
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
 /**
- * Instance method to mark customer as in service
+ * Instance method to check the customer has confirmed a way to reach them
+ * (email link, or a phone login code) - needed to join queues
  */
-customerSchema.methods.startService = function () {
-  this.status = 'in-service';
-  this.serviceStartedAt = new Date();
-  return this.save();
-};
-
-/**
- * Instance method to mark customer as completed
- */
-customerSchema.methods.completeService = function () {
-  this.status = 'completed';
-  this.serviceCompletedAt = new Date();
-  return this.save();
-};
-
-/**
- * Static method to get next token number
- */
-customerSchema.statics.getNextTokenNumber = async function (shopId) {
-  const lastCustomer = await this.findOne({ shopId })
-    .sort({ tokenNumber: -1 })
-    .select('tokenNumber');
-
-  return lastCustomer ? lastCustomer.tokenNumber + 1 : 1;
-};
-
-/**
- * Static method to get current queue for a shop
- */
-customerSchema.statics.getCurrentQueue = async function (shopId) {
-  return this.find({
-    shopId,
-    status: { $in: ['waiting', 'in-service'] }
-  }).sort({ queuePosition: 1 });
+customerSchema.methods.isVerified = function () {
+  return this.emailVerified === true || !!this.phoneVerifiedAt;
 };
 
 /**
@@ -219,4 +152,16 @@ customerSchema.methods.updateLocation = function (longitude, latitude) {
   return this.save();
 };
 
+/**
+ * Static method to find the one customer who has verified a phone number
+ * Phone numbers aren't unique and a typed-in number proves nothing, so only
+ * verified numbers count and ambiguous matches return null
+ * @param {String} phone - 10-digit phone number
+ * @returns {Promise<Document|null>}
+ */
+customerSchema.statics.findUniqueByPhone = async function (phone) {
+  const matches = await this.find({ phone, phoneVerifiedAt: { $ne: null } }).limit(2);
+  return matches.length === 1 ? matches[0] : null;
+};
+
 module.exports = mongoose.model('Customer', customerSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * EmailVerificationToken Schema
+ * One document per "confirm your email" link. Only a hash of the token is
+ * stored, each token works once, and it only confirms the address it was
+ * sent to. Sending a new link replaces any earlier unused one.
+ */
+const emailVerificationTokenSchema = new mongoose.Schema({
+  // SHA-256 of the token emailed to the user
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  role: {
+    type: String,
+    enum: ['customer', 'barber'],
+    required: true
+  },
+
+  // Address the link was sent to
+  email: {
+    type: String,
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+emailVerificationTokenSchema.index({ user: 1, role: 1 });
+
+// MongoDB removes expired tokens by itself
+emailVerificationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static method to hash a raw token for lookup
+ * @param {String} token - Raw verification token
+ * @returns {String} - Hex SHA-256
+ */
+emailVerificationTokenSchema.statics.hash = function (token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Static method to create a verification token, retiring any earlier unused one
+ * @param {Object} options - { user, role, email, hours }
+ * @returns {Promise<String>} - Raw token (only ever returned here)
+ */
+emailVerificationTokenSchema.statics.issue = async function ({ user, role, email, hours }) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await this.deleteMany({ user, role, usedAt: null });
+  await this.create({
+    tokenHash: this.hash(token),
+    user,
+    role,
+    email,
+    expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000)
+  });
+
+  return token;
+};
+
+/**
+ * Static method to use up a verification token
+ * Claimed atomically, so the same link can't be used twice.
+ * @param {String} token - Raw verification token
+ * @returns {Promise<Document|null>} - The claimed token, or null if invalid/expired/used
+ */
+emailVerificationTokenSchema.statics.consume = async function (token) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    { tokenHash: this.hash(token), usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('EmailVerificationToken', emailVerificationTokenSchema);
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+/**
+ * OtpCode Schema
+ * The one-time login code currently out for a phone number (at most one per
+ * phone - asking again replaces it). Codes are stored bcrypt-hashed, expire,
+ * allow a few wrong guesses, and can't be re-sent until a cooldown passes.
+ */
+
+const CODE_LENGTH = 6;
+const CODE_MINUTES = parseInt(process.env.OTP_CODE_MINUTES) || 5;
+const MAX_ATTEMPTS = 5;
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_SECONDS) || 60;
+
+const otpCodeSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true,
+    unique: true,
+    match: [/^[0-9]{10}$/, 'Please enter a valid 10-digit phone number']
+  },
+
+  codeHash: {
+    type: String,
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Wrong (or right) guesses against this code
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  // When the code was last sent - drives the resend cooldown
+  sentAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB removes stale codes by itself (once the cooldown is over too)
+otpCodeSchema.index({ sentAt: 1 }, { expireAfterSeconds: Math.max(CODE_MINUTES * 60, RESEND_COOLDOWN_SECONDS) });
+
+/**
+ * Static method to create and store a new code for a phone
+ * Claimed atomically: the filter only matches a code outside its cooldown,
+ * so a phone still cooling down makes the upsert collide on the unique
+ * phone index instead of sending a second SMS.
+ * @param {String} phone - 10-digit phone number
+ * @returns {Promise<Object>} - { code } or { retryAfterSeconds } while cooling down
+ */
+otpCodeSchema.statics.issue = async function (phone) {
+  const now = new Date();
+  const code = crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, '0');
+
+  try {
+    await this.findOneAndUpdate(
+      { phone, sentAt: { $lte: new Date(now.getTime() - RESEND_COOLDOWN_SECONDS * 1000) } },
+      {
+        $set: {
+          codeHash: await bcrypt.hash(code, 10),
+          expiresAt: new Date(now.getTime() + CODE_MINUTES * 60 * 1000),
+          attempts: 0,
+          sentAt: now
+        }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const current = await this.findOne({ phone });
+    const waitMs = current
+      ? current.sentAt.getTime() + RESEND_COOLDOWN_SECONDS * 1000 - now.getTime()
+      : RESEND_COOLDOWN_SECONDS * 1000;
+    return { retryAfterSeconds: Math.max(Math.ceil(waitMs / 1000), 1) };
+  }
+
+  return { code };
+};
+
+/**
+ * Static method to check a code
+ * Every check uses up an attempt (atomically, so parallel guesses can't
+ * get past the limit). A correct code is deleted so it works only once,
+ * unless `consume` is false (the caller still needs something from the
+ * customer before signing them in).
+ * @param {String} phone - 10-digit phone number
+ * @param {String} code - Code the customer typed
+ * @param {Object} options - { consume }
+ * @returns {Promise<Object>} - { ok: true } or { error: { status, message, attemptsLeft } }
+ */
+otpCodeSchema.statics.verify = async function (phone, code, { consume = true } = {}) {
+  const otp = await this.findOneAndUpdate(
+    { phone, expiresAt: { $gt: new Date() }, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!otp) {
+    const current = await this.findOne({ phone });
+    const tooMany = current && current.expiresAt > new Date();
+    return {
+      error: {
+        status: tooMany ? 429 : 400,
+        message: tooMany
+          ? 'Too many wrong codes - request a new one'
+          : 'This code has expired - request a new one',
+        attemptsLeft: 0
+      }
+    };
+  }
+
+  if (!(await bcrypt.compare(String(code), otp.codeHash))) {
+    const attemptsLeft = MAX_ATTEMPTS - otp.attempts;
+    return {
+      error: {
+        status: 400,
+        message: attemptsLeft > 0
+          ? `Incorrect code - ${attemptsLeft} attempt(s) left`
+          : 'Too many wrong codes - request a new one',
+        attemptsLeft
+      }
+    };
+  }
+
+  if (!consume) {
+    return { ok: true };
+  }
+
+  // Two requests with the right code: only the one that deletes it wins
+  const { deletedCount } = await this.deleteOne({ _id: otp._id, codeHash: otp.codeHash });
+  if (deletedCount === 0) {
+    return { error: { status: 400, message: 'This code has already been used - request a new one', attemptsLeft: 0 } };
+  }
+
+  return { ok: true };
+};
+
+otpCodeSchema.statics.CODE_LENGTH = CODE_LENGTH;
+otpCodeSchema.statics.CODE_MINUTES = CODE_MINUTES;
+otpCodeSchema.statics.MAX_ATTEMPTS = MAX_ATTEMPTS;
+otpCodeSchema.statics.RESEND_COOLDOWN_SECONDS = RESEND_COOLDOWN_SECONDS;
+
+module.exports = mongoose.model('OtpCode', otpCodeSchema);
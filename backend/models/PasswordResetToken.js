@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * PasswordResetToken Schema
+ * One document per "forgot password" email. Only a hash of the token is
+ * stored, each token works once, and asking again replaces any earlier
+ * token that hasn't been used.
+ */
+const passwordResetTokenSchema = new mongoose.Schema({
+  // SHA-256 of the token emailed to the user
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  role: {
+    type: String,
+    enum: ['customer', 'barber'],
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+passwordResetTokenSchema.index({ user: 1, role: 1 });
+
+// MongoDB removes expired tokens by itself
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static method to hash a raw token for lookup
+ * @param {String} token - Raw reset token
+ * @returns {String} - Hex SHA-256
+ */
+passwordResetTokenSchema.statics.hash = function (token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Static method to create a reset token, retiring any earlier unused one
+ * @param {Object} options - { user, role, minutes }
+ * @returns {Promise<String>} - Raw token (only ever returned here)
+ */
+passwordResetTokenSchema.statics.issue = async function ({ user, role, minutes }) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await this.deleteMany({ user, role, usedAt: null });
+  await this.create({
+    tokenHash: this.hash(token),
+    user,
+    role,
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+  });
+
+  return token;
+};
+
+/**
+ * Static method to use up a reset token
+ * Claimed atomically, so the same link can't reset the password twice.
+ * @param {String} token - Raw reset token
+ * @param {String} role - 'customer' or 'barber'
+ * @returns {Promise<Document|null>} - The claimed token, or null if invalid/expired/used
+ */
+passwordResetTokenSchema.statics.consume = async function (token, role) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    { tokenHash: this.hash(token), role, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
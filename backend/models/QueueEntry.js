@@ -0,0 +1,488 @@
+const mongoose = require('mongoose');
+const TokenCounter = require('./TokenCounter');
+
+/**
+ * Statuses that count as "still in the queue"
+ */
+const ACTIVE_STATUSES = ['waiting', 'called', 'in-service'];
+
+/**
+ * Why a customer left the queue before being served - given by the customer
+ * when cancelling or by the barber when removing them
+ */
+const CANCEL_REASONS = ['changed-mind', 'too-long', 'no-show', 'duplicate', 'other'];
+
+/**
+ * QueueEntry Schema
+ * One document per visit - references the Customer account and the shop,
+ * so joining a queue never touches the customer's login document
+ */
+const queueEntrySchema = new mongoose.Schema({
+  // Customer account that joined the queue (null for walk-ins without one)
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null,
+    index: true
+  },
+
+  // How the customer got in the queue: through the app, added by the barber,
+  // or inserted by the scheduler at their booked slot time
+  source: {
+    type: String,
+    enum: ['app', 'walk-in', 'appointment'],
+    default: 'app'
+  },
+
+  // Booking this entry came from (source 'appointment')
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    default: null
+  },
+
+  // Party that joined together under one account - each member has their
+  // own entry and token (null for single joins)
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+    index: true
+  },
+
+  // Snapshot of customer details at join time (shown on the barber dashboard)
+  name: {
+    type: String,
+    required: [true, 'Customer name is required'],
+    trim: true
+  },
+
+  phone: {
+    type: String,
+    trim: true
+  },
+
+  // Shop this entry belongs to (Barber.shopId / BarberShop.shopId)
+  shopId: {
+    type: String,
+    required: [true, 'Shop ID is required']
+  },
+
+  // Token numbers restart at 1 every business day (YYYY-MM-DD)
+  businessDay: {
+    type: String,
+    required: true
+  },
+
+  tokenNumber: {
+    type: Number,
+    required: true
+  },
+
+  // Status tracking
+  status: {
+    type: String,
+    enum: ['waiting', 'called', 'in-service', 'completed', 'cancelled', 'no-show'],
+    default: 'waiting'
+  },
+
+  // Key of the (first) service on the shop's menu - see services/serviceCatalog
+  serviceType: {
+    type: String,
+    default: 'haircut'
+  },
+
+  // Every service picked, as priced on the menu when the customer joined
+  services: [{
+    _id: false,
+    key: String,
+    name: String,
+    price: Number,
+    durationMinutes: Number
+  }],
+
+  // Chair the customer is being served in (set while in-service)
+  chair: {
+    type: Number,
+    min: 1
+  },
+
+  // Priority class tagged by the barber (one of the shop's
+  // queueSettings.priorityClasses; null = regular customer)
+  priorityClass: {
+    type: String,
+    default: null
+  },
+
+  // Why the entry moved in the queue (e.g. bumped back by a priority customer)
+  auditNotes: [{
+    _id: false,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    note: {
+      type: String,
+      required: true
+    }
+  }],
+
+  // Staff member the customer asked for (null = any barber)
+  preferredStaff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null
+  },
+
+  // Staff member serving the customer (in-service) or projected to
+  // serve them (waiting) - maintained by services/queueManager
+  assignedStaff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null
+  },
+
+  // Position in the assigned staff member's own line (0 once served)
+  lanePosition: {
+    type: Number,
+    default: 0
+  },
+
+  // Estimated time (in minutes) - maintained by services/waitTimeEstimator
+  estimatedWaitTime: {
+    type: Number,
+    default: 0
+  },
+
+  // Position in queue (0 once the entry leaves the waiting list)
+  queuePosition: {
+    type: Number,
+    default: 0
+  },
+
+  // Timestamps
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Set when the barber calls the customer up (status 'called')
+  calledAt: {
+    type: Date
+  },
+
+  // Called customers who haven't arrived by now are skipped or marked no-show
+  callExpiresAt: {
+    type: Date
+  },
+
+  // Customer is at the shop ("I'm here") rather than still on their way.
+  // Walk-ins are there from the start.
+  arrived: {
+    type: Boolean,
+    default: false
+  },
+
+  arrivedAt: {
+    type: Date
+  },
+
+  // How the check-in happened: tapped in the app, detected near the shop,
+  // or marked by the barber
+  arrivalMethod: {
+    type: String,
+    enum: ['app', 'geofence', 'barber']
+  },
+
+  // Last travel alert sent to a customer still on their way, so each is
+  // only sent once (see travelGuidance)
+  travelAlert: {
+    type: String,
+    enum: ['leave-now', 'late'],
+    default: null
+  },
+
+  // Times the customer was called, didn't show and was moved to the back
+  skipCount: {
+    type: Number,
+    default: 0
+  },
+
+  serviceStartedAt: {
+    type: Date
+  },
+
+  serviceCompletedAt: {
+    type: Date
+  },
+
+  cancelledAt: {
+    type: Date
+  },
+
+  // Why the entry was cancelled ('switched-queue' when the customer joined
+  // another shop's queue instead)
+  cancelReason: {
+    type: String,
+    enum: [...CANCEL_REASONS, 'switched-queue']
+  },
+
+  cancelNote: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  },
+
+  cancelledBy: {
+    type: String,
+    enum: ['customer', 'barber', 'system']
+  },
+
+  noShowAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Token numbers are unique per shop and business day
+queueEntrySchema.index({ shopId: 1, businessDay: 1, tokenNumber: 1 }, { unique: true });
+
+// A chair serves one customer at a time
+queueEntrySchema.index(
+  { shopId: 1, chair: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: 'in-service', chair: { $type: 'number' } }
+  }
+);
+
+// Fast lookup of a shop's live queue
+queueEntrySchema.index({ shopId: 1, status: 1, queuePosition: 1 });
+
+// Scheduler scan for called customers whose grace period ran out
+queueEntrySchema.index({ status: 1, callExpiresAt: 1 });
+
+/**
+ * Instance method to call the customer up to the chair
+ * @param {Number} graceMinutes - Minutes the customer has to show up
+ */
+queueEntrySchema.methods.call = function (graceMinutes) {
+  this.status = 'called';
+  this.queuePosition = 0;
+  this.calledAt = new Date();
+  this.callExpiresAt = new Date(Date.now() + graceMinutes * 60 * 1000);
+  return this.save();
+};
+
+/**
+ * Instance method to send a called customer who didn't show to the back
+ * @param {Number} position - New queue position (after everyone waiting)
+ */
+queueEntrySchema.methods.skipToBack = function (position) {
+  this.status = 'waiting';
+  this.queuePosition = position;
+  this.skipCount += 1;
+  this.calledAt = undefined;
+  this.callExpiresAt = undefined;
+  return this.save();
+};
+
+/**
+ * Instance method to mark a called customer as a no-show
+ */
+queueEntrySchema.methods.markNoShow = function () {
+  this.status = 'no-show';
+  this.queuePosition = 0;
+  this.lanePosition = 0;
+  this.callExpiresAt = undefined;
+  this.noShowAt = new Date();
+  return this.save();
+};
+
+/**
+ * Instance method to mark entry as in service
+ * @param {Number} chair - Chair the customer is seated in
+ * @param {ObjectId} staffId - Staff member serving the customer (optional)
+ */
+queueEntrySchema.methods.startService = function (chair, staffId = null) {
+  this.status = 'in-service';
+  this.chair = chair;
+  this.assignedStaff = staffId;
+  this.queuePosition = 0;
+  this.lanePosition = 0;
+  this.callExpiresAt = undefined;
+  this.serviceStartedAt = new Date();
+  return this.save();
+};
+
+/**
+ * Instance method to check the customer in as being at the shop
+ * @param {String} method - 'app', 'geofence' or 'barber'
+ */
+queueEntrySchema.methods.checkIn = function (method) {
+  this.arrived = true;
+  this.arrivedAt = new Date();
+  this.arrivalMethod = method;
+  return this.save();
+};
+
+/**
+ * Instance method to mark entry as completed
+ * Only someone in the chair can finish - anything else would log a bogus
+ * service duration.
+ */
+queueEntrySchema.methods.completeService = async function () {
+  if (this.status !== 'in-service') {
+    throw new Error(`Can't complete a ${this.status} entry`);
+  }
+
+  this.status = 'completed';
+  this.queuePosition = 0;
+  this.lanePosition = 0;
+  this.serviceCompletedAt = new Date();
+  return this.save();
+};
+
+/**
+ * Instance method to cancel a waiting or called entry
+ * Keeps token number and shop so the visit stays in the customer's history
+ * @param {Object} options - { reason, note, by: 'customer' / 'barber' / 'system' }
+ */
+queueEntrySchema.methods.cancel = function ({ reason, note, by = 'system' } = {}) {
+  this.status = 'cancelled';
+  this.queuePosition = 0;
+  this.lanePosition = 0;
+  this.cancelledAt = new Date();
+  this.cancelReason = reason;
+  this.cancelNote = note || undefined;
+  this.cancelledBy = by;
+  return this.save();
+};
+
+/**
+ * Instance method to record why the entry moved (not saved)
+ * @param {String} note - Human-readable explanation
+ */
+queueEntrySchema.methods.addAuditNote = function (note) {
+  this.auditNotes.push({ note });
+  return this;
+};
+
+/**
+ * Static method to create an entry with the next token for its shop
+ * Tokens come from the atomic per-day TokenCounter. If the counter is behind
+ * tokens that already exist (e.g. migrated data), the unique index rejects the
+ * insert - the counter is fast-forwarded and the insert retried.
+ * @param {Object} data - Entry fields (shopId required)
+ * @returns {Promise<Document>} - Created queue entry
+ */
+queueEntrySchema.statics.createWithToken = async function (data) {
+  const maxAttempts = 5;
+  const businessDay = TokenCounter.getBusinessDay();
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const tokenNumber = await TokenCounter.nextToken(data.shopId, businessDay);
+
+    try {
+      return await this.create({ ...data, businessDay, tokenNumber });
+    } catch (error) {
+      if (error.code !== 11000 || attempt === maxAttempts) {
+        throw error;
+      }
+
+      const lastEntry = await this.findOne({ shopId: data.shopId, businessDay })
+        .sort({ tokenNumber: -1 })
+        .select('tokenNumber');
+
+      if (lastEntry) {
+        await TokenCounter.updateOne(
+          { shopId: data.shopId, businessDay },
+          { $max: { seq: lastEntry.tokenNumber } }
+        );
+      }
+    }
+  }
+};
+
+/**
+ * Static method to get current queue for a shop
+ * Returns the query so callers can chain populate()
+ */
+queueEntrySchema.statics.getCurrentQueue = function (shopId) {
+  return this.find({
+    shopId,
+    status: { $in: ACTIVE_STATUSES }
+  }).sort({ queuePosition: 1, joinedAt: 1 });
+};
+
+/**
+ * Static method to get the chairs currently occupied at a shop
+ * @param {String} shopId - Shop ID
+ * @returns {Promise<Array<Number>>} - Occupied chair numbers
+ */
+queueEntrySchema.statics.getOccupiedChairs = async function (shopId) {
+  const inService = await this.find({ shopId, status: 'in-service' }).select('chair');
+  return inService.map(entry => entry.chair).filter(Boolean);
+};
+
+/**
+ * Static method to check whether a staff member is serving someone
+ * @param {String} shopId - Shop ID
+ * @param {ObjectId} staffId - Staff ID
+ * @returns {Promise<Boolean>}
+ */
+queueEntrySchema.statics.isStaffBusy = async function (shopId, staffId) {
+  return Boolean(await this.exists({ shopId, status: 'in-service', assignedStaff: staffId }));
+};
+
+/**
+ * Static method to find a customer's active entry (if any)
+ * @param {ObjectId} customerId - Customer account ID
+ */
+queueEntrySchema.statics.findActiveForCustomer = function (customerId) {
+  return this.findOne({
+    customer: customerId,
+    status: { $in: ACTIVE_STATUSES }
+  }).sort({ joinedAt: -1 });
+};
+
+/**
+ * Static method to get a party's members still in the queue, in queue order
+ * @param {ObjectId} groupId - Party group ID
+ */
+queueEntrySchema.statics.findActiveGroup = function (groupId) {
+  return this.find({
+    groupId,
+    status: { $in: ACTIVE_STATUSES }
+  }).sort({ queuePosition: 1, joinedAt: 1 });
+};
+
+/**
+ * Static method to link walk-in visits to a customer account by phone number
+ * Called when a customer signs up by phone - earlier walk-ins with their number
+ * become part of their visit history. Only a verified number links anything,
+ * and only finished visits: a live entry must never change hands.
+ * @param {Document} customer - Customer account
+ * @returns {Promise<Number>} - Number of visits linked
+ */
+queueEntrySchema.statics.linkWalkInsToCustomer = async function (customer) {
+  if (!customer.phone || !customer.phoneVerifiedAt) {
+    return 0;
+  }
+
+  const result = await this.updateMany(
+    {
+      source: 'walk-in',
+      customer: null,
+      phone: customer.phone,
+      status: { $in: ['completed', 'no-show', 'cancelled'] }
+    },
+    { $set: { customer: customer._id } }
+  );
+  return result.modifiedCount;
+};
+
+queueEntrySchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+queueEntrySchema.statics.CANCEL_REASONS = CANCEL_REASONS;
+
+module.exports = mongoose.model('QueueEntry', queueEntrySchema);
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+
+/**
+ * Queue event types (one per queue transition)
+ */
+const EVENT_TYPES = [
+  'joined',
+  'called',
+  'skipped',
+  'serving',
+  'completed',
+  'cancelled',
+  'no-show',
+  'reordered',
+  'priority-changed',
+  'restored',
+  'arrived'
+];
+
+/**
+ * Snapshot of a queue entry before or after a transition
+ */
+const entryStateSchema = new mongoose.Schema({
+  status: String,
+  queuePosition: Number,
+  chair: Number,
+  assignedStaff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
+  priorityClass: String
+}, {
+  _id: false
+});
+
+/**
+ * QueueEvent Schema
+ * Append-only log of every queue transition. Events are never updated or
+ * deleted - the live queue can be rebuilt by replaying them in order
+ * (see services/queueEvents).
+ */
+const queueEventSchema = new mongoose.Schema({
+  shopId: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+
+  // Entry the event is about (null for shop-wide events such as 'reordered')
+  entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QueueEntry',
+    default: null,
+    immutable: true
+  },
+
+  tokenNumber: {
+    type: Number,
+    immutable: true
+  },
+
+  type: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: true,
+    immutable: true
+  },
+
+  // Who caused the transition
+  actor: {
+    type: {
+      type: String,
+      enum: ['customer', 'barber', 'system', 'anonymous'],
+      default: 'system'
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    name: String
+  },
+
+  before: {
+    type: entryStateSchema,
+    default: null
+  },
+
+  after: {
+    type: entryStateSchema,
+    default: null
+  },
+
+  // Type-specific data, e.g. the waiting order for 'reordered'
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  at: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  versionKey: false
+});
+
+queueEventSchema.index({ entry: 1, at: 1 });
+queueEventSchema.index({ shopId: 1, at: 1 });
+
+/**
+ * Refuse any write that would change or remove recorded events
+ */
+const rejectMutation = function (next) {
+  next(new Error('Queue events are immutable'));
+};
+
+queueEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+
+queueEventSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Queue events are immutable'));
+  }
+  next();
+});
+
+/**
+ * Static method to get an entry's events in order
+ * @param {ObjectId} entryId - Queue entry ID
+ */
+queueEventSchema.statics.getTimeline = function (entryId) {
+  return this.find({ entry: entryId }).sort({ at: 1, _id: 1 });
+};
+
+/**
+ * Static method to get a shop's events in order
+ * @param {String} shopId - Shop ID
+ * @param {Object} range - { since, until } (optional Dates)
+ */
+queueEventSchema.statics.getShopEvents = function (shopId, { since, until } = {}) {
+  const query = { shopId };
+  if (since || until) {
+    query.at = {};
+    if (since) query.at.$gt = since;
+    if (until) query.at.$lte = until;
+  }
+  return this.find(query).sort({ at: 1, _id: 1 });
+};
+
+/**
+ * Static method to get the most recent event for an entry
+ * @param {ObjectId} entryId - Queue entry ID
+ */
+queueEventSchema.statics.getLastEvent = function (entryId) {
+  return this.findOne({ entry: entryId }).sort({ at: -1, _id: -1 });
+};
+
+queueEventSchema.statics.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = mongoose.model('QueueEvent', queueEventSchema);
@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * RefreshToken Schema
+ * One document per refresh token handed out. Only a hash of the token is
+ * stored. Every refresh rotates the token: the old one is revoked and a new
+ * one joins the same family (one family per sign-in). Presenting a token
+ * that was already rotated means it was copied, so the whole family is
+ * revoked and that device has to sign in again.
+ */
+const refreshTokenSchema = new mongoose.Schema({
+  // SHA-256 of the token - the token itself never touches the database
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  role: {
+    type: String,
+    enum: ['customer', 'barber'],
+    required: true
+  },
+
+  // Shared by every token rotated from the same sign-in
+  family: {
+    type: String,
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Set when the token was rotated rather than revoked by a logout
+  replacedAt: {
+    type: Date,
+    default: null
+  },
+
+  userAgent: {
+    type: String,
+    maxlength: 300
+  }
+}, {
+  timestamps: true
+});
+
+refreshTokenSchema.index({ user: 1, role: 1 });
+refreshTokenSchema.index({ family: 1 });
+
+// MongoDB removes expired tokens by itself
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static method to hash a raw token for lookup
+ * @param {String} token - Raw refresh token
+ * @returns {String} - Hex SHA-256
+ */
+refreshTokenSchema.statics.hash = function (token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Static method to hand out a new refresh token
+ * @param {Object} options - { user, role, family, userAgent, days }
+ *        `family` is left out for a fresh sign-in
+ * @returns {Promise<String>} - Raw token (only ever returned here)
+ */
+refreshTokenSchema.statics.issue = async function ({ user, role, family, userAgent, days }) {
+  const token = crypto.randomBytes(40).toString('hex');
+
+  await this.create({
+    tokenHash: this.hash(token),
+    user,
+    role,
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    userAgent: userAgent ? String(userAgent).slice(0, 300) : undefined
+  });
+
+  return token;
+};
+
+/**
+ * Static method to exchange a refresh token for a new one
+ * The old token is claimed atomically, so two refreshes racing with the same
+ * token can't both succeed.
+ * @param {String} token - Raw refresh token
+ * @param {Object} options - { userAgent, days }
+ * @returns {Promise<Object>} - { user, role, token } or { error: { status, message } }
+ */
+refreshTokenSchema.statics.rotate = async function (token, { userAgent, days }) {
+  const now = new Date();
+  const tokenHash = this.hash(token);
+
+  const current = await this.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now, replacedAt: now } }
+  );
+
+  if (!current) {
+    const used = await this.findOne({ tokenHash });
+
+    if (used && used.replacedAt) {
+      // A rotated token came back - someone else has a copy of it
+      await this.revokeFamily(used.family);
+      console.log(`🚨 Refresh token reused for ${used.role} ${used.user} - signed out that device`);
+    }
+
+    return { error: { status: 401, message: 'Session expired, please log in again' } };
+  }
+
+  const next = await this.issue({
+    user: current.user,
+    role: current.role,
+    family: current.family,
+    userAgent,
+    days
+  });
+
+  return { user: current.user, role: current.role, token: next };
+};
+
+/**
+ * Static method to revoke one refresh token (logout on this device)
+ * @param {String} token - Raw refresh token
+ */
+refreshTokenSchema.statics.revokeToken = async function (token) {
+  await this.updateOne(
+    { tokenHash: this.hash(token), revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+/**
+ * Static method to revoke every token of one sign-in
+ * @param {String} family - Token family
+ */
+refreshTokenSchema.statics.revokeFamily = async function (family) {
+  await this.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+/**
+ * Static method to revoke every token a user holds (all devices)
+ * @param {ObjectId} user - Customer or Barber ID
+ * @param {String} role - 'customer' or 'barber'
+ * @returns {Promise<Number>} - Number of tokens revoked
+ */
+refreshTokenSchema.statics.revokeAllForUser = async function (user, role) {
+  const result = await this.updateMany(
+    { user, role, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
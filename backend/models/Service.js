@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+/**
+ * Standard services - the catalog of any shop that hasn't set up its own
+ * (limited to the shop's `services` list when it has one)
+ */
+const DEFAULT_SERVICES = [
+  { key: 'haircut', name: 'Haircut', durationMinutes: 20 },
+  { key: 'shave', name: 'Shave', durationMinutes: 15 },
+  { key: 'haircut-shave', name: 'Haircut + Shave', durationMinutes: 35 },
+  { key: 'styling', name: 'Styling', durationMinutes: 30 },
+  { key: 'beard-trim', name: 'Beard Trim', durationMinutes: 10 },
+  { key: 'facial', name: 'Facial', durationMinutes: 25 },
+  { key: 'head-massage', name: 'Head Massage', durationMinutes: 15 },
+  { key: 'hair-color', name: 'Hair Colour', durationMinutes: 45 },
+  { key: 'other', name: 'Other', durationMinutes: 20 }
+];
+
+/**
+ * Service Schema
+ * One item on a shop's service menu - what customers can pick when they
+ * join the queue or book, with its price and expected duration
+ */
+const serviceSchema = new mongoose.Schema({
+  // Shop offering the service (Barber.shopId / BarberShop.shopId)
+  shopId: {
+    type: String,
+    required: [true, 'Shop ID is required']
+  },
+
+  // Stable identifier stored on queue entries, bookings and staff skills
+  key: {
+    type: String,
+    required: [true, 'Service key is required'],
+    lowercase: true,
+    trim: true,
+    immutable: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Service key may only contain letters, numbers and dashes']
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Service name is required'],
+    trim: true,
+    minlength: [2, 'Name must be at least 2 characters long'],
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative'],
+    default: 0
+  },
+
+  // Expected duration until the shop has learned its own average
+  durationMinutes: {
+    type: Number,
+    required: [true, 'Duration is required'],
+    min: [1, 'Duration must be at least 1 minute'],
+    max: [240, 'Duration cannot exceed 240 minutes']
+  },
+
+  // Inactive services stay on past visits but can't be picked
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+serviceSchema.index({ shopId: 1, key: 1 }, { unique: true });
+
+serviceSchema.statics.DEFAULT_SERVICES = DEFAULT_SERVICES;
+
+module.exports = mongoose.model('Service', serviceSchema);
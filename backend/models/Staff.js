@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+/**
+ * Staff Schema
+ * Individual barbers working at a shop - customers can queue for a
+ * specific staff member or for "any barber"
+ */
+const staffSchema = new mongoose.Schema({
+  // Shop this staff member works at (Barber.shopId / BarberShop.shopId)
+  shopId: {
+    type: String,
+    required: [true, 'Shop ID is required']
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Staff name is required'],
+    trim: true,
+    minlength: [2, 'Name must be at least 2 characters long'],
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+
+  // Service types this staff member performs (empty = all services)
+  skills: [{
+    type: String,
+    trim: true
+  }],
+
+  // active: taking customers, on-break: keeps own queue but takes no new
+  // "any barber" customers, inactive: no longer working at the shop
+  status: {
+    type: String,
+    enum: ['active', 'on-break', 'inactive'],
+    default: 'active'
+  }
+}, {
+  timestamps: true
+});
+
+staffSchema.index({ shopId: 1, status: 1 });
+
+/**
+ * Instance method to check if this staff member performs a service
+ * @param {String|Array<String>} serviceTypes - Service type(s), all of which must be skills
+ * @returns {Boolean}
+ */
+staffSchema.methods.canPerform = function (serviceTypes) {
+  return this.skills.length === 0 || [].concat(serviceTypes).every(key => this.skills.includes(key));
+};
+
+/**
+ * Static method to get a shop's working staff (active or on break)
+ * @param {String} shopId - Shop ID
+ */
+staffSchema.statics.getWorkingStaff = function (shopId) {
+  return this.find({
+    shopId,
+    status: { $in: ['active', 'on-break'] }
+  }).sort({ createdAt: 1 });
+};
+
+/**
+ * Static method to find a staff member still working at a shop
+ * @param {String} shopId - Shop ID
+ * @param {String} staffId - Staff ID (invalid IDs simply don't match)
+ * @returns {Promise<Document|null>}
+ */
+staffSchema.statics.findWorkingAtShop = function (shopId, staffId) {
+  if (!mongoose.Types.ObjectId.isValid(staffId)) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({ _id: staffId, shopId, status: { $ne: 'inactive' } });
+};
+
+module.exports = mongoose.model('Staff', staffSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+/**
+ * TokenCounter Schema
+ * One counter per shop per business day. Tokens are handed out with an
+ * atomic $inc, so concurrent joins can never receive the same number.
+ */
+const tokenCounterSchema = new mongoose.Schema({
+  shopId: {
+    type: String,
+    required: true
+  },
+
+  // Business day in YYYY-MM-DD (shop's local time zone)
+  businessDay: {
+    type: String,
+    required: true
+  },
+
+  // Last token number handed out for this shop and day
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+tokenCounterSchema.index({ shopId: 1, businessDay: 1 }, { unique: true });
+
+/**
+ * Static method to get the business day for a date
+ * Uses BUSINESS_TIMEZONE (e.g. 'Asia/Kolkata') so tokens reset at local midnight
+ * @param {Date} date - Date to convert (default: now)
+ * @returns {String} - Business day in YYYY-MM-DD format
+ */
+tokenCounterSchema.statics.getBusinessDay = function (date = new Date()) {
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: process.env.BUSINESS_TIMEZONE || undefined,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+};
+
+/**
+ * Static method to atomically allocate the next token for a shop
+ * The first join of the day creates the counter via upsert. If two requests
+ * race to create it, one hits the unique index and simply retries the $inc.
+ * @param {String} shopId - Shop ID
+ * @param {String} businessDay - Business day (default: today)
+ * @returns {Promise<Number>} - Allocated token number
+ */
+tokenCounterSchema.statics.nextToken = async function (shopId, businessDay = this.getBusinessDay()) {
+  const maxAttempts = 5;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      const counter = await this.findOneAndUpdate(
+        { shopId, businessDay },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+      );
+      return counter.seq;
+    } catch (error) {
+      // Duplicate key: another request created the counter first - retry
+      if (error.code !== 11000 || attempt === maxAttempts) {
+        throw error;
+      }
+    }
+  }
+};
+
+module.exports = mongoose.model('TokenCounter', tokenCounterSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+/**
+ * Queue Pause Schema
+ * A barber's break, embedded in both Barber and BarberShop. The queue stays
+ * as it is; ETAs are pushed back until `until`, when the queue resumes by
+ * itself (see services/queuePause).
+ */
+const queuePauseSchema = new mongoose.Schema({
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  until: {
+    type: Date,
+    required: true
+  },
+
+  // Turn away new customers during the break
+  blockJoins: {
+    type: Boolean,
+    default: false
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reason cannot exceed 100 characters']
+  }
+}, {
+  _id: false
+});
+
+module.exports = queuePauseSchema;
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+/**
+ * Queue Settings Schema
+ * Per-shop queue behaviour, embedded in both Barber and BarberShop
+ */
+const queueSettingsSchema = new mongoose.Schema({
+  // Minutes a called customer has to reach the chair
+  noShowGraceMinutes: {
+    type: Number,
+    default: 5,
+    min: [1, 'Grace period must be at least 1 minute'],
+    max: [30, 'Grace period cannot exceed 30 minutes']
+  },
+
+  // What happens when the grace period runs out:
+  // skip-once: move to the back of the queue the first time, no-show the second
+  // no-show: mark as no-show straight away
+  noShowPolicy: {
+    type: String,
+    enum: ['skip-once', 'no-show'],
+    default: 'skip-once'
+  },
+
+  // Priority classes the barber can tag queue entries with
+  priorityClasses: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [20, 'Priority class names cannot exceed 20 characters']
+    }],
+    default: () => ['senior', 'child', 'vip'],
+    validate: [
+      {
+        validator: classes => classes.length <= 5,
+        message: 'A shop can have at most 5 priority classes'
+      },
+      {
+        validator: classes => classes.every(c => c) && new Set(classes).size === classes.length,
+        message: 'Priority class names must be non-empty and unique'
+      }
+    ]
+  },
+
+  // How tagged customers are ordered against everyone else:
+  // strict: priority customers always go before regular ones
+  // weighted: one priority customer after every `regularPerPriority` regular ones
+  priorityPolicy: {
+    type: String,
+    enum: ['strict', 'weighted'],
+    default: 'weighted'
+  },
+
+  regularPerPriority: {
+    type: Number,
+    default: 3,
+    min: [1, 'At least 1 regular customer must be served per priority customer'],
+    max: [10, 'Cannot serve more than 10 regular customers per priority customer']
+  },
+
+  // When the shop stops taking joins before closing time:
+  // none: joins are accepted until closing time
+  // cutoff: joins stop `lastCallMinutes` before closing time
+  // estimated-finish: joins stop once a new customer wouldn't be done by closing time
+  lastCallPolicy: {
+    type: String,
+    enum: ['none', 'cutoff', 'estimated-finish'],
+    default: 'estimated-finish'
+  },
+
+  lastCallMinutes: {
+    type: Number,
+    default: 30,
+    min: [0, 'Last call cannot be negative'],
+    max: [240, 'Last call cannot be more than 4 hours before closing']
+  },
+
+  // Most customers waiting at once (null = no limit)
+  maxQueueLength: {
+    type: Number,
+    default: null,
+    min: [1, 'Queue length limit must be at least 1'],
+    max: [500, 'Queue length limit cannot exceed 500']
+  },
+
+  // Call the next customer who has checked in, passing over those still
+  // on their way (they slide back behind them)
+  callArrivedOnly: {
+    type: Boolean,
+    default: false
+  },
+
+  // How close to the shop a customer's phone must be to check in by location
+  arrivalRadiusMeters: {
+    type: Number,
+    default: 150,
+    min: [20, 'Arrival radius must be at least 20 m'],
+    max: [2000, 'Arrival radius cannot exceed 2 km']
+  },
+
+  // Average speed customers travel to the shop at, used to tell them when to
+  // leave (see travelGuidance)
+  travelSpeedKmh: {
+    type: Number,
+    default: 20,
+    min: [3, 'Travel speed must be at least 3 km/h'],
+    max: [80, 'Travel speed cannot exceed 80 km/h']
+  }
+}, {
+  _id: false
+});
+
+module.exports = queueSettingsSchema;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const appointmentController = require('../controllers/appointmentController');
+const { protect, authorize, ownShop } = require('../middleware/auth');
+
+/**
+ * Appointment Routes
+ * All routes are prefixed with /api/appointments
+ */
+
+// Public - free slots for a shop and day
+router.get('/slots', appointmentController.getSlots);
+
+// Customer routes
+router.get('/mine', protect, authorize('customer'), appointmentController.getMyAppointments);
+router.post('/', protect, authorize('customer'), appointmentController.bookAppointment);
+router.patch('/:id', protect, authorize('customer'), appointmentController.rescheduleAppointment);
+router.delete('/:id', protect, authorize('customer'), appointmentController.cancelAppointment);
+
+// Barber dashboard
+router.get('/shop/:shopId', protect, authorize('barber'), ownShop, appointmentController.getShopAppointments);
+
+module.exports = router;
@@ -5,27 +5,59 @@ const {
   loginCustomer,
   getCustomerProfile,
   logoutCustomer,
-  updateCustomerLocation
+  updateCustomerLocation,
+  forgotCustomerPassword,
+  resetCustomerPassword,
+  requestCustomerOtp,
+  verifyCustomerOtp,
+  requestPhoneVerification,
+  verifyCustomerPhone
 } = require('../controllers/authController');
 const {
   registerBarber,
   loginBarber,
   getBarberProfile,
-  logoutBarber
+  logoutBarber,
+  forgotBarberPassword,
+  resetBarberPassword
 } = require('../controllers/barberAuthController');
+const {
+  refreshSession,
+  logoutAllDevices
+} = require('../controllers/sessionController');
+const {
+  verifyEmail,
+  resendVerification
+} = require('../controllers/verificationController');
 const { protect, authorize } = require('../middleware/auth');
 
 // Customer routes
 router.post('/customer/signup', registerCustomer);
 router.post('/customer/login', loginCustomer);
 router.post('/customer/logout', logoutCustomer);
+router.post('/customer/forgot-password', forgotCustomerPassword);
+router.post('/customer/reset-password', resetCustomerPassword);
+router.post('/customer/otp/request', requestCustomerOtp);
+router.post('/customer/otp/verify', verifyCustomerOtp);
 router.get('/customer/profile', protect, authorize('customer'), getCustomerProfile);
 router.patch('/customer/location', protect, authorize('customer'), updateCustomerLocation);
+router.post('/customer/phone/request', protect, authorize('customer'), requestPhoneVerification);
+router.post('/customer/phone/verify', protect, authorize('customer'), verifyCustomerPhone);
 
 // Barber routes
 router.post('/barber/signup', registerBarber);
 router.post('/barber/login', loginBarber);
 router.post('/barber/logout', logoutBarber);
+router.post('/barber/forgot-password', forgotBarberPassword);
+router.post('/barber/reset-password', resetBarberPassword);
 router.get('/barber/profile', protect, authorize('barber'), getBarberProfile);
 
+// Session routes (either role)
+router.post('/refresh', refreshSession);
+router.post('/logout-all', protect, logoutAllDevices);
+
+// Email verification (either role)
+router.post('/verify-email', verifyEmail);
+router.post('/resend-verification', protect, resendVerification);
+
 module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const barberController = require('../controllers/barberController');
+const { protect, authorize, ownShop } = require('../middleware/auth');
 
 /**
  * Barber Management Routes
@@ -17,12 +18,18 @@ router.get('/nearby', barberController.getNearbyBarbers);
 router.get('/', barberController.getAllBarbers);
 
 // Toggle shop open/closed status (must come before /:shopId)
-router.patch('/:shopId/toggle-status', barberController.toggleShopStatus);
+router.patch('/:shopId/toggle-status', protect, authorize('barber'), ownShop, barberController.toggleShopStatus);
+
+// Set number of chairs (must come before /:shopId)
+router.patch('/:shopId/chairs', protect, authorize('barber'), ownShop, barberController.updateChairCount);
+
+// Queue settings - no-show grace period etc. (must come before /:shopId)
+router.patch('/:shopId/queue-settings', protect, authorize('barber'), ownShop, barberController.updateQueueSettings);
 
 // Get specific barber by shop ID
 router.get('/:shopId', barberController.getBarberByShopId);
 
 // Update barber information
-router.patch('/:shopId', barberController.updateBarber);
+router.patch('/:shopId', protect, authorize('barber'), ownShop, barberController.updateBarber);
 
 module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const barberShopController = require('../controllers/barberShopController');
+const { protect, authorize, ownShop } = require('../middleware/auth');
 
 /**
  * Barber Shop Location-based Routes
@@ -17,18 +18,28 @@ router.post('/register', barberShopController.registerBarberShop);
 router.get('/list', barberShopController.getAllBarbers);
 
 // Toggle shop open/closed status (must come before /:id)
-router.patch('/:shopId/toggle-status', require('../controllers/barberController').toggleShopStatus);
+router.patch('/:shopId/toggle-status', protect, authorize('barber'), ownShop, require('../controllers/barberController').toggleShopStatus);
+
+// Set number of chairs (must come before /:id)
+router.patch('/:shopId/chairs', protect, authorize('barber'), ownShop, require('../controllers/barberController').updateChairCount);
+
+// Queue settings - no-show grace period etc. (must come before /:id)
+router.patch('/:shopId/queue-settings', protect, authorize('barber'), ownShop, require('../controllers/barberController').updateQueueSettings);
+
+// Break mode - pause / resume the queue (must come before /:id)
+router.post('/:shopId/pause', protect, authorize('barber'), ownShop, require('../controllers/barberController').pauseQueue);
+router.delete('/:shopId/pause', protect, authorize('barber'), ownShop, require('../controllers/barberController').resumeQueue);
 
 // Get barber shop by unique Shop ID (must come before /:id)
 router.get('/shop/:shopId', require('../controllers/barberController').getBarberByShopId);
 
-// Get barber shop by ID (MongoDB _id)
-router.get('/:id', barberShopController.getBarberById);
+// Update barber shop location (must come before /:id)
+router.patch('/:shopId/location', protect, authorize('barber'), ownShop, barberShopController.updateBarberLocation);
 
-// Update barber shop location
-router.patch('/:id/location', barberShopController.updateBarberLocation);
+// Toggle barber shop active status (must come before /:id)
+router.patch('/:shopId/toggle-active', protect, authorize('barber'), ownShop, barberShopController.toggleBarberActive);
 
-// Toggle barber shop active status
-router.patch('/:id/toggle-active', barberShopController.toggleBarberActive);
+// Get barber shop by ID (MongoDB _id)
+router.get('/:id', barberShopController.getBarberById);
 
 module.exports = router;
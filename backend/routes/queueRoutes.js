@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const queueController = require('../controllers/queueController');
-const { protect } = require('../middleware/auth');
+const { protect, authorize, identify } = require('../middleware/auth');
 
 /**
  * Queue Management Routes
@@ -11,15 +11,30 @@ const { protect } = require('../middleware/auth');
 // Customer routes (protected - requires authentication)
 router.post('/join', protect, queueController.joinQueue);
 router.delete('/cancel/:id', protect, queueController.cancelQueue);
-router.get('/status/:id', queueController.getCustomerStatus);
+router.get('/status/:id', identify, queueController.getCustomerStatus);
 router.get('/my-queue', protect, queueController.getMyQueueStatus);
+router.patch('/check-in/:id', protect, queueController.checkIn);
+router.patch('/slide-back/:id', protect, authorize('customer'), queueController.slideBack);
 
-// Barber dashboard routes
-router.get('/list', queueController.getQueue);
-router.patch('/serve/:id', queueController.serveCustomer);
-router.patch('/complete/:id', queueController.completeService);
+// Barber dashboard routes (protected - the barber's own shop only)
+router.get('/list', protect, authorize('barber'), queueController.getQueue);
+router.post('/walk-in', protect, authorize('barber'), queueController.addWalkIn);
+router.post('/call-next', protect, authorize('barber'), queueController.callNext);
+router.patch('/no-show/:id', protect, authorize('barber'), queueController.markNoShow);
+router.patch('/priority/:id', protect, authorize('barber'), queueController.setPriorityClass);
+router.patch('/reorder/:id', protect, authorize('barber'), queueController.reorderEntry);
+router.delete('/remove/:id', protect, authorize('barber'), queueController.removeFromQueue);
+router.patch('/serve/:id', protect, authorize('barber'), queueController.serveCustomer);
+router.patch('/serve-group/:groupId', protect, authorize('barber'), queueController.serveGroup);
+router.patch('/complete/:id', protect, authorize('barber'), queueController.completeService);
+router.post('/undo/:id', protect, authorize('barber'), queueController.undoAction);
 
 // Statistics
-router.get('/stats', queueController.getQueueStats);
+router.get('/stats', protect, authorize('barber'), queueController.getQueueStats);
+
+// Event log
+router.get('/events', protect, authorize('barber'), queueController.getShopEvents);
+router.get('/events/replay', protect, authorize('barber'), queueController.replayQueue);
+router.get('/:entryId/timeline', protect, queueController.getEntryTimeline);
 
 module.exports = router;
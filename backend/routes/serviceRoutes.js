@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const serviceController = require('../controllers/serviceController');
+const { protect, authorize, ownShop } = require('../middleware/auth');
+
+/**
+ * Shop Service Menu Routes
+ * All routes are prefixed with /api/barbers/:shopId/services
+ */
+
+router.get('/', serviceController.getServices);
+router.post('/', protect, authorize('barber'), ownShop, serviceController.addService);
+router.patch('/:key', protect, authorize('barber'), ownShop, serviceController.updateService);
+router.delete('/:key', protect, authorize('barber'), ownShop, serviceController.deleteService);
+
+module.exports = router;
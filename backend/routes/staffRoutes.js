@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const staffController = require('../controllers/staffController');
+const { protect, authorize, ownShop } = require('../middleware/auth');
+
+/**
+ * Shop Staff Routes
+ * All routes are prefixed with /api/barbers/:shopId/staff
+ */
+
+router.get('/', staffController.getStaff);
+router.post('/', protect, authorize('barber'), ownShop, staffController.addStaff);
+router.patch('/:staffId', protect, authorize('barber'), ownShop, staffController.updateStaff);
+router.delete('/:staffId', protect, authorize('barber'), ownShop, staffController.removeStaff);
+
+module.exports = router;
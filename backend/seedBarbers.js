@@ -205,7 +205,7 @@ const seedDatabase = async () => {
     console.log('🗑️  Cleared existing barber data');
 
     // Insert sample barbers
-    const createdBarbers = await BarberShop.insertMany(sampleBarbers);
+    const createdBarbers = await BarberShop.insertMany(sampleBarbers.map(shop => ({ ...shop, verified: true })));
     console.log(`✅ Successfully created ${createdBarbers.length} sample barbers`);
 
     // Display created barbers
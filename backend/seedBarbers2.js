@@ -185,7 +185,7 @@ const seedDatabase = async () => {
     await BarberShop.deleteMany({});
     console.log('🗑️  Cleared existing barber shop data');
 
-    const createdShops = await BarberShop.insertMany(sampleBarbers);
+    const createdShops = await BarberShop.insertMany(sampleBarbers.map(shop => ({ ...shop, verified: true })));
     console.log(`✅ Created ${createdShops.length} barber shops`);
 
     createdShops.forEach((shop, index) => {
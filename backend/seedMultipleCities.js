@@ -237,7 +237,7 @@ const seedMultipleCities = async () => {
     await BarberShop.deleteMany({});
     console.log('🗑️  Cleared existing data');
 
-    const created = await BarberShop.insertMany(multiCityBarbers);
+    const created = await BarberShop.insertMany(multiCityBarbers.map(shop => ({ ...shop, verified: true })));
     console.log(`\n✅ Created ${created.length} barber shops across India!`);
 
     // Group by city
@@ -6,10 +6,20 @@ const bodyParser = require('body-parser');
 const cookieParser = require('cookie-parser');
 const { Server } = require('socket.io');
 const connectDB = require('./config/db');
+const { authenticateSocket } = require('./middleware/auth');
+const queueScheduler = require('./services/queueScheduler');
 
 // Load environment variables
 dotenv.config();
 
+// Refuse to start in production without real mail delivery
+if (process.env.NODE_ENV === 'production') {
+  require('./services/mailTransport').getTransport();
+}
+
+// Texts are optional - warn when phone login is off or codes only go to the log
+require('./services/smsProvider').getProvider();
+
 // Connect to MongoDB
 connectDB();
 
@@ -37,14 +47,33 @@ const io = new Server(server, {
 // Make io accessible to routes
 app.set('io', io);
 
+// Who is on the other end of each socket (see middleware/auth)
+io.use(authenticateSocket);
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
   console.log('✅ Client connected:', socket.id);
+  const { user, role } = socket.data;
 
-  // Join shop-specific room
+  // Join shop-specific room (barber-only queue updates) - owner only
   socket.on('join-shop', (shopId) => {
-    socket.join(`shop-${shopId}`);
-    console.log(`📍 Socket ${socket.id} joined shop-${shopId}`);
+    if (role !== 'barber' || (shopId && shopId !== user.shopId)) {
+      console.log(`🚫 Socket ${socket.id} refused shop-${shopId}`);
+      return;
+    }
+    socket.join(`shop-${user.shopId}`);
+    console.log(`📍 Socket ${socket.id} joined shop-${user.shopId}`);
+  });
+
+  // Join the logged-in customer's own room (personal notifications like
+  // "you're called") - any id the client sends is ignored
+  socket.on('join-customer', () => {
+    if (role !== 'customer') {
+      console.log(`🚫 Socket ${socket.id} refused a customer room`);
+      return;
+    }
+    socket.join(`customer-${user._id}`);
+    console.log(`👤 Socket ${socket.id} joined customer-${user._id}`);
   });
 
   socket.on('disconnect', () => {
@@ -65,11 +94,17 @@ app.use(cookieParser());
 const queueRoutes = require('./routes/queueRoutes');
 const barberShopRoutes = require('./routes/barberShopRoutes');
 const authRoutes = require('./routes/authRoutes');
+const staffRoutes = require('./routes/staffRoutes');
+const serviceRoutes = require('./routes/serviceRoutes');
+const appointmentRoutes = require('./routes/appointmentRoutes');
 
 // API Routes
 app.use('/api/queue', queueRoutes);
+app.use('/api/barbers/:shopId/staff', staffRoutes);
+app.use('/api/barbers/:shopId/services', serviceRoutes);
 app.use('/api/barbers', barberShopRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/appointments', appointmentRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -95,4 +130,7 @@ server.listen(PORT, () => {
   console.log(`🚀 Server is running on port ${PORT}`);
   console.log(`🌐 Environment: ${process.env.NODE_ENV}`);
   console.log(`⚡ Socket.io ready for real-time updates`);
+
+  // Background queue checks (missed calls etc.)
+  queueScheduler.start(io);
 });
@@ -0,0 +1,275 @@
+const Appointment = require('../models/Appointment');
+const QueueEntry = require('../models/QueueEntry');
+const Staff = require('../models/Staff');
+const TokenCounter = require('../models/TokenCounter');
+const shopService = require('./shopService');
+const waitTimeEstimator = require('./waitTimeEstimator');
+const serviceCatalog = require('./serviceCatalog');
+const { getOpeningWindow } = require('./businessHours');
+const { addToQueue, cancelEntry, notifyCustomer } = require('./queueManager');
+const { checkActiveEntry } = require('./joinPolicy');
+
+/**
+ * Appointment Service
+ * Slot availability for bookings, and moving due bookings into the live queue
+ */
+
+const SLOT_MINUTES = 15; // slots start every 15 minutes
+const MIN_LEAD_MINUTES = 15; // can't book a slot starting sooner than this
+const MAX_DAYS_AHEAD = 14; // how far ahead bookings are accepted
+const MISSED_AFTER_MINUTES = 60; // bookings this late when first seen are not queued
+
+/**
+ * Get how many bookings a shop can serve at the same time
+ * One per working staff member, or one per chair for shops without a roster
+ * @param {String} shopId - Shop ID
+ * @returns {Promise<Number>}
+ */
+const getBookingCapacity = async (shopId) => {
+  const staffCount = await Staff.countDocuments({ shopId, status: { $in: ['active', 'on-break'] } });
+  return staffCount > 0 ? staffCount : shopService.getChairCount(shopId);
+};
+
+/**
+ * Check that a business day is bookable (today up to MAX_DAYS_AHEAD)
+ * @param {String} day - Business day (YYYY-MM-DD)
+ * @returns {Boolean}
+ */
+const isBookableDay = (day) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) return false;
+
+  const today = TokenCounter.getBusinessDay();
+  const lastDay = TokenCounter.getBusinessDay(new Date(Date.now() + MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000));
+  return day >= today && day <= lastDay;
+};
+
+/**
+ * Get the free booking slots at a shop for a day and service
+ * A slot is free when it fits inside opening hours and fewer bookings than
+ * the shop's capacity overlap it.
+ * @param {String} shopId - Shop ID
+ * @param {String} day - Business day (YYYY-MM-DD)
+ * @param {String} serviceType - Service to book
+ * @param {ObjectId} excludeId - Appointment to ignore (when rescheduling)
+ * @returns {Promise<Object|null>} - { slots: [{ startTime, endTime }], durationMinutes }
+ *          or null if the shop doesn't exist
+ */
+const getAvailableSlots = async (shopId, day, serviceType, excludeId = null) => {
+  const result = await shopService.findShopByShopId(shopId);
+  if (!result) {
+    return null;
+  }
+
+  const { opensAt, closesAt } = getOpeningWindow(result.shop, day);
+  const durations = await waitTimeEstimator.getServiceDurations(shopId);
+  const durationMinutes = waitTimeEstimator.getDuration(durations, serviceType);
+  const durationMs = durationMinutes * 60 * 1000;
+
+  const [bookings, capacity] = await Promise.all([
+    Appointment.findOverlapping(shopId, opensAt, closesAt, excludeId),
+    getBookingCapacity(shopId)
+  ]);
+
+  const earliest = Date.now() + MIN_LEAD_MINUTES * 60 * 1000;
+  const slots = [];
+
+  for (let start = opensAt.getTime(); start + durationMs <= closesAt.getTime(); start += SLOT_MINUTES * 60 * 1000) {
+    if (start < earliest) continue;
+
+    const end = start + durationMs;
+    const overlapping = bookings.filter(b =>
+      b.startTime.getTime() < end && b.endTime.getTime() > start
+    ).length;
+
+    if (overlapping < capacity) {
+      slots.push({ startTime: new Date(start), endTime: new Date(end) });
+    }
+  }
+
+  return { slots, durationMinutes };
+};
+
+/**
+ * Find the free slot starting at a given time
+ * @param {String} shopId - Shop ID
+ * @param {Date} startTime - Requested slot start
+ * @param {String} serviceType - Service to book
+ * @param {ObjectId} excludeId - Appointment to ignore (when rescheduling)
+ * @returns {Promise<Object|null>} - { startTime, endTime } or null if not free
+ */
+const findFreeSlot = async (shopId, startTime, serviceType, excludeId = null) => {
+  const day = TokenCounter.getBusinessDay(startTime);
+  if (!isBookableDay(day)) {
+    return null;
+  }
+
+  const availability = await getAvailableSlots(shopId, day, serviceType, excludeId);
+  if (!availability) {
+    return null;
+  }
+
+  return availability.slots.find(slot => slot.startTime.getTime() === startTime.getTime()) || null;
+};
+
+/**
+ * Check a saved booking didn't overbook its slot (two customers may book
+ * the last place at the same moment - the later booking loses)
+ * @param {Document} appointment - Saved appointment
+ * @returns {Promise<Boolean>} - True if the shop is over capacity
+ */
+const isOverbooked = async (appointment) => {
+  const [overlapping, capacity] = await Promise.all([
+    Appointment.findOverlapping(appointment.shopId, appointment.startTime, appointment.endTime),
+    getBookingCapacity(appointment.shopId)
+  ]);
+
+  if (overlapping.length <= capacity) {
+    return false;
+  }
+
+  // Keep the earliest bookings, reject this one if it's beyond capacity
+  const sorted = overlapping.sort((a, b) => a.updatedAt - b.updatedAt || a._id.toString().localeCompare(b._id.toString()));
+  return sorted.findIndex(a => a._id.equals(appointment._id)) >= capacity;
+};
+
+/**
+ * Insert one due booking into the live queue
+ * Booked customers go ahead of walk-ins, behind earlier bookings still waiting.
+ * A customer can only hold one active entry: the booking replaces a place
+ * they're still waiting in (anywhere), and waits if they're in a chair.
+ * @param {Document} appointment - Appointment already claimed as 'queued'
+ * @param {Object} io - Socket.io server (may be undefined)
+ * @returns {Promise<Document|null>} - New entry, or null if the booking was put
+ *          back to 'booked' to try again on a later tick
+ */
+const queueAppointment = async (appointment, io) => {
+  const active = await checkActiveEntry(appointment.customer, appointment.shopId);
+  if (active.error) {
+    if (active.entry.status === 'in-service') {
+      appointment.status = 'booked';
+      await appointment.save();
+      return null;
+    }
+
+    // The booking takes over - a party leaves together
+    const leaving = active.entry.groupId
+      ? await QueueEntry.findActiveGroup(active.entry.groupId)
+      : [active.entry];
+    for (const oldEntry of leaving) {
+      await cancelEntry(io, oldEntry, {
+        reason: 'switched-queue',
+        note: `Replaced by booking ${appointment._id} at ${appointment.shopId}`,
+        payload: { appointmentId: appointment._id }
+      });
+    }
+  }
+
+  const bookingsAhead = await QueueEntry.countDocuments({
+    shopId: appointment.shopId,
+    status: 'waiting',
+    source: 'appointment'
+  });
+
+  // The booked barber may have left since
+  const preferredStaff = appointment.preferredStaff
+    ? await Staff.findOne({ _id: appointment.preferredStaff, status: { $ne: 'inactive' } })
+    : null;
+
+  // Price and duration as on the menu now (the service may have been hidden since)
+  const menu = await serviceCatalog.getCatalog(appointment.shopId, { includeInactive: true });
+  const service = menu.find(item => item.key === appointment.serviceType);
+
+  const entry = await addToQueue(io, {
+    customer: appointment.customer,
+    name: appointment.name,
+    phone: appointment.phone,
+    shopId: appointment.shopId,
+    serviceType: appointment.serviceType,
+    services: service ? [serviceCatalog.toSnapshot(service)] : [],
+    preferredStaff: preferredStaff ? preferredStaff._id : null,
+    source: 'appointment',
+    appointment: appointment._id
+  }, { queuePosition: bookingsAhead + 0.5 });
+
+  appointment.queueEntry = entry._id;
+  await appointment.save();
+
+  notifyCustomer(io, entry, 'appointment-queued', {
+    appointmentId: appointment._id,
+    queuePosition: entry.queuePosition,
+    estimatedWaitTime: entry.estimatedWaitTime
+  });
+
+  return entry;
+};
+
+/**
+ * Put a booking that failed to queue back where the scheduler will retry it
+ * If its entry was created before the failure, it just gets linked instead.
+ * @param {Document} appointment - Appointment claimed as 'queued'
+ */
+const releaseAppointment = async (appointment) => {
+  const entry = await QueueEntry.findOne({ appointment: appointment._id });
+
+  if (entry) {
+    await Appointment.updateOne({ _id: appointment._id }, { $set: { queueEntry: entry._id } });
+  } else {
+    await Appointment.updateOne(
+      { _id: appointment._id, status: 'queued' },
+      { $set: { status: 'booked' } }
+    );
+  }
+};
+
+/**
+ * Move every booking whose slot has started into the live queue
+ * Each booking is claimed atomically so it is only queued once. Bookings that
+ * can't be queued yet (or fail) go back to 'booked' and are retried on later
+ * ticks until they're MISSED_AFTER_MINUTES late.
+ * @param {Object} io - Socket.io server (may be undefined)
+ */
+const enqueueDueAppointments = async (io) => {
+  const now = Date.now();
+  const retryLater = [];
+  let appointment;
+
+  while ((appointment = await Appointment.findOneAndUpdate(
+    { _id: { $nin: retryLater }, status: 'booked', startTime: { $lte: new Date(now) } },
+    { $set: { status: 'queued' } },
+    { new: true }
+  ))) {
+    try {
+      // Server was down through the slot - don't queue someone hours late
+      if (appointment.startTime.getTime() < now - MISSED_AFTER_MINUTES * 60 * 1000) {
+        appointment.status = 'missed';
+        await appointment.save();
+        continue;
+      }
+
+      const entry = await queueAppointment(appointment, io);
+      if (!entry) {
+        retryLater.push(appointment._id);
+        continue;
+      }
+      console.log(`📅 Booking queued at ${appointment.shopId} as token #${entry.tokenNumber}`);
+    } catch (error) {
+      console.error('Error queueing appointment:', error);
+      retryLater.push(appointment._id);
+
+      try {
+        await releaseAppointment(appointment);
+      } catch (releaseError) {
+        console.error('Error releasing appointment:', releaseError);
+      }
+    }
+  }
+};
+
+module.exports = {
+  SLOT_MINUTES,
+  isBookableDay,
+  getAvailableSlots,
+  findFreeSlot,
+  isOverbooked,
+  enqueueDueAppointments
+};
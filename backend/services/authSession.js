@@ -0,0 +1,166 @@
+const Customer = require('../models/Customer');
+const Barber = require('../models/Barber');
+const RefreshToken = require('../models/RefreshToken');
+const { generateToken, ACCESS_TOKEN_MINUTES } = require('../middleware/auth');
+
+/**
+ * Auth Sessions
+ * A sign-in hands out two tokens:
+ * - a short-lived JWT access token (`authToken` cookie and response body)
+ * - a refresh token kept server-side (see RefreshToken), sent only as an
+ *   HTTP-only cookie scoped to /api/auth, that buys a new access token and
+ *   is rotated on every use
+ * Logging out revokes the refresh token; "sign out all devices" revokes all
+ * of them and every access token issued so far.
+ */
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 7;
+const REFRESH_COOKIE = 'refreshToken';
+
+const cookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax'
+};
+
+/**
+ * Set the access and refresh cookies
+ * @param {Object} res - Express response
+ * @param {String} accessToken - JWT
+ * @param {String} refreshToken - Raw refresh token
+ */
+const setCookies = (res, accessToken, refreshToken) => {
+  res.cookie('authToken', accessToken, {
+    ...cookieOptions,
+    maxAge: ACCESS_TOKEN_MINUTES * 60 * 1000
+  });
+
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...cookieOptions,
+    path: '/api/auth',
+    maxAge: REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000
+  });
+};
+
+/**
+ * Clear the access and refresh cookies
+ * @param {Object} res - Express response
+ */
+const clearCookies = (res) => {
+  res.cookie('authToken', '', { httpOnly: true, expires: new Date(0) });
+  res.cookie(REFRESH_COOKIE, '', { httpOnly: true, path: '/api/auth', expires: new Date(0) });
+};
+
+/**
+ * Refresh token the client presented (cookie, or body for non-browser clients)
+ * @param {Object} req - Express request
+ * @returns {String|null}
+ */
+const getRefreshToken = (req) => {
+  return (req.cookies && req.cookies[REFRESH_COOKIE]) || (req.body && req.body.refreshToken) || null;
+};
+
+/**
+ * Sign a customer or barber in on this device
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Document} account - Customer or Barber
+ * @returns {Promise<String>} - Access token
+ */
+const startSession = async (req, res, account) => {
+  const accessToken = generateToken(account._id, account.role);
+  const refreshToken = await RefreshToken.issue({
+    user: account._id,
+    role: account.role,
+    userAgent: req.headers['user-agent'],
+    days: REFRESH_TOKEN_DAYS
+  });
+
+  setCookies(res, accessToken, refreshToken);
+  return accessToken;
+};
+
+const models = { customer: Customer, barber: Barber };
+
+/**
+ * Swap the presented refresh token for a new access and refresh token
+ * The account is checked first, so a deleted one never gets a fresh token -
+ * its whole sign-in is revoked instead.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object>} - { user, role, token } or { error: { status, message } }
+ */
+const refreshSession = async (req, res) => {
+  const presented = getRefreshToken(req);
+  if (!presented) {
+    return { error: { status: 401, message: 'No refresh token' } };
+  }
+
+  // Unknown, used or expired tokens are left to rotate() (it spots reuse)
+  const current = await RefreshToken.findOne({
+    tokenHash: RefreshToken.hash(presented),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (current && !(await models[current.role].exists({ _id: current.user }))) {
+    await RefreshToken.revokeFamily(current.family);
+    clearCookies(res);
+    return { error: { status: 401, message: 'Not authorized, user not found' } };
+  }
+
+  const result = await RefreshToken.rotate(presented, {
+    userAgent: req.headers['user-agent'],
+    days: REFRESH_TOKEN_DAYS
+  });
+
+  if (result.error) {
+    clearCookies(res);
+    return result;
+  }
+
+  const accessToken = generateToken(result.user, result.role);
+  setCookies(res, accessToken, result.token);
+  return { user: result.user, role: result.role, token: accessToken };
+};
+
+/**
+ * Sign out on this device
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const endSession = async (req, res) => {
+  const presented = getRefreshToken(req);
+  if (presented) {
+    await RefreshToken.revokeToken(presented);
+  }
+  clearCookies(res);
+};
+
+/**
+ * Sign a customer or barber out everywhere
+ * Revokes every refresh token and rejects access tokens issued until now.
+ * @param {Object} res - Express response (may be null outside a request)
+ * @param {Document} account - Customer or Barber
+ * @returns {Promise<Number>} - Number of sessions revoked
+ */
+const endAllSessions = async (res, account) => {
+  const revoked = await RefreshToken.revokeAllForUser(account._id, account.role);
+
+  // JWT iat has whole-second precision
+  account.tokensValidAfter = new Date(Math.floor(Date.now() / 1000) * 1000);
+  await account.save();
+
+  if (res) {
+    clearCookies(res);
+  }
+  return revoked;
+};
+
+module.exports = {
+  REFRESH_TOKEN_DAYS,
+  startSession,
+  refreshSession,
+  endSession,
+  endAllSessions
+};
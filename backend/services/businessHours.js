@@ -0,0 +1,102 @@
+const TokenCounter = require('../models/TokenCounter');
+
+/**
+ * Business Hours Helpers
+ * Shop opening hours are stored as local 'HH:MM' strings. These helpers turn
+ * them into real Dates in the shop's time zone (BUSINESS_TIMEZONE, same as
+ * daily tokens) so slots and cutoffs are right whatever the server's zone.
+ */
+
+/**
+ * Get a time zone's offset from UTC at a given instant
+ * @param {Date} date - Instant
+ * @returns {Number} - Offset in minutes (e.g. 330 for Asia/Kolkata)
+ */
+const getZoneOffsetMinutes = (date) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: process.env.BUSINESS_TIMEZONE || undefined,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).reduce((acc, part) => {
+    acc[part.type] = parseInt(part.value);
+    return acc;
+  }, {});
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - date.getTime()) / 60000);
+};
+
+/**
+ * Convert a local business day and time to a Date
+ * @param {String} day - Business day (YYYY-MM-DD)
+ * @param {String} time - Local time (HH:MM)
+ * @returns {Date}
+ */
+const toShopTime = (day, time) => {
+  const [year, month, date] = day.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+
+  const guess = Date.UTC(year, month - 1, date, hours, minutes);
+  const offset = getZoneOffsetMinutes(new Date(guess));
+  return new Date(guess - offset * 60000);
+};
+
+/**
+ * Get a shop's opening hours as 'HH:MM' strings
+ * Barber accounts store openingTime/closingTime, manually registered shops
+ * store operatingHours.opening/closing.
+ * @param {Document} shop - Barber or BarberShop
+ * @returns {Object} - { opening, closing }
+ */
+const getOperatingHours = (shop) => ({
+  opening: shop.openingTime || shop.operatingHours?.opening || '09:00',
+  closing: shop.closingTime || shop.operatingHours?.closing || '20:00'
+});
+
+/**
+ * Get when a shop opens and closes on a business day
+ * Shops that close after midnight (e.g. 18:00-01:00) close the next day.
+ * @param {Document} shop - Barber or BarberShop
+ * @param {String} day - Business day (default: today)
+ * @returns {Object} - { opensAt: Date, closesAt: Date }
+ */
+const getOpeningWindow = (shop, day = TokenCounter.getBusinessDay()) => {
+  const { opening, closing } = getOperatingHours(shop);
+  const opensAt = toShopTime(day, opening);
+  let closesAt = toShopTime(day, closing);
+
+  if (closesAt <= opensAt) {
+    closesAt = new Date(closesAt.getTime() + 24 * 60 * 60 * 1000);
+  }
+
+  return { opensAt, closesAt };
+};
+
+/**
+ * Get the opening window a moment falls in (or today's, if it is outside
+ * opening hours) - yesterday's window still counts for after-midnight hours
+ * @param {Document} shop - Barber or BarberShop
+ * @param {Date} date - Moment to check (default: now)
+ * @returns {Object} - { opensAt, closesAt, isWithinHours }
+ */
+const getCurrentWindow = (shop, date = new Date()) => {
+  const yesterday = getOpeningWindow(shop, TokenCounter.getBusinessDay(new Date(date.getTime() - 24 * 60 * 60 * 1000)));
+  if (date >= yesterday.opensAt && date < yesterday.closesAt) {
+    return { ...yesterday, isWithinHours: true };
+  }
+
+  const today = getOpeningWindow(shop, TokenCounter.getBusinessDay(date));
+  return { ...today, isWithinHours: date >= today.opensAt && date < today.closesAt };
+};
+
+module.exports = {
+  toShopTime,
+  getOperatingHours,
+  getOpeningWindow,
+  getCurrentWindow
+};
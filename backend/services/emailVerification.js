@@ -0,0 +1,132 @@
+const Customer = require('../models/Customer');
+const Barber = require('../models/Barber');
+const EmailVerificationToken = require('../models/EmailVerificationToken');
+const { sendMail, escapeHtml } = require('./mailTransport');
+
+/**
+ * Email Verification
+ * New accounts get a "confirm your email" link (FRONTEND_URL/verify-email).
+ * Until it's used, a barber's shop stays out of nearby results and can't be
+ * joined, and a customer can browse but not join a queue (see joinPolicy).
+ */
+
+const VERIFY_TOKEN_HOURS = parseInt(process.env.VERIFY_TOKEN_HOURS) || 24;
+const RESEND_COOLDOWN_SECONDS = 60;
+
+const VERIFY_ERRORS = {
+  ALREADY_VERIFIED: 'ALREADY_VERIFIED',
+  NO_EMAIL: 'NO_EMAIL',
+  RESEND_TOO_SOON: 'RESEND_TOO_SOON',
+  INVALID_TOKEN: 'INVALID_TOKEN'
+};
+
+const models = { customer: Customer, barber: Barber };
+
+/**
+ * Email a verification link to an account
+ * @param {String} role - 'customer' or 'barber'
+ * @param {Document} account - Customer or Barber
+ */
+const sendVerification = async (role, account) => {
+  const token = await EmailVerificationToken.issue({
+    user: account._id,
+    role,
+    email: account.email,
+    hours: VERIFY_TOKEN_HOURS
+  });
+
+  const appUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  const link = `${appUrl}/verify-email?token=${token}`;
+  const name = account.name || account.ownerName;
+  const unlocks = role === 'barber'
+    ? 'Your shop shows up for customers once you do.'
+    : "You'll be able to join queues once you do.";
+
+  await sendMail({
+    to: account.email,
+    subject: 'Confirm your QueueCut email',
+    text: [
+      `Hi ${name},`,
+      '',
+      `Please confirm your email address. ${unlocks}`,
+      `This link works for ${VERIFY_TOKEN_HOURS} hours:`,
+      link
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(name)},</p>
+<p>Please confirm your email address. ${unlocks}
+This link works for ${VERIFY_TOKEN_HOURS} hours:</p>
+<p><a href="${link}">Confirm my email</a></p>`
+  });
+
+  console.log(`✉️  Verification email sent to ${role} ${account.email}`);
+};
+
+/**
+ * Send a fresh verification link (the customer or barber asked again)
+ * @param {String} role - 'customer' or 'barber'
+ * @param {Document} account - Customer or Barber
+ * @returns {Promise<Object>} - {} or { error: { status, code, message } }
+ */
+const resendVerification = async (role, account) => {
+  if (account.emailVerified) {
+    return {
+      error: { status: 409, code: VERIFY_ERRORS.ALREADY_VERIFIED, message: 'Your email is already verified' }
+    };
+  }
+
+  if (!account.email) {
+    return {
+      error: { status: 400, code: VERIFY_ERRORS.NO_EMAIL, message: 'There is no email address on this account' }
+    };
+  }
+
+  const latest = await EmailVerificationToken.findOne({ user: account._id, role, usedAt: null })
+    .sort({ createdAt: -1 });
+  if (latest && Date.now() - latest.createdAt.getTime() < RESEND_COOLDOWN_SECONDS * 1000) {
+    return {
+      error: {
+        status: 429,
+        code: VERIFY_ERRORS.RESEND_TOO_SOON,
+        message: 'A link was just sent - please check your inbox or try again in a minute'
+      }
+    };
+  }
+
+  await sendVerification(role, account);
+  return {};
+};
+
+/**
+ * Confirm an email address with the token from the link
+ * @param {String} token - Raw token
+ * @returns {Promise<Object>} - { account, role } or { error: { status, code, message } }
+ */
+const verifyEmail = async (token) => {
+  const invalid = {
+    error: { status: 400, code: VERIFY_ERRORS.INVALID_TOKEN, message: 'This verification link is invalid or has expired' }
+  };
+
+  const claimed = await EmailVerificationToken.consume(token);
+  if (!claimed) return invalid;
+
+  const account = await models[claimed.role].findById(claimed.user);
+
+  // The address changed since the link went out
+  if (!account || account.email !== claimed.email) return invalid;
+
+  if (!account.emailVerified) {
+    account.emailVerified = true;
+    account.emailVerifiedAt = new Date();
+    await account.save();
+    console.log(`✅ ${claimed.role} ${account.email} verified their email`);
+  }
+
+  return { account, role: claimed.role };
+};
+
+module.exports = {
+  VERIFY_ERRORS,
+  sendVerification,
+  resendVerification,
+  verifyEmail
+};
@@ -0,0 +1,251 @@
+const QueueEntry = require('../models/QueueEntry');
+const shopService = require('./shopService');
+const waitTimeEstimator = require('./waitTimeEstimator');
+const { getCurrentWindow } = require('./businessHours');
+
+/**
+ * Join Policy
+ * Decides whether a customer may join a shop's queue right now. Rejections
+ * carry a stable error code the frontend can show its own message for.
+ */
+
+const JOIN_ERRORS = {
+  SHOP_NOT_FOUND: 'SHOP_NOT_FOUND',
+  SHOP_NOT_VERIFIED: 'SHOP_NOT_VERIFIED',
+  EMAIL_NOT_VERIFIED: 'EMAIL_NOT_VERIFIED',
+  SHOP_INACTIVE: 'SHOP_INACTIVE',
+  SHOP_CLOSED: 'SHOP_CLOSED',
+  LAST_CALL_PASSED: 'LAST_CALL_PASSED',
+  QUEUE_FULL: 'QUEUE_FULL',
+  QUEUE_PAUSED: 'QUEUE_PAUSED',
+  ALREADY_IN_QUEUE: 'ALREADY_IN_QUEUE'
+};
+
+/**
+ * Format a Date as a shop-local 'HH:MM' for messages
+ * @param {Date} date - Moment
+ * @returns {String}
+ */
+const formatTime = (date) => {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: process.env.BUSINESS_TIMEZONE || undefined,
+    hour: '2-digit',
+    minute: '2-digit'
+  }).format(date);
+};
+
+/**
+ * Check whether a shop is listed and taking customers at all
+ * Barber accounts use status, manually registered shops use isActive.
+ * @param {Object} result - Result of shopService.findShopByShopId
+ * @returns {Boolean}
+ */
+const isShopActive = ({ shop, isBarberModel }) => {
+  return isBarberModel ? shop.status === 'active' : shop.isActive !== false;
+};
+
+/**
+ * Check that a shop exists, has finished signing up and is listed
+ * Bookings only need this much - the hours and queue checks apply at slot time.
+ * @param {String} shopId - Shop ID
+ * @returns {Promise<Object>} - { shop, isBarberModel } or
+ *          { error: { status, code, message } }
+ */
+const checkShopListed = async (shopId) => {
+  const result = shopId ? await shopService.findShopByShopId(shopId) : null;
+
+  if (!result) {
+    return {
+      error: { status: 404, code: JOIN_ERRORS.SHOP_NOT_FOUND, message: 'Shop not found' }
+    };
+  }
+
+  const { shop } = result;
+
+  // Barber accounts stay unlisted until the owner confirms their email,
+  // registered shops until the listing has been checked
+  if (!(result.isBarberModel ? shop.emailVerified : shop.verified)) {
+    return {
+      error: {
+        status: 403,
+        code: JOIN_ERRORS.SHOP_NOT_VERIFIED,
+        message: `${shop.shopName} hasn't finished signing up yet`
+      }
+    };
+  }
+
+  if (!isShopActive(result)) {
+    return {
+      error: {
+        status: 403,
+        code: JOIN_ERRORS.SHOP_INACTIVE,
+        message: `${shop.shopName} is not taking customers at the moment`
+      }
+    };
+  }
+
+  return result;
+};
+
+/**
+ * Check that a customer (or a whole party) may join a shop's queue now
+ * @param {String} shopId - Shop ID
+ * @param {Object} options - { serviceTypes: every service being joined for,
+ *        partySize: people joining (default 1), preferredStaffId }
+ * @returns {Promise<Object>} - { shop, settings } or
+ *          { error: { status, code, message, details } }
+ */
+const checkCanJoin = async (shopId, { serviceTypes, partySize = 1, preferredStaffId = null } = {}) => {
+  const { shop, error } = await checkShopListed(shopId);
+  if (error) {
+    return { error };
+  }
+
+  const now = new Date();
+  const { opensAt, closesAt, isWithinHours } = getCurrentWindow(shop, now);
+
+  if (!shop.isOpen || !isWithinHours) {
+    return {
+      error: {
+        status: 409,
+        code: JOIN_ERRORS.SHOP_CLOSED,
+        message: now < opensAt
+          ? `${shop.shopName} is closed - it opens at ${formatTime(opensAt)}`
+          : `${shop.shopName} is closed right now`,
+        details: { opensAt, closesAt }
+      }
+    };
+  }
+
+  const pause = shopService.getActivePause(shop, now);
+
+  if (pause && pause.blockJoins) {
+    return {
+      error: {
+        status: 409,
+        code: JOIN_ERRORS.QUEUE_PAUSED,
+        message: `${shop.shopName} is on a break - the queue reopens at ${formatTime(pause.until)}`,
+        details: { pausedUntil: pause.until }
+      }
+    };
+  }
+
+  const settings = await shopService.getQueueSettings(shopId);
+
+  if (settings.maxQueueLength) {
+    const waiting = await QueueEntry.countDocuments({
+      shopId,
+      status: { $in: ['waiting', 'called'] }
+    });
+
+    if (waiting + partySize > settings.maxQueueLength) {
+      return {
+        error: {
+          status: 409,
+          code: JOIN_ERRORS.QUEUE_FULL,
+          message: waiting < settings.maxQueueLength
+            ? `${shop.shopName}'s queue only has room for ${settings.maxQueueLength - waiting} more`
+            : `${shop.shopName}'s queue is full - please try again soon`,
+          details: { maxQueueLength: settings.maxQueueLength }
+        }
+      };
+    }
+  }
+
+  if (settings.lastCallPolicy === 'cutoff') {
+    const lastCallAt = new Date(closesAt.getTime() - settings.lastCallMinutes * 60 * 1000);
+
+    if (now >= lastCallAt) {
+      return {
+        error: {
+          status: 409,
+          code: JOIN_ERRORS.LAST_CALL_PASSED,
+          message: `Last call at ${shop.shopName} was ${formatTime(lastCallAt)}`,
+          details: { lastCallAt, closesAt }
+        }
+      };
+    }
+  }
+
+  if (settings.lastCallPolicy === 'estimated-finish') {
+    const [{ nextWaitTime, staffWaitTimes }, durations] = await Promise.all([
+      waitTimeEstimator.estimateQueue(shopId),
+      waitTimeEstimator.getServiceDurations(shopId)
+    ]);
+
+    const waitMinutes = preferredStaffId && staffWaitTimes.has(preferredStaffId.toString())
+      ? staffWaitTimes.get(preferredStaffId.toString())
+      : nextWaitTime;
+    // Several services (or a party) are assumed to be done back to back
+    const serviceMinutes = serviceTypes
+      .reduce((total, serviceType) => total + waitTimeEstimator.getDuration(durations, serviceType), 0);
+    const estimatedFinish = new Date(now.getTime() + (waitMinutes + serviceMinutes) * 60 * 1000);
+
+    if (estimatedFinish > closesAt) {
+      return {
+        error: {
+          status: 409,
+          code: JOIN_ERRORS.LAST_CALL_PASSED,
+          message: partySize > 1
+            ? `${shop.shopName} couldn't finish your party of ${partySize} before closing at ${formatTime(closesAt)}`
+            : `${shop.shopName} couldn't finish your ${serviceTypes.join(' + ')} before closing at ${formatTime(closesAt)}`,
+          details: { estimatedFinish, closesAt }
+        }
+      };
+    }
+  }
+
+  return { shop, settings };
+};
+
+/**
+ * Check whether a customer already holds an active entry somewhere
+ * A customer can only be in one queue at a time. An entry that hasn't
+ * reached the chair yet at a different shop can be switched away from.
+ * @param {ObjectId} customerId - Customer account ID
+ * @param {String} shopId - Shop the customer wants to join
+ * @returns {Promise<Object>} - {} when free to join, otherwise
+ *          { entry, canSwitch, error: { status, code, message, details } }
+ */
+const checkActiveEntry = async (customerId, shopId) => {
+  const entry = await QueueEntry.findActiveForCustomer(customerId);
+  if (!entry) {
+    return {};
+  }
+
+  const result = await shopService.findShopByShopId(entry.shopId);
+  const shopName = result ? result.shop.shopName : entry.shopId;
+  const canSwitch = entry.shopId !== shopId && entry.status !== 'in-service';
+
+  let message = `You are already in ${shopName}'s queue (token #${entry.tokenNumber})`;
+  if (entry.status === 'in-service') {
+    message = `You are being served at ${shopName} right now`;
+  } else if (canSwitch) {
+    message += ' - switch queues to join this one instead';
+  }
+
+  return {
+    entry,
+    canSwitch,
+    error: {
+      status: 409,
+      code: JOIN_ERRORS.ALREADY_IN_QUEUE,
+      message,
+      details: {
+        entryId: entry._id,
+        shopId: entry.shopId,
+        shopName,
+        tokenNumber: entry.tokenNumber,
+        status: entry.status,
+        canSwitch
+      }
+    }
+  };
+};
+
+module.exports = {
+  JOIN_ERRORS,
+  checkShopListed,
+  checkCanJoin,
+  checkActiveEntry
+};
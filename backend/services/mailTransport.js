@@ -0,0 +1,145 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Mail Transport
+ * Everything that sends email goes through sendMail(). A transport is any
+ * object with `name` and `async send({ to, subject, text, html })`:
+ * - smtp: real delivery through nodemailer (SMTP_HOST, SMTP_PORT, SMTP_USER,
+ *   SMTP_PASS, SMTP_SECURE)
+ * - file: writes each message to MAIL_DIR as JSON - for development and
+ *   tests, nothing leaves the machine. Refused when NODE_ENV=production, since
+ *   the files hold live reset and verification links.
+ * MAIL_TRANSPORT picks one; without it SMTP is used when SMTP_HOST is set.
+ */
+
+const DEFAULT_MAIL_DIR = path.join(__dirname, '..', 'mail-outbox');
+
+/**
+ * Create an SMTP transport
+ * @param {Object} options - { host, port, secure, user, pass, from }
+ * @returns {Object} - Transport
+ */
+const createSmtpTransport = ({ host, port = 587, secure = false, user, pass, from }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async ({ to, subject, text, html }) => {
+      const info = await transporter.sendMail({ from, to, subject, text, html });
+      return { id: info.messageId };
+    }
+  };
+};
+
+/**
+ * Create a transport that writes messages to disk instead of sending them
+ * @param {Object} options - { dir, from }
+ * @returns {Object} - Transport
+ */
+const createFileTransport = ({ dir = DEFAULT_MAIL_DIR, from } = {}) => {
+  return {
+    name: 'file',
+    dir,
+    send: async ({ to, subject, text, html }) => {
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      const file = path.join(dir, `${id}.json`);
+
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(file, JSON.stringify({ id, from, to, subject, text, html, sentAt: new Date() }, null, 2));
+
+      // Only the file path - the body holds live links
+      console.log(`📧 Mail to ${to}: "${subject}" (saved to ${file})`);
+      return { id, file };
+    }
+  };
+};
+
+/**
+ * Build the transport the environment asks for
+ * @returns {Object} - Transport
+ */
+const createTransportFromEnv = () => {
+  const from = process.env.MAIL_FROM || 'QueueCut <no-reply@queuecut.local>';
+  const kind = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file');
+
+  if (kind === 'smtp') {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('MAIL_TRANSPORT=smtp needs SMTP_HOST');
+    }
+
+    return createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from
+    });
+  }
+
+  if (kind === 'file') {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('No mail delivery configured - set SMTP_HOST (the file transport is not allowed in production)');
+    }
+    return createFileTransport({ dir: process.env.MAIL_DIR || DEFAULT_MAIL_DIR, from });
+  }
+
+  throw new Error(`Unknown MAIL_TRANSPORT "${kind}" (use smtp or file)`);
+};
+
+let transport = null;
+
+/**
+ * Transport in use (created from the environment on first use)
+ * Throws if the environment's mail settings are unusable - server.js calls
+ * this at startup in production so that happens before anyone signs up.
+ * @returns {Object}
+ */
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransportFromEnv();
+  }
+  return transport;
+};
+
+/**
+ * Swap the transport (e.g. a file transport in tests)
+ * @param {Object|null} next - Transport, or null to go back to the environment's
+ */
+const setTransport = (next) => {
+  transport = next;
+};
+
+/**
+ * Escape user input (names etc.) before putting it in an HTML body
+ * @param {String} value - Text
+ * @returns {String}
+ */
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+/**
+ * Send one email
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} - Whatever the transport reports ({ id, ... })
+ */
+const sendMail = async (message) => {
+  return getTransport().send(message);
+};
+
+module.exports = {
+  createSmtpTransport,
+  createFileTransport,
+  getTransport,
+  setTransport,
+  sendMail,
+  escapeHtml
+};
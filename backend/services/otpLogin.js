@@ -0,0 +1,229 @@
+const Customer = require('../models/Customer');
+const OtpCode = require('../models/OtpCode');
+const QueueEntry = require('../models/QueueEntry');
+const { sendSms, isAvailable } = require('./smsProvider');
+
+/**
+ * Phone OTP Login
+ * Customers sign in with a code texted to their phone instead of an email
+ * and password. A number nobody has used yet becomes a new account (the
+ * customer is asked for their name once the code checks out). A code only
+ * ever signs in to an account whose number was already verified - a number
+ * typed in at email sign-up proves nothing, so those customers log in by
+ * email and verify the number from their account first.
+ */
+
+const PHONE_PATTERN = /^[0-9]{10}$/;
+
+/**
+ * Normalise a phone number the way Customer stores it
+ * @param {String} phone - What the customer typed
+ * @returns {String|null} - 10 digits, or null when it isn't a valid number
+ */
+const cleanPhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return PHONE_PATTERN.test(digits) ? digits : null;
+};
+
+/**
+ * Find the account a phone number signs in to
+ * Phone numbers aren't unique on Customer, and only a verified one counts.
+ * @param {String} phone - 10-digit phone number
+ * @returns {Promise<Object>} - { customer } (null for a new number),
+ *          { ambiguous: true } or { emailOnly: true } (only unverified matches)
+ */
+const findAccount = async (phone) => {
+  const matches = await Customer.find({ phone });
+  const verified = matches.filter(customer => customer.phoneVerifiedAt);
+
+  if (verified.length > 1) {
+    return { ambiguous: true };
+  }
+  if (verified.length === 1) {
+    return { customer: verified[0] };
+  }
+  return matches.length > 0 ? { emailOnly: true } : { customer: null };
+};
+
+/**
+ * Text a login code to a phone
+ * @param {String} phone - 10-digit phone number
+ * @returns {Promise<Object>} - {} or { error: { status, message, retryAfterSeconds } }
+ */
+const requestOtp = async (phone) => {
+  // Phone login is optional - without a provider there is nothing to send with
+  if (!isAvailable()) {
+    return {
+      error: {
+        status: 503,
+        message: "Codes can't be texted right now - please try again later or use your email"
+      }
+    };
+  }
+  const { code, retryAfterSeconds } = await OtpCode.issue(phone);
+
+  if (!code) {
+    return {
+      error: {
+        status: 429,
+        message: `Please wait ${retryAfterSeconds} seconds before asking for another code`,
+        retryAfterSeconds
+      }
+    };
+  }
+
+  try {
+    await sendSms({
+      to: phone,
+      body: `${code} is your QueueCut login code. It expires in ${OtpCode.CODE_MINUTES} minutes. Don't share it with anyone.`
+    });
+  } catch (error) {
+    // Nothing was delivered - let the customer try again straight away
+    await OtpCode.deleteOne({ phone });
+    throw error;
+  }
+
+  console.log(`📱 Login code sent to ${phone}`);
+  return {};
+};
+
+/**
+ * Check a login code and find or create the customer's account
+ * @param {String} phone - 10-digit phone number
+ * @param {String} code - Code from the text
+ * @param {String} name - Customer's name (only needed for a new account)
+ * @returns {Promise<Object>} - { customer, created } or { error: { status, message, ... } }
+ */
+const verifyOtp = async (phone, code, name) => {
+  const { customer, ambiguous, emailOnly } = await findAccount(phone);
+  const refused = ambiguous || emailOnly;
+  const needsName = !refused && !customer && !name;
+
+  // Keep the code alive if the customer still has to give their name
+  const check = await OtpCode.verify(phone, code, { consume: !refused && !needsName });
+  if (check.error) {
+    return { error: check.error };
+  }
+
+  if (ambiguous) {
+    return {
+      error: {
+        status: 409,
+        message: 'Several accounts use this phone number - please log in with your email instead'
+      }
+    };
+  }
+
+  if (emailOnly) {
+    return {
+      error: {
+        status: 409,
+        message: 'This number belongs to an account that logs in with email - log in with your email, then verify your phone from your account'
+      }
+    };
+  }
+
+  if (needsName) {
+    return {
+      error: {
+        status: 400,
+        message: 'Welcome! Tell us your name to create your account',
+        needsName: true
+      }
+    };
+  }
+
+  if (!customer) {
+    const created = await Customer.create({ name, phone, phoneVerifiedAt: new Date() });
+
+    // Walk-in visits made with this phone number now belong to the account
+    const linkedVisits = await QueueEntry.linkWalkInsToCustomer(created);
+    if (linkedVisits > 0) {
+      console.log(`🔗 Linked ${linkedVisits} walk-in visit(s) to ${phone}`);
+    }
+
+    console.log(`📱 New customer ${created.name} signed up with ${phone}`);
+    return { customer: created, created: true };
+  }
+
+  return { customer, created: false };
+};
+
+/**
+ * Check a logged-in customer can verify the phone number on their account
+ * @param {Document} customer - Customer account
+ * @returns {Promise<Object|null>} - { status, message } or null when they can
+ */
+const checkCanVerifyPhone = async (customer) => {
+  if (customer.phoneVerifiedAt) {
+    return { status: 409, message: 'Your phone number is already verified' };
+  }
+
+  if (!customer.phone) {
+    return { status: 400, message: 'There is no phone number on this account' };
+  }
+
+  const taken = await Customer.exists({
+    _id: { $ne: customer._id },
+    phone: customer.phone,
+    phoneVerifiedAt: { $ne: null }
+  });
+  if (taken) {
+    return { status: 409, message: 'Another account has already verified this phone number' };
+  }
+
+  return null;
+};
+
+/**
+ * Text a code to the phone number on a logged-in customer's account
+ * @param {Document} customer - Customer account
+ * @returns {Promise<Object>} - {} or { error: { status, message, retryAfterSeconds } }
+ */
+const requestPhoneVerification = async (customer) => {
+  const error = await checkCanVerifyPhone(customer);
+  if (error) {
+    return { error };
+  }
+
+  return requestOtp(customer.phone);
+};
+
+/**
+ * Verify the phone number on a logged-in customer's account with a code
+ * From then on the number can also log in to the account.
+ * @param {Document} customer - Customer account
+ * @param {String} code - Code from the text
+ * @returns {Promise<Object>} - { customer } or { error: { status, message, ... } }
+ */
+const verifyPhone = async (customer, code) => {
+  const error = await checkCanVerifyPhone(customer);
+  if (error) {
+    return { error };
+  }
+
+  const check = await OtpCode.verify(customer.phone, code, { consume: true });
+  if (check.error) {
+    return { error: check.error };
+  }
+
+  customer.phoneVerifiedAt = new Date();
+  await customer.save();
+
+  // Finished walk-in visits made with this number now belong to the account
+  const linkedVisits = await QueueEntry.linkWalkInsToCustomer(customer);
+  if (linkedVisits > 0) {
+    console.log(`🔗 Linked ${linkedVisits} walk-in visit(s) to ${customer.phone}`);
+  }
+
+  console.log(`📱 Customer ${customer._id} verified ${customer.phone}`);
+  return { customer };
+};
+
+module.exports = {
+  cleanPhone,
+  requestOtp,
+  verifyOtp,
+  requestPhoneVerification,
+  verifyPhone
+};
@@ -0,0 +1,101 @@
+const Customer = require('../models/Customer');
+const Barber = require('../models/Barber');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const authSession = require('./authSession');
+const { sendMail, escapeHtml } = require('./mailTransport');
+
+/**
+ * Password Reset
+ * "Forgot password" emails a link with a single-use token to the account's
+ * address. The link opens the role's login screen (`?reset=<token>`), where
+ * the new password is set. A reset signs the account out everywhere.
+ */
+
+const RESET_TOKEN_MINUTES = parseInt(process.env.RESET_TOKEN_MINUTES) || 30;
+
+const models = { customer: Customer, barber: Barber };
+const loginPaths = { customer: '/customer-auth', barber: '/barber-auth' };
+
+/**
+ * Email a reset link, if there is an account for the address
+ * Callers answer the same either way so addresses can't be probed.
+ * @param {String} role - 'customer' or 'barber'
+ * @param {String} email - Account email
+ * @returns {Promise<Boolean>} - Whether an email went out
+ */
+const requestReset = async (role, email) => {
+  const account = await models[role].findOne({ email: String(email).trim().toLowerCase() });
+  if (!account) return false;
+
+  const token = await PasswordResetToken.issue({
+    user: account._id,
+    role,
+    minutes: RESET_TOKEN_MINUTES
+  });
+
+  const appUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  const link = `${appUrl}${loginPaths[role]}?reset=${token}`;
+  const name = account.name || account.ownerName;
+
+  // A failed delivery must look the same as an unknown address to the caller
+  try {
+    await sendMail({
+      to: account.email,
+      subject: 'Reset your QueueCut password',
+      text: [
+        `Hi ${name},`,
+        '',
+        'Someone asked to reset the password for your QueueCut account.',
+        `Open this link within ${RESET_TOKEN_MINUTES} minutes to choose a new one:`,
+        link,
+        '',
+        "If it wasn't you, ignore this email - your password stays the same."
+      ].join('\n'),
+      html: `<p>Hi ${escapeHtml(name)},</p>
+<p>Someone asked to reset the password for your QueueCut account.
+Open this link within ${RESET_TOKEN_MINUTES} minutes to choose a new one:</p>
+<p><a href="${link}">Reset my password</a></p>
+<p>If it wasn't you, ignore this email - your password stays the same.</p>`
+    });
+  } catch (error) {
+    console.error(`Error sending password reset mail to ${role} ${account.email}:`, error);
+    return false;
+  }
+
+  console.log(`🔑 Password reset requested for ${role} ${account.email}`);
+  return true;
+};
+
+/**
+ * Set a new password with a reset token
+ * @param {String} role - 'customer' or 'barber'
+ * @param {String} token - Raw token from the email
+ * @param {String} password - New password
+ * @returns {Promise<Object>} - { account } or { error: { status, message } }
+ */
+const resetPassword = async (role, token, password) => {
+  const claimed = await PasswordResetToken.consume(token, role);
+  if (!claimed) {
+    return { error: { status: 400, message: 'This reset link is invalid or has expired' } };
+  }
+
+  const account = await models[role].findById(claimed.user).select('+password');
+  if (!account) {
+    return { error: { status: 400, message: 'This reset link is invalid or has expired' } };
+  }
+
+  account.password = password;
+  await account.save();
+
+  // Whoever knew the old password is signed out too
+  await authSession.endAllSessions(null, account);
+
+  console.log(`🔑 Password reset for ${role} ${account.email}`);
+  return { account };
+};
+
+module.exports = {
+  RESET_TOKEN_MINUTES,
+  requestReset,
+  resetPassword
+};
@@ -0,0 +1,110 @@
+const QueueEntry = require('../models/QueueEntry');
+const TokenCounter = require('../models/TokenCounter');
+
+/**
+ * Priority Ordering
+ * Orders a shop's waiting list according to its priority policy.
+ *
+ * Entries tagged with a priority class (seniors, children, VIPs, ...) are
+ * moved forward: under 'strict' they all go before regular customers, under
+ * 'weighted' one is served after every `regularPerPriority` regular customers.
+ * A priority customer is never placed behind where plain FIFO would put them.
+ */
+
+/**
+ * Count regular customers taken off the waiting list since the last priority
+ * customer today (so weighted interleaving continues where it left off)
+ * @param {String} shopId - Shop ID
+ * @param {Number} limit - Stop counting here (the policy's ratio)
+ * @returns {Promise<Number>}
+ */
+const getRegularSinceLastPriority = async (shopId, limit) => {
+  const recent = await QueueEntry.aggregate([
+    {
+      $match: {
+        shopId,
+        businessDay: TokenCounter.getBusinessDay(),
+        status: { $in: ['called', 'in-service', 'completed', 'no-show'] }
+      }
+    },
+    {
+      $project: {
+        priorityClass: 1,
+        leftQueueAt: { $ifNull: ['$calledAt', '$serviceStartedAt'] }
+      }
+    },
+    { $match: { leftQueueAt: { $ne: null } } },
+    { $sort: { leftQueueAt: -1 } },
+    { $limit: limit }
+  ]);
+
+  const lastPriority = recent.findIndex(entry => entry.priorityClass);
+  return lastPriority === -1 ? recent.length : lastPriority;
+};
+
+/**
+ * Order waiting entries by the shop's priority policy
+ * @param {Array<Document>} waiting - Waiting entries in current queue order
+ * @param {Object} settings - Shop queue settings (priorityPolicy, regularPerPriority)
+ * @param {Number} regularServed - Regular customers served since the last priority one
+ * @returns {Array<Document>} - Entries in their new order
+ */
+const orderWaiting = (waiting, settings, regularServed = 0) => {
+  const indexed = waiting.map((entry, index) => ({ entry, index }));
+  const priority = indexed.filter(item => item.entry.priorityClass);
+  const regular = indexed.filter(item => !item.entry.priorityClass);
+
+  if (settings.priorityPolicy === 'strict') {
+    return [...priority, ...regular].map(item => item.entry);
+  }
+
+  const ordered = [];
+  let count = regularServed;
+
+  while (priority.length > 0 || regular.length > 0) {
+    const priorityDue = priority.length > 0 && (
+      regular.length === 0 ||
+      count >= settings.regularPerPriority ||
+      priority[0].index < regular[0].index
+    );
+
+    if (priorityDue) {
+      ordered.push(priority.shift().entry);
+      count = 0;
+    } else {
+      ordered.push(regular.shift().entry);
+      count += 1;
+    }
+  }
+
+  return ordered;
+};
+
+/**
+ * Find entries that were bumped back by a priority customer
+ * @param {Array<Document>} before - Waiting entries in previous order
+ * @param {Array<Document>} after - Waiting entries in new order
+ * @returns {Array<Object>} - [{ entry, bumpedBy: [Document] }]
+ */
+const findBumped = (before, after) => {
+  const oldIndex = new Map(before.map((entry, i) => [entry._id.toString(), i]));
+  const newIndex = new Map(after.map((entry, i) => [entry._id.toString(), i]));
+
+  return after
+    .map(entry => {
+      const id = entry._id.toString();
+      const bumpedBy = after.filter(other =>
+        other.priorityClass &&
+        oldIndex.get(other._id.toString()) > oldIndex.get(id) &&
+        newIndex.get(other._id.toString()) < newIndex.get(id)
+      );
+      return { entry, bumpedBy };
+    })
+    .filter(item => item.bumpedBy.length > 0);
+};
+
+module.exports = {
+  getRegularSinceLastPriority,
+  orderWaiting,
+  findBumped
+};
@@ -0,0 +1,173 @@
+const QueueEvent = require('../models/QueueEvent');
+
+/**
+ * Queue Events
+ * Records every queue transition in the append-only QueueEvent log, and
+ * rebuilds a shop's queue by replaying those events - used to settle
+ * disputes ("I was ahead of him!") and to derive analytics.
+ */
+
+const SYSTEM_ACTOR = { type: 'system', id: null, name: 'system' };
+
+/**
+ * Work out who made a request
+ * @param {Object} req - Express request (req.user / req.userRole set by protect)
+ * @returns {Object} - { type, id, name }
+ */
+const actorFromRequest = (req) => {
+  if (!req.user) {
+    return { type: 'anonymous', id: null, name: null };
+  }
+  return {
+    type: req.userRole,
+    id: req.user._id,
+    name: req.user.name || req.user.ownerName || req.user.shopName
+  };
+};
+
+/**
+ * Capture the parts of an entry that transitions change
+ * @param {Document} entry - Queue entry
+ * @returns {Object}
+ */
+const snapshot = (entry) => ({
+  status: entry.status,
+  queuePosition: entry.queuePosition,
+  chair: entry.chair,
+  assignedStaff: entry.assignedStaff ? entry.assignedStaff._id || entry.assignedStaff : undefined,
+  priorityClass: entry.priorityClass || undefined
+});
+
+/**
+ * Append an event for an entry's transition
+ * Logging must never break the queue itself, so failures are only reported.
+ * @param {Document} entry - Queue entry, already in its new state
+ * @param {String} type - Event type (QueueEvent.EVENT_TYPES)
+ * @param {Object} options - { actor, before (snapshot), details }
+ * @returns {Promise<Document|null>}
+ */
+const record = async (entry, type, { actor = SYSTEM_ACTOR, before = null, details = {} } = {}) => {
+  try {
+    return await QueueEvent.create({
+      shopId: entry.shopId,
+      entry: entry._id,
+      tokenNumber: entry.tokenNumber,
+      type,
+      actor,
+      before,
+      after: snapshot(entry),
+      details
+    });
+  } catch (error) {
+    console.error(`Error recording ${type} event for token #${entry.tokenNumber}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Append a shop-wide 'reordered' event with the new waiting order
+ * @param {String} shopId - Shop ID
+ * @param {Array<Document>} waitingEntries - Waiting entries in their new order
+ * @param {Object} options - { actor, reason, details (extra event data) }
+ * @returns {Promise<Document|null>}
+ */
+const recordReorder = async (shopId, waitingEntries, { actor = SYSTEM_ACTOR, reason, details = {} } = {}) => {
+  try {
+    return await QueueEvent.create({
+      shopId,
+      type: 'reordered',
+      actor,
+      details: {
+        ...details,
+        reason,
+        order: waitingEntries.map(entry => entry._id.toString()),
+        tokens: waitingEntries.map(entry => entry.tokenNumber)
+      }
+    });
+  } catch (error) {
+    console.error(`Error recording reorder event at ${shopId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Rebuild queue state from events (pure - no database access)
+ * Waiting customers are kept in an ordered list: joins, skips and undos back
+ * to waiting insert at the position they were given, calls/services/
+ * cancellations remove, and 'reordered' events replace the whole order.
+ * @param {Array<Object>} events - Events in the order they happened
+ * @returns {Object} - { entries: Map(entryId -> state), waiting: [entryId] }
+ */
+const replayEvents = (events) => {
+  const entries = new Map();
+  let waiting = [];
+
+  const removeWaiting = (id) => {
+    waiting = waiting.filter(waitingId => waitingId !== id);
+  };
+
+  const insertWaiting = (id, position) => {
+    removeWaiting(id);
+    // Positions may be fractional (inserted between two customers)
+    const index = Math.min(Math.max(Math.ceil(position || waiting.length + 1) - 1, 0), waiting.length);
+    waiting.splice(index, 0, id);
+  };
+
+  events.forEach(event => {
+    if (event.type === 'reordered') {
+      waiting = (event.details.order || []).filter(id => entries.has(id));
+      return;
+    }
+
+    const id = event.entry.toString();
+    const after = event.after || {};
+    const state = entries.get(id) || { entryId: id, tokenNumber: event.tokenNumber };
+
+    state.status = after.status || state.status;
+    state.priorityClass = after.priorityClass || null;
+    if (after.chair) state.chair = after.chair;
+    state.updatedAt = event.at;
+    entries.set(id, state);
+
+    if (['joined', 'skipped', 'restored'].includes(event.type) && state.status === 'waiting') {
+      insertWaiting(id, after.queuePosition);
+    } else if (state.status !== 'waiting') {
+      removeWaiting(id);
+    }
+  });
+
+  waiting.forEach((id, i) => {
+    entries.get(id).queuePosition = i + 1;
+  });
+
+  return { entries, waiting };
+};
+
+/**
+ * Replay a shop's events up to a moment
+ * @param {String} shopId - Shop ID
+ * @param {Date} until - Replay events up to here (default: now)
+ * @param {Date} since - Only events after this (default: 24 hours before `until`)
+ * @returns {Promise<Object>} - { entries: [state], waiting: [state], eventCount }
+ */
+const replayShop = async (shopId, until = new Date(), since = null) => {
+  const from = since || new Date(until.getTime() - 24 * 60 * 60 * 1000);
+  const events = await QueueEvent.getShopEvents(shopId, { since: from, until }).lean();
+  const { entries, waiting } = replayEvents(events);
+
+  return {
+    entries: [...entries.values()],
+    waiting: waiting.map(id => entries.get(id)),
+    eventCount: events.length
+  };
+};
+
+module.exports = {
+  SYSTEM_ACTOR,
+  actorFromRequest,
+  snapshot,
+  record,
+  recordReorder,
+  replayEvents,
+  replayShop
+};
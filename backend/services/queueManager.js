@@ -0,0 +1,711 @@
+const mongoose = require('mongoose');
+const QueueEntry = require('../models/QueueEntry');
+const QueueEvent = require('../models/QueueEvent');
+const Customer = require('../models/Customer');
+const Staff = require('../models/Staff');
+const waitTimeEstimator = require('./waitTimeEstimator');
+const shopService = require('./shopService');
+const priorityOrdering = require('./priorityOrdering');
+const queueEvents = require('./queueEvents');
+const { checkActiveEntry } = require('./joinPolicy');
+
+/**
+ * Queue Manager
+ * Shared queue bookkeeping used by the queue and shop controllers
+ */
+
+// Staff references populated on queue entries returned to clients
+const STAFF_FIELDS = 'preferredStaff assignedStaff';
+
+// How long a barber has to take back a serve, complete, no-show or removal
+const UNDO_WINDOW_MS = 60 * 1000;
+const UNDOABLE_EVENTS = {
+  serving: 'seating',
+  completed: 'completion',
+  'no-show': 'no-show',
+  cancelled: 'removal'
+};
+
+/**
+ * Order waiting entries by the shop's priority policy
+ * @param {String} shopId - Shop ID
+ * @param {Array<Document>} waiting - Waiting entries in current queue order
+ * @returns {Promise<Object>} - { ordered, settings }
+ */
+const applyPriorityOrder = async (shopId, waiting) => {
+  const settings = await shopService.getQueueSettings(shopId);
+  const regularServed = settings.priorityPolicy === 'weighted'
+    ? await priorityOrdering.getRegularSinceLastPriority(shopId, settings.regularPerPriority)
+    : 0;
+
+  return { ordered: priorityOrdering.orderWaiting(waiting, settings, regularServed), settings };
+};
+
+/**
+ * Renumber waiting entries and refresh their ETAs after any queue change
+ * Waiting entries are ordered by the shop's priority policy; regular
+ * customers pushed back by a priority customer get an audit note. Also
+ * records which staff member each waiting customer is projected to get and
+ * their position in that staff member's line.
+ * @param {String} shopId - Shop ID
+ * @returns {Promise<Array<Document>>} - Entries bumped back by a priority customer
+ */
+const updateQueuePositions = async (shopId) => {
+  const currentQueue = await QueueEntry.getCurrentQueue(shopId);
+  const previousOrder = currentQueue.filter(entry => entry.status === 'waiting');
+
+  let waitingEntries = previousOrder;
+  let bumped = [];
+  if (previousOrder.some(entry => entry.priorityClass)) {
+    const { ordered } = await applyPriorityOrder(shopId, previousOrder);
+    waitingEntries = ordered;
+
+    if (waitingEntries.some((entry, i) => entry !== previousOrder[i])) {
+      await queueEvents.recordReorder(shopId, waitingEntries, { reason: 'priority-policy' });
+    }
+
+    bumped = priorityOrdering.findBumped(previousOrder, waitingEntries).map(({ entry, bumpedBy }) => {
+      const names = bumpedBy.map(other => `#${other.tokenNumber} (${other.priorityClass})`).join(', ');
+      entry.addAuditNote(`Moved back ${bumpedBy.length} place(s) for priority customer ${names}`);
+      console.log(`⭐ Token #${entry.tokenNumber} at ${shopId} bumped by priority ${names}`);
+      return entry;
+    });
+  }
+
+  waitingEntries.forEach((entry, i) => {
+    entry.queuePosition = i + 1;
+  });
+
+  // Estimator walks the queue in order: called/in-service first, then waiting
+  const queue = [
+    ...currentQueue.filter(entry => entry.status !== 'waiting'),
+    ...waitingEntries
+  ];
+
+  const { waitTimes, assignments } = await waitTimeEstimator.estimateQueue(shopId, queue);
+
+  for (const entry of waitingEntries) {
+    const { staffId, lanePosition } = assignments.get(entry._id.toString());
+    entry.estimatedWaitTime = waitTimes.get(entry._id.toString());
+    entry.assignedStaff = staffId;
+    entry.lanePosition = lanePosition;
+    await entry.save();
+  }
+
+  return bumped;
+};
+
+/**
+ * Refresh a waiting entry's ETA, projected staff member and line position
+ * from the estimator (in memory only - used for status lookups)
+ * @param {Document} entry - Queue entry
+ * @returns {Promise<Document>} - The same entry
+ */
+const applyLiveEstimate = async (entry) => {
+  const { waitTimes, assignments } = await waitTimeEstimator.estimateQueue(entry.shopId);
+  const assignment = assignments.get(entry._id.toString());
+
+  entry.estimatedWaitTime = waitTimes.get(entry._id.toString()) || 0;
+  if (assignment) {
+    entry.assignedStaff = assignment.staffId;
+    entry.lanePosition = assignment.lanePosition;
+  }
+  return entry;
+};
+
+/**
+ * Add an entry to a shop's queue and tell the dashboard
+ * Every join is a new visit - customer accounts are left untouched.
+ * The token is allocated atomically, so parallel joins never collide.
+ * @param {Object} io - Socket.io server (may be undefined)
+ * @param {Object} data - Entry fields (shopId, name, serviceType, ...)
+ * @param {Object} options - { queuePosition, actor }
+ *        queuePosition - where to insert (default: back of the queue);
+ *        fractional positions slot in between and are renumbered
+ *        actor - who added the entry, for the event log (default: system)
+ * @returns {Promise<Document>} - Created entry with staff populated
+ */
+const addToQueue = async (io, data, { queuePosition = null, actor = queueEvents.SYSTEM_ACTOR } = {}) => {
+  if (queuePosition === null) {
+    const queueCount = await QueueEntry.countDocuments({
+      shopId: data.shopId,
+      status: 'waiting'
+    });
+    queuePosition = queueCount + 1;
+  }
+
+  let entry = await QueueEntry.createWithToken({
+    ...data,
+    queuePosition,
+    status: 'waiting'
+  });
+
+  // Logged with the requested position, before any renumbering (see replay)
+  await queueEvents.record(entry, 'joined', { actor, details: { source: entry.source } });
+
+  // Concurrent joins may have picked the same position - renumber
+  await updateQueuePositions(data.shopId);
+  entry = await QueueEntry.findById(entry._id).populate(STAFF_FIELDS, 'name status');
+
+  // Emit real-time update to barber dashboard
+  if (io) {
+    io.to(`shop-${data.shopId}`).emit('queue-update', {
+      type: 'customer-joined',
+      entry: {
+        _id: entry._id,
+        name: entry.name,
+        tokenNumber: entry.tokenNumber,
+        queuePosition: entry.queuePosition,
+        lanePosition: entry.lanePosition,
+        preferredStaff: entry.preferredStaff,
+        assignedStaff: entry.assignedStaff,
+        estimatedWaitTime: entry.estimatedWaitTime,
+        serviceType: entry.serviceType,
+        services: entry.services,
+        source: entry.source,
+        groupId: entry.groupId,
+        status: entry.status
+      },
+      shopId: data.shopId
+    });
+  }
+
+  return entry;
+};
+
+/**
+ * Add a party (several people under one account) to a shop's queue
+ * Members get consecutive positions and share a group id; each member after
+ * the first is slotted in right behind the previous one, so joins arriving
+ * at the same moment can't end up in the middle of the party.
+ * @param {Object} io - Socket.io server (may be undefined)
+ * @param {Object} data - Entry fields shared by the party (shopId, customer, ...)
+ * @param {Array<Object>} members - [{ name, serviceType, services }] in queue order
+ * @param {Object} options - { actor }
+ * @returns {Promise<Array<Document>>} - Created entries, in queue order
+ */
+const addPartyToQueue = async (io, data, members, { actor = queueEvents.SYSTEM_ACTOR } = {}) => {
+  const groupId = new mongoose.Types.ObjectId();
+  const entries = [];
+
+  for (const member of members) {
+    const previous = entries[entries.length - 1];
+    entries.push(await addToQueue(io, { ...data, ...member, groupId }, {
+      queuePosition: previous ? previous.queuePosition + 0.5 : null,
+      actor
+    }));
+  }
+
+  return QueueEntry.findActiveGroup(groupId).populate(STAFF_FIELDS, 'name status');
+};
+
+/**
+ * Cancel a waiting or called entry and tell its shop
+ * The entry is kept (status 'cancelled') so the visit stays in history.
+ * @param {Object} io - Socket.io server (may be undefined)
+ * @param {Document} entry - Queue entry to cancel
+ * @param {Object} options - { reason: cancel reason code, reasonNote: the
+ *        customer's or barber's own words, note: audit note, payload: extra
+ *        event data, actor: who cancelled (default: system) }
+ * @returns {Promise<Document>} - Cancelled entry
+ */
+const cancelEntry = async (io, entry, {
+  reason,
+  reasonNote = null,
+  note = null,
+  payload = {},
+  actor = queueEvents.SYSTEM_ACTOR
+} = {}) => {
+  const before = queueEvents.snapshot(entry);
+  if (note) {
+    entry.addAuditNote(note);
+  }
+  await entry.cancel({
+    reason,
+    note: reasonNote,
+    by: ['customer', 'barber'].includes(actor.type) ? actor.type : 'system'
+  });
+  await queueEvents.record(entry, 'cancelled', {
+    actor,
+    before,
+    details: { note, reason, ...(reasonNote && { reasonNote }), ...payload }
+  });
+
+  // Close the gap the customer left
+  await updateQueuePositions(entry.shopId);
+
+  if (io) {
+    io.to(`shop-${entry.shopId}`).emit('queue-update', {
+      type: 'customer-cancelled',
+      entryId: entry._id,
+      shopId: entry.shopId,
+      reason,
+      ...payload
+    });
+  }
+
+  return entry;
+};
+
+/**
+ * Send an event to one customer's devices (socket room customer-<id>)
+ * @param {Object} io - Socket.io server (may be undefined)
+ * @param {Document} entry - Queue entry of the customer
+ * @param {String} event - Event name
+ * @param {Object} payload - Event data
+ */
+const notifyCustomer = (io, entry, event, payload) => {
+  if (io && entry.customer) {
+    io.to(`customer-${entry.customer}`).emit(event, {
+      entryId: entry._id,
+      shopId: entry.shopId,
+      tokenNumber: entry.tokenNumber,
+      ...payload
+    });
+  }
+};
+
+/**
+ * Tell customers their place in the queue changed (e.g. bumped by priority)
+ * @param {Object} io - Socket.io server (may be undefined)
+ * @param {Array<Document>} entries - Entries that moved
+ */
+const notifyPositionChanged = (io, entries) => {
+  entries.forEach(entry => {
+    const lastNote = entry.auditNotes[entry.auditNotes.length - 1];
+    notifyCustomer(io, entry, 'queue-position-changed', {
+      queuePosition: entry.queuePosition,
+      lanePosition: entry.lanePosition,
+      estimatedWaitTime: entry.estimatedWaitTime,
+      note: lastNote ? lastNote.note : null
+    });
+  });
+};
+
+/**
+ * Mark a called customer as a no-show and count it against their account
+ * @param {Document} entry - Called queue entry
+ * @param {Object} io - Socket.io server (may be undefined)
+ * @param {Object} actor - Who marked the no-show (default: system)
+ * @returns {Promise<Number>} - Customer's total no-show count
+ */
+const recordNoShow = async (entry, io, actor = queueEvents.SYSTEM_ACTOR) => {
+  const before = queueEvents.snapshot(entry);
+  await entry.markNoShow();
+  await queueEvents.record(entry, 'no-show', { actor, before });
+
+  // Walk-ins without an account have nobody to count it against
+  const customer = entry.customer
+    ? await Customer.findByIdAndUpdate(entry.customer, { $inc: { noShowCount: 1 } }, { new: true })
+    : null;
+
+  await updateQueuePositions(entry.shopId);
+
+  if (io) {
+    io.to(`shop-${entry.shopId}`).emit('queue-update', {
+      type: 'customer-no-show',
+      entryId: entry._id,
+      shopId: entry.shopId
+    });
+  }
+  notifyCustomer(io, entry, 'queue-no-show', {});
+
+  return customer ? customer.noShowCount : 0;
+};
+
+/**
+ * Handle a called customer whose grace period ran out
+ * Depending on the shop's policy they are moved to the back of the queue
+ * once, or marked as a no-show.
+ * @param {Document} entry - Called queue entry
+ * @param {Object} io - Socket.io server (may be undefined)
+ */
+const handleMissedCall = async (entry, io) => {
+  const settings = await shopService.getQueueSettings(entry.shopId);
+
+  if (settings.noShowPolicy === 'skip-once' && entry.skipCount === 0) {
+    const waitingCount = await QueueEntry.countDocuments({ shopId: entry.shopId, status: 'waiting' });
+    const before = queueEvents.snapshot(entry);
+    await entry.skipToBack(waitingCount + 1);
+    await queueEvents.record(entry, 'skipped', { before, details: { skipCount: entry.skipCount } });
+    await updateQueuePositions(entry.shopId);
+
+    if (io) {
+      io.to(`shop-${entry.shopId}`).emit('queue-update', {
+        type: 'customer-skipped',
+        entryId: entry._id,
+        shopId: entry.shopId
+      });
+    }
+    notifyCustomer(io, entry, 'queue-skipped', { queuePosition: waitingCount + 1 });
+    return;
+  }
+
+  await recordNoShow(entry, io);
+};
+
+/**
+ * Seat a waiting or called customer in a free chair
+ * Picks the serving staff member (requested, preferred, projected or any free
+ * one who can do the service) and the chair (requested or first free one).
+ * @param {Document} entry - Waiting or called queue entry
+ * @param {Object} options - { chair, staffId (both optional), actor }
+ * @returns {Promise<Object>} - { entry } or { error: { status, message } }
+ */
+const seatEntry = async (entry, { chair = null, staffId = null, actor = queueEvents.SYSTEM_ACTOR } = {}) => {
+  // Work out which staff member serves the customer (shops with a roster)
+  const roster = await Staff.find({ shopId: entry.shopId, status: 'active' }).sort({ createdAt: 1 });
+  let servingStaff = null;
+
+  // A preferred barber who has since left the shop no longer applies
+  const preferred = entry.preferredStaff
+    ? await Staff.findOne({ _id: entry.preferredStaff, status: { $ne: 'inactive' } })
+    : null;
+
+  if (staffId) {
+    servingStaff = await Staff.findWorkingAtShop(entry.shopId, staffId);
+
+    if (!servingStaff) {
+      return { error: { status: 404, message: 'Staff member not found at this shop' } };
+    }
+  } else if (preferred) {
+    servingStaff = preferred;
+  } else if (roster.length > 0) {
+    // Any barber: the projected staff member if free, else whoever is free
+    const candidates = [
+      ...roster.filter(member => member._id.equals(entry.assignedStaff)),
+      ...roster.filter(member => member.canPerform(waitTimeEstimator.getServiceKeys(entry))),
+      ...roster
+    ];
+
+    for (const member of candidates) {
+      if (!(await QueueEntry.isStaffBusy(entry.shopId, member._id))) {
+        servingStaff = member;
+        break;
+      }
+    }
+
+    if (!servingStaff) {
+      return { error: { status: 409, message: 'All staff are busy - complete a service first' } };
+    }
+  }
+
+  if (servingStaff && await QueueEntry.isStaffBusy(entry.shopId, servingStaff._id)) {
+    return { error: { status: 409, message: `${servingStaff.name} is already serving a customer` } };
+  }
+
+  // Work out which chair the customer goes to
+  const chairCount = await shopService.getChairCount(entry.shopId);
+  const occupiedChairs = await QueueEntry.getOccupiedChairs(entry.shopId);
+  const inServiceCount = await QueueEntry.countDocuments({ shopId: entry.shopId, status: 'in-service' });
+
+  let assignedChair;
+  if (chair !== undefined && chair !== null) {
+    assignedChair = parseInt(chair);
+
+    if (isNaN(assignedChair) || assignedChair < 1 || assignedChair > chairCount) {
+      return { error: { status: 400, message: `Chair must be between 1 and ${chairCount}` } };
+    }
+
+    if (occupiedChairs.includes(assignedChair)) {
+      return { error: { status: 409, message: `Chair ${assignedChair} is already in use` } };
+    }
+  } else {
+    assignedChair = Array.from({ length: chairCount }, (_, i) => i + 1)
+      .find(n => !occupiedChairs.includes(n));
+  }
+
+  if (!assignedChair || inServiceCount >= chairCount) {
+    return { error: { status: 409, message: 'All chairs are busy - complete a service first' } };
+  }
+
+  const before = queueEvents.snapshot(entry);
+  try {
+    await entry.startService(assignedChair, servingStaff ? servingStaff._id : null);
+  } catch (error) {
+    // Unique chair index: another request seated someone here first
+    if (error.code === 11000) {
+      return { error: { status: 409, message: `Chair ${assignedChair} is already in use` } };
+    }
+    throw error;
+  }
+
+  await queueEvents.record(entry, 'serving', { actor, before });
+  return { entry };
+};
+
+/**
+ * Move a waiting entry to another place in the queue (barber's manual
+ * reorder, or a customer running late letting others go ahead)
+ * Everyone between the old and new place shifts by one. All positions are
+ * written in a single bulk write, and only to entries that are still waiting.
+ * A move the shop's priority policy would put straight back is refused.
+ * @param {Object} io - Socket.io server (may be undefined)
+ * @param {Document} entry - Waiting queue entry
+ * @param {Number} position - Target position (clamped to the waiting list)
+ * @param {Object} options - { actor, reason: why they were moved }
+ * @returns {Promise<Object>} - { entry, from, to, moved: [Document] } or
+ *          { error: { status, message } }
+ */
+const moveEntry = async (io, entry, position, { actor, reason }) => {
+  const waiting = await QueueEntry.find({ shopId: entry.shopId, status: 'waiting' })
+    .sort({ queuePosition: 1, joinedAt: 1 });
+  const from = waiting.findIndex(other => other._id.equals(entry._id)) + 1;
+  const to = Math.min(Math.max(position, 1), waiting.length);
+
+  const order = waiting.filter(other => !other._id.equals(entry._id));
+  order.splice(to - 1, 0, waiting[from - 1]);
+
+  const direction = to < from ? 'back' : 'up';
+  const at = new Date();
+  const operations = [];
+  const shifted = [];
+
+  order.forEach((other, i) => {
+    const oldPosition = waiting.indexOf(other) + 1;
+    if (oldPosition === i + 1) return;
+
+    const note = other._id.equals(entry._id)
+      ? `Moved from ${from} to ${to} ${actor.type === 'customer' ? 'at their own request' : 'by the barber'}: ${reason}`
+      : `Moved ${direction} one place - #${entry.tokenNumber} was moved (${reason})`;
+    if (!other._id.equals(entry._id)) shifted.push(other._id);
+
+    operations.push({
+      updateOne: {
+        filter: { _id: other._id, status: 'waiting' },
+        update: { $set: { queuePosition: i + 1 }, $push: { auditNotes: { at, note } } }
+      }
+    });
+  });
+
+  if (operations.length === 0) {
+    return { entry, from, to, moved: [] };
+  }
+
+  // Positions are re-ordered by priority after every change - don't report a
+  // move that wouldn't stick
+  if (order.some(other => other.priorityClass)) {
+    const { ordered, settings } = await applyPriorityOrder(entry.shopId, order);
+    const landsAt = ordered.indexOf(waiting[from - 1]) + 1;
+
+    if (landsAt !== to) {
+      return {
+        error: {
+          status: 409,
+          message: `The shop's ${settings.priorityPolicy} priority policy would put #${entry.tokenNumber} ` +
+            `at position ${landsAt}, not ${to} - change their priority class first`
+        }
+      };
+    }
+  }
+
+  await QueueEntry.bulkWrite(operations);
+  await queueEvents.recordReorder(entry.shopId, order, {
+    actor,
+    reason: 'manual',
+    details: { note: reason, entryId: entry._id.toString(), tokenNumber: entry.tokenNumber, from, to }
+  });
+  console.log(`↕️ Token #${entry.tokenNumber} at ${entry.shopId} moved from ${from} to ${to}: ${reason}`);
+
+  // Refresh ETAs and lanes (the shop's priority policy still applies)
+  const bumped = await updateQueuePositions(entry.shopId);
+
+  const affectedIds = [entry._id, ...shifted, ...bumped.map(other => other._id)];
+  const moved = await QueueEntry.find({ _id: { $in: affectedIds }, status: 'waiting' });
+  notifyPositionChanged(io, moved);
+
+  if (io) {
+    io.to(`shop-${entry.shopId}`).emit('queue-update', {
+      type: 'queue-reordered',
+      entryId: entry._id,
+      shopId: entry.shopId,
+      from,
+      to
+    });
+  }
+
+  return {
+    entry: moved.find(other => other._id.equals(entry._id)) || entry,
+    from,
+    to,
+    moved
+  };
+};
+
+/**
+ * Slide customers who were passed over for not having checked in back behind
+ * everyone waiting who has (shops that only call arrived customers), so their
+ * place shows when they'll really be called. Positions are written in a single
+ * bulk write, and only to entries that are still waiting.
+ * @param {String} shopId - Shop ID
+ * @param {Array<Document>} passedOver - Skipped waiting entries
+ * @param {Document} called - The checked-in entry called ahead of them
+ * @param {Object} options - { actor }
+ * @returns {Promise<Array<ObjectId>>} - IDs of the entries whose place changed
+ */
+const slideBehindArrived = async (shopId, passedOver, called, { actor = queueEvents.SYSTEM_ACTOR } = {}) => {
+  const skipped = new Set(passedOver.map(entry => entry._id.toString()));
+  const waiting = await QueueEntry.find({ shopId, status: 'waiting' })
+    .sort({ queuePosition: 1, joinedAt: 1 });
+  const isSkipped = (entry) => skipped.has(entry._id.toString());
+
+  const order = waiting.filter(entry => !isSkipped(entry));
+  const lastArrived = order.map(entry => entry.arrived).lastIndexOf(true);
+  order.splice(lastArrived + 1, 0, ...waiting.filter(isSkipped));
+
+  const at = new Date();
+  const operations = [];
+  const changed = [];
+
+  order.forEach((entry, i) => {
+    if (waiting.indexOf(entry) === i) return;
+
+    const note = isSkipped(entry)
+      ? `Not at the shop yet - slid back behind checked-in customers when #${called.tokenNumber} was called`
+      : 'Moved up - customers ahead haven\'t checked in yet';
+    changed.push(entry._id);
+
+    operations.push({
+      updateOne: {
+        filter: { _id: entry._id, status: 'waiting' },
+        update: { $set: { queuePosition: i + 1 }, $push: { auditNotes: { at, note } } }
+      }
+    });
+  });
+
+  if (operations.length === 0) {
+    return [];
+  }
+
+  await QueueEntry.bulkWrite(operations);
+  await queueEvents.recordReorder(shopId, order, {
+    actor,
+    reason: 'not-arrived',
+    details: { entryId: called._id.toString(), tokenNumber: called.tokenNumber }
+  });
+  console.log(`🚶 ${passedOver.length} customer(s) at ${shopId} not checked in - slid back behind #${called.tokenNumber}`);
+
+  return changed;
+};
+
+/**
+ * Undo the last barber action on an entry (serve, complete, no-show or removal)
+ * Restores the entry's previous status and place in the queue, provided
+ * nothing else happened to it since and the undo window hasn't passed.
+ * Customers' own cancellations and automatic transitions can't be undone.
+ * @param {Object} io - Socket.io server (may be undefined)
+ * @param {Document} entry - Queue entry
+ * @param {Object} actor - Who is undoing
+ * @returns {Promise<Object>} - { entry, undone: event type } or
+ *          { error: { status, message } }
+ */
+const undoLastAction = async (io, entry, actor) => {
+  const last = await QueueEvent.getLastEvent(entry._id);
+
+  if (!last || !UNDOABLE_EVENTS[last.type] || !last.before ||
+      ['customer', 'system'].includes(last.actor.type)) {
+    return { error: { status: 400, message: 'There is nothing to undo for this customer' } };
+  }
+
+  if (Date.now() - last.at.getTime() > UNDO_WINDOW_MS) {
+    return { error: { status: 409, message: `Too late to undo - the ${UNDOABLE_EVENTS[last.type]} was over a minute ago` } };
+  }
+
+  const { before } = last;
+
+  if (before.status === 'in-service') {
+    const occupied = await QueueEntry.getOccupiedChairs(entry.shopId);
+    if (occupied.includes(before.chair)) {
+      return { error: { status: 409, message: `Chair ${before.chair} has been taken since` } };
+    }
+  }
+
+  // Every undo makes the entry active again - the customer can only hold one
+  if (entry.customer) {
+    const { entry: active } = await checkActiveEntry(entry.customer, entry.shopId);
+    const samePartyOrEntry = active && (active._id.equals(entry._id) ||
+      (entry.groupId && entry.groupId.equals(active.groupId)));
+    if (active && !samePartyOrEntry) {
+      return { error: { status: 409, message: 'The customer has joined another queue since' } };
+    }
+  }
+
+  const previous = queueEvents.snapshot(entry);
+  entry.status = before.status;
+  entry.chair = before.chair;
+  entry.assignedStaff = before.assignedStaff || null;
+  entry.serviceCompletedAt = undefined;
+  entry.noShowAt = undefined;
+  entry.cancelledAt = undefined;
+  entry.cancelReason = undefined;
+  entry.cancelNote = undefined;
+  entry.cancelledBy = undefined;
+
+  if (before.status === 'in-service') {
+    waitTimeEstimator.invalidate(entry.shopId);
+  } else {
+    entry.serviceStartedAt = undefined;
+  }
+
+  if (before.status === 'called') {
+    // Give them a fresh grace period to reach the chair
+    const { noShowGraceMinutes } = await shopService.getQueueSettings(entry.shopId);
+    entry.queuePosition = 0;
+    entry.callExpiresAt = new Date(Date.now() + noShowGraceMinutes * 60 * 1000);
+  } else if (before.status === 'waiting') {
+    // Just ahead of whoever has moved into their old place
+    entry.queuePosition = before.queuePosition - 0.5;
+  }
+
+  entry.addAuditNote(`Back to ${before.status} - ${UNDOABLE_EVENTS[last.type]} undone`);
+  await entry.save();
+  await queueEvents.record(entry, 'restored', {
+    actor,
+    before: previous,
+    details: { undoneEvent: last._id, undoneType: last.type }
+  });
+
+  if (last.type === 'no-show' && entry.customer) {
+    await Customer.updateOne(
+      { _id: entry.customer, noShowCount: { $gt: 0 } },
+      { $inc: { noShowCount: -1 } }
+    );
+  }
+
+  await updateQueuePositions(entry.shopId);
+  const restored = await QueueEntry.findById(entry._id);
+
+  if (io) {
+    io.to(`shop-${entry.shopId}`).emit('queue-update', {
+      type: 'customer-restored',
+      entryId: entry._id,
+      shopId: entry.shopId,
+      status: restored.status,
+      undone: last.type
+    });
+  }
+  notifyCustomer(io, restored, 'queue-restored', {
+    status: restored.status,
+    queuePosition: restored.queuePosition,
+    estimatedWaitTime: restored.estimatedWaitTime
+  });
+
+  return { entry: restored, undone: last.type };
+};
+
+module.exports = {
+  STAFF_FIELDS,
+  updateQueuePositions,
+  applyLiveEstimate,
+  addToQueue,
+  addPartyToQueue,
+  cancelEntry,
+  notifyCustomer,
+  notifyPositionChanged,
+  recordNoShow,
+  handleMissedCall,
+  seatEntry,
+  moveEntry,
+  slideBehindArrived,
+  undoLastAction
+};
@@ -0,0 +1,149 @@
+const Barber = require('../models/Barber');
+const BarberShop = require('../models/BarberShop');
+const QueueEntry = require('../models/QueueEntry');
+const shopService = require('./shopService');
+const { updateQueuePositions, notifyPositionChanged } = require('./queueManager');
+
+/**
+ * Queue Pause
+ * "Back in N minutes" breaks. The queue is kept as it is, every waiting
+ * customer's ETA moves back to after the break (see
+ * waitTimeEstimator.estimateQueue), new joins can optionally be turned away
+ * (see joinPolicy), and the queue resumes by itself when the break is over
+ * (see queueScheduler).
+ */
+
+const MAX_PAUSE_MINUTES = 180;
+
+/**
+ * Re-estimate the queue and tell everyone the shop paused or resumed
+ * - every client: `queue-paused` / `queue-resumed` (shop lists show the break)
+ * - the shop's dashboard: `queue-update` of the same type
+ * - each waiting customer: their new ETA (`queue-position-changed`)
+ * @param {Object} io - Socket.io server (may be undefined)
+ * @param {Document} shop - Barber or BarberShop
+ * @param {Object|null} pause - The new break, or null when resuming
+ * @param {String} reason - Why the queue resumed ('timer' / 'barber'), when resuming
+ */
+const broadcast = async (io, shop, pause, reason = null) => {
+  await updateQueuePositions(shop.shopId);
+
+  const waiting = await QueueEntry.find({ shopId: shop.shopId, status: 'waiting' });
+  for (const entry of waiting) {
+    entry.addAuditNote(pause ? 'Barber on a break - wait includes the break' : 'Barber back from the break');
+    await entry.save();
+  }
+
+  if (!io) return;
+
+  const type = pause ? 'queue-paused' : 'queue-resumed';
+  const data = {
+    shopId: shop.shopId,
+    shopName: shop.shopName || shop.name,
+    paused: !!pause,
+    pausedUntil: pause ? pause.until : null,
+    blockJoins: pause ? pause.blockJoins : false,
+    reason: pause ? pause.reason || null : reason
+  };
+
+  io.emit(type, data);
+  io.to(`shop-${shop.shopId}`).emit('queue-update', { type, ...data });
+  notifyPositionChanged(io, waiting);
+};
+
+/**
+ * Start (or change) a break
+ * @param {Object} io - Socket.io server (may be undefined)
+ * @param {String} shopId - Shop ID
+ * @param {Object} options - { minutes, blockJoins, reason }
+ * @returns {Promise<Object>} - { pause } or { error: { status, message } }
+ */
+const pauseQueue = async (io, shopId, { minutes, blockJoins = false, reason } = {}) => {
+  const breakMinutes = Number(minutes);
+  if (!Number.isInteger(breakMinutes) || breakMinutes < 1 || breakMinutes > MAX_PAUSE_MINUTES) {
+    return {
+      error: { status: 400, message: `Break length must be between 1 and ${MAX_PAUSE_MINUTES} minutes` }
+    };
+  }
+
+  const result = await shopService.findShopByShopId(shopId);
+  if (!result) {
+    return { error: { status: 404, message: 'Shop not found' } };
+  }
+
+  const { shop } = result;
+  const now = new Date();
+  const current = shopService.getActivePause(shop, now);
+
+  shop.pause = {
+    // Extending a break keeps when it started
+    startedAt: current ? current.startedAt : now,
+    until: new Date(now.getTime() + breakMinutes * 60 * 1000),
+    blockJoins: blockJoins === true || blockJoins === 'true',
+    reason
+  };
+  await shop.save();
+
+  console.log(`☕ ${shopId} on a break for ${breakMinutes} min${shop.pause.blockJoins ? ' (joins blocked)' : ''}`);
+
+  await broadcast(io, shop, shop.pause);
+  return { pause: shop.pause };
+};
+
+/**
+ * End a break early
+ * @param {Object} io - Socket.io server (may be undefined)
+ * @param {String} shopId - Shop ID
+ * @returns {Promise<Object>} - {} or { error: { status, message } }
+ */
+const resumeQueue = async (io, shopId) => {
+  const result = await shopService.findShopByShopId(shopId);
+  if (!result) {
+    return { error: { status: 404, message: 'Shop not found' } };
+  }
+
+  const { shop } = result;
+  if (!shopService.getActivePause(shop)) {
+    return { error: { status: 409, message: 'The queue is not paused' } };
+  }
+
+  shop.pause = null;
+  await shop.save();
+
+  console.log(`▶️  ${shopId} back from break`);
+
+  await broadcast(io, shop, null, 'barber');
+  return {};
+};
+
+/**
+ * Resume every queue whose break is over
+ * Each shop is claimed atomically (pause cleared) so two server instances
+ * never announce the same resume twice.
+ * @param {Object} io - Socket.io server
+ */
+const resumeExpiredPauses = async (io) => {
+  for (const Model of [Barber, BarberShop]) {
+    let shop;
+
+    while ((shop = await Model.findOneAndUpdate(
+      { 'pause.until': { $lte: new Date() } },
+      { $set: { pause: null } },
+      { new: true }
+    ))) {
+      try {
+        await broadcast(io, shop, null, 'timer');
+        console.log(`⏰ Break over - ${shop.shopId}'s queue resumed`);
+      } catch (error) {
+        console.error('Error resuming queue:', error);
+      }
+    }
+  }
+};
+
+module.exports = {
+  MAX_PAUSE_MINUTES,
+  pauseQueue,
+  resumeQueue,
+  resumeExpiredPauses
+};
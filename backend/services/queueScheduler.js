@@ -0,0 +1,92 @@
+const QueueEntry = require('../models/QueueEntry');
+const { handleMissedCall } = require('./queueManager');
+const { enqueueDueAppointments } = require('./appointmentService');
+const { resumeExpiredPauses } = require('./queuePause');
+const { sendTravelAlerts } = require('./travelGuidance');
+
+/**
+ * Queue Scheduler
+ * Background checks that move the queue along without a barber action:
+ * - called customers whose grace period ran out are skipped to the back of
+ *   the queue or marked as no-shows (see queueManager.handleMissedCall)
+ * - bookings whose slot time has come are inserted into the live queue
+ *   (see appointmentService.enqueueDueAppointments)
+ * - queues whose break is over resume (see queuePause.resumeExpiredPauses)
+ * - customers still on their way are told when to leave, or that they're
+ *   running late (see travelGuidance.sendTravelAlerts)
+ */
+
+const CHECK_INTERVAL_MS = 30 * 1000; // 30 seconds
+
+let timer = null;
+let running = false;
+
+/**
+ * Process every called entry whose grace period has expired
+ * Each entry is claimed atomically (callExpiresAt cleared) so two server
+ * instances never handle the same missed call twice.
+ * @param {Object} io - Socket.io server
+ */
+const processExpiredCalls = async (io) => {
+  let entry;
+
+  while ((entry = await QueueEntry.findOneAndUpdate(
+    { status: 'called', callExpiresAt: { $lte: new Date() } },
+    { $unset: { callExpiresAt: 1 } },
+    { new: true }
+  ))) {
+    try {
+      await handleMissedCall(entry, io);
+      console.log(`⏰ Missed call handled for token #${entry.tokenNumber} at ${entry.shopId} (${entry.status})`);
+    } catch (error) {
+      console.error('Error handling missed call:', error);
+    }
+  }
+};
+
+/**
+ * Run all scheduled checks once
+ * @param {Object} io - Socket.io server
+ */
+const tick = async (io) => {
+  // Skip this round if the previous one is still going
+  if (running) return;
+  running = true;
+
+  try {
+    await processExpiredCalls(io);
+    await enqueueDueAppointments(io);
+    await resumeExpiredPauses(io);
+    await sendTravelAlerts(io);
+  } catch (error) {
+    console.error('Error in queue scheduler:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the scheduler
+ * @param {Object} io - Socket.io server
+ */
+const start = (io) => {
+  if (timer) return;
+  timer = setInterval(() => tick(io), CHECK_INTERVAL_MS);
+  console.log('⏱️  Queue scheduler started');
+};
+
+/**
+ * Stop the scheduler
+ */
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+  tick
+};
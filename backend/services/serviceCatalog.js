@@ -0,0 +1,117 @@
+const Service = require('../models/Service');
+const shopService = require('./shopService');
+
+/**
+ * Service Catalog
+ * Each shop's menu of services. Shops that haven't set one up get the
+ * standard services (those listed in the shop's `services`, or all of them)
+ * without prices; the first change an owner makes copies these into the
+ * shop's own catalog.
+ */
+
+const MAX_SERVICES_PER_ENTRY = 5;
+
+/**
+ * Capture a service as it is stored on a queue entry
+ * @param {Object} service - Catalog item
+ * @returns {Object} - { key, name, price, durationMinutes }
+ */
+const toSnapshot = (service) => ({
+  key: service.key,
+  name: service.name,
+  price: service.price === undefined ? null : service.price,
+  durationMinutes: service.durationMinutes
+});
+
+/**
+ * Standard services for a shop without its own catalog
+ * @param {String} shopId - Shop ID
+ * @returns {Promise<Array<Object>>}
+ */
+const getDefaultCatalog = async (shopId) => {
+  const result = await shopService.findShopByShopId(shopId);
+  const offered = result && result.shop.services && result.shop.services.length > 0
+    ? result.shop.services
+    : null;
+
+  return Service.DEFAULT_SERVICES
+    .filter(service => !offered || offered.includes(service.key))
+    .map(service => ({ ...service, shopId, price: null, isActive: true, isDefault: true }));
+};
+
+/**
+ * Get a shop's service menu
+ * @param {String} shopId - Shop ID
+ * @param {Object} options - { includeInactive }
+ * @returns {Promise<Array<Object>>} - Services in menu order
+ */
+const getCatalog = async (shopId, { includeInactive = false } = {}) => {
+  const services = await Service.find({ shopId }).sort({ createdAt: 1, _id: 1 });
+  const catalog = services.length > 0 ? services : await getDefaultCatalog(shopId);
+
+  return includeInactive ? catalog : catalog.filter(service => service.isActive);
+};
+
+/**
+ * Copy the standard services into a shop's own catalog (before its first edit)
+ * @param {String} shopId - Shop ID
+ */
+const ensureCatalog = async (shopId) => {
+  if (await Service.exists({ shopId })) {
+    return;
+  }
+
+  const defaults = await getDefaultCatalog(shopId);
+  await Service.insertMany(defaults.map(service => ({
+    shopId,
+    key: service.key,
+    name: service.name,
+    price: 0,
+    durationMinutes: service.durationMinutes
+  })), { ordered: false }).catch(error => {
+    // Two first edits at once - the other request copied them already
+    if (error.code !== 11000) throw error;
+  });
+};
+
+/**
+ * Check requested services against a shop's active menu
+ * @param {String} shopId - Shop ID
+ * @param {Array<String>} keys - Requested service keys
+ * @param {Array<Object>} catalog - Shop's active menu, if already loaded
+ * @returns {Promise<Object>} - { services: [snapshot] } or { error: { status, message } }
+ */
+const resolveServices = async (shopId, keys, catalog = null) => {
+  const requested = [...new Set((keys || []).filter(Boolean))];
+
+  if (requested.length === 0) {
+    return { error: { status: 400, message: 'Service type is required' } };
+  }
+
+  if (requested.length > MAX_SERVICES_PER_ENTRY) {
+    return { error: { status: 400, message: `Pick at most ${MAX_SERVICES_PER_ENTRY} services` } };
+  }
+
+  const menu = catalog || await getCatalog(shopId);
+  const byKey = new Map(menu.map(service => [service.key, service]));
+  const unknown = requested.filter(key => !byKey.has(key));
+
+  if (unknown.length > 0) {
+    return {
+      error: {
+        status: 400,
+        message: `Not on this shop's menu: ${unknown.join(', ')}. Available: ${menu.map(s => s.key).join(', ')}`
+      }
+    };
+  }
+
+  return { services: requested.map(key => toSnapshot(byKey.get(key))) };
+};
+
+module.exports = {
+  MAX_SERVICES_PER_ENTRY,
+  toSnapshot,
+  getCatalog,
+  ensureCatalog,
+  resolveServices
+};
@@ -0,0 +1,92 @@
+const Barber = require('../models/Barber');
+const BarberShop = require('../models/BarberShop');
+
+/**
+ * Shop Lookup Helpers
+ * Shops live in two collections - Barber (registered via auth) and
+ * BarberShop (manually registered). Both share the shopId field.
+ */
+
+/**
+ * Find a shop by its unique Shop ID in either collection
+ * @param {String} shopId - Unique Shop ID
+ * @returns {Promise<Object|null>} - { shop, isBarberModel } or null if not found
+ */
+const findShopByShopId = async (shopId) => {
+  let shop = await Barber.findOne({ shopId });
+  if (shop) {
+    return { shop, isBarberModel: true };
+  }
+
+  shop = await BarberShop.findOne({ shopId });
+  if (shop) {
+    return { shop, isBarberModel: false };
+  }
+
+  return null;
+};
+
+/**
+ * Get the number of chairs (parallel service lanes) at a shop
+ * @param {String} shopId - Unique Shop ID
+ * @returns {Promise<Number>} - Chair count (1 for unknown shops)
+ */
+const getChairCount = async (shopId) => {
+  const result = await findShopByShopId(shopId);
+  return (result && result.shop.chairCount) || 1;
+};
+
+/**
+ * Get a shop's queue settings, with defaults filled in
+ * @param {String} shopId - Unique Shop ID
+ * @returns {Promise<Object>} - Queue settings (defaults for unknown shops)
+ */
+const getQueueSettings = async (shopId) => {
+  const result = await findShopByShopId(shopId);
+  const defaults = {
+    noShowGraceMinutes: 5,
+    noShowPolicy: 'skip-once',
+    priorityClasses: ['senior', 'child', 'vip'],
+    priorityPolicy: 'weighted',
+    regularPerPriority: 3,
+    lastCallPolicy: 'estimated-finish',
+    lastCallMinutes: 30,
+    maxQueueLength: null,
+    callArrivedOnly: false,
+    arrivalRadiusMeters: 150,
+    travelSpeedKmh: 20
+  };
+
+  if (!result || !result.shop.queueSettings) {
+    return defaults;
+  }
+  return { ...defaults, ...result.shop.queueSettings.toObject() };
+};
+
+/**
+ * Get a shop's break if it is still running
+ * @param {Document} shop - Barber or BarberShop
+ * @param {Date} now - Moment to check (default: now)
+ * @returns {Object|null} - { startedAt, until, blockJoins, reason } or null
+ */
+const getActivePause = (shop, now = new Date()) => {
+  return shop.pause && shop.pause.until > now ? shop.pause : null;
+};
+
+/**
+ * Get a shop's running break by Shop ID
+ * @param {String} shopId - Unique Shop ID
+ * @returns {Promise<Object|null>} - Pause or null (also for unknown shops)
+ */
+const getPause = async (shopId) => {
+  const result = await findShopByShopId(shopId);
+  return result ? getActivePause(result.shop) : null;
+};
+
+module.exports = {
+  findShopByShopId,
+  getChairCount,
+  getQueueSettings,
+  getActivePause,
+  getPause
+};
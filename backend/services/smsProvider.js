@@ -0,0 +1,153 @@
+/**
+ * SMS Provider
+ * Everything that sends a text goes through sendSms(). A provider is any
+ * object with `name` and `async send({ to, body })`, where `to` is a
+ * 10-digit local number:
+ * - twilio: real delivery through Twilio's REST API (TWILIO_ACCOUNT_SID,
+ *   TWILIO_AUTH_TOKEN, TWILIO_FROM; numbers get SMS_COUNTRY_CODE, default +91)
+ * - stub: logs each text and keeps the latest ones in memory - for
+ *   development and tests, nothing leaves the machine. Not used when
+ *   NODE_ENV=production, since the log would hold live login codes.
+ * SMS_PROVIDER picks one; without it Twilio is used when TWILIO_ACCOUNT_SID
+ * is set. Texts are optional: when the settings don't give a usable provider
+ * there is none, and callers answer 503 instead of sending (see isAvailable).
+ */
+
+/**
+ * Create a Twilio provider
+ * @param {Object} options - { accountSid, authToken, from, countryCode }
+ * @returns {Object} - Provider
+ */
+const createTwilioProvider = ({ accountSid, authToken, from, countryCode = '+91' }) => {
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`;
+  const auth = Buffer.from(`${accountSid}:${authToken}`).toString('base64');
+
+  return {
+    name: 'twilio',
+    send: async ({ to, body }) => {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${auth}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ To: `${countryCode}${to}`, From: from, Body: body })
+      });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(`SMS to ${to} failed: ${data.message || response.status}`);
+      }
+      return { id: data.sid };
+    }
+  };
+};
+
+/**
+ * Create a provider that only logs texts (and remembers the latest ones)
+ * @param {Object} options - { keep } how many texts to remember
+ * @returns {Object} - Provider with an `outbox` array, newest last
+ */
+const createStubProvider = ({ keep = 50 } = {}) => {
+  const outbox = [];
+
+  return {
+    name: 'stub',
+    outbox,
+    send: async ({ to, body }) => {
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+      outbox.push({ id, to, body, sentAt: new Date() });
+      if (outbox.length > keep) outbox.shift();
+
+      console.log(`📱 SMS to ${to}: ${body}`);
+      return { id };
+    }
+  };
+};
+
+/**
+ * Build the provider the environment asks for
+ * @returns {Object|null} - Provider, or null (with a warning) when texts can't be sent
+ */
+const createProviderFromEnv = () => {
+  const kind = process.env.SMS_PROVIDER || (process.env.TWILIO_ACCOUNT_SID ? 'twilio' : 'stub');
+
+  if (kind === 'twilio') {
+    if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN || !process.env.TWILIO_FROM) {
+      console.warn('⚠️  SMS_PROVIDER=twilio needs TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM - phone login is off');
+      return null;
+    }
+
+    return createTwilioProvider({
+      accountSid: process.env.TWILIO_ACCOUNT_SID,
+      authToken: process.env.TWILIO_AUTH_TOKEN,
+      from: process.env.TWILIO_FROM,
+      countryCode: process.env.SMS_COUNTRY_CODE || '+91'
+    });
+  }
+
+  if (kind === 'stub') {
+    if (process.env.NODE_ENV === 'production') {
+      console.warn('⚠️  No SMS delivery configured - phone login is off until TWILIO_ACCOUNT_SID is set (the stub provider is not allowed in production)');
+      return null;
+    }
+    if (!process.env.SMS_PROVIDER) {
+      console.warn('⚠️  SMS_PROVIDER not set - using the stub provider, which logs login codes instead of sending them');
+    }
+    return createStubProvider();
+  }
+
+  console.warn(`⚠️  Unknown SMS_PROVIDER "${kind}" (use twilio or stub) - phone login is off`);
+  return null;
+};
+
+// undefined until the environment has been read, null when there is no provider
+let provider;
+
+/**
+ * Provider in use (created from the environment on first use)
+ * server.js calls this at startup so any warning shows right away.
+ * @returns {Object|null} - Provider, or null when texts can't be sent
+ */
+const getProvider = () => {
+  if (provider === undefined) {
+    provider = createProviderFromEnv();
+  }
+  return provider;
+};
+
+/**
+ * Swap the provider (e.g. a stub in tests)
+ * @param {Object|null} next - Provider, or null to go back to the environment's
+ */
+const setProvider = (next) => {
+  provider = next || undefined;
+};
+
+/**
+ * Check whether texts can be sent at all
+ * @returns {Boolean}
+ */
+const isAvailable = () => getProvider() !== null;
+
+/**
+ * Send one text
+ * @param {Object} message - { to, body }
+ * @returns {Promise<Object>} - Whatever the provider reports ({ id, ... })
+ */
+const sendSms = async (message) => {
+  if (!isAvailable()) {
+    throw new Error('No SMS delivery configured');
+  }
+  return getProvider().send(message);
+};
+
+module.exports = {
+  createTwilioProvider,
+  createStubProvider,
+  getProvider,
+  setProvider,
+  isAvailable,
+  sendSms
+};
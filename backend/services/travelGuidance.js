@@ -0,0 +1,156 @@
+const QueueEntry = require('../models/QueueEntry');
+const Customer = require('../models/Customer');
+const shopService = require('./shopService');
+const { notifyCustomer } = require('./queueManager');
+
+/**
+ * Travel Guidance
+ * Tells customers who aren't at the shop yet when to set off. Travel time is
+ * the straight-line distance from their last known location (stored by
+ * updateCustomerLocation) at the shop's `travelSpeedKmh`, compared with their
+ * estimated wait:
+ * - wait: plenty of time left
+ * - leave-now: the trip takes about as long as the wait (`queue-leave-now`)
+ * - late: they wouldn't arrive before their call runs out - they're warned
+ *   and offered to slide back a few places (`queue-running-late`)
+ */
+
+// Customers are told to leave when their wait is within this of the trip
+const LEAVE_MARGIN_MINUTES = 5;
+
+// Most places a customer can let others go ahead in one go
+const MAX_SLIDE_BACK_PLACES = 5;
+
+/**
+ * Estimate how long the trip to the shop takes
+ * @param {Number} distanceKm - Straight-line distance
+ * @param {Number} speedKmh - Average travel speed
+ * @returns {Number} - Whole minutes
+ */
+const estimateTravelMinutes = (distanceKm, speedKmh) => {
+  return Math.ceil((distanceKm / speedKmh) * 60);
+};
+
+/**
+ * Work out whether a waiting customer should set off
+ * @param {Document} entry - Waiting queue entry
+ * @param {Object} location - Customer's GeoJSON location
+ * @param {Document} shop - Barber or BarberShop
+ * @param {Object} settings - Shop's queue settings
+ * @returns {Object|null} - { distanceKm, travelMinutes, leaveInMinutes, advice }
+ *          or null when there's nothing to advise
+ */
+const getAdvice = (entry, location, shop, settings) => {
+  if (entry.status !== 'waiting' || entry.arrived) return null;
+  if (!location || !location.coordinates || location.coordinates.length !== 2) return null;
+  if (!shop.location || !shop.location.coordinates) return null;
+
+  const [longitude, latitude] = location.coordinates;
+  const distanceKm = shop.getDistance(longitude, latitude);
+  const travelMinutes = estimateTravelMinutes(distanceKm, settings.travelSpeedKmh);
+  const leaveInMinutes = (entry.estimatedWaitTime || 0) - travelMinutes;
+
+  // Arriving during the call's grace period still counts as on time
+  let advice = 'wait';
+  if (leaveInMinutes + settings.noShowGraceMinutes < 0) {
+    advice = 'late';
+  } else if (leaveInMinutes <= LEAVE_MARGIN_MINUTES) {
+    advice = 'leave-now';
+  }
+
+  return {
+    distanceKm: Math.round(distanceKm * 10) / 10,
+    travelMinutes,
+    leaveInMinutes: Math.max(leaveInMinutes, 0),
+    advice
+  };
+};
+
+/**
+ * Travel advice for one entry (for the customer's status view)
+ * @param {Document} entry - Queue entry
+ * @returns {Promise<Object|null>}
+ */
+const getTravelForEntry = async (entry) => {
+  if (!entry.customer || entry.status !== 'waiting' || entry.arrived) return null;
+
+  const [customer, result, settings] = await Promise.all([
+    Customer.findById(entry.customer).select('location'),
+    shopService.findShopByShopId(entry.shopId),
+    shopService.getQueueSettings(entry.shopId)
+  ]);
+
+  if (!customer || !result) return null;
+  return getAdvice(entry, customer.location, result.shop, settings);
+};
+
+/**
+ * Send leave-now and running-late alerts to every customer on their way
+ * Each alert is claimed atomically (travelAlert set) so it goes out once,
+ * even with two server instances.
+ * @param {Object} io - Socket.io server
+ */
+const sendTravelAlerts = async (io) => {
+  const entries = await QueueEntry.find({
+    status: 'waiting',
+    arrived: { $ne: true },
+    customer: { $ne: null },
+    travelAlert: { $ne: 'late' }
+  });
+  if (entries.length === 0) return;
+
+  const customers = await Customer.find({ _id: { $in: entries.map(entry => entry.customer) } })
+    .select('location');
+  const locations = new Map(customers.map(customer => [customer._id.toString(), customer.location]));
+  const shops = new Map();
+
+  for (const entry of entries) {
+    try {
+      if (!shops.has(entry.shopId)) {
+        const [result, settings] = await Promise.all([
+          shopService.findShopByShopId(entry.shopId),
+          shopService.getQueueSettings(entry.shopId)
+        ]);
+        shops.set(entry.shopId, result ? { shop: result.shop, settings } : null);
+      }
+
+      const shop = shops.get(entry.shopId);
+      if (!shop) continue;
+
+      const travel = getAdvice(entry, locations.get(entry.customer.toString()), shop.shop, shop.settings);
+      if (!travel || travel.advice === 'wait' || travel.advice === entry.travelAlert) continue;
+
+      const claimed = await QueueEntry.updateOne(
+        { _id: entry._id, status: 'waiting', travelAlert: entry.travelAlert },
+        { $set: { travelAlert: travel.advice } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      if (travel.advice === 'leave-now') {
+        notifyCustomer(io, entry, 'queue-leave-now', {
+          ...travel,
+          estimatedWaitTime: entry.estimatedWaitTime
+        });
+        console.log(`🚶 Token #${entry.tokenNumber} at ${entry.shopId} told to leave now (${travel.travelMinutes} min away)`);
+      } else {
+        notifyCustomer(io, entry, 'queue-running-late', {
+          ...travel,
+          estimatedWaitTime: entry.estimatedWaitTime,
+          maxSlideBackPlaces: MAX_SLIDE_BACK_PLACES
+        });
+        console.log(`🐢 Token #${entry.tokenNumber} at ${entry.shopId} running late (${travel.travelMinutes} min away, called in ~${entry.estimatedWaitTime} min)`);
+      }
+    } catch (error) {
+      console.error('Error sending travel alert:', error);
+    }
+  }
+};
+
+module.exports = {
+  LEAVE_MARGIN_MINUTES,
+  MAX_SLIDE_BACK_PLACES,
+  estimateTravelMinutes,
+  getAdvice,
+  getTravelForEntry,
+  sendTravelAlerts
+};
@@ -0,0 +1,373 @@
+const QueueEntry = require('../models/QueueEntry');
+const Staff = require('../models/Staff');
+const Appointment = require('../models/Appointment');
+const Service = require('../models/Service');
+const shopService = require('./shopService');
+const serviceCatalog = require('./serviceCatalog');
+
+/**
+ * Wait Time Estimator
+ * Single source of truth for every estimatedWaitTime the API reports.
+ *
+ * Learns each shop's average duration per service type from completed
+ * single-service entries (serviceStartedAt -> serviceCompletedAt). While a
+ * shop has only a few samples for a service, the learned average is blended
+ * with the duration on the shop's service menu so one unusually quick or
+ * slow visit can't skew ETAs. Entries with several services take the sum.
+ */
+
+// Standard service durations in minutes (for services not on a shop's menu)
+const DEFAULT_SERVICE_DURATIONS = Object.fromEntries(
+  Service.DEFAULT_SERVICES.map(service => [service.key, service.durationMinutes])
+);
+
+const FALLBACK_DURATION = 20; // minutes, for unknown service types
+const MIN_SAMPLES = 5; // samples needed before the learned average is trusted fully
+const HISTORY_DAYS = 30; // only learn from recent visits
+const MIN_VALID_DURATION = 2; // minutes - shorter visits are mis-taps
+const MAX_VALID_DURATION = 180; // minutes - longer visits were never marked complete
+const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const BOOKING_HORIZON_MINUTES = 8 * 60; // bookings further out can't affect today's waits
+
+// shopId -> { durations, expiresAt }
+const durationCache = new Map();
+
+/**
+ * Get the default duration for a service type
+ * @param {String} serviceType - Service type
+ * @returns {Number} - Duration in minutes
+ */
+const getDefaultDuration = (serviceType) => {
+  return DEFAULT_SERVICE_DURATIONS[serviceType] || FALLBACK_DURATION;
+};
+
+/**
+ * Learn per-service average durations for a shop from its service history
+ * Every service on the shop's menu is included (menu duration until learned).
+ * @param {String} shopId - Shop ID
+ * @returns {Promise<Object>} - { [serviceType]: { minutes, samples } }
+ */
+const getServiceDurations = async (shopId) => {
+  const cached = durationCache.get(shopId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.durations;
+  }
+
+  const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+  const [catalog, history] = await Promise.all([
+    serviceCatalog.getCatalog(shopId, { includeInactive: true }),
+    QueueEntry.aggregate([
+      {
+        $match: {
+          shopId,
+          status: 'completed',
+          serviceStartedAt: { $exists: true },
+          serviceCompletedAt: { $gte: since },
+          // Visits with several services can't be split between them
+          'services.1': { $exists: false }
+        }
+      },
+      {
+        $project: {
+          serviceType: 1,
+          minutes: {
+            $divide: [{ $subtract: ['$serviceCompletedAt', '$serviceStartedAt'] }, 60000]
+          }
+        }
+      },
+      {
+        $match: {
+          minutes: { $gte: MIN_VALID_DURATION, $lte: MAX_VALID_DURATION }
+        }
+      },
+      {
+        $group: {
+          _id: '$serviceType',
+          totalMinutes: { $sum: '$minutes' },
+          samples: { $sum: 1 }
+        }
+      }
+    ])
+  ]);
+
+  const durations = {};
+  const menuDurations = {};
+  catalog.forEach(service => {
+    menuDurations[service.key] = service.durationMinutes;
+    durations[service.key] = { minutes: service.durationMinutes, samples: 0 };
+  });
+
+  history.forEach(({ _id: serviceType, totalMinutes, samples }) => {
+    // Blend with the menu duration until there are enough samples
+    const expected = menuDurations[serviceType] || getDefaultDuration(serviceType);
+    const missing = Math.max(0, MIN_SAMPLES - samples);
+    const blended = (totalMinutes + missing * expected) / (samples + missing);
+
+    durations[serviceType] = {
+      minutes: Math.round(blended),
+      samples
+    };
+  });
+
+  durationCache.set(shopId, { durations, expiresAt: Date.now() + CACHE_TTL_MS });
+  return durations;
+};
+
+/**
+ * Get the expected duration of one service at a shop
+ * @param {Object} durations - Result of getServiceDurations
+ * @param {String} serviceType - Service type
+ * @returns {Number} - Duration in minutes
+ */
+const getDuration = (durations, serviceType) => {
+  return durations[serviceType] ? durations[serviceType].minutes : getDefaultDuration(serviceType);
+};
+
+/**
+ * Get the service keys a queue entry is booked for
+ * @param {Object} entry - Queue entry ({ serviceType, services })
+ * @returns {Array<String>}
+ */
+const getServiceKeys = (entry) => {
+  return entry.services && entry.services.length > 0
+    ? entry.services.map(service => service.key)
+    : [entry.serviceType];
+};
+
+/**
+ * Get the expected duration of a queue entry (all of its services)
+ * Services no longer on the menu use the duration they were booked with.
+ * @param {Object} durations - Result of getServiceDurations
+ * @param {Object} entry - Queue entry ({ serviceType, services })
+ * @returns {Number} - Duration in minutes
+ */
+const getEntryDuration = (durations, entry) => {
+  const services = entry.services && entry.services.length > 0
+    ? entry.services
+    : [{ key: entry.serviceType }];
+
+  return services.reduce((total, service) => {
+    const minutes = durations[service.key]
+      ? durations[service.key].minutes
+      : service.durationMinutes || getDefaultDuration(service.key);
+    return total + minutes;
+  }, 0);
+};
+
+/**
+ * Forget a shop's learned durations (call after a service completes or the menu changes)
+ * @param {String} shopId - Shop ID
+ */
+const invalidate = (shopId) => {
+  durationCache.delete(shopId);
+};
+
+/**
+ * Normalise an ObjectId, populated document or null to a string key
+ * @param {*} value - ObjectId, document or null
+ * @returns {String|null}
+ */
+const idOf = (value) => {
+  if (!value) return null;
+  return (value._id || value).toString();
+};
+
+/**
+ * Get the lane that frees up first
+ * @param {Array<Object>} lanes - Candidate lanes ({ freeAt })
+ * @returns {Object} - Lane
+ */
+const nextFreeLane = (lanes) => {
+  return lanes.reduce((best, lane) => (lane.freeAt < best.freeAt ? lane : best));
+};
+
+/**
+ * Build the service lanes for a shop
+ * With staff on the roster each working staff member is a lane; otherwise
+ * every chair is an anonymous lane.
+ * @param {String} shopId - Shop ID
+ * @returns {Promise<Array<Object>>} - [{ staffId, staff, available, freeAt, count }]
+ */
+const buildLanes = async (shopId) => {
+  const staff = await Staff.getWorkingStaff(shopId);
+
+  if (staff.length > 0) {
+    return staff.map(member => ({
+      staffId: member._id.toString(),
+      staff: member,
+      available: member.status === 'active',
+      freeAt: 0,
+      count: 0
+    }));
+  }
+
+  const chairCount = await shopService.getChairCount(shopId);
+  return Array.from({ length: chairCount }, () => ({
+    staffId: null,
+    staff: null,
+    available: true,
+    freeAt: 0,
+    count: 0
+  }));
+};
+
+/**
+ * Pick the lane a waiting customer will be served in
+ * Customers with a preferred staff member stay in that member's line (even
+ * while they are on break); "any barber" customers go to whichever
+ * available staff member who performs the service frees up first.
+ * @param {Array<Object>} lanes - Shop lanes
+ * @param {Document} entry - Waiting queue entry
+ * @returns {Object} - Lane
+ */
+const pickLane = (lanes, entry) => {
+  const preferredId = idOf(entry.preferredStaff);
+  const preferred = preferredId && lanes.find(lane => lane.staffId === preferredId);
+  if (preferred) {
+    return preferred;
+  }
+
+  const available = lanes.filter(lane => lane.available);
+  const skilled = available.filter(lane => !lane.staff || lane.staff.canPerform(getServiceKeys(entry)));
+
+  if (skilled.length > 0) return nextFreeLane(skilled);
+  if (available.length > 0) return nextFreeLane(available);
+  return nextFreeLane(lanes);
+};
+
+/**
+ * Estimate wait times for a shop's live queue
+ * Simulates the shop's staff (or chairs, for shops without a roster) as
+ * parallel lanes: in-service customers occupy their lane for their remaining
+ * time, and each waiting customer (in queue order) joins their preferred
+ * staff member's lane or, for "any barber", the lane that frees up first.
+ * Upcoming bookings are inserted ahead of waiting customers once their slot
+ * time comes up, just like the scheduler does for real. While the barber is
+ * on a break no lane frees up before the break ends.
+ * @param {String} shopId - Shop ID
+ * @param {Array} queue - Active entries in queue order (loaded if omitted)
+ * @returns {Promise<Object>} - {
+ *   waitTimes: Map(entryId -> minutes),
+ *   assignments: Map(entryId -> { staffId, lanePosition }),
+ *   staffWaitTimes: Map(staffId -> minutes until they can take someone new),
+ *   nextWaitTime
+ * }
+ */
+const estimateQueue = async (shopId, queue = null) => {
+  const entries = queue || await QueueEntry.getCurrentQueue(shopId);
+  const now = Date.now();
+  const [durations, lanes, upcoming, pause] = await Promise.all([
+    getServiceDurations(shopId),
+    buildLanes(shopId),
+    Appointment.getUpcoming(shopId, new Date(now + BOOKING_HORIZON_MINUTES * 60 * 1000)),
+    shopService.getPause(shopId)
+  ]);
+
+  // Everyone's wait starts after the break
+  if (pause) {
+    const breakMinutes = (pause.until.getTime() - now) / 60000;
+    lanes.forEach(lane => {
+      lane.freeAt = breakMinutes;
+    });
+  }
+
+  entries
+    .filter(entry => entry.status === 'in-service')
+    .forEach(entry => {
+      const expected = getEntryDuration(durations, entry);
+      const elapsed = entry.serviceStartedAt ? (now - entry.serviceStartedAt.getTime()) / 60000 : 0;
+
+      const staffId = idOf(entry.assignedStaff);
+      let lane = staffId && lanes.find(l => l.staffId === staffId);
+      if (!lane && !lanes[0].staffId && entry.chair && entry.chair <= lanes.length) {
+        lane = lanes[entry.chair - 1];
+      }
+      lane = lane || nextFreeLane(lanes);
+
+      lane.freeAt += Math.max(0, expected - elapsed);
+    });
+
+  // Bookings in slot order, as minutes from now (overdue ones start now)
+  const bookings = upcoming.map(appointment => ({
+    preferredStaff: appointment.preferredStaff,
+    serviceType: appointment.serviceType,
+    offset: Math.max(0, (appointment.startTime.getTime() - now) / 60000)
+  }));
+  let nextBooking = 0;
+
+  // Pick a lane, first seating any bookings whose slot starts before the
+  // picked lane would be free
+  const pickLaneAfterBookings = (choose) => {
+    let lane = choose();
+    while (nextBooking < bookings.length && bookings[nextBooking].offset <= lane.freeAt) {
+      const booking = bookings[nextBooking++];
+      const bookingLane = pickLane(lanes, booking);
+      bookingLane.freeAt = Math.max(bookingLane.freeAt, booking.offset) + getDuration(durations, booking.serviceType);
+      lane = choose();
+    }
+    return lane;
+  };
+
+  const waitTimes = new Map();
+  const assignments = new Map();
+
+  // Called customers are next in line, then everyone waiting in order
+  entries
+    .filter(entry => entry.status === 'called' || entry.status === 'waiting')
+    .forEach(entry => {
+      const lane = pickLaneAfterBookings(() => pickLane(lanes, entry));
+      lane.count += 1;
+
+      waitTimes.set(entry._id.toString(), Math.round(lane.freeAt));
+      assignments.set(entry._id.toString(), {
+        staffId: lane.staffId,
+        lanePosition: lane.count
+      });
+      lane.freeAt += getEntryDuration(durations, entry);
+    });
+
+  // Someone joining now waits for the first open lane, after due bookings
+  const openLanes = lanes.filter(lane => lane.available);
+  const nextLane = pickLaneAfterBookings(() => nextFreeLane(openLanes.length > 0 ? openLanes : lanes));
+
+  const staffWaitTimes = new Map();
+  lanes
+    .filter(lane => lane.staffId)
+    .forEach(lane => staffWaitTimes.set(lane.staffId, Math.round(lane.freeAt)));
+
+  return {
+    waitTimes,
+    assignments,
+    staffWaitTimes,
+    nextWaitTime: Math.round(nextLane.freeAt)
+  };
+};
+
+/**
+ * Format a wait time for display
+ * @param {Number} minutes - Wait time in minutes
+ * @returns {String} - e.g. 'No wait', '25 min', '1 hr 10 min'
+ */
+const formatWaitTime = (minutes) => {
+  if (minutes === 0) {
+    return 'No wait';
+  } else if (minutes < 60) {
+    return `${minutes} min`;
+  }
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return mins > 0 ? `${hours} hr ${mins} min` : `${hours} hr`;
+};
+
+module.exports = {
+  DEFAULT_SERVICE_DURATIONS,
+  getDefaultDuration,
+  getServiceDurations,
+  getDuration,
+  getServiceKeys,
+  getEntryDuration,
+  invalidate,
+  estimateQueue,
+  formatWaitTime
+};
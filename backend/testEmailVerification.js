@@ -0,0 +1,131 @@
+/**
+ * Test Email Verification
+ *
+ * Confirms a throwaway customer's email with the file mail transport: the
+ * account can't join until the link is used, the link works once, resends are
+ * rate limited, and a link stops working if the address changes.
+ *
+ * Usage: node testEmailVerification.js
+ * Writes mail to a temporary folder and removes everything it created afterwards.
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Customer = require('./models/Customer');
+const EmailVerificationToken = require('./models/EmailVerificationToken');
+const mailTransport = require('./services/mailTransport');
+const emailVerification = require('./services/emailVerification');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/barber-queue';
+const TEST_EMAIL = `verify-test-${Date.now()}@example.com`;
+
+let customerId = null;
+let mailDir = null;
+
+async function cleanup() {
+  if (customerId) {
+    await Customer.deleteOne({ _id: customerId });
+    await EmailVerificationToken.deleteMany({ user: customerId });
+  }
+}
+
+// Pull the token out of the newest mail in the folder
+async function readLatestToken() {
+  const files = (await fs.readdir(mailDir)).sort();
+  if (files.length === 0) return null;
+
+  const mail = JSON.parse(await fs.readFile(path.join(mailDir, files[files.length - 1]), 'utf8'));
+  const match = mail.text.match(/[?&]token=([a-f0-9]+)/);
+  return match ? match[1] : null;
+}
+
+// Skip the resend cooldown instead of waiting it out (createdAt is immutable
+// through the model, so go through the driver)
+const endCooldown = () => EmailVerificationToken.collection.updateMany(
+  { user: customerId },
+  { $set: { createdAt: new Date(0) } }
+);
+
+async function testEmailVerification() {
+  let passed = false;
+
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    mailDir = await fs.mkdtemp(path.join(os.tmpdir(), 'verify-mail-'));
+    mailTransport.setTransport(mailTransport.createFileTransport({ dir: mailDir }));
+
+    const customer = await Customer.create({
+      name: 'Verify Test',
+      email: TEST_EMAIL,
+      password: 'test-password',
+      phone: '9000000004'
+    });
+    customerId = customer._id;
+
+    const checks = [];
+    const check = (label, ok) => {
+      checks.push(ok);
+      console.log(`   ${ok ? '✅' : '❌'} ${label}`);
+    };
+
+    check('New account starts unverified', customer.emailVerified === false && !customer.isVerified());
+
+    await emailVerification.sendVerification('customer', customer);
+    const firstToken = await readLatestToken();
+    check('Verification mail sent with a token', !!firstToken);
+
+    const tooSoon = await emailVerification.resendVerification('customer', customer);
+    check('Resend blocked during cooldown', tooSoon.error && tooSoon.error.status === 429);
+
+    // A resend retires the first link
+    await endCooldown();
+    check('Resend allowed after cooldown', !(await emailVerification.resendVerification('customer', customer)).error);
+    const token = await readLatestToken();
+    check('Earlier link stops working', !!(await emailVerification.verifyEmail(firstToken)).error);
+
+    const stored = await EmailVerificationToken.findOne({ user: customer._id, usedAt: null });
+    check('Only the hash is stored', stored && stored.tokenHash === EmailVerificationToken.hash(token));
+
+    const result = await emailVerification.verifyEmail(token);
+    check('Verification succeeds', !result.error && result.role === 'customer');
+    check('Same link can\'t be used twice', !!(await emailVerification.verifyEmail(token)).error);
+
+    const verified = await Customer.findById(customer._id);
+    check('Account can now join', verified.emailVerified === true && !!verified.emailVerifiedAt && verified.isVerified());
+
+    const again = await emailVerification.resendVerification('customer', verified);
+    check('No resend once verified', again.error && again.error.code === emailVerification.VERIFY_ERRORS.ALREADY_VERIFIED);
+
+    // A link only confirms the address it was sent to
+    verified.emailVerified = false;
+    await verified.save();
+    await emailVerification.sendVerification('customer', verified);
+    const staleToken = await readLatestToken();
+    await Customer.updateOne({ _id: customer._id }, { $set: { email: `changed-${TEST_EMAIL}` } });
+    check('Link refused after the address changed', !!(await emailVerification.verifyEmail(staleToken)).error);
+
+    passed = checks.every(Boolean);
+
+    console.log(passed ? '\n✅ PASSED' : '\n❌ FAILED');
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    if (mongoose.connection.readyState === 1) {
+      await cleanup();
+    }
+    if (mailDir) {
+      await fs.rm(mailDir, { recursive: true, force: true });
+    }
+    await mongoose.connection.close();
+    console.log('\n📦 Connection closed');
+  }
+
+  process.exit(passed ? 0 : 1);
+}
+
+testEmailVerification();
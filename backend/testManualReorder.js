@@ -0,0 +1,101 @@
+/**
+ * Test Manual Reorder With Priority Customers
+ *
+ * Sets up a shop with the 'strict' priority policy and a senior at the front,
+ * then has the barber move a regular customer. A move ahead of the senior is
+ * refused with 409 and changes nothing, since the policy would put them
+ * straight back; a move the policy allows sticks.
+ *
+ * Usage: node testManualReorder.js
+ * Uses a throwaway shop and removes everything it created afterwards.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const BarberShop = require('./models/BarberShop');
+const QueueEntry = require('./models/QueueEntry');
+const QueueEvent = require('./models/QueueEvent');
+const TokenCounter = require('./models/TokenCounter');
+const { moveEntry } = require('./services/queueManager');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/barber-queue';
+const SHOP_ID = `reorder-test-${Date.now()}`;
+
+const barber = { type: 'barber', id: null, name: 'Reorder Test Barber' };
+
+async function cleanup() {
+  await BarberShop.deleteMany({ shopId: SHOP_ID });
+  await QueueEntry.deleteMany({ shopId: SHOP_ID });
+  await QueueEvent.deleteMany({ shopId: SHOP_ID });
+  await TokenCounter.deleteMany({ shopId: SHOP_ID });
+}
+
+// Tokens of the waiting customers, front of the queue first
+const waitingTokens = async () => (await QueueEntry.find({ shopId: SHOP_ID, status: 'waiting' })
+  .sort({ queuePosition: 1 }))
+  .map(entry => entry.tokenNumber);
+
+async function testManualReorder() {
+  let passed = false;
+
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    await BarberShop.create({
+      shopName: 'Reorder Test',
+      ownerName: 'Reorder Test',
+      phone: `13${String(Date.now()).slice(-8)}`,
+      address: { street: '1 Test Street', city: 'Bangalore', state: 'Karnataka', pincode: '560001' },
+      location: { type: 'Point', coordinates: [77.5946, 12.9716] },
+      shopId: SHOP_ID,
+      queueSettings: { priorityPolicy: 'strict' }
+    });
+
+    const entries = [];
+    for (const priorityClass of ['senior', null, null]) {
+      entries.push(await QueueEntry.createWithToken({
+        name: `Reorder Test ${entries.length + 1}`,
+        shopId: SHOP_ID,
+        serviceType: 'haircut',
+        queuePosition: entries.length + 1,
+        status: 'waiting',
+        priorityClass
+      }));
+    }
+    const [senior, second, third] = entries;
+    const startOrder = [senior.tokenNumber, second.tokenNumber, third.tokenNumber];
+
+    const checks = [];
+    const check = (label, ok) => {
+      checks.push(ok);
+      console.log(`   ${ok ? '✅' : '❌'} ${label}`);
+    };
+
+    const refused = await moveEntry(null, third, 1, { actor: barber, reason: 'Ahead of the senior' });
+    check('Move ahead of a priority customer refused', refused.error && refused.error.status === 409);
+    check('Queue unchanged', JSON.stringify(await waitingTokens()) === JSON.stringify(startOrder));
+    check('No reorder recorded', (await QueueEvent.countDocuments({ shopId: SHOP_ID, type: 'reordered' })) === 0);
+
+    const moved = await moveEntry(null, third, 2, { actor: barber, reason: 'Was here first' });
+    check('Move the policy allows goes through', !moved.error && moved.to === 2);
+    check('Move sticks after priority ordering',
+      JSON.stringify(await waitingTokens()) === JSON.stringify([senior.tokenNumber, third.tokenNumber, second.tokenNumber]));
+
+    passed = checks.every(Boolean);
+
+    console.log(passed ? '\n✅ PASSED' : '\n❌ FAILED');
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    if (mongoose.connection.readyState === 1) {
+      await cleanup();
+    }
+    await mongoose.connection.close();
+    console.log('\n📦 Connection closed');
+  }
+
+  process.exit(passed ? 0 : 1);
+}
+
+testManualReorder();
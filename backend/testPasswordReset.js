@@ -0,0 +1,128 @@
+/**
+ * Test Password Reset
+ *
+ * Runs a full reset for a throwaway customer with the file mail transport:
+ * the emailed link works once, sets the new password, signs the account out
+ * everywhere, and unknown or expired tokens are refused.
+ *
+ * Usage: node testPasswordReset.js
+ * Writes mail to a temporary folder and removes everything it created afterwards.
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Customer = require('./models/Customer');
+const PasswordResetToken = require('./models/PasswordResetToken');
+const RefreshToken = require('./models/RefreshToken');
+const mailTransport = require('./services/mailTransport');
+const passwordReset = require('./services/passwordReset');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/barber-queue';
+const TEST_EMAIL = `reset-test-${Date.now()}@example.com`;
+
+let customerId = null;
+let mailDir = null;
+
+async function cleanup() {
+  if (customerId) {
+    await Customer.deleteOne({ _id: customerId });
+    await PasswordResetToken.deleteMany({ user: customerId });
+    await RefreshToken.deleteMany({ user: customerId });
+  }
+}
+
+// Pull the token out of the newest mail in the folder
+async function readLatestToken() {
+  const files = (await fs.readdir(mailDir)).sort();
+  if (files.length === 0) return null;
+
+  const mail = JSON.parse(await fs.readFile(path.join(mailDir, files[files.length - 1]), 'utf8'));
+  const match = mail.text.match(/[?&]reset=([a-f0-9]+)/);
+  return match ? match[1] : null;
+}
+
+async function testPasswordReset() {
+  let passed = false;
+
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    mailDir = await fs.mkdtemp(path.join(os.tmpdir(), 'reset-mail-'));
+    mailTransport.setTransport(mailTransport.createFileTransport({ dir: mailDir }));
+
+    const customer = await Customer.create({
+      name: 'Reset Test',
+      email: TEST_EMAIL,
+      password: 'old-password',
+      phone: '9000000003'
+    });
+    customerId = customer._id;
+
+    await RefreshToken.issue({ user: customer._id, role: 'customer', days: 7 });
+
+    const checks = [];
+    const check = (label, ok) => {
+      checks.push(ok);
+      console.log(`   ${ok ? '✅' : '❌'} ${label}`);
+    };
+
+    check('No mail for an unknown address', !(await passwordReset.requestReset('customer', `nobody-${TEST_EMAIL}`)));
+    check('No mail for the wrong role', !(await passwordReset.requestReset('barber', TEST_EMAIL)));
+
+    await passwordReset.requestReset('customer', TEST_EMAIL.toUpperCase());
+    const firstToken = await readLatestToken();
+    check('Reset mail sent with a token', !!firstToken);
+
+    // Asking again retires the first link
+    await passwordReset.requestReset('customer', TEST_EMAIL);
+    const token = await readLatestToken();
+    check('Earlier link stops working', !!(await passwordReset.resetPassword('customer', firstToken, 'new-password')).error);
+
+    const stored = await PasswordResetToken.findOne({ user: customer._id, usedAt: null });
+    check('Only the hash is stored', stored && stored.tokenHash !== token && stored.tokenHash === PasswordResetToken.hash(token));
+
+    check('Token is tied to its role', !!(await passwordReset.resetPassword('barber', token, 'new-password')).error);
+
+    const result = await passwordReset.resetPassword('customer', token, 'new-password');
+    check('Reset succeeds', !result.error);
+    check('Same link can\'t be used twice', !!(await passwordReset.resetPassword('customer', token, 'other-password')).error);
+
+    const updated = await Customer.findById(customer._id).select('+password');
+    check('New password works', await updated.matchPassword('new-password'));
+    check('Old password no longer works', !(await updated.matchPassword('old-password')));
+    check('Signed out everywhere', !!updated.tokensValidAfter &&
+      (await RefreshToken.countDocuments({ user: customer._id, revokedAt: null })) === 0);
+
+    // Expired tokens are refused even before MongoDB's TTL cleanup removes them
+    await passwordReset.requestReset('customer', TEST_EMAIL);
+    const expiredToken = await readLatestToken();
+    await PasswordResetToken.updateOne(
+      { tokenHash: PasswordResetToken.hash(expiredToken) },
+      { $set: { expiresAt: new Date(Date.now() - 1000) } }
+    );
+    check('Expired link is refused', !!(await passwordReset.resetPassword('customer', expiredToken, 'late-password')).error);
+
+    passed = checks.every(Boolean);
+
+    console.log(passed ? '\n✅ PASSED' : '\n❌ FAILED');
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    if (mongoose.connection.readyState === 1) {
+      await cleanup();
+    }
+    if (mailDir) {
+      await fs.rm(mailDir, { recursive: true, force: true });
+    }
+    await mongoose.connection.close();
+    console.log('\n📦 Connection closed');
+  }
+
+  process.exit(passed ? 0 : 1);
+}
+
+testPasswordReset();
@@ -0,0 +1,130 @@
+/**
+ * Test Phone OTP Login
+ *
+ * Signs a throwaway phone number up and back in with the stub SMS provider:
+ * resend cooldown, wrong-code limit, single-use codes, the name step for a
+ * new number, and an email account's unverified number not logging in to it
+ * until it's verified from inside the account.
+ *
+ * Usage: node testPhoneLogin.js
+ * Removes everything it created afterwards.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Customer = require('./models/Customer');
+const OtpCode = require('./models/OtpCode');
+const smsProvider = require('./services/smsProvider');
+const otpLogin = require('./services/otpLogin');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/barber-queue';
+
+// A number that's very unlikely to belong to a real test customer
+const TEST_PHONE = `10${String(Date.now()).slice(-8)}`;
+const EMAIL_ACCOUNT_PHONE = `11${String(Date.now()).slice(-8)}`;
+
+const stub = smsProvider.createStubProvider();
+
+async function cleanup() {
+  await Customer.deleteMany({ phone: { $in: [TEST_PHONE, EMAIL_ACCOUNT_PHONE] } });
+  await OtpCode.deleteMany({ phone: { $in: [TEST_PHONE, EMAIL_ACCOUNT_PHONE] } });
+}
+
+// The code is the first word of the latest text
+const latestCode = () => stub.outbox[stub.outbox.length - 1].body.split(' ')[0];
+
+// Skip the resend cooldown instead of waiting it out
+const endCooldown = (phone = TEST_PHONE) => OtpCode.updateOne({ phone }, { $set: { sentAt: new Date(0) } });
+
+async function testPhoneLogin() {
+  let passed = false;
+
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    await OtpCode.syncIndexes();
+    smsProvider.setProvider(stub);
+
+    const checks = [];
+    const check = (label, ok) => {
+      checks.push(ok);
+      console.log(`   ${ok ? '✅' : '❌'} ${label}`);
+    };
+
+    check('Code sent', !(await otpLogin.requestOtp(TEST_PHONE)).error);
+    const code = latestCode();
+
+    const stored = await OtpCode.findOne({ phone: TEST_PHONE });
+    check('Only a hash is stored', stored && stored.codeHash !== code);
+
+    const again = await otpLogin.requestOtp(TEST_PHONE);
+    check('Resend blocked during cooldown', again.error && again.error.status === 429);
+
+    const first = await otpLogin.verifyOtp(TEST_PHONE, code);
+    check('New number is asked for a name', first.error && first.error.needsName === true);
+
+    const signup = await otpLogin.verifyOtp(TEST_PHONE, code, 'Phone Test');
+    check('Account created with the same code', signup.created === true && !!signup.customer.phoneVerifiedAt);
+    check('Code works only once', !!(await otpLogin.verifyOtp(TEST_PHONE, code)).error);
+
+    await endCooldown();
+    await otpLogin.requestOtp(TEST_PHONE);
+    const login = await otpLogin.verifyOtp(TEST_PHONE, latestCode());
+    check('Returning number logs in to the same account',
+      login.created === false && login.customer._id.equals(signup.customer._id));
+
+    await endCooldown();
+    await otpLogin.requestOtp(TEST_PHONE);
+    const goodCode = latestCode();
+    const wrongCode = goodCode === '000000' ? '111111' : '000000';
+    for (let i = 0; i < OtpCode.MAX_ATTEMPTS; i++) {
+      await otpLogin.verifyOtp(TEST_PHONE, wrongCode);
+    }
+    const locked = await otpLogin.verifyOtp(TEST_PHONE, goodCode);
+    check('Right code refused after too many wrong ones', locked.error && locked.error.status === 429);
+
+    await endCooldown();
+    await otpLogin.requestOtp(TEST_PHONE);
+    await OtpCode.updateOne({ phone: TEST_PHONE }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+    check('Expired code refused', !!(await otpLogin.verifyOtp(TEST_PHONE, latestCode())).error);
+
+    const emailAccount = await Customer.create({
+      name: 'Email Test',
+      email: `otp-${EMAIL_ACCOUNT_PHONE}@example.com`,
+      password: 'test-password',
+      phone: EMAIL_ACCOUNT_PHONE
+    });
+    await otpLogin.requestOtp(EMAIL_ACCOUNT_PHONE);
+    const typedIn = await otpLogin.verifyOtp(EMAIL_ACCOUNT_PHONE, latestCode());
+    const untouched = await Customer.findById(emailAccount._id);
+    check('Typed-in number can\'t log in to an email account',
+      typedIn.error && typedIn.error.status === 409 && !untouched.phoneVerifiedAt);
+
+    await endCooldown(EMAIL_ACCOUNT_PHONE);
+    await otpLogin.requestPhoneVerification(untouched);
+    check('Number verified from inside the account', !(await otpLogin.verifyPhone(untouched, latestCode())).error);
+
+    await endCooldown(EMAIL_ACCOUNT_PHONE);
+    await otpLogin.requestOtp(EMAIL_ACCOUNT_PHONE);
+    const afterVerify = await otpLogin.verifyOtp(EMAIL_ACCOUNT_PHONE, latestCode());
+    check('Verified number logs in to the email account',
+      !afterVerify.error && afterVerify.customer._id.equals(emailAccount._id));
+
+    passed = checks.every(Boolean);
+
+    console.log(passed ? '\n✅ PASSED' : '\n❌ FAILED');
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    if (mongoose.connection.readyState === 1) {
+      await cleanup();
+    }
+    await mongoose.connection.close();
+    console.log('\n📦 Connection closed');
+  }
+
+  process.exit(passed ? 0 : 1);
+}
+
+testPhoneLogin();
@@ -0,0 +1,71 @@
+/**
+ * Test Queue Event Replay
+ *
+ * Replays a hand-written event log (joins, a booking slotted in, a priority
+ * reorder, a call, a missed call sent to the back, service, a removal the
+ * barber undid) and checks the rebuilt waiting list is in the right order.
+ *
+ * Usage: node testQueueReplay.js
+ * Pure - needs no database.
+ */
+
+const { replayEvents } = require('./services/queueEvents');
+
+let clock = Date.now();
+const event = (type, entry, after = {}, details = {}) => ({
+  type,
+  entry,
+  tokenNumber: entry ? parseInt(entry.slice(-2)) : undefined,
+  after,
+  details,
+  at: new Date(clock += 1000)
+});
+
+// Entry IDs end in their token number
+const id = (token) => `64b000000000000000000${String(token).padStart(3, '0')}`;
+
+const events = [
+  event('joined', id(1), { status: 'waiting', queuePosition: 1 }),
+  event('joined', id(2), { status: 'waiting', queuePosition: 2 }),
+  event('joined', id(3), { status: 'waiting', queuePosition: 3 }),
+  // Booking slotted in after the first customer
+  event('joined', id(4), { status: 'waiting', queuePosition: 1.5 }),
+  event('joined', id(5), { status: 'waiting', queuePosition: 5 }),
+  // Token 5 tagged as a senior and moved up
+  event('priority-changed', id(5), { status: 'waiting', queuePosition: 5, priorityClass: 'senior' }),
+  event('reordered', null, {}, { reason: 'priority-policy', order: [id(1), id(4), id(5), id(2), id(3)] }),
+  event('called', id(1), { status: 'called', queuePosition: 1 }),
+  // Token 1 missed their call and goes to the back
+  event('skipped', id(1), { status: 'waiting', queuePosition: 5 }),
+  event('serving', id(4), { status: 'in-service', chair: 1 }),
+  event('cancelled', id(2), { status: 'cancelled' }),
+  // Removed by mistake - undone, back just ahead of their old place
+  event('restored', id(2), { status: 'waiting', queuePosition: 1.5 }),
+  event('joined', id(6), { status: 'waiting', queuePosition: 5 })
+];
+
+function testQueueReplay() {
+  const { entries, waiting } = replayEvents(events);
+  const tokens = waiting.map(entryId => entries.get(entryId).tokenNumber);
+  const expected = [5, 2, 3, 1, 6];
+
+  console.log(`📜 Replayed ${events.length} events`);
+  console.log(`   Waiting order: ${tokens.map(t => `#${t}`).join(' ')}`);
+  console.log(`   Expected:      ${expected.map(t => `#${t}`).join(' ')}`);
+
+  const checks = [
+    ['waiting order', tokens.join() === expected.join()],
+    ['positions renumbered', waiting.every((entryId, i) => entries.get(entryId).queuePosition === i + 1)],
+    ['priority class kept', entries.get(id(5)).priorityClass === 'senior'],
+    ['in-service chair kept', entries.get(id(4)).status === 'in-service' && entries.get(id(4)).chair === 1],
+    ['undone removal back in the queue', entries.get(id(2)).status === 'waiting']
+  ];
+
+  checks.forEach(([name, ok]) => console.log(`${ok ? '✅' : '❌'} ${name}`));
+
+  const passed = checks.every(([, ok]) => ok);
+  console.log(passed ? '\n✅ Replay test passed' : '\n❌ Replay test failed');
+  process.exit(passed ? 0 : 1);
+}
+
+testQueueReplay();
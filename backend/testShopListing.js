@@ -0,0 +1,144 @@
+/**
+ * Test Shop Listing Verification
+ *
+ * Registers a shop through the public route and checks, through the real
+ * routes, that it stays out of nearby results and refuses queue joins and
+ * bookings until the listing is verified.
+ *
+ * Usage: node testShopListing.js
+ * Registers a throwaway shop far out at sea and removes everything it created
+ * afterwards.
+ */
+
+const express = require('express');
+const bodyParser = require('body-parser');
+const mongoose = require('mongoose');
+require('dotenv').config();
+const BarberShop = require('./models/BarberShop');
+const Customer = require('./models/Customer');
+const QueueEntry = require('./models/QueueEntry');
+const Appointment = require('./models/Appointment');
+const { generateToken } = require('./middleware/auth');
+const { JOIN_ERRORS } = require('./services/joinPolicy');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/barber-queue';
+const RUN_ID = Date.now();
+const TEST_PHONE = `12${String(RUN_ID).slice(-8)}`;
+
+// Nowhere near a real shop
+const LATITUDE = -40.5;
+const LONGITUDE = -140.5;
+
+let shopId = null;
+let customerId = null;
+
+async function cleanup() {
+  await BarberShop.deleteMany({ ownerPhone: TEST_PHONE });
+  if (shopId) {
+    await QueueEntry.deleteMany({ shopId });
+    await Appointment.deleteMany({ shopId });
+  }
+  if (customerId) {
+    await Customer.deleteOne({ _id: customerId });
+  }
+}
+
+// Mount the routers the same way server.js does
+function createApp() {
+  const app = express();
+  app.use(bodyParser.json());
+  app.use('/api/queue', require('./routes/queueRoutes'));
+  app.use('/api/appointments', require('./routes/appointmentRoutes'));
+  app.use('/api/barbers', require('./routes/barberShopRoutes'));
+  return app;
+}
+
+async function testShopListing() {
+  let passed = false;
+  let server;
+
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    server = createApp().listen(0);
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const request = async (method, path, body, headers = {}) => {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    const checks = [];
+    const check = (label, ok) => {
+      checks.push(ok);
+      console.log(`   ${ok ? '✅' : '❌'} ${label}`);
+    };
+
+    const registered = await request('POST', '/api/barbers/register', {
+      name: 'Listing Test Shop',
+      ownerName: 'Listing Test',
+      ownerPhone: TEST_PHONE,
+      address: { street: '1 Test Street', city: 'Nowhere', state: 'Sea', pincode: '000000' },
+      latitude: LATITUDE,
+      longitude: LONGITUDE
+    });
+    shopId = registered.body.data && registered.body.data.shopId;
+    check('Shop registered unverified', registered.status === 201 && registered.body.data.verified === false);
+
+    const customer = await Customer.create({
+      name: 'Listing Test Customer',
+      email: `listing-test-${RUN_ID}@example.com`,
+      password: 'test-password',
+      phone: TEST_PHONE,
+      emailVerified: true
+    });
+    customerId = customer._id;
+    const auth = { Authorization: `Bearer ${generateToken(customer._id, 'customer')}` };
+
+    const isListed = async () => {
+      const nearby = await request('GET', `/api/barbers/nearby?lat=${LATITUDE}&lng=${LONGITUDE}&radius=1000`);
+      return nearby.body.data.some(shop => shop.shopId === shopId);
+    };
+
+    check('Left out of nearby results', !(await isListed()));
+
+    const join = await request('POST', '/api/queue/join', { shopId, serviceType: 'haircut' }, auth);
+    check('Queue join refused', join.status === 403 && join.body.code === JOIN_ERRORS.SHOP_NOT_VERIFIED);
+
+    const booking = await request('POST', '/api/appointments', {
+      shopId,
+      serviceType: 'haircut',
+      startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+    }, auth);
+    check('Booking refused', booking.status === 403 && booking.body.code === JOIN_ERRORS.SHOP_NOT_VERIFIED);
+
+    check('Nothing was queued', (await QueueEntry.countDocuments({ shopId })) === 0);
+
+    await BarberShop.updateOne({ shopId }, { $set: { verified: true } });
+    check('Listed once verified', await isListed());
+
+    passed = checks.every(Boolean);
+
+    console.log(passed ? '\n✅ PASSED' : '\n❌ FAILED');
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    if (server) {
+      server.close();
+    }
+    if (mongoose.connection.readyState === 1) {
+      await cleanup();
+    }
+    await mongoose.connection.close();
+    console.log('\n📦 Connection closed');
+  }
+
+  process.exit(passed ? 0 : 1);
+}
+
+testShopListing();
@@ -0,0 +1,169 @@
+/**
+ * Test Shop Ownership Checks
+ *
+ * Signs in as the barber of one shop and tries to manage another shop's
+ * queue, bookings, settings and staff through the real routes. Every request must be
+ * refused with 403, and the same requests without a token with 401.
+ *
+ * Usage: node testShopOwnership.js
+ * Uses two throwaway shops and removes everything it created afterwards.
+ */
+
+const express = require('express');
+const bodyParser = require('body-parser');
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Barber = require('./models/Barber');
+const BarberShop = require('./models/BarberShop');
+const QueueEntry = require('./models/QueueEntry');
+const TokenCounter = require('./models/TokenCounter');
+const { generateToken } = require('./middleware/auth');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/barber-queue';
+const RUN_ID = Date.now();
+const SHOP_A = `ownership-test-a-${RUN_ID}`;
+const SHOP_B = `ownership-test-b-${RUN_ID}`;
+
+const location = { type: 'Point', coordinates: [77.5946, 12.9716] };
+
+async function cleanup() {
+  await Barber.deleteMany({ shopId: { $in: [SHOP_A, SHOP_B] } });
+  await BarberShop.deleteMany({ shopId: SHOP_B });
+  await QueueEntry.deleteMany({ shopId: SHOP_B });
+  await TokenCounter.deleteMany({ shopId: SHOP_B });
+}
+
+// Mount the routers the same way server.js does
+function createApp() {
+  const app = express();
+  app.use(bodyParser.json());
+  app.use('/api/queue', require('./routes/queueRoutes'));
+  app.use('/api/appointments', require('./routes/appointmentRoutes'));
+  app.use('/api/barbers/:shopId/staff', require('./routes/staffRoutes'));
+  app.use('/api/barbers/:shopId/services', require('./routes/serviceRoutes'));
+  app.use('/api/barbers', require('./routes/barberShopRoutes'));
+  return app;
+}
+
+async function testShopOwnership() {
+  let passed = false;
+  let server;
+
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const barberA = await Barber.create({
+      shopName: 'Ownership Test A',
+      shopId: SHOP_A,
+      ownerName: 'Barber A',
+      email: `${SHOP_A}@example.com`,
+      password: 'password123',
+      phone: '9000000001',
+      location,
+      address: { city: 'Bangalore' }
+    });
+
+    await Barber.create({
+      shopName: 'Ownership Test B',
+      shopId: SHOP_B,
+      ownerName: 'Barber B',
+      email: `${SHOP_B}@example.com`,
+      password: 'password123',
+      phone: '9000000002',
+      location,
+      address: { city: 'Bangalore' }
+    });
+
+    const shopB = await BarberShop.create({
+      shopName: 'Ownership Test B',
+      ownerName: 'Barber B',
+      phone: '9000000002',
+      address: { street: '1 Test Street', city: 'Bangalore', state: 'Karnataka', pincode: '560001' },
+      location,
+      shopId: SHOP_B
+    });
+
+    const entryB = await QueueEntry.createWithToken({
+      name: 'Ownership Test Customer',
+      shopId: SHOP_B,
+      serviceType: 'haircut',
+      queuePosition: 1,
+      status: 'waiting',
+      groupId: new mongoose.Types.ObjectId()
+    });
+
+    server = createApp().listen(0);
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const token = generateToken(barberA._id, 'barber');
+
+    const cases = [
+      ['GET', `/api/queue/list?shopId=${SHOP_B}`],
+      ['GET', `/api/queue/stats?shopId=${SHOP_B}`],
+      ['POST', '/api/queue/call-next', { shopId: SHOP_B }],
+      ['PATCH', `/api/queue/serve/${entryB._id}`],
+      ['PATCH', `/api/queue/serve-group/${entryB.groupId}`],
+      ['PATCH', `/api/queue/check-in/${entryB._id}`],
+      ['PATCH', `/api/queue/priority/${entryB._id}`, { priorityClass: null }],
+      ['PATCH', `/api/queue/reorder/${entryB._id}`, { position: 1, reason: 'Intruder' }],
+      ['POST', `/api/queue/undo/${entryB._id}`],
+      ['PATCH', `/api/queue/complete/${entryB._id}`],
+      ['PATCH', `/api/queue/no-show/${entryB._id}`],
+      ['DELETE', `/api/queue/remove/${entryB._id}`, { reason: 'other' }],
+      ['GET', `/api/appointments/shop/${SHOP_B}`],
+      ['PATCH', `/api/barbers/${SHOP_B}/toggle-status`],
+      ['PATCH', `/api/barbers/${SHOP_B}/chairs`, { totalChairs: 1 }],
+      ['PATCH', `/api/barbers/${SHOP_B}/queue-settings`, { maxQueueSize: 1 }],
+      ['POST', `/api/barbers/${SHOP_B}/pause`, { minutes: 5 }],
+      ['DELETE', `/api/barbers/${SHOP_B}/pause`],
+      ['POST', `/api/barbers/${SHOP_B}/staff`, { name: 'Intruder' }],
+      ['POST', `/api/barbers/${SHOP_B}/services`, { name: 'Intruder Cut', price: 1, durationMinutes: 5 }],
+      ['PATCH', `/api/barbers/${SHOP_B}/location`, { longitude: 0, latitude: 0 }],
+      ['PATCH', `/api/barbers/${SHOP_B}/toggle-active`]
+    ];
+
+    const request = (method, path, body, headers = {}) => fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    let failures = 0;
+
+    console.log(`🔒 Barber of ${SHOP_A} managing ${SHOP_B}...\n`);
+
+    for (const [method, path, body] of cases) {
+      const anonymous = await request(method, path, body);
+      const crossShop = await request(method, path, body, { Authorization: `Bearer ${token}` });
+      const ok = anonymous.status === 401 && crossShop.status === 403;
+      if (!ok) failures++;
+
+      console.log(`   ${ok ? '✅' : '❌'} ${method} ${path} -> ${anonymous.status} without token, ${crossShop.status} as ${SHOP_A}`);
+    }
+
+    // Nothing about shop B may have changed
+    const entryAfter = await QueueEntry.findById(entryB._id);
+    const shopAfter = await BarberShop.findById(shopB._id);
+    const untouched = entryAfter.status === 'waiting' && shopAfter.isActive === shopB.isActive;
+    console.log(`\nShop ${SHOP_B} untouched: ${untouched ? 'yes' : 'no'}`);
+
+    passed = failures === 0 && untouched;
+
+    console.log(passed ? '\n✅ PASSED' : '\n❌ FAILED');
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    if (server) {
+      server.close();
+    }
+    if (mongoose.connection.readyState === 1) {
+      await cleanup();
+    }
+    await mongoose.connection.close();
+    console.log('\n📦 Connection closed');
+  }
+
+  process.exit(passed ? 0 : 1);
+}
+
+testShopOwnership();
@@ -0,0 +1,90 @@
+/**
+ * Test Token Allocation Under Concurrency
+ *
+ * Fires many joins for the same shop in parallel and checks that every
+ * entry received a distinct token, numbered 1..N for the business day.
+ *
+ * Usage: node testTokenConcurrency.js [joins]
+ * Uses a throwaway shopId and removes everything it created afterwards.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const QueueEntry = require('./models/QueueEntry');
+const TokenCounter = require('./models/TokenCounter');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/barber-queue';
+const JOINS = parseInt(process.argv[2]) || 50;
+const TEST_SHOP_ID = `token-concurrency-test-${Date.now()}`;
+
+async function cleanup() {
+  await QueueEntry.deleteMany({ shopId: TEST_SHOP_ID });
+  await TokenCounter.deleteMany({ shopId: TEST_SHOP_ID });
+}
+
+async function testTokenConcurrency() {
+  let passed = false;
+
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    // Make sure the unique indexes exist before racing against them
+    await QueueEntry.syncIndexes();
+    await TokenCounter.syncIndexes();
+
+    console.log(`🏁 Firing ${JOINS} joins in parallel for ${TEST_SHOP_ID}...\n`);
+
+    const results = await Promise.allSettled(
+      Array.from({ length: JOINS }, (_, i) => QueueEntry.createWithToken({
+        customer: new mongoose.Types.ObjectId(),
+        name: `Concurrency Test ${i + 1}`,
+        shopId: TEST_SHOP_ID,
+        serviceType: 'haircut',
+        queuePosition: i + 1,
+        status: 'waiting'
+      }))
+    );
+
+    const failures = results.filter(r => r.status === 'rejected');
+    const tokens = results
+      .filter(r => r.status === 'fulfilled')
+      .map(r => r.value.tokenNumber)
+      .sort((a, b) => a - b);
+
+    const unique = new Set(tokens);
+    const expected = Array.from({ length: JOINS }, (_, i) => i + 1);
+    const sequential = tokens.every((token, i) => token === expected[i]);
+
+    console.log(`Joins succeeded: ${tokens.length}/${JOINS}`);
+    console.log(`Distinct tokens: ${unique.size}`);
+    console.log(`Tokens are 1..${JOINS}: ${sequential ? 'yes' : 'no'}`);
+
+    failures.forEach(f => console.log('   ❌', f.reason.message));
+
+    passed = failures.length === 0 && unique.size === JOINS && sequential;
+
+    // A different business day starts again at 1
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const firstTokenTomorrow = await TokenCounter.nextToken(
+      TEST_SHOP_ID,
+      TokenCounter.getBusinessDay(tomorrow)
+    );
+    console.log(`First token next business day: ${firstTokenTomorrow}`);
+    passed = passed && firstTokenTomorrow === 1;
+
+    console.log(passed ? '\n✅ PASSED' : '\n❌ FAILED');
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    if (mongoose.connection.readyState === 1) {
+      await cleanup();
+    }
+    await mongoose.connection.close();
+    console.log('\n📦 Connection closed');
+  }
+
+  process.exit(passed ? 0 : 1);
+}
+
+testTokenConcurrency();
@@ -0,0 +1,118 @@
+/**
+ * Test Undo Keeps One Active Entry
+ *
+ * Completes a customer's service, lets them join another shop's queue, and
+ * checks the barber can't undo the completion while that other entry is
+ * active - the customer would otherwise be in two queues. Once they leave the
+ * other queue, the undo goes through.
+ *
+ * Usage: node testUndo.js
+ * Uses two throwaway shop IDs and removes everything it created afterwards.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Customer = require('./models/Customer');
+const QueueEntry = require('./models/QueueEntry');
+const QueueEvent = require('./models/QueueEvent');
+const TokenCounter = require('./models/TokenCounter');
+const queueEvents = require('./services/queueEvents');
+const { undoLastAction } = require('./services/queueManager');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/barber-queue';
+const RUN_ID = Date.now();
+const SHOP_A = `undo-test-a-${RUN_ID}`;
+const SHOP_B = `undo-test-b-${RUN_ID}`;
+
+const barber = { type: 'barber', id: null, name: 'Undo Test Barber' };
+
+let customerId = null;
+
+async function cleanup() {
+  const shops = { $in: [SHOP_A, SHOP_B] };
+  await QueueEntry.deleteMany({ shopId: shops });
+  await QueueEvent.deleteMany({ shopId: shops });
+  await TokenCounter.deleteMany({ shopId: shops });
+  if (customerId) {
+    await Customer.deleteOne({ _id: customerId });
+  }
+}
+
+async function testUndo() {
+  let passed = false;
+
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const customer = await Customer.create({
+      name: 'Undo Test',
+      email: `undo-test-${RUN_ID}@example.com`,
+      password: 'test-password',
+      phone: '9000000005',
+      emailVerified: true
+    });
+    customerId = customer._id;
+
+    const checks = [];
+    const check = (label, ok) => {
+      checks.push(ok);
+      console.log(`   ${ok ? '✅' : '❌'} ${label}`);
+    };
+
+    // Served and completed at shop A, the same way the controller does it
+    const served = await QueueEntry.createWithToken({
+      name: customer.name,
+      customer: customer._id,
+      shopId: SHOP_A,
+      serviceType: 'haircut',
+      queuePosition: 0,
+      status: 'in-service',
+      chair: 1,
+      serviceStartedAt: new Date()
+    });
+    const before = queueEvents.snapshot(served);
+    await served.completeService();
+    await queueEvents.record(served, 'completed', { actor: barber, before });
+
+    // ...then straight into shop B's queue
+    const elsewhere = await QueueEntry.createWithToken({
+      name: customer.name,
+      customer: customer._id,
+      shopId: SHOP_B,
+      serviceType: 'haircut',
+      queuePosition: 1,
+      status: 'waiting'
+    });
+
+    const refused = await undoLastAction(null, served, barber);
+    check('Undo refused while the customer waits elsewhere', refused.error && refused.error.status === 409);
+
+    const stillDone = await QueueEntry.findById(served._id);
+    check('Completed entry left as it was', stillDone.status === 'completed');
+
+    const active = await QueueEntry.countDocuments({ customer: customer._id, status: { $in: QueueEntry.ACTIVE_STATUSES } });
+    check('Customer holds one active entry', active === 1);
+
+    // Once the other entry is gone the undo works
+    await QueueEntry.updateOne({ _id: elsewhere._id }, { $set: { status: 'cancelled' } });
+    const undone = await undoLastAction(null, stillDone, barber);
+    check('Undo allowed after leaving the other queue', !undone.error && undone.entry.status === 'in-service');
+
+    passed = checks.every(Boolean);
+
+    console.log(passed ? '\n✅ PASSED' : '\n❌ FAILED');
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    if (mongoose.connection.readyState === 1) {
+      await cleanup();
+    }
+    await mongoose.connection.close();
+    console.log('\n📦 Connection closed');
+  }
+
+  process.exit(passed ? 0 : 1);
+}
+
+testUndo();
@@ -8,6 +8,7 @@ import FindBarbers from './components/FindBarbers.js';
 import CustomerJoin from './components/CustomerJoin.js';
 import CustomerStatus from './components/CustomerStatus.js';
 import BarberDashboard from './components/BarberDashboard.js';
+import VerifyEmail from './components/VerifyEmail.js';
 import ProtectedRoute from './components/ProtectedRoute.js';
 import authService from './services/authService.js';
 import './styles/App.css';
@@ -29,6 +30,7 @@ function App() {
           <Route path="/" element={<Home />} />
           <Route path="/customer-auth" element={<CustomerAuth />} />
           <Route path="/barber-auth" element={<BarberAuth />} />
+          <Route path="/verify-email" element={<VerifyEmail />} />
           
           {/* Protected Customer Routes */}
           <Route 
@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import authService from '../services/authService';
+import PasswordReset from './PasswordReset';
 import '../styles/Auth.css';
 
 /**
@@ -9,6 +10,10 @@ import '../styles/Auth.css';
  */
 const BarberAuth = () => {
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const resetToken = searchParams.get('reset');
+  // 'forgot' while asking for a reset link; a reset link in the URL wins
+  const [resetMode, setResetMode] = useState(null);
   const [formData, setFormData] = useState({
     email: '',
     password: ''
@@ -46,7 +51,16 @@ const BarberAuth = () => {
     }
   };
 
+  // Leave the reset screens for the login form
+  const finishReset = () => {
+    setResetMode(null);
+    setError('');
+    if (resetToken) {
+      setSearchParams({});
+    }
+  };
 
+  const showReset = resetToken || resetMode === 'forgot';
 
   return (
     <div className="auth-container">
@@ -63,46 +77,53 @@ const BarberAuth = () => {
             </svg>
           </div>
 
-          <h2>Barber Login</h2>
-          <p className="auth-subtitle">Sign in to manage your shop queue</p>
+          <h2>{resetToken ? 'Choose a New Password' : showReset ? 'Reset Password' : 'Barber Login'}</h2>
+          {!showReset && <p className="auth-subtitle">Sign in to manage your shop queue</p>}
 
-          <form onSubmit={handleSubmit} className="auth-form">
-            <div className="form-group">
-              <label>Email</label>
-              <input
-                type="email"
-                name="email"
-                value={formData.email}
-                onChange={handleChange}
-                placeholder="Enter your email"
-                required
-              />
-            </div>
+          {showReset ? (
+            <PasswordReset role="barber" token={resetToken} onDone={finishReset} />
+          ) : (
+            <form onSubmit={handleSubmit} className="auth-form">
+              <div className="form-group">
+                <label>Email</label>
+                <input
+                  type="email"
+                  name="email"
+                  value={formData.email}
+                  onChange={handleChange}
+                  placeholder="Enter your email"
+                  required
+                />
+              </div>
 
-            <div className="form-group">
-              <label>Password</label>
-              <input
-                type="password"
-                name="password"
-                value={formData.password}
-                onChange={handleChange}
-                placeholder="Enter your password"
-                minLength="6"
-                required
-              />
-            </div>
+              <div className="form-group">
+                <label>Password</label>
+                <input
+                  type="password"
+                  name="password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  placeholder="Enter your password"
+                  minLength="6"
+                  required
+                />
+                <button type="button" onClick={() => setResetMode('forgot')} className="link-button forgot-link">
+                  Forgot password?
+                </button>
+              </div>
 
-            {error && <div className="error-message">{error}</div>}
+              {error && <div className="error-message">{error}</div>}
 
-            <button type="submit" className="btn-auth" disabled={loading}>
-              {loading ? 'Please wait...' : 'Login'}
-            </button>
+              <button type="submit" className="btn-auth" disabled={loading}>
+                {loading ? 'Please wait...' : 'Login'}
+              </button>
 
-            <div className="info-box" style={{marginTop: '20px'}}>
-              <strong>New Barber Shop?</strong> Shop registration requires verification. 
-              Please contact admin at <a href="mailto:queuecut.barber.register@gmail.com" style={{color: '#34d399'}}>queuecut.barber.register@gmail.com</a> to register your shop.
-            </div>
-          </form>
+              <div className="info-box" style={{marginTop: '20px'}}>
+                <strong>New Barber Shop?</strong> Shop registration requires verification. 
+                Please contact admin at <a href="mailto:queuecut.barber.register@gmail.com" style={{color: '#34d399'}}>queuecut.barber.register@gmail.com</a> to register your shop.
+              </div>
+            </form>
+          )}
         </div>
       </div>
     </div>
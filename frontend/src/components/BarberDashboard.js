@@ -4,8 +4,29 @@ import queueService from '../services/queueService';
 import realtimeService from '../services/realtimeService';
 import barberService from '../services/barberService';
 import authService from '../services/authService';
+import appointmentService from '../services/appointmentService';
 import '../styles/BarberDashboard.css';
 
+// How long the undo toast stays up after serve / complete / no-show / remove
+const UNDO_TOAST_MS = 10000;
+
+// Reasons a barber can give for removing a customer (as on the server)
+const REMOVAL_REASON_LABELS = {
+  'no-show': "Didn't turn up",
+  'changed-mind': 'Changed their mind',
+  'too-long': 'Wait too long for them',
+  duplicate: 'Duplicate entry',
+  other: 'Other'
+};
+
+// Break lengths offered on the dashboard
+const BREAK_MINUTES = [5, 10, 15, 20, 30, 45, 60];
+
+// Services an entry is queued for, e.g. "Haircut + Beard Trim"
+const describeServices = (entry) => (entry.services?.length
+  ? entry.services.map(service => service.name).join(' + ')
+  : entry.serviceType.replace('-', ' '));
+
 /**
  * BarberDashboard Component
  * Main interface for barbers to manage the queue
@@ -17,7 +38,38 @@ const BarberDashboard = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [actionLoading, setActionLoading] = useState(null);
+  const [removal, setRemoval] = useState(null);
   const [shopStatus, setShopStatus] = useState({ isOpen: true, loading: false });
+  const [chairCount, setChairCount] = useState(1);
+  const [pause, setPause] = useState(null);
+  const [breakForm, setBreakForm] = useState({ minutes: 15, blockJoins: false });
+  const [staff, setStaff] = useState([]);
+  const [staffFilter, setStaffFilter] = useState('all');
+  const [newStaff, setNewStaff] = useState({ name: '', skills: '' });
+  const [walkIn, setWalkIn] = useState({ name: '', phone: '', serviceType: '', preferredStaffId: '' });
+  const [services, setServices] = useState([]);
+  const [newService, setNewService] = useState({ name: '', price: '', durationMinutes: '' });
+  const [queueSettings, setQueueSettings] = useState({
+    noShowGraceMinutes: 5,
+    noShowPolicy: 'skip-once',
+    priorityClasses: ['senior', 'child', 'vip'],
+    priorityPolicy: 'weighted',
+    regularPerPriority: 3,
+    lastCallPolicy: 'estimated-finish',
+    lastCallMinutes: 30,
+    maxQueueLength: null,
+    callArrivedOnly: false,
+    arrivalRadiusMeters: 150,
+    travelSpeedKmh: 20
+  });
+  const [appointments, setAppointments] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [timeline, setTimeline] = useState(null);
+  const [undo, setUndo] = useState(null);
+  const [dragging, setDragging] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [verifyNotice, setVerifyNotice] = useState('');
+  const [resendingVerification, setResendingVerification] = useState(false);
 
   // Fetch queue and stats on component mount
   useEffect(() => {
@@ -47,6 +99,13 @@ const BarberDashboard = () => {
     };
   }, []);
 
+  // Hide the undo toast after a few seconds (the server allows a minute)
+  useEffect(() => {
+    if (!undo) return undefined;
+    const timeout = setTimeout(() => setUndo(null), UNDO_TOAST_MS);
+    return () => clearTimeout(timeout);
+  }, [undo]);
+
   // Fetch queue and statistics
   const fetchQueueData = async () => {
     try {
@@ -61,16 +120,40 @@ const BarberDashboard = () => {
       // If we have a shopId, fetch the latest shop details to sync status
       if (user && user.shopId) {
         promises.push(barberService.getBarberByShopId(user.shopId));
+        promises.push(barberService.getStaff(user.shopId));
+        promises.push(appointmentService.getShopAppointments(user.shopId).catch(() => null));
+        promises.push(queueService.getShopEvents(20).catch(() => null));
+        promises.push(barberService.getServices(user.shopId, true).catch(() => null));
       }
 
       const results = await Promise.all(promises);
       const queueResponse = results[0];
       const statsResponse = results[1];
       const shopResponse = results[2];
+      const staffResponse = results[3];
+      const appointmentsResponse = results[4];
+      const eventsResponse = results[5];
+      const servicesResponse = results[6];
 
       setQueue(queueResponse.data);
       setStats(statsResponse.data);
 
+      if (staffResponse) {
+        setStaff(staffResponse.data);
+      }
+
+      if (appointmentsResponse) {
+        setAppointments(appointmentsResponse.data);
+      }
+
+      if (eventsResponse) {
+        setEvents(eventsResponse.data.slice().reverse());
+      }
+
+      if (servicesResponse) {
+        setServices(servicesResponse.data);
+      }
+
       // Update shop status if we got response
       if (shopResponse && shopResponse.data) {
         console.log('🔄 Synced shop status:', shopResponse.data.isOpen);
@@ -79,6 +162,11 @@ const BarberDashboard = () => {
           isOpen: !!shopResponse.data.isOpen,
           loading: false
         }));
+        setChairCount(shopResponse.data.chairCount || 1);
+        setPause(shopResponse.data.pause || null);
+        if (shopResponse.data.queueSettings) {
+          setQueueSettings(shopResponse.data.queueSettings);
+        }
       }
 
       setError(null);
@@ -94,11 +182,37 @@ const BarberDashboard = () => {
     }
   };
 
-  // Start serving a customer
-  const handleServeCustomer = async (customerId) => {
-    setActionLoading(customerId);
+  // Offer to take back an action that may have been a mis-tap
+  const offerUndo = (entryId, message) => {
+    setUndo({ entryId, message });
+  };
+
+  // Put the customer back the way they were before the last action
+  const handleUndo = async () => {
+    const { entryId } = undo;
+    setUndo(null);
+    setActionLoading(entryId);
+    try {
+      await queueService.undoAction(entryId);
+      await fetchQueueData();
+    } catch (err) {
+      alert(err.message || 'Failed to undo');
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  // Token number of an entry on the dashboard (for messages)
+  const tokenOf = (entryId) => queue.find(c => c._id === entryId)?.tokenNumber;
+
+  // Start serving a customer (in a specific chair, or the first free one).
+  // While the queue is filtered to one staff member, they do the serving.
+  const handleServeCustomer = async (entryId, chair = null) => {
+    setActionLoading(entryId);
     try {
-      await queueService.serveCustomer(customerId);
+      const staffId = staffFilter !== 'all' ? staffFilter : null;
+      const response = await queueService.serveCustomer(entryId, chair, staffId);
+      offerUndo(entryId, `#${response.data.tokenNumber} seated in chair ${response.data.chair}`);
       await fetchQueueData();
     } catch (err) {
       alert(err.message || 'Failed to start service');
@@ -107,11 +221,139 @@ const BarberDashboard = () => {
     }
   };
 
+  // Members of a customer's party still in the queue (empty for single joins)
+  const getParty = (customer) => (customer.groupId ? queue.filter(c => c.groupId === customer.groupId) : []);
+
+  // The "Serve party" button sits on the first member who hasn't been seated
+  const isPartyLead = (customer) => {
+    const waiting = getParty(customer).filter(c => ['waiting', 'called'].includes(c.status));
+    return waiting.length > 1 && waiting[0]._id === customer._id;
+  };
+
+  // Seat a whole party in free chairs
+  const handleServeGroup = async (customer) => {
+    setActionLoading(customer._id);
+    try {
+      const response = await queueService.serveGroup(customer.groupId);
+      if (response.message.startsWith('Seated')) {
+        alert(response.message);
+      }
+      await fetchQueueData();
+    } catch (err) {
+      alert(err.message || 'Failed to seat party');
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  // Call the next waiting customer (for the selected staff member, if any)
+  const handleCallNext = async () => {
+    const user = authService.getCurrentUser();
+    setActionLoading('call-next');
+    try {
+      const staffId = staffFilter !== 'all' ? staffFilter : null;
+      await queueService.callNext(user?.shopId || 'main-shop', staffId);
+      await fetchQueueData();
+    } catch (err) {
+      alert(err.message || 'Failed to call next customer');
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  // Customer told us in person they're here
+  const handleCheckIn = async (entryId) => {
+    setActionLoading(entryId);
+    try {
+      await queueService.checkIn(entryId);
+      await fetchQueueData();
+    } catch (err) {
+      alert(err.message || 'Failed to check in');
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  // Called customer never showed up
+  const handleMarkNoShow = async (entryId) => {
+    setActionLoading(entryId);
+    try {
+      await queueService.markNoShow(entryId);
+      offerUndo(entryId, `#${tokenOf(entryId)} marked as a no-show`);
+      await fetchQueueData();
+    } catch (err) {
+      alert(err.message || 'Failed to mark no-show');
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  // Take a customer out of the queue (left the shop, duplicate entry...)
+  const handleRemoveCustomer = async () => {
+    const { entryId, reason, note } = removal;
+    setActionLoading(entryId);
+    try {
+      await queueService.removeFromQueue(entryId, reason, note.trim() || null);
+      setRemoval(null);
+      offerUndo(entryId, `#${tokenOf(entryId)} removed from the queue`);
+      await fetchQueueData();
+    } catch (err) {
+      alert(err.message || 'Failed to remove customer');
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  // Waiting customers can be dragged to a new place (positions are shop-wide,
+  // so only while the queue isn't filtered to one staff member)
+  const canDrag = (customer) => customer.status === 'waiting' && staffFilter === 'all';
+
+  const handleDragStart = (e, customer) => {
+    e.dataTransfer.effectAllowed = 'move';
+    setDragging(customer);
+  };
+
+  const handleDragOver = (e, customer) => {
+    if (!dragging || !canDrag(customer)) return;
+    e.preventDefault();
+    setDropTarget(customer._id);
+  };
+
+  const handleDragEnd = () => {
+    setDragging(null);
+    setDropTarget(null);
+  };
+
+  // Drop a dragged customer onto another waiting customer's place
+  const handleDrop = async (e, target) => {
+    e.preventDefault();
+    const moving = dragging;
+    handleDragEnd();
+    if (!moving || moving._id === target._id) return;
+
+    const reason = window.prompt(
+      `Why move #${moving.tokenNumber} to position ${target.queuePosition}? (shown to customers moved back)`,
+      'Quick trim'
+    );
+    if (!reason || !reason.trim()) return;
+
+    setActionLoading(moving._id);
+    try {
+      await queueService.reorderEntry(moving._id, target.queuePosition, reason.trim());
+      await fetchQueueData();
+    } catch (err) {
+      alert(err.message || 'Failed to reorder queue');
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
   // Complete service for a customer
-  const handleCompleteService = async (customerId) => {
-    setActionLoading(customerId);
+  const handleCompleteService = async (entryId) => {
+    setActionLoading(entryId);
     try {
-      await queueService.completeService(customerId);
+      await queueService.completeService(entryId);
+      offerUndo(entryId, `#${tokenOf(entryId)} marked as done`);
       await fetchQueueData();
     } catch (err) {
       alert(err.message || 'Failed to complete service');
@@ -129,9 +371,260 @@ const BarberDashboard = () => {
     });
   };
 
-  // Get next customer to serve
+  // One line describing a queue event for the activity feed / timeline
+  const describeEvent = (event) => {
+    const who = event.actor?.type === 'system' ? 'automatically' : `by ${event.actor?.name || event.actor?.type}`;
+    const token = event.tokenNumber ? `#${event.tokenNumber} ` : '';
+    switch (event.type) {
+      case 'joined': return `${token}joined at position ${Math.ceil(event.after?.queuePosition || 0)}`;
+      case 'called': return `${token}called ${who}`;
+      case 'skipped': return `${token}missed their call and moved back`;
+      case 'serving': return `${token}seated in chair ${event.after?.chair} ${who}`;
+      case 'completed': return `${token}finished ${who}`;
+      case 'cancelled': return `${token}left the queue ${who}${event.details?.reason ? ` (${REMOVAL_REASON_LABELS[event.details.reason] || event.details.reason})` : ''}`;
+      case 'no-show': return `${token}marked no-show ${who}`;
+      case 'arrived': return `${token}checked in ${event.details?.method === 'barber' ? who : event.details?.method === 'geofence' ? 'on reaching the shop' : 'from the app'}`;
+      case 'priority-changed': return `${token}priority set to ${event.after?.priorityClass || 'regular'} ${who}`;
+      case 'restored': return `${token}back to ${event.after?.status} (${event.details?.undoneType} undone ${who})`;
+      case 'reordered':
+        if (event.details?.reason === 'manual') {
+          return `#${event.details.tokenNumber} moved from ${event.details.from} to ${event.details.to} ${who}: ${event.details.note}`;
+        }
+        return `Queue reordered (${event.details?.tokens?.map(t => `#${t}`).join(' ')}) ${who}`;
+      default: return `${token}${event.type}`;
+    }
+  };
+
+  // Show / hide an entry's event history
+  const handleToggleTimeline = async (customerId) => {
+    if (timeline?.entryId === customerId) {
+      setTimeline(null);
+      return;
+    }
+    try {
+      const response = await queueService.getTimeline(customerId);
+      setTimeline({ entryId: customerId, events: response.data.events });
+    } catch (err) {
+      alert(err.message || 'Failed to fetch timeline');
+    }
+  };
+
+  // Staff references arrive populated ({ _id, name }) or as plain ids
+  const staffIdOf = (ref) => (ref && (ref._id || ref)) || null;
+
+  // Queue entries for the selected staff member (their own and projected customers)
+  const getVisibleQueue = () => {
+    if (staffFilter === 'all') return queue;
+    return queue.filter(c =>
+      staffIdOf(c.assignedStaff) === staffFilter || staffIdOf(c.preferredStaff) === staffFilter
+    );
+  };
+
+  // Who the customer asked for / who will serve them
+  const getStaffLabel = (customer) => {
+    if (customer.preferredStaff) {
+      return `${customer.preferredStaff.name || 'Requested'} (requested)`;
+    }
+    if (customer.assignedStaff) {
+      return customer.status === 'waiting'
+        ? `Any → ${customer.assignedStaff.name}`
+        : customer.assignedStaff.name;
+    }
+    return staff.length > 0 ? 'Any barber' : null;
+  };
+
+  // Get next customer to serve - someone already called, else the FIFO head
   const getNextCustomer = () => {
-    return queue.find(c => c.status === 'waiting');
+    const visible = getVisibleQueue();
+    return visible.find(c => c.status === 'called') || visible.find(c => c.status === 'waiting');
+  };
+
+  const hasWaitingCustomer = () => getVisibleQueue().some(c => c.status === 'waiting');
+
+  // One panel per chair with whoever is sitting in it
+  const getChairPanels = () => {
+    const inService = queue.filter(c => c.status === 'in-service');
+    const panels = Array.from({ length: chairCount }, (_, i) => ({
+      chair: i + 1,
+      customer: inService.find(c => c.chair === i + 1) || null
+    }));
+
+    // Entries served before chairs existed have no chair - show them in free panels
+    inService
+      .filter(c => !c.chair || c.chair > chairCount)
+      .forEach(c => {
+        const free = panels.find(p => !p.customer);
+        if (free) free.customer = c;
+      });
+
+    return panels;
+  };
+
+  const hasFreeChair = () => getChairPanels().some(p => !p.customer);
+
+  // Change number of chairs
+  const handleChairCountChange = async (e) => {
+    const newCount = parseInt(e.target.value);
+    const user = authService.getCurrentUser();
+    if (!user?.shopId) return;
+
+    try {
+      await barberService.updateChairCount(user.shopId, newCount);
+      setChairCount(newCount);
+      await fetchQueueData();
+    } catch (err) {
+      alert(err.message || 'Failed to update chair count');
+    }
+  };
+
+  // Add a walk-in customer (no app account)
+  const handleAddWalkIn = async (e) => {
+    e.preventDefault();
+    if (!walkIn.name.trim()) return;
+
+    setActionLoading('walk-in');
+    try {
+      const response = await queueService.addWalkIn({
+        ...walkIn,
+        serviceType: walkIn.serviceType || getActiveServices()[0]?.key,
+        preferredStaffId: walkIn.preferredStaffId || undefined
+      });
+      setWalkIn({ name: '', phone: '', serviceType: '', preferredStaffId: '' });
+      await fetchQueueData();
+      alert(`Walk-in added - token #${response.data.tokenNumber}${response.data.linkedToAccount ? ' (linked to their account)' : ''}`);
+    } catch (err) {
+      alert(err.message || 'Failed to add walk-in');
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  // Add a staff member
+  const handleAddStaff = async (e) => {
+    e.preventDefault();
+    const user = authService.getCurrentUser();
+    if (!user?.shopId || !newStaff.name.trim()) return;
+
+    try {
+      await barberService.addStaff(user.shopId, newStaff);
+      setNewStaff({ name: '', skills: '' });
+      await fetchQueueData();
+    } catch (err) {
+      alert(err.message || 'Failed to add staff member');
+    }
+  };
+
+  // Send a staff member on break / back to work
+  const handleToggleStaffBreak = async (member) => {
+    const user = authService.getCurrentUser();
+    if (!user?.shopId) return;
+
+    try {
+      await barberService.updateStaff(user.shopId, member._id, {
+        status: member.status === 'active' ? 'on-break' : 'active'
+      });
+      await fetchQueueData();
+    } catch (err) {
+      alert(err.message || 'Failed to update staff member');
+    }
+  };
+
+  // Remove a staff member
+  const handleRemoveStaff = async (member) => {
+    const user = authService.getCurrentUser();
+    if (!user?.shopId) return;
+    if (!window.confirm(`Remove ${member.name} from staff? Customers waiting for them will be served by any barber.`)) return;
+
+    try {
+      await barberService.removeStaff(user.shopId, member._id);
+      if (staffFilter === member._id) setStaffFilter('all');
+      await fetchQueueData();
+    } catch (err) {
+      alert(err.message || 'Failed to remove staff member');
+    }
+  };
+
+  // Services customers can currently pick
+  const getActiveServices = () => services.filter(service => service.isActive);
+
+  // Add a service to the shop's menu
+  const handleAddService = async (e) => {
+    e.preventDefault();
+    const user = authService.getCurrentUser();
+    if (!user?.shopId || !newService.name.trim()) return;
+
+    try {
+      await barberService.addService(user.shopId, {
+        name: newService.name,
+        price: Number(newService.price) || 0,
+        durationMinutes: Number(newService.durationMinutes) || undefined
+      });
+      setNewService({ name: '', price: '', durationMinutes: '' });
+      await fetchQueueData();
+    } catch (err) {
+      alert(err.message || 'Failed to add service');
+    }
+  };
+
+  // Save a price / duration edit, or show / hide a service for customers
+  const handleUpdateService = async (service, updates) => {
+    const user = authService.getCurrentUser();
+    if (!user?.shopId) return;
+    if (Object.keys(updates).every(field => updates[field] === service[field])) return;
+
+    try {
+      await barberService.updateService(user.shopId, service.key, updates);
+      await fetchQueueData();
+    } catch (err) {
+      alert(err.message || 'Failed to update service');
+      await fetchQueueData();
+    }
+  };
+
+  // Remove a service from the shop's menu
+  const handleDeleteService = async (service) => {
+    const user = authService.getCurrentUser();
+    if (!user?.shopId) return;
+    if (!window.confirm(`Remove ${service.name} from the menu? Customers already queued for it keep their booking.`)) return;
+
+    try {
+      await barberService.deleteService(user.shopId, service.key);
+      await fetchQueueData();
+    } catch (err) {
+      alert(err.message || 'Failed to remove service');
+    }
+  };
+
+  // Change no-show grace period / policy, the priority policy or who gets called
+  const handleQueueSettingChange = async (e) => {
+    const { name, value } = e.target;
+    const user = authService.getCurrentUser();
+    if (!user?.shopId) return;
+
+    const numeric = ['noShowGraceMinutes', 'regularPerPriority', 'lastCallMinutes', 'maxQueueLength', 'arrivalRadiusMeters', 'travelSpeedKmh'].includes(name);
+    const update = { [name]: numeric ? parseInt(value) || null : name === 'callArrivedOnly' ? value === 'true' : value };
+    try {
+      const response = await barberService.updateQueueSettings(user.shopId, update);
+      setQueueSettings(response.data);
+      if (['priorityPolicy', 'regularPerPriority'].includes(name)) {
+        await fetchQueueData();
+      }
+    } catch (err) {
+      alert(err.message || 'Failed to update queue settings');
+    }
+  };
+
+  // Tag a waiting customer as senior / child / VIP (or back to regular)
+  const handlePriorityChange = async (customerId, priorityClass) => {
+    setActionLoading(customerId);
+    try {
+      await queueService.setPriorityClass(customerId, priorityClass || null);
+      await fetchQueueData();
+    } catch (err) {
+      alert(err.message || 'Failed to update priority class');
+    } finally {
+      setActionLoading(null);
+    }
   };
 
   // Toggle shop open/closed status
@@ -167,6 +660,40 @@ const BarberDashboard = () => {
     }
   };
 
+  // Start a break - the queue stays, customers' ETAs move back
+  const handleStartBreak = async () => {
+    const user = authService.getCurrentUser();
+    if (!user?.shopId) return;
+
+    setActionLoading('break');
+    try {
+      const response = await barberService.pauseQueue(user.shopId, breakForm);
+      setPause(response.data.pause);
+      await fetchQueueData();
+    } catch (err) {
+      alert(err.message || 'Failed to start break');
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  // End the break before the timer runs out
+  const handleEndBreak = async () => {
+    const user = authService.getCurrentUser();
+    if (!user?.shopId) return;
+
+    setActionLoading('break');
+    try {
+      await barberService.resumeQueue(user.shopId);
+      setPause(null);
+      await fetchQueueData();
+    } catch (err) {
+      alert(err.message || 'Failed to end break');
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
   // Handle logout
   const handleLogout = async () => {
     try {
@@ -179,6 +706,33 @@ const BarberDashboard = () => {
     }
   };
 
+  // Sign out on every device this account is logged in on
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Sign out of every device, including this one?')) return;
+
+    try {
+      await authService.logoutAllDevices();
+      navigate('/barber-auth');
+    } catch (err) {
+      console.error('Logout all devices error:', err);
+      alert(err.message || 'Failed to sign out of all devices');
+    }
+  };
+
+  // Ask for another "confirm your email" link
+  const handleResendVerification = async () => {
+    setResendingVerification(true);
+
+    try {
+      const response = await authService.resendVerification();
+      setVerifyNotice(response.message);
+    } catch (err) {
+      setVerifyNotice(err.message || 'Could not send verification email');
+    } finally {
+      setResendingVerification(false);
+    }
+  };
+
   if (loading) {
     return (
       <div className="barber-dashboard">
@@ -198,6 +752,97 @@ const BarberDashboard = () => {
           </div>
         </div>
         <div className="header-right">
+          <label className="chair-count-select">
+            Chairs
+            <select value={chairCount} onChange={handleChairCountChange}>
+              {Array.from({ length: 10 }, (_, i) => i + 1).map(n => (
+                <option key={n} value={n}>{n}</option>
+              ))}
+            </select>
+          </label>
+          <label className="chair-count-select" title="Time a called customer has to reach the chair">
+            Grace
+            <select name="noShowGraceMinutes" value={queueSettings.noShowGraceMinutes} onChange={handleQueueSettingChange}>
+              {[1, 2, 3, 5, 10, 15, 20, 30].map(n => (
+                <option key={n} value={n}>{n} min</option>
+              ))}
+            </select>
+          </label>
+          <label className="chair-count-select" title="What happens when a called customer doesn't show">
+            No-show
+            <select name="noShowPolicy" value={queueSettings.noShowPolicy} onChange={handleQueueSettingChange}>
+              <option value="skip-once">Skip once</option>
+              <option value="no-show">Remove</option>
+            </select>
+          </label>
+          <label className="chair-count-select" title="How priority customers are ordered against everyone else">
+            Priority
+            <select name="priorityPolicy" value={queueSettings.priorityPolicy} onChange={handleQueueSettingChange}>
+              <option value="weighted">Weighted</option>
+              <option value="strict">Strict</option>
+            </select>
+          </label>
+          {queueSettings.priorityPolicy === 'weighted' && (
+            <label className="chair-count-select" title="Regular customers served for every priority customer">
+              1 per
+              <select name="regularPerPriority" value={queueSettings.regularPerPriority} onChange={handleQueueSettingChange}>
+                {Array.from({ length: 10 }, (_, i) => i + 1).map(n => (
+                  <option key={n} value={n}>{n} regular</option>
+                ))}
+              </select>
+            </label>
+          )}
+          <label className="chair-count-select" title="When the shop stops taking new customers">
+            Last call
+            <select name="lastCallPolicy" value={queueSettings.lastCallPolicy} onChange={handleQueueSettingChange}>
+              <option value="estimated-finish">If not done by closing</option>
+              <option value="cutoff">Before closing</option>
+              <option value="none">At closing</option>
+            </select>
+          </label>
+          {queueSettings.lastCallPolicy === 'cutoff' && (
+            <label className="chair-count-select" title="Minutes before closing time that joins stop">
+              By
+              <select name="lastCallMinutes" value={queueSettings.lastCallMinutes} onChange={handleQueueSettingChange}>
+                {[15, 30, 45, 60, 90, 120].map(n => (
+                  <option key={n} value={n}>{n} min</option>
+                ))}
+              </select>
+            </label>
+          )}
+          <label className="chair-count-select" title="Who Call Next picks - customers still on their way slide back">
+            Call
+            <select name="callArrivedOnly" value={String(queueSettings.callArrivedOnly)} onChange={handleQueueSettingChange}>
+              <option value="false">Next in line</option>
+              <option value="true">Checked in only</option>
+            </select>
+          </label>
+          <label className="chair-count-select" title="How close customers must be for the app to check them in">
+            Check-in
+            <select name="arrivalRadiusMeters" value={queueSettings.arrivalRadiusMeters} onChange={handleQueueSettingChange}>
+              {[50, 100, 150, 250, 500].map(n => (
+                <option key={n} value={n}>{n} m</option>
+              ))}
+            </select>
+          </label>
+          <label className="chair-count-select" title="How fast customers get here - used to tell them when to leave">
+            Travel
+            <select name="travelSpeedKmh" value={queueSettings.travelSpeedKmh} onChange={handleQueueSettingChange}>
+              <option value={5}>On foot</option>
+              <option value={15}>Busy traffic</option>
+              <option value={20}>City traffic</option>
+              <option value={35}>Light traffic</option>
+            </select>
+          </label>
+          <label className="chair-count-select" title="Most customers waiting at once">
+            Max queue
+            <select name="maxQueueLength" value={queueSettings.maxQueueLength || ''} onChange={handleQueueSettingChange}>
+              <option value="">No limit</option>
+              {[5, 10, 15, 20, 30, 50].map(n => (
+                <option key={n} value={n}>{n}</option>
+              ))}
+            </select>
+          </label>
           <button
             className={`shop-status-toggle ${shopStatus.isOpen ? 'open' : 'closed'}`}
             onClick={handleToggleShopStatus}
@@ -219,11 +864,72 @@ const BarberDashboard = () => {
           >
             🚪 Logout
           </button>
+          <button
+            className="logout-btn"
+            onClick={handleLogoutAll}
+            title="Sign out of every device"
+          >
+            🔒 All Devices
+          </button>
         </div>
       </div>
 
       {error && <div className="error-banner">{error}</div>}
 
+      {/* Unconfirmed email - the shop isn't listed until it's confirmed */}
+      {authService.getCurrentUser()?.emailVerified === false && (
+        <div className="break-banner paused">
+          <span>
+            ✉️ Your shop is hidden from customers until you confirm your email - check your inbox for the link.
+            {verifyNotice && <> {verifyNotice}</>}
+          </span>
+          <button
+            className="btn-action btn-serve-small"
+            onClick={handleResendVerification}
+            disabled={resendingVerification}
+          >
+            {resendingVerification ? 'Sending...' : 'Resend email'}
+          </button>
+        </div>
+      )}
+
+      {/* Break mode */}
+      {pause && new Date(pause.until) > new Date() ? (
+        <div className="break-banner paused">
+          <span>
+            ☕ On a break until {new Date(pause.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+            {' '}({Math.ceil((new Date(pause.until) - new Date()) / 60000)} min left)
+            {pause.blockJoins ? ' - new customers are turned away' : ' - customers can still join'}
+          </span>
+          <button className="btn-action btn-serve-small" onClick={handleEndBreak} disabled={actionLoading === 'break'}>
+            Resume now
+          </button>
+        </div>
+      ) : (
+        <div className="break-banner">
+          <span>☕ Take a break</span>
+          <select
+            value={breakForm.minutes}
+            onChange={(e) => setBreakForm(prev => ({ ...prev, minutes: Number(e.target.value) }))}
+          >
+            {BREAK_MINUTES.map(n => (
+              <option key={n} value={n}>{n} min</option>
+            ))}
+          </select>
+          <label>
+            <input
+              type="checkbox"
+              checked={breakForm.blockJoins}
+              onChange={(e) => setBreakForm(prev => ({ ...prev, blockJoins: e.target.checked }))}
+            />
+            Stop new joins
+          </label>
+          <button className="btn-action btn-staff-break" onClick={handleStartBreak} disabled={actionLoading === 'break'}>
+            Start Break
+          </button>
+        </div>
+      )}
+
       {/* Statistics Cards */}
       {stats && (
         <div className="stats-grid">
@@ -251,6 +957,19 @@ const BarberDashboard = () => {
             </div>
           </div>
 
+          <div
+            className="stat-card cancelled"
+            title={Object.entries(stats.cancellationsByReason || {})
+              .map(([reason, count]) => `${REMOVAL_REASON_LABELS[reason] || reason}: ${count}`)
+              .join('\n')}
+          >
+            <div className="stat-icon">🚪</div>
+            <div className="stat-content">
+              <span className="stat-value">{stats.cancelledToday || 0}</span>
+              <span className="stat-label">Left Today</span>
+            </div>
+          </div>
+
           <div className="stat-card wait-time">
             <div className="stat-icon">⏱️</div>
             <div className="stat-content">
@@ -264,51 +983,344 @@ const BarberDashboard = () => {
       {/* Next Customer Card */}
       {getNextCustomer() && (
         <div className="next-customer-card">
-          <h2>Next Customer</h2>
+          <div className="next-customer-header">
+            <h2>Next Customer</h2>
+            <button
+              className="btn-call-next"
+              onClick={handleCallNext}
+              disabled={actionLoading === 'call-next' || !hasWaitingCustomer()}
+            >
+              {actionLoading === 'call-next' ? 'Calling...' : '📣 Call Next'}
+            </button>
+          </div>
           <div className="next-customer-info">
             <div className="customer-token">#{getNextCustomer().tokenNumber}</div>
             <div className="customer-details">
               <p className="customer-name">{getNextCustomer().name}</p>
-              <p className="customer-service">{getNextCustomer().serviceType.replace('-', ' ')}</p>
+              <p className="customer-service">{describeServices(getNextCustomer())}</p>
+              {getNextCustomer().status === 'called' && getNextCustomer().callExpiresAt && (
+                <p className="customer-called">📣 Called - grace until {formatTime(getNextCustomer().callExpiresAt)}</p>
+              )}
             </div>
+            {getNextCustomer().status === 'called' && (
+              <button
+                className="btn-no-show"
+                onClick={() => handleMarkNoShow(getNextCustomer()._id)}
+                disabled={actionLoading === getNextCustomer()._id}
+              >
+                No-show
+              </button>
+            )}
             <button
               className="btn-serve"
               onClick={() => handleServeCustomer(getNextCustomer()._id)}
-              disabled={actionLoading === getNextCustomer()._id}
+              disabled={actionLoading === getNextCustomer()._id || !hasFreeChair()}
             >
-              {actionLoading === getNextCustomer()._id ? 'Processing...' : 'Start Service'}
+              {actionLoading === getNextCustomer()._id
+                ? 'Processing...'
+                : hasFreeChair() ? 'Start Service' : 'All Chairs Busy'}
             </button>
           </div>
         </div>
       )}
 
+      {/* Chair Panels */}
+      <div className="chairs-section">
+        <h2>Chairs ({getChairPanels().filter(p => p.customer).length}/{chairCount} busy)</h2>
+        <div className="chairs-grid">
+          {getChairPanels().map(({ chair, customer }) => (
+            <div key={chair} className={`chair-panel ${customer ? 'busy' : 'free'}`}>
+              <div className="chair-panel-header">
+                <span className="chair-label">💺 Chair {chair}</span>
+                <span className={`chair-state ${customer ? 'busy' : 'free'}`}>
+                  {customer ? 'In Service' : 'Free'}
+                </span>
+              </div>
+
+              {customer ? (
+                <>
+                  <div className="chair-customer">
+                    <span className="token-badge">#{customer.tokenNumber}</span>
+                    <div>
+                      <p className="customer-name">{customer.name}</p>
+                      <p className="chair-service">{describeServices(customer)}</p>
+                      {customer.assignedStaff && (
+                        <p className="chair-staff">with {customer.assignedStaff.name}</p>
+                      )}
+                      {customer.serviceStartedAt && (
+                        <p className="chair-started">Started {formatTime(customer.serviceStartedAt)}</p>
+                      )}
+                    </div>
+                  </div>
+                  <button
+                    className="btn-action btn-complete"
+                    onClick={() => handleCompleteService(customer._id)}
+                    disabled={actionLoading === customer._id}
+                  >
+                    {actionLoading === customer._id ? '...' : 'Complete'}
+                  </button>
+                </>
+              ) : (
+                <button
+                  className="btn-action btn-serve-small"
+                  onClick={() => handleServeCustomer(getNextCustomer()._id, chair)}
+                  disabled={!getNextCustomer() || actionLoading === getNextCustomer()?._id}
+                >
+                  {getNextCustomer() ? `Seat #${getNextCustomer().tokenNumber}` : 'No one waiting'}
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Today's Bookings */}
+      <div className="appointments-section">
+        <h2>Today's Bookings ({appointments.filter(a => a.status === 'booked').length} upcoming)</h2>
+        {appointments.length === 0 ? (
+          <p className="appointments-empty">No bookings today</p>
+        ) : (
+          <div className="appointments-list">
+            {appointments.map(appointment => (
+              <div key={appointment._id} className={`appointment-item ${appointment.status}`}>
+                <span className="appointment-time">
+                  {new Date(appointment.startTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                </span>
+                <span className="appointment-name">{appointment.name}</span>
+                <span className="capitalize">{appointment.serviceType.replace('-', ' ')}</span>
+                {appointment.preferredStaff && <span>{appointment.preferredStaff.name}</span>}
+                <span className="appointment-status">{appointment.status === 'queued' ? 'In queue' : 'Booked'}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Walk-ins */}
+      <div className="walk-in-section">
+        <h2>Add Walk-in</h2>
+        <form className="walk-in-form" onSubmit={handleAddWalkIn}>
+          <input
+            type="text"
+            placeholder="Customer name"
+            value={walkIn.name}
+            onChange={(e) => setWalkIn(prev => ({ ...prev, name: e.target.value }))}
+          />
+          <input
+            type="tel"
+            placeholder="Phone (optional)"
+            value={walkIn.phone}
+            onChange={(e) => setWalkIn(prev => ({ ...prev, phone: e.target.value }))}
+          />
+          <select
+            value={walkIn.serviceType || getActiveServices()[0]?.key || ''}
+            onChange={(e) => setWalkIn(prev => ({ ...prev, serviceType: e.target.value }))}
+          >
+            {getActiveServices().map(service => (
+              <option key={service.key} value={service.key}>{service.name}</option>
+            ))}
+          </select>
+          {staff.length > 0 && (
+            <select
+              value={walkIn.preferredStaffId}
+              onChange={(e) => setWalkIn(prev => ({ ...prev, preferredStaffId: e.target.value }))}
+            >
+              <option value="">Any barber</option>
+              {staff.map(member => (
+                <option key={member._id} value={member._id}>{member.name}</option>
+              ))}
+            </select>
+          )}
+          <button
+            type="submit"
+            className="btn-action btn-serve-small"
+            disabled={!walkIn.name.trim() || actionLoading === 'walk-in'}
+          >
+            {actionLoading === 'walk-in' ? 'Adding...' : 'Add to Queue'}
+          </button>
+        </form>
+      </div>
+
+      {/* Service menu */}
+      <div className="staff-section">
+        <h2>Service Menu ({getActiveServices().length})</h2>
+        {services.length > 0 && (
+          <div className="staff-list">
+            {services.map(service => (
+              <div key={service.key} className={`staff-card ${service.isActive ? '' : 'inactive'}`}>
+                <div className="staff-card-info">
+                  <p className="staff-name">{service.name}</p>
+                  <div className="service-edit">
+                    <label>
+                      ₹
+                      <input
+                        type="number"
+                        min="0"
+                        defaultValue={service.price ?? 0}
+                        onBlur={(e) => handleUpdateService(service, { price: Number(e.target.value) })}
+                      />
+                    </label>
+                    <label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="240"
+                        defaultValue={service.durationMinutes}
+                        onBlur={(e) => handleUpdateService(service, { durationMinutes: Number(e.target.value) })}
+                      />
+                      min
+                    </label>
+                  </div>
+                  {!service.isActive && <p className="staff-meta">Hidden from customers</p>}
+                </div>
+                <div className="staff-card-actions">
+                  <button
+                    className="btn-action btn-staff-break"
+                    onClick={() => handleUpdateService(service, { isActive: !service.isActive })}
+                  >
+                    {service.isActive ? 'Hide' : 'Show'}
+                  </button>
+                  <button className="btn-action btn-staff-remove" onClick={() => handleDeleteService(service)}>
+                    Remove
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+        <form className="staff-form" onSubmit={handleAddService}>
+          <input
+            type="text"
+            placeholder="Service name"
+            value={newService.name}
+            onChange={(e) => setNewService(prev => ({ ...prev, name: e.target.value }))}
+          />
+          <input
+            type="number"
+            min="0"
+            placeholder="Price (₹)"
+            value={newService.price}
+            onChange={(e) => setNewService(prev => ({ ...prev, price: e.target.value }))}
+          />
+          <input
+            type="number"
+            min="1"
+            max="240"
+            placeholder="Duration (min)"
+            value={newService.durationMinutes}
+            onChange={(e) => setNewService(prev => ({ ...prev, durationMinutes: e.target.value }))}
+          />
+          <button
+            type="submit"
+            className="btn-action btn-serve-small"
+            disabled={!newService.name.trim() || !newService.durationMinutes}
+          >
+            Add Service
+          </button>
+        </form>
+      </div>
+
+      {/* Staff */}
+      <div className="staff-section">
+        <h2>Staff ({staff.length})</h2>
+        {staff.length > 0 && (
+          <div className="staff-list">
+            {staff.map(member => (
+              <div key={member._id} className={`staff-card ${member.status}`}>
+                <div className="staff-card-info">
+                  <p className="staff-name">{member.name}</p>
+                  <p className="staff-meta">
+                    {member.status === 'on-break' ? '☕ On break' : `${member.waitingCount} waiting · ${member.estimatedWaitTime} min`}
+                  </p>
+                  {member.skills.length > 0 && (
+                    <p className="staff-skills">{member.skills.map(s => s.replace('-', ' ')).join(', ')}</p>
+                  )}
+                </div>
+                <div className="staff-card-actions">
+                  <button className="btn-action btn-staff-break" onClick={() => handleToggleStaffBreak(member)}>
+                    {member.status === 'active' ? 'Break' : 'Back'}
+                  </button>
+                  <button className="btn-action btn-staff-remove" onClick={() => handleRemoveStaff(member)}>
+                    Remove
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+        <form className="staff-form" onSubmit={handleAddStaff}>
+          <input
+            type="text"
+            placeholder="Staff name"
+            value={newStaff.name}
+            onChange={(e) => setNewStaff(prev => ({ ...prev, name: e.target.value }))}
+          />
+          <input
+            type="text"
+            placeholder="Skills (e.g. haircut, shave) - blank for all"
+            value={newStaff.skills}
+            onChange={(e) => setNewStaff(prev => ({ ...prev, skills: e.target.value }))}
+          />
+          <button type="submit" className="btn-action btn-serve-small" disabled={!newStaff.name.trim()}>
+            Add Staff
+          </button>
+        </form>
+      </div>
+
       {/* Queue List */}
       <div className="queue-section">
-        <h2>Current Queue ({queue.length})</h2>
+        <div className="queue-section-header">
+          <h2>Current Queue ({getVisibleQueue().length})</h2>
+          {staff.length > 0 && (
+            <label className="staff-filter">
+              Staff
+              <select value={staffFilter} onChange={(e) => setStaffFilter(e.target.value)}>
+                <option value="all">All staff</option>
+                {staff.map(member => (
+                  <option key={member._id} value={member._id}>{member.name}</option>
+                ))}
+              </select>
+            </label>
+          )}
+        </div>
 
-        {queue.length === 0 ? (
+        {getVisibleQueue().length === 0 ? (
           <div className="empty-queue">
             <p>No customers in queue</p>
             <span>🎉</span>
           </div>
         ) : (
           <div className="queue-list">
-            {queue.map((customer) => (
+            {getVisibleQueue().map((customer) => (
               <div
                 key={customer._id}
-                className={`queue-item ${customer.status}`}
+                className={`queue-item ${customer.status}${customer.groupId ? ' in-party' : ''}${canDrag(customer) ? ' draggable' : ''}${dropTarget === customer._id ? ' drop-target' : ''}`}
+                draggable={canDrag(customer)}
+                onDragStart={(e) => handleDragStart(e, customer)}
+                onDragOver={(e) => handleDragOver(e, customer)}
+                onDragLeave={() => setDropTarget(null)}
+                onDrop={(e) => handleDrop(e, customer)}
+                onDragEnd={handleDragEnd}
               >
                 <div className="queue-item-header">
                   <div className="token-badge">#{customer.tokenNumber}</div>
                   <span className={`status-indicator ${customer.status}`}>
                     {customer.status === 'waiting' && '⏳ Waiting'}
+                    {customer.status === 'called' && '📣 Called'}
                     {customer.status === 'in-service' && '✂️ In Service'}
                   </span>
                 </div>
 
                 <div className="queue-item-body">
                   <div className="customer-info">
-                    <h3>{customer.name}</h3>
+                    <h3>
+                      {customer.name}
+                      {customer.source === 'walk-in' && <span className="walk-in-tag">Walk-in</span>}
+                      {customer.source === 'appointment' && <span className="walk-in-tag booked-tag">Booked</span>}
+                      {customer.priorityClass && <span className="walk-in-tag priority-tag">⭐ {customer.priorityClass}</span>}
+                      {customer.groupId && <span className="walk-in-tag party-tag">👥 Party of {getParty(customer).length}</span>}
+                      {customer.arrived && customer.status !== 'in-service' && <span className="walk-in-tag arrived-tag">📍 Here</span>}
+                    </h3>
                     <p className="phone">{customer.phone}</p>
                   </div>
 
@@ -316,28 +1328,146 @@ const BarberDashboard = () => {
                     <div className="info-row">
                       <span className="label">Service:</span>
                       <span className="value capitalize">
-                        {customer.serviceType.replace('-', ' ')}
+                        {describeServices(customer)}
                       </span>
                     </div>
                     <div className="info-row">
                       <span className="label">Joined:</span>
                       <span className="value">{formatTime(customer.joinedAt)}</span>
                     </div>
+                    {customer.chair && (
+                      <div className="info-row">
+                        <span className="label">Chair:</span>
+                        <span className="value">{customer.chair}</span>
+                      </div>
+                    )}
+                    {getStaffLabel(customer) && (
+                      <div className="info-row">
+                        <span className="label">Barber:</span>
+                        <span className="value">{getStaffLabel(customer)}</span>
+                      </div>
+                    )}
                     {customer.queuePosition > 0 && (
                       <div className="info-row">
                         <span className="label">Position:</span>
-                        <span className="value">{customer.queuePosition}</span>
+                        <span className="value">
+                          {staffFilter !== 'all' && customer.lanePosition > 0
+                            ? customer.lanePosition
+                            : customer.queuePosition}
+                        </span>
+                      </div>
+                    )}
+                    {customer.status === 'waiting' && (
+                      <div className="info-row">
+                        <span className="label">Priority:</span>
+                        <select
+                          className="priority-select"
+                          value={customer.priorityClass || ''}
+                          onChange={(e) => handlePriorityChange(customer._id, e.target.value)}
+                          disabled={actionLoading === customer._id}
+                        >
+                          <option value="">Regular</option>
+                          {queueSettings.priorityClasses.map(priorityClass => (
+                            <option key={priorityClass} value={priorityClass}>{priorityClass}</option>
+                          ))}
+                        </select>
                       </div>
                     )}
                   </div>
+                  {customer.auditNotes?.length > 0 && (
+                    <p className="audit-note" title={customer.auditNotes.map(n => n.note).join('\n')}>
+                      {customer.auditNotes[customer.auditNotes.length - 1].note}
+                    </p>
+                  )}
+                  {removal?.entryId === customer._id && (
+                    <div className="removal-form">
+                      <select
+                        value={removal.reason}
+                        onChange={(e) => setRemoval(prev => ({ ...prev, reason: e.target.value }))}
+                      >
+                        {Object.entries(REMOVAL_REASON_LABELS).map(([reason, label]) => (
+                          <option key={reason} value={reason}>{label}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="text"
+                        placeholder="Note for the customer (optional)"
+                        maxLength={200}
+                        value={removal.note}
+                        onChange={(e) => setRemoval(prev => ({ ...prev, note: e.target.value }))}
+                      />
+                      <button
+                        className="btn-action btn-remove"
+                        onClick={handleRemoveCustomer}
+                        disabled={actionLoading === customer._id}
+                      >
+                        {actionLoading === customer._id ? '...' : 'Remove'}
+                      </button>
+                      <button className="btn-action btn-history" onClick={() => setRemoval(null)}>
+                        Keep
+                      </button>
+                    </div>
+                  )}
+                  {timeline?.entryId === customer._id && (
+                    <ul className="event-list">
+                      {timeline.events.map(event => (
+                        <li key={event._id}>
+                          <span className="event-time">{formatTime(event.at)}</span>
+                          {describeEvent(event)}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
                 </div>
 
                 <div className="queue-item-actions">
-                  {customer.status === 'waiting' && (
+                  <button
+                    className="btn-action btn-history"
+                    onClick={() => handleToggleTimeline(customer._id)}
+                  >
+                    {timeline?.entryId === customer._id ? 'Hide history' : 'History'}
+                  </button>
+                  {['waiting', 'called'].includes(customer.status) && !customer.arrived && (
+                    <button
+                      className="btn-action btn-history"
+                      onClick={() => handleCheckIn(customer._id)}
+                      disabled={actionLoading === customer._id}
+                    >
+                      Check in
+                    </button>
+                  )}
+                  {customer.status === 'called' && (
+                    <button
+                      className="btn-action btn-no-show"
+                      onClick={() => handleMarkNoShow(customer._id)}
+                      disabled={actionLoading === customer._id}
+                    >
+                      No-show
+                    </button>
+                  )}
+                  {isPartyLead(customer) && (
                     <button
                       className="btn-action btn-serve-small"
-                      onClick={() => handleServeCustomer(customer._id)}
+                      onClick={() => handleServeGroup(customer)}
                       disabled={actionLoading === customer._id}
+                    >
+                      Serve party
+                    </button>
+                  )}
+                  {['waiting', 'called'].includes(customer.status) && removal?.entryId !== customer._id && (
+                    <button
+                      className="btn-action btn-remove"
+                      onClick={() => setRemoval({ entryId: customer._id, reason: 'no-show', note: '' })}
+                      disabled={actionLoading === customer._id}
+                    >
+                      Remove
+                    </button>
+                  )}
+                  {['waiting', 'called'].includes(customer.status) && (
+                    <button
+                      className="btn-action btn-serve-small"
+                      onClick={() => handleServeCustomer(customer._id)}
+                      disabled={actionLoading === customer._id || !hasFreeChair()}
                     >
                       {actionLoading === customer._id ? '...' : 'Serve'}
                     </button>
@@ -357,6 +1487,30 @@ const BarberDashboard = () => {
           </div>
         )}
       </div>
+
+      {/* Activity feed */}
+      <div className="activity-section">
+        <h2>Recent Activity</h2>
+        {events.length === 0 ? (
+          <p className="appointments-empty">Nothing has happened yet today</p>
+        ) : (
+          <ul className="event-list">
+            {events.map(event => (
+              <li key={event._id}>
+                <span className="event-time">{formatTime(event.at)}</span>
+                {describeEvent(event)}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {undo && (
+        <div className="undo-toast">
+          <span>{undo.message}</span>
+          <button className="btn-undo" onClick={handleUndo}>Undo</button>
+        </div>
+      )}
     </div>
   );
 };
@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import authService from '../services/authService';
+import PasswordReset from './PasswordReset';
+import PhoneLogin from './PhoneLogin';
 import '../styles/Auth.css';
 
 /**
@@ -9,7 +11,12 @@ import '../styles/Auth.css';
  */
 const CustomerAuth = () => {
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const resetToken = searchParams.get('reset');
   const [isLogin, setIsLogin] = useState(false);
+  // 'forgot' while asking for a reset link; a reset link in the URL wins
+  const [resetMode, setResetMode] = useState(null);
+  const [usePhone, setUsePhone] = useState(false);
   const [formData, setFormData] = useState({
     name: '',
     email: '',
@@ -86,6 +93,18 @@ const CustomerAuth = () => {
     });
   };
 
+  // Leave the reset screens for the login form
+  const finishReset = () => {
+    setResetMode(null);
+    setIsLogin(true);
+    setError('');
+    if (resetToken) {
+      setSearchParams({});
+    }
+  };
+
+  const showReset = resetToken || resetMode === 'forgot';
+
   return (
     <div className="auth-container">
       <div className="auth-content">
@@ -101,76 +120,98 @@ const CustomerAuth = () => {
             </svg>
           </div>
 
-          <h2>{isLogin ? 'Customer Login' : 'Customer Sign Up'}</h2>
+          <h2>
+            {resetToken ? 'Choose a New Password'
+              : showReset ? 'Reset Password'
+              : usePhone ? 'Continue with Phone'
+              : (isLogin ? 'Customer Login' : 'Customer Sign Up')}
+          </h2>
+
+          {showReset ? (
+            <PasswordReset role="customer" token={resetToken} onDone={finishReset} />
+          ) : usePhone ? (
+            <PhoneLogin onSuccess={() => navigate('/nearby-barbers')} onCancel={() => setUsePhone(false)} />
+          ) : (
+            <form onSubmit={handleSubmit} className="auth-form">
+              {!isLogin && (
+                <div className="form-group">
+                  <label>Full Name</label>
+                  <input
+                    type="text"
+                    name="name"
+                    value={formData.name}
+                    onChange={handleChange}
+                    placeholder="Enter your full name"
+                    required
+                  />
+                </div>
+              )}
 
-          <form onSubmit={handleSubmit} className="auth-form">
-            {!isLogin && (
               <div className="form-group">
-                <label>Full Name</label>
+                <label>Email</label>
                 <input
-                  type="text"
-                  name="name"
-                  value={formData.name}
+                  type="email"
+                  name="email"
+                  value={formData.email}
                   onChange={handleChange}
-                  placeholder="Enter your full name"
+                  placeholder="Enter your email"
                   required
                 />
               </div>
-            )}
-
-            <div className="form-group">
-              <label>Email</label>
-              <input
-                type="email"
-                name="email"
-                value={formData.email}
-                onChange={handleChange}
-                placeholder="Enter your email"
-                required
-              />
-            </div>
-
-            <div className="form-group">
-              <label>Password</label>
-              <input
-                type="password"
-                name="password"
-                value={formData.password}
-                onChange={handleChange}
-                placeholder="Enter your password"
-                minLength="6"
-                required
-              />
-            </div>
-
-            {!isLogin && (
+
               <div className="form-group">
-                <label>Phone Number</label>
+                <label>Password</label>
                 <input
-                  type="tel"
-                  name="phone"
-                  value={formData.phone}
+                  type="password"
+                  name="password"
+                  value={formData.password}
                   onChange={handleChange}
-                  placeholder="Enter 10-digit phone number"
-                  pattern="[0-9]{10}"
+                  placeholder="Enter your password"
+                  minLength="6"
                   required
                 />
+                {isLogin && (
+                  <button type="button" onClick={() => setResetMode('forgot')} className="link-button forgot-link">
+                    Forgot password?
+                  </button>
+                )}
               </div>
-            )}
 
-            {error && <div className="error-message">{error}</div>}
+              {!isLogin && (
+                <div className="form-group">
+                  <label>Phone Number</label>
+                  <input
+                    type="tel"
+                    name="phone"
+                    value={formData.phone}
+                    onChange={handleChange}
+                    placeholder="Enter 10-digit phone number"
+                    pattern="[0-9]{10}"
+                    required
+                  />
+                </div>
+              )}
+
+              {error && <div className="error-message">{error}</div>}
+
+              <button type="submit" className="btn-auth" disabled={loading}>
+                {loading ? 'Please wait...' : (isLogin ? 'Login' : 'Sign Up')}
+              </button>
 
-            <button type="submit" className="btn-auth" disabled={loading}>
-              {loading ? 'Please wait...' : (isLogin ? 'Login' : 'Sign Up')}
-            </button>
+              <div className="toggle-mode">
+                {isLogin ? "Don't have an account? " : "Already have an account? "}
+                <button type="button" onClick={toggleMode} className="link-button">
+                  {isLogin ? 'Sign Up' : 'Login'}
+                </button>
+              </div>
 
-            <div className="toggle-mode">
-              {isLogin ? "Don't have an account? " : "Already have an account? "}
-              <button type="button" onClick={toggleMode} className="link-button">
-                {isLogin ? 'Sign Up' : 'Login'}
-              </button>
-            </div>
-          </form>
+              <div className="toggle-mode">
+                <button type="button" onClick={() => { setUsePhone(true); setError(''); }} className="link-button">
+                  📱 Continue with phone number instead
+                </button>
+              </div>
+            </form>
+          )}
         </div>
       </div>
     </div>
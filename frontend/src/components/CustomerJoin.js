@@ -1,5 +1,7 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { useLocation } from 'react-router-dom';
 import queueService from '../services/queueService';
+import barberService from '../services/barberService';
 import '../styles/CustomerJoin.css';
 
 /**
@@ -7,15 +9,34 @@ import '../styles/CustomerJoin.css';
  * Allows customers to join the barber queue
  */
 const CustomerJoin = () => {
+  // Shop picked on the Find Barbers page (kept in localStorage across reloads)
+  const location = useLocation();
+  const shop = location.state?.shop || JSON.parse(localStorage.getItem('selectedShop') || 'null');
   const [formData, setFormData] = useState({
     name: '',
     phone: '',
     serviceType: 'haircut'
   });
+  const [services, setServices] = useState([]);
   const [loading, setLoading] = useState(false);
   const [success, setSuccess] = useState(null);
   const [error, setError] = useState(null);
 
+  // Offer the shop's own menu
+  useEffect(() => {
+    if (!shop?.shopId) return;
+
+    barberService.getServices(shop.shopId)
+      .then(response => {
+        const menu = response.data || [];
+        setServices(menu);
+        if (menu.length > 0 && !menu.some(service => service.key === 'haircut')) {
+          setFormData(prev => ({ ...prev, serviceType: menu[0].key }));
+        }
+      })
+      .catch(err => console.error('Failed to load services:', err));
+  }, [shop?.shopId]);
+
   // Handle input changes
   const handleChange = (e) => {
     setFormData({
@@ -32,14 +53,23 @@ const CustomerJoin = () => {
     setSuccess(null);
 
     try {
-      const response = await queueService.joinQueue(formData);
+      let response;
+      try {
+        response = await queueService.joinQueue({ ...formData, shopId: shop?.shopId });
+      } catch (err) {
+        // Waiting at another shop - switch only if the customer agrees
+        if (err.code !== 'ALREADY_IN_QUEUE' || !err.details?.canSwitch || !window.confirm(`${err.message}?`)) {
+          throw err;
+        }
+        response = await queueService.joinQueue({ ...formData, shopId: shop?.shopId, switchQueue: true });
+      }
       setSuccess(response.data);
       
       // Reset form
       setFormData({
         name: '',
         phone: '',
-        serviceType: 'haircut'
+        serviceType: services[0]?.key || 'haircut'
       });
     } catch (err) {
       setError(err.message || 'Failed to join queue. Please try again.');
@@ -52,7 +82,9 @@ const CustomerJoin = () => {
     <div className="customer-join-container">
       <div className="customer-join-card">
         <h1>Join the Queue</h1>
-        <p className="subtitle">Skip the wait. Join our virtual queue now!</p>
+        <p className="subtitle">
+          {shop ? `Skip the wait at ${shop.shopName}. Join the virtual queue now!` : 'Skip the wait. Join our virtual queue now!'}
+        </p>
 
         {!success ? (
           <form onSubmit={handleSubmit} className="join-form">
@@ -93,11 +125,11 @@ const CustomerJoin = () => {
                 value={formData.serviceType}
                 onChange={handleChange}
               >
-                <option value="haircut">Haircut</option>
-                <option value="shave">Shave</option>
-                <option value="haircut-shave">Haircut + Shave</option>
-                <option value="styling">Hair Styling</option>
-                <option value="other">Other</option>
+                {services.map(service => (
+                  <option key={service.key} value={service.key}>
+                    {service.name} (~{service.durationMinutes} min{service.price !== null ? `, ₹${service.price}` : ''})
+                  </option>
+                ))}
               </select>
             </div>
 
@@ -54,9 +54,11 @@ const CustomerStatus = () => {
   const getStatusBadge = (status) => {
     const badges = {
       waiting: { text: 'Waiting', class: 'badge-waiting' },
+      called: { text: 'Called', class: 'badge-called' },
       'in-service': { text: 'In Service', class: 'badge-service' },
       completed: { text: 'Completed', class: 'badge-completed' },
-      cancelled: { text: 'Cancelled', class: 'badge-cancelled' }
+      cancelled: { text: 'Cancelled', class: 'badge-cancelled' },
+      'no-show': { text: 'No-show', class: 'badge-no-show' }
     };
     return badges[status] || badges.waiting;
   };
@@ -87,7 +89,7 @@ const CustomerStatus = () => {
         {customerData && (
           <div className="status-details">
             <div className="status-header">
-              <h2>Hello, {customerData.name}!</h2>
+              <h2>Your Visit</h2>
               <span className={`status-badge ${getStatusBadge(customerData.status).class}`}>
                 {getStatusBadge(customerData.status).text}
               </span>
@@ -104,7 +106,7 @@ const CustomerStatus = () => {
                   <div className="detail-icon">👥</div>
                   <div className="detail-content">
                     <span className="detail-label">Position in Queue</span>
-                    <span className="detail-value">{customerData.queuePosition}</span>
+                    <span className="detail-value">{customerData.lanePosition || customerData.queuePosition}</span>
                   </div>
                 </div>
 
@@ -120,9 +122,42 @@ const CustomerStatus = () => {
                   <div className="detail-icon">✂️</div>
                   <div className="detail-content">
                     <span className="detail-label">Service Type</span>
-                    <span className="detail-value capitalize">{customerData.serviceType.replace('-', ' ')}</span>
+                    <span className="detail-value capitalize">
+                      {customerData.services?.length
+                        ? customerData.services.map(service => service.name).join(' + ')
+                        : customerData.serviceType.replace('-', ' ')}
+                    </span>
                   </div>
                 </div>
+
+                {(customerData.preferredStaff || customerData.assignedStaff) && (
+                  <div className="detail-card">
+                    <div className="detail-icon">💈</div>
+                    <div className="detail-content">
+                      <span className="detail-label">Barber</span>
+                      <span className="detail-value">
+                        {(customerData.preferredStaff || customerData.assignedStaff).name}
+                      </span>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {customerData.status === 'called' && (
+              <div className="status-message called">
+                <h3>📣 It's Your Turn!</h3>
+                <p>
+                  Please come to the chair
+                  {customerData.callExpiresAt && ` by ${new Date(customerData.callExpiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`}
+                </p>
+              </div>
+            )}
+
+            {customerData.status === 'no-show' && (
+              <div className="status-message no-show">
+                <h3>⌛ Missed Your Turn</h3>
+                <p>You didn't reach the chair in time. Please join the queue again.</p>
               </div>
             )}
 
@@ -142,7 +177,7 @@ const CustomerStatus = () => {
 
             <div className="refresh-info">
               <small>
-                {autoRefresh && customerData.status === 'waiting' 
+                {autoRefresh && ['waiting', 'called'].includes(customerData.status)
                   ? '🔄 Auto-refreshing every 30 seconds' 
                   : 'Status will update automatically'}
               </small>
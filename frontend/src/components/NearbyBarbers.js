@@ -1,11 +1,77 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import queueService from '../services/queueService';
+import barberService from '../services/barberService';
 import locationService from '../services/locationService';
 import authService from '../services/authService';
 import realtimeService from '../services/realtimeService';
+import appointmentService from '../services/appointmentService';
 import '../styles/NearbyBarbers.css';
 
+// Headlines for the join error codes returned by POST /api/queue/join
+const JOIN_ERROR_TITLES = {
+  SHOP_NOT_FOUND: '🔍 Shop not found',
+  SHOP_INACTIVE: '🚫 Shop unavailable',
+  SHOP_CLOSED: '🔒 Shop closed',
+  LAST_CALL_PASSED: '⏰ Last call has passed',
+  QUEUE_FULL: '👥 Queue full',
+  QUEUE_PAUSED: '☕ On a break',
+  ALREADY_IN_QUEUE: '🎫 Already in a queue',
+  SHOP_NOT_VERIFIED: '🕓 Shop not ready yet',
+  EMAIL_NOT_VERIFIED: '✉️ Verify your email'
+};
+
+// Why a customer left the queue (reason codes of DELETE /api/queue/cancel and /remove)
+const CANCEL_REASON_LABELS = {
+  'changed-mind': 'Changed my mind',
+  'too-long': 'The wait is too long',
+  'no-show': "Didn't turn up",
+  duplicate: 'Joined twice',
+  other: 'Something else'
+};
+
+// How many people one account can bring, and services one person can pick
+const MAX_PARTY_SIZE = 6;
+const MAX_SERVICES = 5;
+
+// How close the app has to see the customer before it checks them in by itself
+const ARRIVAL_CHECK_METERS = 300;
+
+// Places a late customer is offered to slide back by, and how close the wait
+// has to get to the trip before they're told to leave (as on the server)
+const SLIDE_BACK_PLACES = 2;
+const LEAVE_MARGIN_MINUTES = 5;
+
+// Icons for the standard services (shops' own services get the fallback)
+const SERVICE_ICONS = {
+  haircut: '✂️',
+  shave: '🪒',
+  'haircut-shave': '💈',
+  styling: '💇',
+  'beard-trim': '🧔',
+  facial: '🧖',
+  'head-massage': '💆',
+  'hair-color': '🎨'
+};
+
+// Menu price, or nothing when the shop hasn't priced its services
+const formatPrice = (price) => (price === null || price === undefined ? '' : `₹${price}`);
+
+// Whether a shop's barber is on a break right now
+const isOnBreak = (barber) => !!barber.pause && new Date(barber.pause.until) > new Date();
+
+// When a customer on their way should set off, e.g. "leave in ~12 min"
+const describeTravel = (entry) => {
+  if (entry.travel.advice === 'late') return 'you may not make it in time';
+  const leaveIn = (entry.estimatedWaitTime || 0) - entry.travel.travelMinutes;
+  return leaveIn <= LEAVE_MARGIN_MINUTES ? 'leave now' : `leave in ~${leaveIn} min`;
+};
+
+// Services an entry is queued for, e.g. "Haircut + Beard Trim"
+const describeServices = (entry) => (entry.services?.length
+  ? entry.services.map(service => service.name).join(' + ')
+  : entry.serviceType?.replace('-', ' '));
+
 /**
  * NearbyBarbers Component
  * Displays barbers within 2km radius of customer's location
@@ -25,12 +91,37 @@ const NearbyBarbers = () => {
   const [showServiceModal, setShowServiceModal] = useState(false);
   const [selectedBarber, setSelectedBarber] = useState(null);
   const [customerInfo, setCustomerInfo] = useState({
-    serviceType: 'haircut'
+    services: [],
+    preferredStaffId: '',
+    guests: []
   });
+  const [shopStaff, setShopStaff] = useState([]);
+  const [shopServices, setShopServices] = useState([]);
   const [myQueueStatus, setMyQueueStatus] = useState(null);
   const [cancellingQueue, setCancellingQueue] = useState(false);
+  const [cancelReason, setCancelReason] = useState('changed-mind');
+  const [checkingIn, setCheckingIn] = useState(false);
+  const [slidingBack, setSlidingBack] = useState(false);
   const [showManualLocationModal, setShowManualLocationModal] = useState(false);
   const [manualCoords, setManualCoords] = useState({ lat: '', lng: '' });
+  const [bookingShop, setBookingShop] = useState(null);
+  const [booking, setBooking] = useState({
+    date: new Date().toLocaleDateString('en-CA'),
+    serviceType: 'haircut',
+    preferredStaffId: '',
+    startTime: '',
+    rescheduleId: null
+  });
+  const [slots, setSlots] = useState([]);
+  const [loadingSlots, setLoadingSlots] = useState(false);
+  const [submittingBooking, setSubmittingBooking] = useState(false);
+  const [myAppointments, setMyAppointments] = useState([]);
+  const [verifyNotice, setVerifyNotice] = useState('');
+  const [resendingVerification, setResendingVerification] = useState(false);
+  const [phoneCodeSent, setPhoneCodeSent] = useState(false);
+  const [phoneCode, setPhoneCode] = useState('');
+  const [phoneNotice, setPhoneNotice] = useState('');
+  const [verifyingPhone, setVerifyingPhone] = useState(false);
   const navigate = useNavigate();
 
   // Monitor online/offline status
@@ -125,6 +216,38 @@ const NearbyBarbers = () => {
     }
   }, []);
 
+  // Load the customer's upcoming bookings
+  const fetchMyAppointments = async () => {
+    try {
+      const response = await appointmentService.getMyAppointments();
+      setMyAppointments(response.data || []);
+    } catch (err) {
+      console.error('Failed to load appointments:', err);
+    }
+  };
+
+  useEffect(() => {
+    const user = authService.getCurrentUser();
+    if (user && user.role === 'customer') {
+      fetchMyAppointments();
+    }
+  }, []);
+
+  // Reload free slots whenever the booking day or service changes
+  useEffect(() => {
+    if (!bookingShop) return;
+
+    setLoadingSlots(true);
+    setBooking(prev => ({ ...prev, startTime: '' }));
+    appointmentService.getSlots(bookingShop.shopId, booking.date, booking.serviceType)
+      .then(response => setSlots(response.data.slots || []))
+      .catch(err => {
+        setSlots([]);
+        console.error('Failed to load slots:', err);
+      })
+      .finally(() => setLoadingSlots(false));
+  }, [bookingShop, booking.date, booking.serviceType]);
+
   // Handle cancel queue
   const handleCancelQueue = async () => {
     if (!myQueueStatus) return;
@@ -134,7 +257,13 @@ const NearbyBarbers = () => {
 
     setCancellingQueue(true);
     try {
-      await queueService.cancelQueue(myQueueStatus._id);
+      // A party leaves together
+      const entryIds = myQueueStatus.party
+        ? myQueueStatus.party.filter(member => ['waiting', 'called'].includes(member.status)).map(member => member.entryId)
+        : [myQueueStatus._id];
+      for (const entryId of entryIds) {
+        await queueService.cancelQueue(entryId, cancelReason);
+      }
       setMyQueueStatus(null);
       localStorage.removeItem('queueStatus');
       alert('Queue cancelled successfully');
@@ -146,6 +275,82 @@ const NearbyBarbers = () => {
     }
   };
 
+  // Tell the shop we're here - by tapping, or with our position when we reach it
+  const handleCheckIn = async (coords = null) => {
+    if (!myQueueStatus) return;
+
+    setCheckingIn(true);
+    try {
+      const response = await queueService.checkIn(myQueueStatus._id, coords);
+      setMyQueueStatus(prev => {
+        if (!prev || prev._id !== myQueueStatus._id) return prev;
+        const updated = { ...prev, arrived: true, arrivedAt: response.data.arrivedAt };
+        localStorage.setItem('queueStatus', JSON.stringify(updated));
+        return updated;
+      });
+      if (!coords) {
+        alert(`✅ ${response.message}`);
+      }
+    } catch (err) {
+      if (!coords) {
+        alert(err.message || 'Failed to check in');
+      }
+    } finally {
+      setCheckingIn(false);
+    }
+  };
+
+  // Running late - let a couple of customers go ahead
+  const handleSlideBack = async (places = SLIDE_BACK_PLACES) => {
+    if (!myQueueStatus) return;
+
+    setSlidingBack(true);
+    try {
+      const response = await queueService.slideBack(myQueueStatus._id, places);
+      setMyQueueStatus(prev => {
+        if (!prev || prev._id !== myQueueStatus._id) return prev;
+        const updated = { ...prev, ...response.data };
+        localStorage.setItem('queueStatus', JSON.stringify(updated));
+        return updated;
+      });
+      alert(`↩️ ${response.message}\n\nNew wait: ~${response.data.estimatedWaitTime} min`);
+    } catch (err) {
+      alert(err.message || 'Failed to move back in the queue');
+    } finally {
+      setSlidingBack(false);
+    }
+  };
+
+  // Check in automatically once the customer reaches the shop
+  useEffect(() => {
+    if (!myQueueStatus || myQueueStatus.arrived || !['waiting', 'called'].includes(myQueueStatus.status)) return;
+
+    const shop = barbers.find(barber => barber.shopId === myQueueStatus.shopId);
+    if (!shop || !shop.coordinates) return;
+
+    let lastAttempt = 0;
+    let watchId = null;
+    try {
+      watchId = locationService.watchLocation(({ latitude, longitude }) => {
+        const distanceKm = locationService.calculateDistance(
+          latitude,
+          longitude,
+          shop.coordinates.latitude,
+          shop.coordinates.longitude
+        );
+        // The server checks the shop's own radius - this only saves needless calls
+        if (distanceKm * 1000 > ARRIVAL_CHECK_METERS || Date.now() - lastAttempt < 60 * 1000) return;
+
+        lastAttempt = Date.now();
+        handleCheckIn({ latitude, longitude });
+      });
+    } catch (err) {
+      console.log('Location watch unavailable - check in by tapping instead:', err.message);
+    }
+
+    return () => locationService.stopWatchingLocation(watchId);
+  }, [myQueueStatus?._id, myQueueStatus?.arrived, myQueueStatus?.status, barbers]);
+
   // Listen for shop status changes via Socket.io
   useEffect(() => {
     console.log('🔌 Setting up shop status listener');
@@ -170,9 +375,133 @@ const NearbyBarbers = () => {
       });
     });
 
+    // Barber went on / came back from a break
+    const handlePauseChange = (data) => {
+      const pause = data.paused ? { until: data.pausedUntil, blockJoins: data.blockJoins } : null;
+      setBarbers(prevBarbers => prevBarbers.map(barber =>
+        barber.shopId === data.shopId ? { ...barber, pause } : barber
+      ));
+    };
+
+    realtimeService.on('queue-paused', handlePauseChange);
+    realtimeService.on('queue-resumed', handlePauseChange);
+
     return () => {
       // Optional: Cleanup listener if needed, but keeping it active is usually fine for this use case
       // realtimeService.off('shop-status-changed');
+      realtimeService.off('queue-paused', handlePauseChange);
+      realtimeService.off('queue-resumed', handlePauseChange);
+    };
+  }, []);
+
+  // Personal turn notifications (called / skipped / no-show / serving)
+  useEffect(() => {
+    const user = authService.getCurrentUser();
+    if (!user || user.role !== 'customer') return;
+
+    realtimeService.joinCustomer(user._id);
+
+    // Apply a change to the active entry the event is about
+    const updateMyQueue = (entryId, changes) => {
+      setMyQueueStatus(prev => {
+        if (!prev || prev._id !== entryId) return prev;
+        if (!changes) {
+          localStorage.removeItem('queueStatus');
+          return null;
+        }
+        const updated = { ...prev, ...changes };
+        localStorage.setItem('queueStatus', JSON.stringify(updated));
+        return updated;
+      });
+    };
+
+    const handleCalled = (data) => {
+      updateMyQueue(data.entryId, { status: 'called', callExpiresAt: data.callExpiresAt, queuePosition: 0 });
+      alert(`📣 It's your turn at token #${data.tokenNumber}!\n\nPlease reach the chair within ${data.graceMinutes} minutes${data.staffName ? ` - ${data.staffName} is ready for you` : ''}.`);
+    };
+
+    const handleSkipped = (data) => {
+      updateMyQueue(data.entryId, { status: 'waiting', callExpiresAt: null, queuePosition: data.queuePosition });
+      alert(`⌛ You missed your call, so token #${data.tokenNumber} was moved to the back of the queue.`);
+    };
+
+    const handleRemoved = (data) => {
+      updateMyQueue(data.entryId, null);
+      alert(`🚪 The barber removed token #${data.tokenNumber} from the queue (${CANCEL_REASON_LABELS[data.reason] || data.reason}).${data.note ? `\n\n${data.note}` : ''}`);
+    };
+
+    const handleNoShow = (data) => {
+      updateMyQueue(data.entryId, null);
+      alert(`⌛ Token #${data.tokenNumber} was marked as a no-show. Please join the queue again.`);
+    };
+
+    const handleServing = (data) => {
+      updateMyQueue(data.entryId, { status: 'in-service', queuePosition: 0 });
+    };
+
+    const handlePositionChanged = (data) => {
+      updateMyQueue(data.entryId, {
+        queuePosition: data.queuePosition,
+        lanePosition: data.lanePosition,
+        estimatedWaitTime: data.estimatedWaitTime,
+        positionNote: data.note
+      });
+    };
+
+    const handleLeaveNow = (data) => {
+      updateMyQueue(data.entryId, { travel: { ...data, advice: 'leave-now' } });
+      alert(`🚶 Time to leave for token #${data.tokenNumber}!\n\nThe shop is ~${data.travelMinutes} min away and your turn is in ~${data.estimatedWaitTime} min.`);
+    };
+
+    const handleRunningLate = (data) => {
+      updateMyQueue(data.entryId, { travel: { ...data, advice: 'late' } });
+      const slideBack = window.confirm(
+        `🐢 You're ~${data.travelMinutes} min from the shop, but token #${data.tokenNumber} is due in ~${data.estimatedWaitTime} min.\n\n` +
+        `Let ${SLIDE_BACK_PLACES} customers go ahead so you don't miss your turn?`
+      );
+      if (slideBack) {
+        queueService.slideBack(data.entryId, SLIDE_BACK_PLACES)
+          .then(response => updateMyQueue(data.entryId, response.data))
+          .catch(err => alert(err.message || 'Failed to move back in the queue'));
+      }
+    };
+
+    // Booking slot came up - the scheduler put the customer in the live queue
+    const handleAppointmentQueued = (data) => {
+      const queued = {
+        _id: data.entryId,
+        tokenNumber: data.tokenNumber,
+        queuePosition: data.queuePosition,
+        estimatedWaitTime: data.estimatedWaitTime,
+        status: 'waiting',
+        shopId: data.shopId
+      };
+      setMyQueueStatus(queued);
+      localStorage.setItem('queueStatus', JSON.stringify(queued));
+      setMyAppointments(prev => prev.filter(appointment => appointment._id !== data.appointmentId));
+      alert(`📅 Your booking is now in the queue as token #${data.tokenNumber}.\n\nEstimated wait: ${data.estimatedWaitTime} min`);
+    };
+
+    realtimeService.on('queue-called', handleCalled);
+    realtimeService.on('queue-skipped', handleSkipped);
+    realtimeService.on('queue-no-show', handleNoShow);
+    realtimeService.on('queue-removed', handleRemoved);
+    realtimeService.on('queue-serving', handleServing);
+    realtimeService.on('appointment-queued', handleAppointmentQueued);
+    realtimeService.on('queue-position-changed', handlePositionChanged);
+    realtimeService.on('queue-leave-now', handleLeaveNow);
+    realtimeService.on('queue-running-late', handleRunningLate);
+
+    return () => {
+      realtimeService.off('queue-called', handleCalled);
+      realtimeService.off('queue-skipped', handleSkipped);
+      realtimeService.off('queue-no-show', handleNoShow);
+      realtimeService.off('queue-removed', handleRemoved);
+      realtimeService.off('queue-serving', handleServing);
+      realtimeService.off('appointment-queued', handleAppointmentQueued);
+      realtimeService.off('queue-position-changed', handlePositionChanged);
+      realtimeService.off('queue-leave-now', handleLeaveNow);
+      realtimeService.off('queue-running-late', handleRunningLate);
     };
   }, []);
 
@@ -298,17 +627,89 @@ const NearbyBarbers = () => {
 
     setSelectedBarber(barber);
     setShowServiceModal(true);
+
+    // Load the shop's barbers so the customer can pick one (optional)
+    setShopStaff([]);
+    barberService.getStaff(barber.shopId)
+      .then(response => setShopStaff(response.data || []))
+      .catch(err => console.error('Failed to load staff:', err));
+
+    loadShopServices(barber.shopId, (menu) => {
+      setCustomerInfo(prev => ({ ...prev, services: menu.length > 0 ? [menu[0].key] : [] }));
+    });
+  };
+
+  // Load a shop's menu, then let the caller pick a default service from it
+  const loadShopServices = (shopId, onLoaded) => {
+    setShopServices([]);
+    barberService.getServices(shopId)
+      .then(response => {
+        const menu = response.data || [];
+        setShopServices(menu);
+        onLoaded(menu);
+      })
+      .catch(err => console.error('Failed to load services:', err));
+  };
+
+  // Pick or unpick one of the customer's own services
+  const toggleService = (key) => {
+    setCustomerInfo(prev => {
+      if (prev.services.includes(key)) {
+        return { ...prev, services: prev.services.filter(service => service !== key) };
+      }
+      if (prev.services.length >= MAX_SERVICES) {
+        return prev;
+      }
+      return { ...prev, services: [...prev.services, key] };
+    });
+  };
+
+  // Total price and time of the customer's picks
+  const getSelectionTotals = () => {
+    const picked = shopServices.filter(service => customerInfo.services.includes(service.key));
+    return {
+      minutes: picked.reduce((total, service) => total + service.durationMinutes, 0),
+      price: picked.some(service => service.price === null)
+        ? null
+        : picked.reduce((total, service) => total + service.price, 0)
+    };
   };
 
   // Close service modal
   const closeServiceModal = () => {
     setShowServiceModal(false);
     setSelectedBarber(null);
+    setShopStaff([]);
+    setShopServices([]);
     setCustomerInfo({
-      serviceType: 'haircut'
+      services: [],
+      preferredStaffId: '',
+      guests: []
     });
   };
 
+  // Add / edit / remove people joining with the customer
+  const handleAddGuest = () => {
+    setCustomerInfo(prev => ({
+      ...prev,
+      guests: [...prev.guests, { name: '', serviceType: shopServices[0]?.key || '' }]
+    }));
+  };
+
+  const handleGuestChange = (index, field, value) => {
+    setCustomerInfo(prev => ({
+      ...prev,
+      guests: prev.guests.map((guest, i) => (i === index ? { ...guest, [field]: value } : guest))
+    }));
+  };
+
+  const handleRemoveGuest = (index) => {
+    setCustomerInfo(prev => ({
+      ...prev,
+      guests: prev.guests.filter((_, i) => i !== index)
+    }));
+  };
+
   // Handle form input changes
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -319,10 +720,11 @@ const NearbyBarbers = () => {
   };
 
   // Submit queue join with service selection
-  const submitJoinQueue = async () => {
+  // switchQueue leaves the customer's queue at another shop first
+  const submitJoinQueue = async (switchQueue = false) => {
     // Validation
-    if (!customerInfo.serviceType) {
-      alert('Please select a service type');
+    if (customerInfo.services.length === 0) {
+      alert('Please select at least one service');
       return;
     }
 
@@ -330,22 +732,36 @@ const NearbyBarbers = () => {
       setJoiningQueue({ ...joiningQueue, [selectedBarber.shopId]: true });
 
       const response = await queueService.joinQueue({
-        serviceType: customerInfo.serviceType,
-        shopId: selectedBarber.shopId
+        services: customerInfo.services,
+        party: customerInfo.guests.length > 0
+          ? [{ services: customerInfo.services }, ...customerInfo.guests]
+          : undefined,
+        shopId: selectedBarber.shopId,
+        preferredStaffId: customerInfo.preferredStaffId || undefined,
+        switchQueue
       });
 
       const user = authService.getCurrentUser();
-      alert(`Successfully joined ${selectedBarber.shopName}'s queue!\n\nToken: ${response.data.tokenNumber}\nPosition: ${response.data.queuePosition}\nService: ${customerInfo.serviceType}\nEstimated Wait: ${response.data.estimatedWaitTime} min`);
+      const servingStaff = response.data.preferredStaff || response.data.assignedStaff;
+      const partyTokens = response.data.party
+        ? `\nParty: ${response.data.party.map(member => `${member.name} #${member.tokenNumber}`).join(', ')}`
+        : '';
+      alert(`Successfully joined ${selectedBarber.shopName}'s queue!\n\nToken: ${response.data.tokenNumber}\nPosition: ${response.data.lanePosition || response.data.queuePosition}${servingStaff ? `\nBarber: ${servingStaff.name}` : ''}\nService: ${response.data.services.map(service => service.name).join(' + ')}${partyTokens}\nEstimated Wait: ${response.data.estimatedWaitTime} min`);
 
       // Update local state immediately
       const newQueueStatus = {
-        _id: response.data.customerId,
+        _id: response.data.entryId,
         tokenNumber: response.data.tokenNumber,
         queuePosition: response.data.queuePosition,
+        lanePosition: response.data.lanePosition,
+        preferredStaff: response.data.preferredStaff,
+        assignedStaff: response.data.assignedStaff,
         estimatedWaitTime: response.data.estimatedWaitTime,
-        serviceType: customerInfo.serviceType,
+        serviceType: response.data.serviceType,
+        services: response.data.services,
         status: 'waiting',
-        shopId: selectedBarber.shopId
+        shopId: selectedBarber.shopId,
+        party: response.data.party
       };
 
       setMyQueueStatus(newQueueStatus);
@@ -355,7 +771,28 @@ const NearbyBarbers = () => {
       // Refresh barbers list
       fetchNearbyBarbers();
     } catch (err) {
-      alert(err.message || 'Failed to join queue');
+      // Already waiting at another shop - offer to switch
+      if (err.code === 'ALREADY_IN_QUEUE' && err.details?.canSwitch) {
+        setJoiningQueue({ ...joiningQueue, [selectedBarber.shopId]: false });
+        const confirmed = window.confirm(
+          `You're already in ${err.details.shopName}'s queue (token #${err.details.tokenNumber}).\n\nLeave it and join ${selectedBarber.shopName} instead?`
+        );
+        if (confirmed) {
+          await submitJoinQueue(true);
+        }
+        return;
+      }
+
+      const title = JOIN_ERROR_TITLES[err.code];
+      alert(title ? `${title}\n\n${err.message}` : err.message || 'Failed to join queue');
+
+      // The shop closed since the list was loaded - show it as closed
+      if (err.code === 'SHOP_CLOSED' || err.code === 'SHOP_INACTIVE') {
+        setBarbers(prev => prev.map(barber =>
+          barber.shopId === selectedBarber.shopId ? { ...barber, isOpen: false } : barber
+        ));
+        closeServiceModal();
+      }
       if (err.message?.includes('login')) {
         navigate('/customer-auth');
       }
@@ -364,6 +801,109 @@ const NearbyBarbers = () => {
     }
   };
 
+  // Open the booking modal (new booking, or rescheduling an existing one)
+  const openBooking = (barber, appointment = null) => {
+    const user = authService.getCurrentUser();
+    if (!user) {
+      alert('Please login to book an appointment');
+      navigate('/customer-auth');
+      return;
+    }
+
+    setBooking({
+      date: appointment
+        ? new Date(appointment.startTime).toLocaleDateString('en-CA')
+        : new Date().toLocaleDateString('en-CA'),
+      serviceType: appointment ? appointment.serviceType : 'haircut',
+      preferredStaffId: '',
+      startTime: '',
+      rescheduleId: appointment ? appointment._id : null
+    });
+    setBookingShop(barber);
+
+    setShopStaff([]);
+    if (!appointment) {
+      barberService.getStaff(barber.shopId)
+        .then(response => setShopStaff(response.data || []))
+        .catch(err => console.error('Failed to load staff:', err));
+
+      loadShopServices(barber.shopId, (menu) => {
+        if (menu.length > 0 && !menu.some(service => service.key === 'haircut')) {
+          setBooking(prev => ({ ...prev, serviceType: menu[0].key }));
+        }
+      });
+    }
+  };
+
+  const closeBooking = () => {
+    setBookingShop(null);
+    setSlots([]);
+    setShopStaff([]);
+    setShopServices([]);
+  };
+
+  const handleBookingChange = (e) => {
+    const { name, value } = e.target;
+    setBooking(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Book (or move) the selected slot
+  const submitBooking = async () => {
+    if (!booking.startTime) {
+      alert('Please pick a time slot');
+      return;
+    }
+
+    setSubmittingBooking(true);
+    try {
+      if (booking.rescheduleId) {
+        await appointmentService.rescheduleAppointment(booking.rescheduleId, booking.startTime);
+      } else {
+        await appointmentService.bookAppointment({
+          shopId: bookingShop.shopId,
+          serviceType: booking.serviceType,
+          startTime: booking.startTime,
+          preferredStaffId: booking.preferredStaffId || undefined
+        });
+      }
+
+      alert(`📅 ${booking.rescheduleId ? 'Rescheduled' : 'Booked'} at ${bookingShop.shopName} for ${formatSlot(booking.startTime)}.\n\nYou'll join the queue automatically at your slot time.`);
+      closeBooking();
+      fetchMyAppointments();
+    } catch (err) {
+      alert(err.message || 'Failed to book appointment');
+      // Slot was taken in the meantime - reload what's still free
+      if (err.message?.includes('slot')) {
+        setBookingShop(prev => ({ ...prev }));
+      }
+    } finally {
+      setSubmittingBooking(false);
+    }
+  };
+
+  const handleCancelAppointment = async (appointment) => {
+    const confirmed = window.confirm('Cancel this booking?');
+    if (!confirmed) return;
+
+    try {
+      await appointmentService.cancelAppointment(appointment._id);
+      setMyAppointments(prev => prev.filter(a => a._id !== appointment._id));
+    } catch (err) {
+      alert(err.message || 'Failed to cancel appointment');
+    }
+  };
+
+  // e.g. "Mon 21 Oct, 10:30"
+  const formatSlot = (time) => {
+    return new Date(time).toLocaleString([], {
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
   // Open directions in Google Maps
   const openDirections = (barber) => {
     const url = `https://www.google.com/maps/dir/?api=1&destination=${barber.coordinates.latitude},${barber.coordinates.longitude}`;
@@ -402,6 +942,72 @@ const NearbyBarbers = () => {
     }
   };
 
+  // Sign out on every device this account is logged in on
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Sign out of every device, including this one?')) return;
+
+    try {
+      await authService.logoutAllDevices();
+      navigate('/customer-auth');
+    } catch (err) {
+      console.error('Logout all devices error:', err);
+      alert(err.message || 'Failed to sign out of all devices');
+    }
+  };
+
+  // Customers can browse but not join until their email is confirmed
+  const currentUser = authService.getCurrentUser();
+  const needsEmailVerification = currentUser?.role === 'customer' &&
+    currentUser.emailVerified === false && !currentUser.phoneVerified;
+
+  const handleResendVerification = async () => {
+    setResendingVerification(true);
+
+    try {
+      const response = await authService.resendVerification();
+      setVerifyNotice(response.message);
+    } catch (err) {
+      setVerifyNotice(err.message || 'Could not send verification email');
+    } finally {
+      setResendingVerification(false);
+    }
+  };
+
+  // A phone number typed in at sign-up can only log in once it's verified here
+  const canVerifyPhone = currentUser?.role === 'customer' &&
+    !!currentUser.phone && currentUser.phoneVerified === false;
+
+  const handleSendPhoneCode = async () => {
+    setVerifyingPhone(true);
+
+    try {
+      const response = await authService.requestPhoneVerification();
+      setPhoneCodeSent(true);
+      setPhoneNotice(response.message);
+    } catch (err) {
+      setPhoneNotice(err.message || 'Could not send verification code');
+    } finally {
+      setVerifyingPhone(false);
+    }
+  };
+
+  const handleVerifyPhone = async (e) => {
+    e.preventDefault();
+    setVerifyingPhone(true);
+
+    try {
+      await authService.verifyPhone(phoneCode);
+      setPhoneCodeSent(false);
+      setPhoneCode('');
+      setPhoneNotice('');
+      alert('✅ Phone number verified - you can now log in with it too');
+    } catch (err) {
+      setPhoneNotice(err.message || 'Phone verification failed');
+    } finally {
+      setVerifyingPhone(false);
+    }
+  };
+
   // Location permission modal (shown as popup overlay)
   const renderLocationPermissionModal = () => {
     if (locationPermissionAsked || userLocation) return null;
@@ -562,100 +1168,86 @@ const NearbyBarbers = () => {
 
             <div className="modal-form">
               <div className="form-group">
-                <label>Select Service *</label>
+                <label>Select Services * <span className="label-hint">(up to {MAX_SERVICES})</span></label>
+                {shopServices.length === 0 && <p className="loading-services">Loading menu...</p>}
                 <div className="service-options">
-                  <label className={`service-option ${customerInfo.serviceType === 'haircut' ? 'selected' : ''}`}>
-                    <input
-                      type="radio"
-                      name="serviceType"
-                      value="haircut"
-                      checked={customerInfo.serviceType === 'haircut'}
-                      onChange={handleInputChange}
-                    />
-                    <div className="service-card">
-                      <div className="service-icon">✂️</div>
-                      <div className="service-name">Haircut</div>
-                      <div className="service-time">~20 min</div>
-                    </div>
-                  </label>
-
-                  <label className={`service-option ${customerInfo.serviceType === 'shave' ? 'selected' : ''}`}>
-                    <input
-                      type="radio"
-                      name="serviceType"
-                      value="shave"
-                      checked={customerInfo.serviceType === 'shave'}
-                      onChange={handleInputChange}
-                    />
-                    <div className="service-card">
-                      <div className="service-icon">🪒</div>
-                      <div className="service-name">Shave</div>
-                      <div className="service-time">~15 min</div>
-                    </div>
-                  </label>
-
-                  <label className={`service-option ${customerInfo.serviceType === 'haircut-shave' ? 'selected' : ''}`}>
-                    <input
-                      type="radio"
-                      name="serviceType"
-                      value="haircut-shave"
-                      checked={customerInfo.serviceType === 'haircut-shave'}
-                      onChange={handleInputChange}
-                    />
-                    <div className="service-card">
-                      <div className="service-icon">💈</div>
-                      <div className="service-name">Haircut + Shave</div>
-                      <div className="service-time">~35 min</div>
-                    </div>
-                  </label>
-
-                  <label className={`service-option ${customerInfo.serviceType === 'styling' ? 'selected' : ''}`}>
-                    <input
-                      type="radio"
-                      name="serviceType"
-                      value="styling"
-                      checked={customerInfo.serviceType === 'styling'}
-                      onChange={handleInputChange}
-                    />
-                    <div className="service-card">
-                      <div className="service-icon">💇</div>
-                      <div className="service-name">Hair Styling</div>
-                      <div className="service-time">~30 min</div>
-                    </div>
-                  </label>
-
-                  <label className={`service-option ${customerInfo.serviceType === 'beard-trim' ? 'selected' : ''}`}>
-                    <input
-                      type="radio"
-                      name="serviceType"
-                      value="beard-trim"
-                      checked={customerInfo.serviceType === 'beard-trim'}
-                      onChange={handleInputChange}
-                    />
-                    <div className="service-card">
-                      <div className="service-icon">🧔</div>
-                      <div className="service-name">Beard Trim</div>
-                      <div className="service-time">~10 min</div>
-                    </div>
-                  </label>
-
-                  <label className={`service-option ${customerInfo.serviceType === 'other' ? 'selected' : ''}`}>
+                  {shopServices.map(service => (
+                    <label
+                      key={service.key}
+                      className={`service-option ${customerInfo.services.includes(service.key) ? 'selected' : ''}`}
+                    >
+                      <input
+                        type="checkbox"
+                        name="services"
+                        value={service.key}
+                        checked={customerInfo.services.includes(service.key)}
+                        onChange={() => toggleService(service.key)}
+                      />
+                      <div className="service-card">
+                        <div className="service-icon">{SERVICE_ICONS[service.key] || '✨'}</div>
+                        <div className="service-name">{service.name}</div>
+                        <div className="service-time">~{service.durationMinutes} min</div>
+                        {service.price !== null && <div className="service-price">{formatPrice(service.price)}</div>}
+                      </div>
+                    </label>
+                  ))}
+                </div>
+                {customerInfo.services.length > 1 && (
+                  <p className="service-total">
+                    {customerInfo.services.length} services • ~{getSelectionTotals().minutes} min
+                    {getSelectionTotals().price !== null && ` • ${formatPrice(getSelectionTotals().price)}`}
+                  </p>
+                )}
+              </div>
+
+              <div className="form-group">
+                <label>Bringing others?</label>
+                {customerInfo.guests.map((guest, index) => (
+                  <div key={index} className="party-member-row">
                     <input
-                      type="radio"
-                      name="serviceType"
-                      value="other"
-                      checked={customerInfo.serviceType === 'other'}
-                      onChange={handleInputChange}
+                      type="text"
+                      placeholder={`Guest ${index + 1} name`}
+                      value={guest.name}
+                      onChange={(e) => handleGuestChange(index, 'name', e.target.value)}
                     />
-                    <div className="service-card">
-                      <div className="service-icon">✨</div>
-                      <div className="service-name">Other</div>
-                      <div className="service-time">Varies</div>
-                    </div>
-                  </label>
-                </div>
+                    <select
+                      value={guest.serviceType}
+                      onChange={(e) => handleGuestChange(index, 'serviceType', e.target.value)}
+                    >
+                      {shopServices.map(service => (
+                        <option key={service.key} value={service.key}>{service.name}</option>
+                      ))}
+                    </select>
+                    <button type="button" className="btn-remove-guest" onClick={() => handleRemoveGuest(index)}>✕</button>
+                  </div>
+                ))}
+                {customerInfo.guests.length < MAX_PARTY_SIZE - 1 && (
+                  <button type="button" className="btn-add-guest" onClick={handleAddGuest}>
+                    + Add someone (e.g. your kids)
+                  </button>
+                )}
               </div>
 
+              {shopStaff.length > 0 && (
+                <div className="form-group">
+                  <label htmlFor="preferredStaffId">Preferred Barber</label>
+                  <select
+                    id="preferredStaffId"
+                    name="preferredStaffId"
+                    className="staff-select"
+                    value={customerInfo.preferredStaffId}
+                    onChange={handleInputChange}
+                  >
+                    <option value="">Any barber (shortest wait)</option>
+                    {shopStaff.map(member => (
+                      <option key={member._id} value={member._id}>
+                        {member.name} - {member.status === 'on-break' ? 'on break' : `~${member.estimatedWaitTime} min`}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
               <div className="queue-summary">
                 <div className="summary-item">
                   <span>Current Queue:</span>
@@ -673,10 +1265,110 @@ const NearbyBarbers = () => {
                 </button>
                 <button
                   className="btn-submit"
-                  onClick={submitJoinQueue}
+                  onClick={() => submitJoinQueue()}
                   disabled={joiningQueue[selectedBarber.shopId]}
                 >
-                  {joiningQueue[selectedBarber.shopId] ? 'Joining...' : 'Join Queue'}
+                  {joiningQueue[selectedBarber.shopId]
+                    ? 'Joining...'
+                    : customerInfo.guests.length > 0 ? `Join as ${customerInfo.guests.length + 1}` : 'Join Queue'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Booking Modal */}
+      {bookingShop && (
+        <div className="modal-overlay" onClick={closeBooking}>
+          <div className="service-modal" onClick={(e) => e.stopPropagation()}>
+            <button className="modal-close" onClick={closeBooking}>✕</button>
+
+            <h2>{booking.rescheduleId ? 'Reschedule' : 'Book'} - {bookingShop.shopName}</h2>
+            <p className="modal-subtitle">Pick a time - you'll join the queue automatically when it comes up</p>
+
+            <div className="modal-form">
+              <div className="form-group">
+                <label htmlFor="bookingDate">Day</label>
+                <input
+                  id="bookingDate"
+                  type="date"
+                  name="date"
+                  value={booking.date}
+                  min={new Date().toLocaleDateString('en-CA')}
+                  onChange={handleBookingChange}
+                />
+              </div>
+
+              {!booking.rescheduleId && (
+                <div className="form-group">
+                  <label htmlFor="bookingService">Service</label>
+                  <select
+                    id="bookingService"
+                    name="serviceType"
+                    className="staff-select"
+                    value={booking.serviceType}
+                    onChange={handleBookingChange}
+                  >
+                    {shopServices.map(service => (
+                      <option key={service.key} value={service.key}>
+                        {service.name} - ~{service.durationMinutes} min{service.price !== null ? ` • ${formatPrice(service.price)}` : ''}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {shopStaff.length > 0 && (
+                <div className="form-group">
+                  <label htmlFor="bookingStaff">Preferred Barber</label>
+                  <select
+                    id="bookingStaff"
+                    name="preferredStaffId"
+                    className="staff-select"
+                    value={booking.preferredStaffId}
+                    onChange={handleBookingChange}
+                  >
+                    <option value="">Any barber</option>
+                    {shopStaff.map(member => (
+                      <option key={member._id} value={member._id}>{member.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div className="form-group">
+                <label>Time</label>
+                {loadingSlots ? (
+                  <p className="slots-empty">Loading slots...</p>
+                ) : slots.length === 0 ? (
+                  <p className="slots-empty">No free slots on this day</p>
+                ) : (
+                  <div className="slot-grid">
+                    {slots.map(slot => (
+                      <button
+                        key={slot.startTime}
+                        type="button"
+                        className={`slot-btn ${booking.startTime === slot.startTime ? 'selected' : ''}`}
+                        onClick={() => setBooking(prev => ({ ...prev, startTime: slot.startTime }))}
+                      >
+                        {new Date(slot.startTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div className="modal-actions">
+                <button className="btn-cancel" onClick={closeBooking}>
+                  Cancel
+                </button>
+                <button
+                  className="btn-submit"
+                  onClick={submitBooking}
+                  disabled={submittingBooking || !booking.startTime}
+                >
+                  {submittingBooking ? 'Saving...' : booking.rescheduleId ? 'Reschedule' : 'Book Slot'}
                 </button>
               </div>
             </div>
@@ -698,24 +1390,76 @@ const NearbyBarbers = () => {
             )}
           </div>
           {authService.getCurrentUser() && (
-            <button
-              className="logout-btn"
-              onClick={handleLogout}
-              title="Logout"
-            >
-              🚪 Logout
-            </button>
+            <>
+              <button
+                className="logout-btn"
+                onClick={handleLogout}
+                title="Logout"
+              >
+                🚪 Logout
+              </button>
+              <button
+                className="logout-btn"
+                onClick={handleLogoutAll}
+                title="Sign out of every device"
+              >
+                🔒 All Devices
+              </button>
+            </>
           )}
         </div>
       </header>
 
+      {needsEmailVerification && (
+        <div className="verify-email-banner">
+          <span>
+            ✉️ Confirm your email ({currentUser.email}) to join queues - check your inbox for the link.
+            {verifyNotice && <strong> {verifyNotice}</strong>}
+          </span>
+          <button onClick={handleResendVerification} disabled={resendingVerification}>
+            {resendingVerification ? 'Sending...' : 'Resend email'}
+          </button>
+        </div>
+      )}
+
+      {canVerifyPhone && (
+        <form className="verify-email-banner" onSubmit={handleVerifyPhone}>
+          <span>
+            📱 Verify {currentUser.phone} to also log in with your phone number.
+            {phoneNotice && <strong> {phoneNotice}</strong>}
+          </span>
+          {phoneCodeSent ? (
+            <>
+              <input
+                type="text"
+                inputMode="numeric"
+                maxLength="6"
+                value={phoneCode}
+                onChange={(e) => setPhoneCode(e.target.value.replace(/\D/g, ''))}
+                placeholder="6-digit code"
+                required
+              />
+              <button type="submit" disabled={verifyingPhone || phoneCode.length !== 6}>
+                {verifyingPhone ? 'Checking...' : 'Verify'}
+              </button>
+            </>
+          ) : (
+            <button type="button" onClick={handleSendPhoneCode} disabled={verifyingPhone}>
+              {verifyingPhone ? 'Sending...' : 'Send code'}
+            </button>
+          )}
+        </form>
+      )}
+
       {/* User's Active Queue Status Card */}
       {myQueueStatus && (
         <div className="my-queue-card">
           <div className="queue-card-header">
             <h3>🎫 Your Queue Status</h3>
             <span className={`queue-status-badge ${myQueueStatus.status}`}>
-              {myQueueStatus.status === 'waiting' ? '⏳ Waiting' : '✂️ In Service'}
+              {myQueueStatus.status === 'waiting' && '⏳ Waiting'}
+              {myQueueStatus.status === 'called' && '📣 Your Turn'}
+              {myQueueStatus.status === 'in-service' && '✂️ In Service'}
             </span>
           </div>
           <div className="queue-card-body">
@@ -725,29 +1469,129 @@ const NearbyBarbers = () => {
             </div>
             <div className="queue-detail">
               <span className="label">Position:</span>
-              <span className="value">{myQueueStatus.queuePosition}</span>
+              <span className="value">{myQueueStatus.lanePosition || myQueueStatus.queuePosition}</span>
             </div>
+            {(myQueueStatus.preferredStaff || myQueueStatus.assignedStaff) && (
+              <div className="queue-detail">
+                <span className="label">Barber:</span>
+                <span className="value">
+                  {(myQueueStatus.preferredStaff || myQueueStatus.assignedStaff).name}
+                  {!myQueueStatus.preferredStaff && myQueueStatus.status === 'waiting' && ' (any)'}
+                </span>
+              </div>
+            )}
             <div className="queue-detail">
               <span className="label">Service:</span>
-              <span className="value">{myQueueStatus.serviceType?.replace('-', ' ')}</span>
+              <span className="value">{describeServices(myQueueStatus)}</span>
             </div>
             <div className="queue-detail">
               <span className="label">Est. Wait:</span>
-              <span className="value">{myQueueStatus.estimatedWaitTime || (myQueueStatus.queuePosition * 15)} min</span>
+              <span className="value">{myQueueStatus.estimatedWaitTime || 0} min</span>
             </div>
           </div>
-          {myQueueStatus.status === 'waiting' && (
+          {myQueueStatus.party && (
+            <ul className="party-list">
+              {myQueueStatus.party.map(member => (
+                <li key={member.entryId}>
+                  <strong>#{member.tokenNumber}</strong> {member.name} • {describeServices(member)}
+                  {member.status === 'in-service' ? ` • chair ${member.chair}` : ` • ~${member.estimatedWaitTime || 0} min`}
+                </li>
+              ))}
+            </ul>
+          )}
+          {myQueueStatus.status === 'waiting' && !myQueueStatus.arrived && myQueueStatus.travel && (
+            <div className={`queue-travel-note ${myQueueStatus.travel.advice}`}>
+              <p>
+                🚗 ~{myQueueStatus.travel.travelMinutes} min away ({myQueueStatus.travel.distanceKm} km) - {describeTravel(myQueueStatus)}
+              </p>
+              {myQueueStatus.travel.advice === 'late' && !myQueueStatus.party && (
+                <button className="btn-slide-back" onClick={() => handleSlideBack()} disabled={slidingBack}>
+                  {slidingBack ? 'Moving...' : `↩️ Let ${SLIDE_BACK_PLACES} people go ahead`}
+                </button>
+              )}
+            </div>
+          )}
+          {myQueueStatus.status === 'waiting' && myQueueStatus.positionNote && (
+            <p className="queue-position-note">ℹ️ {myQueueStatus.positionNote}</p>
+          )}
+          {myQueueStatus.status === 'called' && (
+            <p className="queue-called-note">
+              Please head to the chair now
+              {myQueueStatus.callExpiresAt && ` - before ${new Date(myQueueStatus.callExpiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`}
+            </p>
+          )}
+          {['waiting', 'called'].includes(myQueueStatus.status) && (
+            myQueueStatus.arrived ? (
+              <p className="queue-arrived-note">✅ Checked in - the barber knows you're here</p>
+            ) : (
+              <button
+                className="btn-check-in"
+                onClick={() => handleCheckIn()}
+                disabled={checkingIn}
+              >
+                {checkingIn ? 'Checking in...' : "📍 I'm here"}
+              </button>
+            )
+          )}
+          {['waiting', 'called'].includes(myQueueStatus.status) && (
+            <select
+              className="cancel-reason-select"
+              value={cancelReason}
+              onChange={(e) => setCancelReason(e.target.value)}
+              title="Why are you leaving?"
+            >
+              {['changed-mind', 'too-long', 'other'].map(reason => (
+                <option key={reason} value={reason}>{CANCEL_REASON_LABELS[reason]}</option>
+              ))}
+            </select>
+          )}
+          {['waiting', 'called'].includes(myQueueStatus.status) && (
             <button
               className="btn-cancel-queue"
               onClick={handleCancelQueue}
               disabled={cancellingQueue}
             >
-              {cancellingQueue ? 'Cancelling...' : '❌ Cancel Queue'}
+              {cancellingQueue ? 'Cancelling...' : myQueueStatus.party ? '❌ Cancel for Everyone' : '❌ Cancel Queue'}
             </button>
           )}
         </div>
       )}
 
+      {/* Upcoming bookings */}
+      {myAppointments.length > 0 && (
+        <div className="my-appointments-card">
+          <h3>📅 Your Bookings</h3>
+          {myAppointments.map(appointment => {
+            const shop = barbers.find(b => b.shopId === appointment.shopId);
+            return (
+              <div key={appointment._id} className="appointment-row">
+                <div className="appointment-info">
+                  <strong>{formatSlot(appointment.startTime)}</strong>
+                  <span>
+                    {shop ? shop.shopName : appointment.shopId} • {appointment.serviceType.replace('-', ' ')}
+                    {appointment.preferredStaff && ` • ${appointment.preferredStaff.name}`}
+                  </span>
+                </div>
+                <div className="appointment-actions">
+                  <button
+                    className="btn-reschedule"
+                    onClick={() => openBooking(shop || { shopId: appointment.shopId, shopName: appointment.shopId }, appointment)}
+                  >
+                    Reschedule
+                  </button>
+                  <button
+                    className="btn-cancel-appointment"
+                    onClick={() => handleCancelAppointment(appointment)}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
       {barbers.length === 0 ? (
         <div className="no-barbers">
           <div className="no-barbers-icon">💈</div>
@@ -770,7 +1614,11 @@ const NearbyBarbers = () => {
                   </div>
                   <p className="distance">{barber.distanceText} away</p>
                 </div>
-                {barber.isOpen && barber.status === 'active' ? (
+                {barber.isOpen && barber.status === 'active' && isOnBreak(barber) ? (
+                  <span className="status-badge on-break">
+                    ☕ Back {new Date(barber.pause.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                  </span>
+                ) : barber.isOpen && barber.status === 'active' ? (
                   <span className="status-badge open">Open</span>
                 ) : (
                   <span className="status-badge closed">Closed</span>
@@ -802,10 +1650,17 @@ const NearbyBarbers = () => {
                 <button
                   className="btn-join"
                   onClick={() => handleJoinQueue(barber)}
-                  disabled={!barber.isOpen || barber.status !== 'active' || joiningQueue[barber.shopId]}
+                  disabled={!barber.isOpen || barber.status !== 'active' || (isOnBreak(barber) && barber.pause.blockJoins) || joiningQueue[barber.shopId]}
                 >
                   {joiningQueue[barber.shopId] ? 'Joining...' : '+ Join Queue'}
                 </button>
+                <button
+                  className="btn-book"
+                  onClick={() => openBooking(barber)}
+                  disabled={barber.status !== 'active'}
+                >
+                  📅 Book
+                </button>
                 <button
                   className="btn-directions"
                   onClick={() => openDirections(barber)}
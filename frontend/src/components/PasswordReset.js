@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import authService from '../services/authService';
+import '../styles/Auth.css';
+
+/**
+ * PasswordReset Component
+ * Form inside CustomerAuth / BarberAuth for both halves of a reset:
+ * - without a token: ask for the email to send a reset link to
+ * - with a token (from the emailed link): choose a new password
+ */
+const PasswordReset = ({ role, token, onDone }) => {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleRequest = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await authService.requestPasswordReset(role, email);
+      setMessage(response.message);
+    } catch (err) {
+      setError(err.message || 'Could not send reset email');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReset = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await authService.resetPassword(role, token, password);
+      setMessage(response.message);
+    } catch (err) {
+      setError(err.message || 'Password reset failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (message) {
+    return (
+      <div className="auth-form">
+        <div className="info-box">{message}</div>
+        <button type="button" className="btn-auth" onClick={onDone}>
+          Back to login
+        </button>
+      </div>
+    );
+  }
+
+  if (token) {
+    return (
+      <form onSubmit={handleReset} className="auth-form">
+        <div className="form-group">
+          <label>New Password</label>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => { setPassword(e.target.value); setError(''); }}
+            placeholder="At least 6 characters"
+            minLength="6"
+            required
+          />
+        </div>
+
+        <div className="form-group">
+          <label>Confirm Password</label>
+          <input
+            type="password"
+            value={confirmPassword}
+            onChange={(e) => { setConfirmPassword(e.target.value); setError(''); }}
+            placeholder="Type it again"
+            minLength="6"
+            required
+          />
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        <button type="submit" className="btn-auth" disabled={loading}>
+          {loading ? 'Please wait...' : 'Set New Password'}
+        </button>
+
+        <div className="toggle-mode">
+          <button type="button" onClick={onDone} className="link-button">
+            Back to login
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <form onSubmit={handleRequest} className="auth-form">
+      <div className="form-group">
+        <label>Email</label>
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => { setEmail(e.target.value); setError(''); }}
+          placeholder="Enter your account email"
+          required
+        />
+        <span className="helper-text">We'll email you a link to choose a new password.</span>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <button type="submit" className="btn-auth" disabled={loading}>
+        {loading ? 'Please wait...' : 'Send Reset Link'}
+      </button>
+
+      <div className="toggle-mode">
+        Remembered it?{' '}
+        <button type="button" onClick={onDone} className="link-button">
+          Login
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default PasswordReset;
@@ -0,0 +1,167 @@
+import React, { useState, useEffect } from 'react';
+import authService from '../services/authService';
+import '../styles/Auth.css';
+
+/**
+ * PhoneLogin Component
+ * Customer sign-in with a code texted to their phone (inside CustomerAuth):
+ * enter the number, then the code. A new number also asks for a name.
+ */
+const PhoneLogin = ({ onSuccess, onCancel }) => {
+  const [phone, setPhone] = useState('');
+  const [code, setCode] = useState('');
+  const [name, setName] = useState('');
+  const [codeSent, setCodeSent] = useState(false);
+  const [needsName, setNeedsName] = useState(false);
+  const [resendIn, setResendIn] = useState(0);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  // Count down to when another code may be requested
+  useEffect(() => {
+    if (resendIn <= 0) return undefined;
+    const timer = setTimeout(() => setResendIn(resendIn - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendIn]);
+
+  const sendCode = async () => {
+    setError('');
+
+    if (!/^[0-9]{10}$/.test(phone)) {
+      setError('Please enter a valid 10-digit phone number');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await authService.requestOtp(phone);
+      setCodeSent(true);
+      setCode('');
+      setResendIn(response.data.resendAfterSeconds);
+    } catch (err) {
+      setError(err.message || 'Could not send code');
+      if (err.data?.retryAfterSeconds) {
+        setCodeSent(true);
+        setResendIn(err.data.retryAfterSeconds);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSendCode = (e) => {
+    e.preventDefault();
+    sendCode();
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await authService.verifyOtp(phone, code, needsName ? name : undefined);
+      if (response.status === 'success') {
+        onSuccess();
+      }
+    } catch (err) {
+      if (err.data?.needsName) {
+        setNeedsName(true);
+      }
+      setError(err.message || 'Login failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!codeSent) {
+    return (
+      <form onSubmit={handleSendCode} className="auth-form">
+        <div className="form-group">
+          <label>Phone Number</label>
+          <input
+            type="tel"
+            value={phone}
+            onChange={(e) => { setPhone(e.target.value.trim()); setError(''); }}
+            placeholder="Enter 10-digit phone number"
+            pattern="[0-9]{10}"
+            required
+          />
+          <span className="helper-text">We'll text you a code to log in - no password needed.</span>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        <button type="submit" className="btn-auth" disabled={loading}>
+          {loading ? 'Please wait...' : 'Send Code'}
+        </button>
+
+        <div className="toggle-mode">
+          <button type="button" onClick={onCancel} className="link-button">
+            Use email and password instead
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <form onSubmit={handleVerify} className="auth-form">
+      <div className="form-group">
+        <label>Code sent to {phone}</label>
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          value={code}
+          onChange={(e) => { setCode(e.target.value.replace(/\D/g, '')); setError(''); }}
+          placeholder="6-digit code"
+          maxLength="6"
+          required
+        />
+      </div>
+
+      {needsName && (
+        <div className="form-group">
+          <label>Full Name</label>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => { setName(e.target.value); setError(''); }}
+            placeholder="Enter your full name"
+            minLength="2"
+            required
+          />
+        </div>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+
+      <button type="submit" className="btn-auth" disabled={loading}>
+        {loading ? 'Please wait...' : (needsName ? 'Create Account' : 'Log In')}
+      </button>
+
+      <div className="toggle-mode">
+        <button
+          type="button"
+          onClick={sendCode}
+          className="link-button"
+          disabled={loading || resendIn > 0}
+        >
+          {resendIn > 0 ? `Resend code in ${resendIn}s` : 'Resend code'}
+        </button>
+        {' · '}
+        <button
+          type="button"
+          onClick={() => { setCodeSent(false); setNeedsName(false); setError(''); }}
+          className="link-button"
+        >
+          Change number
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default PhoneLogin;
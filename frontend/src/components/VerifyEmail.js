@@ -0,0 +1,89 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import authService from '../services/authService';
+import '../styles/Auth.css';
+
+/**
+ * VerifyEmail Component
+ * Landing page for the link in the "confirm your email" message
+ * (/verify-email?token=...). Confirms the address once and says where to go next.
+ */
+const VerifyEmail = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete');
+  const [role, setRole] = useState(null);
+
+  // Tokens are single-use - don't send it twice when effects re-run
+  const sent = useRef(false);
+
+  useEffect(() => {
+    if (!token || sent.current) return;
+    sent.current = true;
+
+    authService.verifyEmail(token)
+      .then((response) => {
+        setRole(response.data.role);
+        setStatus('verified');
+      })
+      .catch((err) => {
+        setMessage(err.message || 'Email verification failed');
+        setStatus('error');
+      });
+  }, [token]);
+
+  const continueTo = () => {
+    const user = authService.getCurrentUser();
+
+    if (role === 'barber') {
+      navigate(user?.role === 'barber' ? '/barber-dashboard' : '/barber-auth');
+    } else {
+      navigate(user?.role === 'customer' ? '/nearby-barbers' : '/customer-auth');
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-content">
+        <button className="back-button" onClick={() => navigate('/')}>
+          ← Back to home
+        </button>
+
+        <div className="auth-card">
+          <h2>
+            {status === 'verifying' ? 'Confirming your email...'
+              : status === 'verified' ? '✅ Email confirmed'
+              : 'Email not confirmed'}
+          </h2>
+
+          {status === 'verified' && (
+            <div className="auth-form">
+              <div className="info-box">
+                {role === 'barber'
+                  ? 'Thanks! Your shop now shows up for nearby customers.'
+                  : 'Thanks! You can now join barber queues.'}
+              </div>
+              <button type="button" className="btn-auth" onClick={continueTo}>
+                Continue
+              </button>
+            </div>
+          )}
+
+          {status === 'error' && (
+            <div className="auth-form">
+              <div className="error-message">{message}</div>
+              <span className="helper-text">
+                Log in and use "Resend email" to get a new link.
+              </span>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,114 @@
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+/**
+ * API Service for Appointment Booking
+ * Bookings join the live queue automatically at their slot time
+ */
+
+const authHeaders = () => ({
+  headers: {
+    Authorization: `Bearer ${localStorage.getItem('token')}`
+  }
+});
+
+const appointmentService = {
+  /**
+   * Get free slots at a shop for a day
+   * @param {String} shopId - Shop ID
+   * @param {String} date - Day (YYYY-MM-DD)
+   * @param {String} serviceType - Service to book
+   * @returns {Promise} - { date, durationMinutes, slots: [{ startTime, endTime }] }
+   */
+  getSlots: async (shopId, date, serviceType) => {
+    try {
+      const response = await axios.get(`${API_URL}/appointments/slots`, {
+        params: { shopId, date, serviceType }
+      });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch available slots' };
+    }
+  },
+
+  /**
+   * Book a slot (requires customer login)
+   * @param {Object} bookingData - { shopId, serviceType, startTime, preferredStaffId }
+   * @returns {Promise} - Booked appointment
+   */
+  bookAppointment: async (bookingData) => {
+    try {
+      if (!localStorage.getItem('token')) {
+        throw { message: 'Please login to book an appointment' };
+      }
+
+      const response = await axios.post(`${API_URL}/appointments`, bookingData, authHeaders());
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to book appointment' };
+    }
+  },
+
+  /**
+   * Get the logged-in customer's upcoming appointments
+   * @returns {Promise} - List of appointments
+   */
+  getMyAppointments: async () => {
+    try {
+      const response = await axios.get(`${API_URL}/appointments/mine`, authHeaders());
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch appointments' };
+    }
+  },
+
+  /**
+   * Move an appointment to another slot
+   * @param {String} id - Appointment ID
+   * @param {String} startTime - New slot start (ISO)
+   * @returns {Promise} - Updated appointment
+   */
+  rescheduleAppointment: async (id, startTime) => {
+    try {
+      const response = await axios.patch(`${API_URL}/appointments/${id}`, { startTime }, authHeaders());
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to reschedule appointment' };
+    }
+  },
+
+  /**
+   * Cancel an appointment
+   * @param {String} id - Appointment ID
+   * @returns {Promise} - API response
+   */
+  cancelAppointment: async (id) => {
+    try {
+      const response = await axios.delete(`${API_URL}/appointments/${id}`, authHeaders());
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to cancel appointment' };
+    }
+  },
+
+  /**
+   * Get a shop's bookings for a day (barber dashboard)
+   * @param {String} shopId - Shop ID
+   * @param {String} date - Day (YYYY-MM-DD, default today)
+   * @returns {Promise} - List of appointments
+   */
+  getShopAppointments: async (shopId, date) => {
+    try {
+      const response = await axios.get(`${API_URL}/appointments/shop/${shopId}`, {
+        ...authHeaders(),
+        params: { date }
+      });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch appointments' };
+    }
+  }
+};
+
+export default appointmentService;
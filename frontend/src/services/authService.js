@@ -48,7 +48,8 @@ const customerSignup = async (userData) => {
 const customerLogin = async (credentials) => {
   try {
     const response = await axios.post(`${API_URL}/customer/login`, credentials, {
-      withCredentials: true
+      withCredentials: true,
+      skipAuthRefresh: true
     });
     if (response.data.data.token) {
       localStorage.setItem('user', JSON.stringify(response.data.data));
@@ -75,6 +76,63 @@ const customerLogout = async () => {
   }
 };
 
+// Customer phone login - text a one-time code, then sign in with it
+const requestOtp = async (phone) => {
+  try {
+    const response = await axios.post(`${API_URL}/customer/otp/request`, { phone }, {
+      skipAuthRefresh: true
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Could not send code' };
+  }
+};
+
+// `name` is only needed the first time a phone number signs in
+const verifyOtp = async (phone, code, name) => {
+  try {
+    const response = await axios.post(`${API_URL}/customer/otp/verify`, { phone, code, name }, {
+      withCredentials: true,
+      skipAuthRefresh: true
+    });
+    if (response.data.data.token) {
+      localStorage.setItem('user', JSON.stringify(response.data.data));
+      setAuthToken(response.data.data.token);
+    }
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Login failed' };
+  }
+};
+
+// Verify the phone number on a logged-in customer's account (it can then log in too)
+const requestPhoneVerification = async () => {
+  try {
+    const response = await axios.post(`${API_URL}/customer/phone/request`, {}, {
+      withCredentials: true
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Could not send verification code' };
+  }
+};
+
+const verifyPhone = async (code) => {
+  try {
+    const response = await axios.post(`${API_URL}/customer/phone/verify`, { code }, {
+      withCredentials: true
+    });
+
+    const user = getCurrentUser();
+    if (user) {
+      localStorage.setItem('user', JSON.stringify({ ...user, phoneVerified: true }));
+    }
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Phone verification failed' };
+  }
+};
+
 // Barber Authentication
 const barberSignup = async (userData) => {
   try {
@@ -94,7 +152,8 @@ const barberSignup = async (userData) => {
 const barberLogin = async (credentials) => {
   try {
     const response = await axios.post(`${API_URL}/barber/login`, credentials, {
-      withCredentials: true
+      withCredentials: true,
+      skipAuthRefresh: true
     });
     if (response.data.data.token) {
       localStorage.setItem('user', JSON.stringify(response.data.data));
@@ -127,6 +186,124 @@ const logout = () => {
   setAuthToken(null);
 };
 
+// Password reset (role: 'customer' or 'barber')
+const requestPasswordReset = async (role, email) => {
+  try {
+    const response = await axios.post(`${API_URL}/${role}/forgot-password`, { email }, {
+      skipAuthRefresh: true
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Could not send reset email' };
+  }
+};
+
+const resetPassword = async (role, token, password) => {
+  try {
+    const response = await axios.post(`${API_URL}/${role}/reset-password`, { token, password }, {
+      skipAuthRefresh: true
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Password reset failed' };
+  }
+};
+
+// Email verification - confirm with the emailed token, or ask for a new link
+const verifyEmail = async (token) => {
+  try {
+    const response = await axios.post(`${API_URL}/verify-email`, { token }, {
+      skipAuthRefresh: true
+    });
+
+    // Update the signed-in account if it's the one that was verified
+    const user = getCurrentUser();
+    if (user && user._id === response.data.data._id) {
+      localStorage.setItem('user', JSON.stringify({ ...user, emailVerified: true }));
+    }
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Email verification failed' };
+  }
+};
+
+const resendVerification = async () => {
+  try {
+    const response = await axios.post(`${API_URL}/resend-verification`, {}, {
+      withCredentials: true
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Could not send verification email' };
+  }
+};
+
+// Sign out on every device (revokes all sessions server-side)
+const logoutAllDevices = async () => {
+  try {
+    const response = await axios.post(`${API_URL}/logout-all`, {}, {
+      withCredentials: true
+    });
+    localStorage.removeItem('user');
+    setAuthToken(null);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || { message: 'Sign out failed' };
+  }
+};
+
+// Swap the refresh cookie for a new access token
+// Concurrent callers share one request so the refresh token is rotated once
+let refreshRequest = null;
+
+const refreshSession = () => {
+  if (!refreshRequest) {
+    refreshRequest = axios.post(`${API_URL}/refresh`, {}, {
+      withCredentials: true,
+      skipAuthRefresh: true
+    })
+      .then((response) => {
+        setAuthToken(response.data.data.token);
+        return response.data.data.token;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
+// Access tokens are short-lived: when a request comes back 401, refresh
+// silently and replay it once. If the refresh fails the session is over.
+axios.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const request = error.config;
+
+    if (
+      error.response?.status !== 401 ||
+      !request ||
+      request.skipAuthRefresh ||
+      request._retried ||
+      !localStorage.getItem('token')
+    ) {
+      return Promise.reject(error);
+    }
+
+    request._retried = true;
+
+    try {
+      const token = await refreshSession();
+      request.headers.Authorization = `Bearer ${token}`;
+      return axios(request);
+    } catch (refreshError) {
+      logout();
+      window.location.assign('/');
+      return Promise.reject(error);
+    }
+  }
+);
+
 // Get current user
 const getCurrentUser = () => {
   const userStr = localStorage.getItem('user');
@@ -165,10 +342,20 @@ const authService = {
   customerSignup,
   customerLogin,
   customerLogout,
+  requestOtp,
+  verifyOtp,
+  requestPhoneVerification,
+  verifyPhone,
   barberSignup,
   barberLogin,
   barberLogout,
   logout,
+  logoutAllDevices,
+  refreshSession,
+  requestPasswordReset,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
   getCurrentUser,
   isAuthenticated,
   getUserRole,
@@ -72,6 +72,275 @@ const barberService = {
     }
   },
 
+  /**
+   * Set the number of chairs at a shop
+   * @param {String} shopId - Shop ID
+   * @param {Number} chairCount - Number of chairs (1-10)
+   * @returns {Promise} - Updated chair count
+   */
+  updateChairCount: async (shopId, chairCount) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.patch(
+        `${API_URL}/barbers/${shopId}/chairs`,
+        { chairCount },
+        {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        }
+      );
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to update chair count' };
+    }
+  },
+
+  /**
+   * Update a shop's queue settings
+   * @param {String} shopId - Shop ID
+   * @param {Object} settings - { noShowGraceMinutes, noShowPolicy }
+   * @returns {Promise} - Updated settings
+   */
+  updateQueueSettings: async (shopId, settings) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.patch(
+        `${API_URL}/barbers/${shopId}/queue-settings`,
+        settings,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        }
+      );
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to update queue settings' };
+    }
+  },
+
+  /**
+   * Get the staff working at a shop, with each member's current wait
+   * @param {String} shopId - Shop ID
+   * @returns {Promise} - Array of staff members
+   */
+  getStaff: async (shopId) => {
+    try {
+      const response = await axios.get(`${API_URL}/barbers/${shopId}/staff`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch staff' };
+    }
+  },
+
+  /**
+   * Add a staff member to a shop
+   * @param {String} shopId - Shop ID
+   * @param {Object} staffData - { name, skills }
+   * @returns {Promise} - Created staff member
+   */
+  addStaff: async (shopId, staffData) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(
+        `${API_URL}/barbers/${shopId}/staff`,
+        staffData,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        }
+      );
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to add staff member' };
+    }
+  },
+
+  /**
+   * Update a staff member (name, skills or status)
+   * @param {String} shopId - Shop ID
+   * @param {String} staffId - Staff ID
+   * @param {Object} updates - { name, skills, status }
+   * @returns {Promise} - Updated staff member
+   */
+  updateStaff: async (shopId, staffId, updates) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.patch(
+        `${API_URL}/barbers/${shopId}/staff/${staffId}`,
+        updates,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        }
+      );
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to update staff member' };
+    }
+  },
+
+  /**
+   * Remove a staff member from a shop
+   * @param {String} shopId - Shop ID
+   * @param {String} staffId - Staff ID
+   * @returns {Promise} - Success message
+   */
+  removeStaff: async (shopId, staffId) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.delete(
+        `${API_URL}/barbers/${shopId}/staff/${staffId}`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        }
+      );
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to remove staff member' };
+    }
+  },
+
+  /**
+   * Put the queue on a break (ETAs move back, resumes by itself)
+   * @param {String} shopId - Shop ID
+   * @param {Object} breakData - { minutes, blockJoins, reason }
+   * @returns {Promise} - The break
+   */
+  pauseQueue: async (shopId, breakData) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(
+        `${API_URL}/barbers/${shopId}/pause`,
+        breakData,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        }
+      );
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to pause queue' };
+    }
+  },
+
+  /**
+   * End a break early
+   * @param {String} shopId - Shop ID
+   * @returns {Promise} - Success message
+   */
+  resumeQueue: async (shopId) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.delete(
+        `${API_URL}/barbers/${shopId}/pause`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        }
+      );
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to resume queue' };
+    }
+  },
+
+  /**
+   * Get a shop's service menu with prices and durations
+   * @param {String} shopId - Shop ID
+   * @param {Boolean} includeInactive - Also list services hidden from customers
+   * @returns {Promise} - Array of services
+   */
+  getServices: async (shopId, includeInactive = false) => {
+    try {
+      const response = await axios.get(`${API_URL}/barbers/${shopId}/services`, {
+        params: includeInactive ? { includeInactive: true } : {}
+      });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch services' };
+    }
+  },
+
+  /**
+   * Add a service to a shop's menu
+   * @param {String} shopId - Shop ID
+   * @param {Object} serviceData - { name, price, durationMinutes }
+   * @returns {Promise} - Created service
+   */
+  addService: async (shopId, serviceData) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(
+        `${API_URL}/barbers/${shopId}/services`,
+        serviceData,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        }
+      );
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to add service' };
+    }
+  },
+
+  /**
+   * Update a service (name, price, duration or availability)
+   * @param {String} shopId - Shop ID
+   * @param {String} key - Service key
+   * @param {Object} updates - { name, price, durationMinutes, isActive }
+   * @returns {Promise} - Updated service
+   */
+  updateService: async (shopId, key, updates) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.patch(
+        `${API_URL}/barbers/${shopId}/services/${key}`,
+        updates,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        }
+      );
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to update service' };
+    }
+  },
+
+  /**
+   * Remove a service from a shop's menu
+   * @param {String} shopId - Shop ID
+   * @param {String} key - Service key
+   * @returns {Promise} - Success message
+   */
+  deleteService: async (shopId, key) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.delete(
+        `${API_URL}/barbers/${shopId}/services/${key}`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        }
+      );
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to remove service' };
+    }
+  },
+
   /**
    * Get all barber shops
    * @param {Boolean} activeOnly - Filter for active shops only
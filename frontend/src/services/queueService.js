@@ -10,7 +10,7 @@ const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 const queueService = {
   /**
    * Join the queue (requires authentication)
-   * @param {Object} customerData - { serviceType, shopId }
+   * @param {Object} customerData - { services (keys), shopId, preferredStaffId, party }
    * @returns {Promise} - API response with token number and position
    */
   joinQueue: async (customerData) => {
@@ -31,12 +31,33 @@ const queueService = {
     }
   },
 
+  /**
+   * Add a walk-in customer to the logged-in barber's queue
+   * @param {Object} walkInData - { name, phone, services (keys), preferredStaffId }
+   * @returns {Promise} - API response with token number and position
+   */
+  addWalkIn: async (walkInData) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(`${API_URL}/queue/walk-in`, walkInData, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to add walk-in' };
+    }
+  },
+
   /**
    * Cancel queue entry
    * @param {String} id - Queue entry ID
+   * @param {String} reason - changed-mind, too-long, no-show, duplicate or other
+   * @param {String} note - Optional note in the customer's own words
    * @returns {Promise} - API response
    */
-  cancelQueue: async (id) => {
+  cancelQueue: async (id, reason, note = null) => {
     try {
       const token = localStorage.getItem('token');
       if (!token) {
@@ -44,6 +65,7 @@ const queueService = {
       }
 
       const response = await axios.delete(`${API_URL}/queue/cancel/${id}`, {
+        data: { reason, note },
         headers: {
           Authorization: `Bearer ${token}`
         }
@@ -54,6 +76,77 @@ const queueService = {
     }
   },
 
+  /**
+   * Remove a customer from the logged-in barber's queue
+   * @param {String} id - Queue entry ID
+   * @param {String} reason - changed-mind, too-long, no-show, duplicate or other
+   * @param {String} note - Optional note shown to the customer
+   * @returns {Promise} - API response
+   */
+  removeFromQueue: async (id, reason, note = null) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.delete(`${API_URL}/queue/remove/${id}`, {
+        data: { reason, note },
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to remove customer' };
+    }
+  },
+
+  /**
+   * Tell the shop the customer is there ("I'm here")
+   * Barbers can check in anyone in their own queue.
+   * @param {String} id - Queue entry ID
+   * @param {Object} coords - { latitude, longitude } when checking in by location (optional)
+   * @returns {Promise} - { arrived, arrivedAt, arrivalMethod, tokenNumbers }
+   */
+  checkIn: async (id, coords = null) => {
+    try {
+      const token = localStorage.getItem('token');
+      if (!token) {
+        throw { message: 'Please login to check in' };
+      }
+
+      const response = await axios.patch(`${API_URL}/queue/check-in/${id}`, coords || {}, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to check in' };
+    }
+  },
+
+  /**
+   * Let a few customers go ahead when running late
+   * @param {String} id - Queue entry ID
+   * @param {Number} places - How many customers to let go ahead (1-5)
+   * @returns {Promise} - New position, wait and travel advice
+   */
+  slideBack: async (id, places) => {
+    try {
+      const token = localStorage.getItem('token');
+      if (!token) {
+        throw { message: 'Please login to change your place' };
+      }
+
+      const response = await axios.patch(`${API_URL}/queue/slide-back/${id}`, { places }, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to move back in the queue' };
+    }
+  },
+
   /**
    * Get current user's active queue status
    * @returns {Promise} - Active queue entry or null
@@ -77,9 +170,9 @@ const queueService = {
   },
 
   /**
-   * Get customer status
-   * @param {String} id - Customer ID or token number
-   * @returns {Promise} - Customer data with queue position
+   * Get queue entry status
+   * @param {String} id - Queue entry ID, or a token number of the logged-in customer's own visit
+   * @returns {Promise} - Status, token, queue position and estimated wait
    */
   getCustomerStatus: async (id) => {
     try {
@@ -91,14 +184,20 @@ const queueService = {
   },
 
   /**
-   * Get current queue list
-   * @param {String} shopId - Optional shop ID to filter queue
+   * Get the logged-in barber's queue
+   * @param {String} shopId - Optional shop ID (must be the barber's own)
    * @returns {Promise} - Array of customers in queue
    */
   getQueue: async (shopId = null) => {
     try {
+      const token = localStorage.getItem('token');
       const params = shopId ? { shopId } : {};
-      const response = await axios.get(`${API_URL}/queue/list`, { params });
+      const response = await axios.get(`${API_URL}/queue/list`, {
+        params,
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
       return response.data;
     } catch (error) {
       throw error.response?.data || { message: 'Failed to fetch queue' };
@@ -107,26 +206,160 @@ const queueService = {
 
   /**
    * Start serving a customer
-   * @param {String} id - Customer ID
+   * @param {String} id - Queue entry ID
+   * @param {Number} chair - Optional chair number (defaults to first free chair)
+   * @param {String} staffId - Optional staff member serving (defaults to preferred/free staff)
    * @returns {Promise} - Updated customer data
    */
-  serveCustomer: async (id) => {
+  serveCustomer: async (id, chair = null, staffId = null) => {
     try {
-      const response = await axios.patch(`${API_URL}/queue/serve/${id}`);
+      const body = {};
+      if (chair) body.chair = chair;
+      if (staffId) body.staffId = staffId;
+      const token = localStorage.getItem('token');
+      const response = await axios.patch(`${API_URL}/queue/serve/${id}`, body, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
       return response.data;
     } catch (error) {
       throw error.response?.data || { message: 'Failed to start service' };
     }
   },
 
+  /**
+   * Seat every waiting member of a party at once (barber only)
+   * @param {String} groupId - Party group ID
+   * @returns {Promise} - Seated members
+   */
+  serveGroup: async (groupId) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.patch(`${API_URL}/queue/serve-group/${groupId}`, {}, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to seat party' };
+    }
+  },
+
+  /**
+   * Call the next waiting customer up to the chair
+   * @param {String} shopId - Shop ID
+   * @param {String} staffId - Optional staff member doing the calling
+   * @returns {Promise} - Called queue entry
+   */
+  callNext: async (shopId, staffId = null) => {
+    try {
+      const body = { shopId };
+      if (staffId) body.staffId = staffId;
+      const token = localStorage.getItem('token');
+      const response = await axios.post(`${API_URL}/queue/call-next`, body, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to call next customer' };
+    }
+  },
+
+  /**
+   * Mark a called customer as a no-show
+   * @param {String} id - Queue entry ID
+   * @returns {Promise} - Updated entry and the customer's no-show count
+   */
+  markNoShow: async (id) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.patch(`${API_URL}/queue/no-show/${id}`, {}, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to mark no-show' };
+    }
+  },
+
+  /**
+   * Tag a waiting customer with a priority class (barber only)
+   * @param {String} id - Queue entry ID
+   * @param {String|null} priorityClass - Shop priority class, or null for regular
+   * @returns {Promise} - Updated queue entry
+   */
+  setPriorityClass: async (id, priorityClass) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.patch(`${API_URL}/queue/priority/${id}`, { priorityClass }, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to update priority class' };
+    }
+  },
+
+  /**
+   * Get the event timeline for a queue entry (its customer or the shop's barber)
+   * @param {String} id - Queue entry ID
+   * @returns {Promise} - { tokenNumber, status, events }
+   */
+  getTimeline: async (id) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get(`${API_URL}/queue/${id}/timeline`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch timeline' };
+    }
+  },
+
+  /**
+   * Get recent queue events for the barber's shop
+   * @param {Number} limit - Most recent N events
+   * @returns {Promise} - Events, oldest first
+   */
+  getShopEvents: async (limit = 50) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get(`${API_URL}/queue/events`, {
+        params: { limit },
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch queue events' };
+    }
+  },
+
   /**
    * Complete service for a customer
-   * @param {String} id - Customer ID
-   * @returns {Promise} - Updated customer data
+   * @param {String} id - Queue entry ID
+   * @returns {Promise} - Updated queue entry
    */
   completeService: async (id) => {
     try {
-      const response = await axios.patch(`${API_URL}/queue/complete/${id}`);
+      const token = localStorage.getItem('token');
+      const response = await axios.patch(`${API_URL}/queue/complete/${id}`, {}, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
       return response.data;
     } catch (error) {
       throw error.response?.data || { message: 'Failed to complete service' };
@@ -134,14 +367,60 @@ const queueService = {
   },
 
   /**
-   * Get queue statistics
-   * @param {String} shopId - Optional shop ID to filter stats
+   * Move a waiting customer to another place in the queue (barber only)
+   * @param {String} id - Queue entry ID
+   * @param {Number} position - Target queue position (1 = next)
+   * @param {String} reason - Why they are being moved
+   * @returns {Promise} - Moved queue entry
+   */
+  reorderEntry: async (id, position, reason) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.patch(`${API_URL}/queue/reorder/${id}`, { position, reason }, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to reorder queue' };
+    }
+  },
+
+  /**
+   * Undo the last serve, complete, no-show or removal of an entry (barber only)
+   * @param {String} id - Queue entry ID
+   * @returns {Promise} - Restored queue entry
+   */
+  undoAction: async (id) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(`${API_URL}/queue/undo/${id}`, {}, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to undo' };
+    }
+  },
+
+  /**
+   * Get the logged-in barber's queue statistics
+   * @param {String} shopId - Optional shop ID (must be the barber's own)
    * @returns {Promise} - Queue stats (waiting, in-service, completed)
    */
   getQueueStats: async (shopId = null) => {
     try {
+      const token = localStorage.getItem('token');
       const params = shopId ? { shopId } : {};
-      const response = await axios.get(`${API_URL}/queue/stats`, { params });
+      const response = await axios.get(`${API_URL}/queue/stats`, {
+        params,
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
       return response.data;
     } catch (error) {
       throw error.response?.data || { message: 'Failed to fetch statistics' };
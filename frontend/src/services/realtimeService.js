@@ -21,6 +21,8 @@ class RealtimeService {
     this.usePolling = false;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
+    this.customerId = null;
+    this.shopId = null;
   }
 
   /**
@@ -35,7 +37,11 @@ class RealtimeService {
         reconnectionDelayMax: 5000,
         reconnectionAttempts: this.maxReconnectAttempts,
         timeout: 10000,
-        autoConnect: true
+        autoConnect: true,
+        withCredentials: true,
+        // Read on every (re)connect so a refreshed access token is picked up -
+        // the server only lets a socket into its own customer or shop room
+        auth: (cb) => cb({ token: localStorage.getItem('token') })
       });
 
       this.socket.on('connect', () => {
@@ -44,6 +50,14 @@ class RealtimeService {
         this.usePolling = false;
         this.reconnectAttempts = 0;
         this.stopAllPolling();
+
+        // Rooms are per connection - rejoin them after (re)connecting
+        if (this.customerId) {
+          this.socket.emit('join-customer');
+        }
+        if (this.shopId) {
+          this.socket.emit('join-shop', this.shopId);
+        }
       });
 
       this.socket.on('disconnect', (reason) => {
@@ -110,12 +124,29 @@ class RealtimeService {
    * @param {String} shopId - Barber shop ID
    */
   joinShop(shopId) {
+    this.shopId = shopId;
     if (this.isConnected && this.socket) {
       this.socket.emit('join-shop', shopId);
       console.log(`🏪 Joined shop room: ${shopId}`);
     }
   }
 
+  /**
+   * Join a customer's personal room (turn notifications)
+   * The server picks the room from the logged-in account, not from this ID.
+   * @param {String} customerId - Customer account ID
+   */
+  joinCustomer(customerId) {
+    this.customerId = customerId;
+    if (!this.socket) {
+      this.connect();
+    }
+    if (this.socket.connected) {
+      this.socket.emit('join-customer');
+    }
+    console.log(`👤 Joined customer room: ${customerId}`);
+  }
+
   /**
    * Listen for queue updates
    * @param {Function} callback - Called with queue update data
@@ -215,6 +246,7 @@ class RealtimeService {
     }
     this.stopAllPolling();
     this.isConnected = false;
+    this.shopId = null;
     console.log('🔌 Disconnected from real-time service');
   }
 